@@ -1,13 +1,47 @@
-import { initAuth, supabase } from './services/supabase.js'
-import { createGame, joinGame, revealCell, validateGuess, skipTurn, getGameState } from './services/gameService.js'
-import { realtimeManager } from './services/realtimeService.js'
+import { backend } from './services/backend.js'
+import {
+  createGame,
+  joinGame,
+  createRematch,
+  skipTurn,
+  getGameState,
+  getGameMoves
+} from './services/gameService.js'
+import { realtimeManager, BROADCAST_EVENTS } from './services/realtimeService.js'
 import { GameGrid } from './components/GameGrid.js'
 import { GuessInput } from './components/GuessInput.js'
 import { TurnIndicator } from './components/TurnIndicator.js'
-import { GameOverScreen } from './components/GameOverScreen.js'
+import { GameOverScreen, REMATCH_STATUS } from './components/GameOverScreen.js'
+import { HandoverScreen } from './components/HandoverScreen.js'
+import { ResumePrompt } from './components/ResumePrompt.js'
+import { ConnectionBanner } from './components/ConnectionBanner.js'
+import { ChatPanel } from './components/ChatPanel.js'
+import { ReplayViewer } from './components/ReplayViewer.js'
+import { GameHistory } from './components/GameHistory.js'
 import { logger, perfMonitor } from './utils/logger.js'
-import { handleError, GameError } from './utils/errorHandler.js'
+import { handleError, isAbortError, GameError, getErrorMessage, ERROR_CATEGORIES } from './utils/errorHandler.js'
 import { GestureManager, GestureUtils } from './utils/GestureManager.js'
+import { GameEngine, GAME_ACTIONS } from './services/GameEngine.js'
+import { LocalGameSession } from './services/LocalGameSession.js'
+import { sessionStore } from './services/sessionStore.js'
+import { profileStore } from './services/profileStore.js'
+import { historyStore } from './services/historyStore.js'
+import { buildReplay } from './services/replay.js'
+import { chatService } from './services/chatService.js'
+import { actionOutbox } from './services/actionOutbox.js'
+import { ComputerPlayer } from './services/ComputerPlayer.js'
+import { getRandomWord, countWords } from './services/dictionary.js'
+import { validateAndSanitizeNickname, validateSecretWord, sanitizeString } from './utils/validation.js'
+import {
+  GAME_CONFIG,
+  BOT_CONFIG,
+  DICTIONARY_CONFIG,
+  ALPHABET_CONFIG,
+  UI_CONFIG,
+  NETWORK_CONFIG,
+  I18N_CONFIG
+} from './config/constants.js'
+import { i18n, t } from './i18n/i18n.js'
 
 /**
  * Утилита для debouncing частых операций
@@ -190,7 +224,7 @@ class ShareModalManager {
     this.closeHandlers.push(() => document.removeEventListener('keydown', escHandler))
   }
 
-  show(shareUrl, roomId) {
+  show(shareUrl, roomId, spectateUrl = null) {
     if (!this.modal) {
       logger.error('Share modal not initialized')
       return
@@ -202,8 +236,16 @@ class ShareModalManager {
       linkInput.value = shareUrl
     }
 
-    // Настраиваем кнопку копирования
-    this.setupCopyButton(shareUrl)
+    const spectateInput = document.getElementById('spectate-link-input')
+    if (spectateInput) {
+      spectateInput.value = spectateUrl || ''
+    }
+
+    // Настраиваем кнопки копирования
+    this.setupCopyButton('copy-share-link-btn', shareUrl)
+    if (spectateUrl) {
+      this.setupCopyButton('copy-spectate-link-btn', spectateUrl)
+    }
     
     // Настраиваем native share если доступен
     this.setupNativeShare(shareUrl, roomId)
@@ -222,8 +264,8 @@ class ShareModalManager {
     logger.info('Share modal opened', { shareUrl, roomId })
   }
 
-  setupCopyButton(shareUrl) {
-    const copyBtn = document.getElementById('copy-share-link-btn')
+  setupCopyButton(buttonId, shareUrl) {
+    const copyBtn = document.getElementById(buttonId)
     if (!copyBtn) return
 
     const originalText = copyBtn.textContent
@@ -231,7 +273,7 @@ class ShareModalManager {
     const copyHandler = async () => {
       try {
         await navigator.clipboard.writeText(shareUrl)
-        copyBtn.textContent = '✅ Скопировано!'
+        copyBtn.textContent = t('common.copied')
         copyBtn.style.backgroundColor = '#22c55e'
         
         setTimeout(() => {
@@ -242,7 +284,7 @@ class ShareModalManager {
         logger.info('Share URL copied to clipboard')
       } catch (error) {
         logger.error('Failed to copy share URL:', error)
-        copyBtn.textContent = '❌ Ошибка'
+        copyBtn.textContent = t('common.copyFailed')
         setTimeout(() => {
           copyBtn.textContent = originalText
         }, 2000)
@@ -251,7 +293,7 @@ class ShareModalManager {
 
     // Удаляем старые обработчики
     copyBtn.replaceWith(copyBtn.cloneNode(true))
-    const newCopyBtn = document.getElementById('copy-share-link-btn')
+    const newCopyBtn = document.getElementById(buttonId)
     newCopyBtn.addEventListener('click', copyHandler)
   }
 
@@ -272,8 +314,8 @@ class ShareModalManager {
     const shareHandler = async () => {
       try {
         await navigator.share({
-          title: '🎯 Угадай Слово Online',
-          text: `Присоединяйся к игре! Комната: ${roomId}`,
+          title: t('app.title'),
+          text: t('app.shareText', { roomId }),
           url: shareUrl
         })
         
@@ -322,14 +364,31 @@ export class App {
       isCreatingGame: false, // Флаг для предотвращения двойного создания
       isFirstPlayer: false, // Флаг для определения первого игрока
       playerJoinedNotificationShown: false, // НОВОЕ: Флаг для отслеживания показа уведомления
-      previousGameState: null // НОВОЕ: Состояние для сравнения изменений
+      previousGameState: null, // НОВОЕ: Состояние для сравнения изменений
+      mode: GAME_CONFIG.MODES.ONLINE, // Режим игры: онлайн или локальный
+      isHandoverPending: false, // Ждем, пока следующий игрок возьмет устройство
+      rematch: null, // Реванш текущей игры: {roomId, status} (status из REMATCH_STATUS)
+      roomPresence: null, // Участники канала комнаты: {[userId]: {role, status, lastSeen}}, null до первой синхронизации
+      opponentPresence: null // Последний известный статус соперника
     }
 
+    // Локальная игра (без сервера) и компьютерный соперник
+    this.localSession = null
+    this.computerPlayer = null
+
+    // Незавершенные игры, предложенные для продолжения: [{role, gameState}]
+    this.resumeCandidates = []
+
+    // Запросы игрового экрана: отменяются при уходе с экрана или переходе в другую комнату
+    this.requestController = new AbortController()
+    this.errorTimer = null
+
     this.components = {
       gameGrid: null,
       guessInput: null,
       turnIndicator: null,
-      gameOverScreen: null
+      gameOverScreen: null,
+      handoverScreen: null
     }
 
     this.ui = {
@@ -344,7 +403,26 @@ export class App {
       copyRoomIdBtn: document.getElementById('copy-room-id-btn'),
       shareRoomBtn: document.getElementById('share-room-btn'), // Новая кнопка
       waitingIndicator: document.getElementById('waiting-indicator'), // Индикатор ожидания
-      wordLengthSelect: document.getElementById('word-length-select')
+      wordLengthSelect: document.getElementById('word-length-select'),
+      wordDifficultySelect: document.getElementById('word-difficulty-select'),
+      wordCategorySelect: document.getElementById('word-category-select'),
+      wordAlphabetSelect: document.getElementById('word-alphabet-select'),
+      wordCountHint: document.getElementById('word-count-hint'),
+      languageSelect: document.getElementById('language-select'),
+      nicknameInput: document.getElementById('nickname-input'),
+      secretWordInput: document.getElementById('secret-word-input'),
+      strictGuessesCheckbox: document.getElementById('strict-guesses-checkbox'),
+      turnTimeSelect: document.getElementById('turn-time-select'),
+      joinSecretWordInput: document.getElementById('join-secret-word-input'),
+      botDifficultySelect: document.getElementById('bot-difficulty-select'),
+      botWordLengthSelect: document.getElementById('bot-word-length-select'),
+      playComputerBtn: document.getElementById('play-computer-btn'),
+      hotseatPlayer1Input: document.getElementById('hotseat-player1-input'),
+      hotseatPlayer2Input: document.getElementById('hotseat-player2-input'),
+      hotseatWordLengthSelect: document.getElementById('hotseat-word-length-select'),
+      hotseatWord1Input: document.getElementById('hotseat-word1-input'),
+      hotseatWord2Input: document.getElementById('hotseat-word2-input'),
+      hotseatStartBtn: document.getElementById('hotseat-start-btn')
     }
 
     // Инициализируем менеджеры
@@ -359,16 +437,21 @@ export class App {
     perfMonitor.startMeasure('app_init')
 
     try {
-      this.showLoading('Инициализация...')
+      this.initLanguage()
+      this.initNickname()
+      this.showLoading(t('loading.init'))
 
-      this.state.currentUser = await initAuth()
+      this.state.currentUser = await backend.initAuth()
       logger.info('Пользователь аутентифицирован', { userId: this.state.currentUser.id })
 
       this.initComponents()
       this.attachEventListeners()
       this.initGestures()
       this.initShareModal() // Инициализация модала
-      this.checkUrlParams()
+      this.initOutbox()
+      if (!this.checkUrlParams()) {
+        await this.restoreSessions()
+      }
 
       this.hideLoading()
       perfMonitor.endMeasure('app_init')
@@ -376,8 +459,86 @@ export class App {
 
     } catch (error) {
       perfMonitor.endMeasure('app_init')
-      this.handleError(error, 'Ошибка инициализации приложения')
+      this.handleError(error, t('errors.context.init'))
+    }
+  }
+
+  /**
+   * Перевод статичной разметки и переключатель языка в меню
+   */
+  initLanguage() {
+    i18n.translateDom()
+
+    const select = this.ui.languageSelect
+    if (select) {
+      select.innerHTML = Object.entries(I18N_CONFIG.LOCALES)
+        .map(([locale, { label }]) => `<option value="${locale}">${label}</option>`)
+        .join('')
+      select.value = i18n.getLocale()
+      select.addEventListener('click', (event) => {
+        event.stopPropagation()
+      })
+      select.addEventListener('change', () => {
+        i18n.setLocale(select.value)
+      })
+    }
+
+    i18n.subscribe(() => this.applyLocale())
+  }
+
+  /**
+   * Поле имени игрока в меню: имя из профиля, сохранение после проверки
+   */
+  initNickname() {
+    const input = this.ui.nicknameInput
+    if (!input) return
+
+    input.value = profileStore.getNickname() || ''
+    input.addEventListener('click', (event) => {
+      event.stopPropagation()
+    })
+    input.addEventListener('change', () => {
+      this.saveNickname()
+    })
+  }
+
+  /**
+   * Сохранение имени из поля меню, пустое поле удаляет имя
+   * При ошибке в профиле остается прежнее имя
+   */
+  saveNickname() {
+    const rawName = this.ui.nicknameInput?.value.trim() || ''
+    if (!rawName) {
+      profileStore.setNickname(null)
+      return
+    }
+
+    const validation = validateAndSanitizeNickname(rawName)
+    if (!validation.valid) {
+      this.showError(validation.error)
+      return
     }
+    profileStore.setNickname(validation.sanitized)
+  }
+
+  /**
+   * Смена языка: переводим разметку и перерисовываем открытые компоненты
+   */
+  applyLocale() {
+    i18n.translateDom()
+    this.updateWordCountHint()
+
+    const {
+      guessInput, turnIndicator, gameOverScreen, handoverScreen, resumePrompt, chatPanel, replayViewer, gameHistory
+    } = this.components
+    guessInput?.setEnabled(guessInput.isEnabled)
+    turnIndicator?.render()
+    gameOverScreen?.render()
+    handoverScreen?.render()
+    resumePrompt?.render()
+    chatPanel?.render()
+    replayViewer?.render()
+    gameHistory?.render()
   }
 
   initShareModal() {
@@ -394,6 +555,13 @@ export class App {
     this.components.guessInput = new GuessInput('guess-input-container')
     this.components.turnIndicator = new TurnIndicator('turn-indicator-container')
     this.components.gameOverScreen = new GameOverScreen('game-over-container')
+    this.components.handoverScreen = new HandoverScreen('handover-container')
+    this.components.resumePrompt = new ResumePrompt('resume-container')
+    this.components.connectionBanner = new ConnectionBanner('connection-banner-container')
+    this.components.chatPanel = new ChatPanel('chat-container')
+    this.components.replayViewer = new ReplayViewer('replay-container')
+    this.components.gameHistory = new GameHistory('history-container')
+    this.components.gameHistory.update(historyStore.list())
 
     this.components.gameGrid.setCellClickHandler((row, col) => {
       this.handleCellClick(row, col)
@@ -412,9 +580,73 @@ export class App {
       this.handleNewGame()
     })
 
+    this.components.gameOverScreen.setRematchHandler((secretWord) => {
+      this.handleRematchOffer(secretWord)
+    })
+
+    this.components.gameOverScreen.setRematchAcceptHandler((secretWord) => {
+      this.handleRematchAccept(secretWord)
+    })
+
+    this.components.gameOverScreen.setRematchDeclineHandler(() => {
+      this.handleRematchDecline()
+    })
+
     this.components.gameOverScreen.setShareRoomHandler(() => {
       this.handleShareRoom()
     })
+
+    this.components.gameOverScreen.setReplayHandler(() => {
+      this.openReplay(this.state.roomId)
+    })
+
+    this.components.gameHistory.setWatchHandler((roomId) => {
+      this.openReplay(roomId)
+    })
+
+    this.components.turnIndicator.setTimeWarningHandler(() => {
+      if (GameEngine.isPlayerTurn(this.state.gameState, this.getActingUserId(this.state.gameState))) {
+        this.showNotification(t('notify.timeWarning', { count: UI_CONFIG.TURN_TIMER_WARNING }))
+      }
+    })
+
+    this.components.turnIndicator.setTimeExpiredHandler((deadline) => {
+      this.handleTurnTimeout(deadline)
+    })
+
+    this.components.resumePrompt.setResumeHandler((roomId) => {
+      const candidate = this.resumeCandidates.find(item => item.gameState.id === roomId)
+      this.resumeCandidates = []
+      if (candidate) {
+        this.resumeGame(candidate.role, candidate.gameState)
+      }
+    })
+
+    this.components.resumePrompt.setDismissHandler(() => {
+      this.resumeCandidates = []
+    })
+
+    this.components.chatPanel.setSendHandler(async (text) => {
+      const message = await chatService.sendMessage(this.state.roomId, text, this.state.currentUser.id)
+      this.addChatMessage(message)
+    })
+
+    this.components.chatPanel.setReactHandler(async (emoji) => {
+      const message = await chatService.sendReaction(this.state.roomId, emoji, this.state.currentUser.id)
+      this.addChatMessage(message)
+    })
+
+    this.components.chatPanel.setMuteToggleHandler((muted) => {
+      chatService.setMuted(muted)
+      this.components.chatPanel.setMuted(muted)
+    })
+
+    this.components.handoverScreen.setContinueHandler(() => {
+      this.state.isHandoverPending = false
+      if (this.localSession) {
+        this.handleGameUpdate(this.localSession.getPublicState())
+      }
+    })
   }
 
   attachEventListeners() {
@@ -435,6 +667,16 @@ export class App {
       }
     })
 
+    this.ui.playComputerBtn?.addEventListener('click', (event) => {
+      event.stopPropagation()
+      this.handlePlayComputer()
+    })
+
+    this.ui.hotseatStartBtn?.addEventListener('click', (event) => {
+      event.stopPropagation()
+      this.handleStartHotseat()
+    })
+
     this.ui.copyRoomIdBtn?.addEventListener('click', () => {
       this.copyRoomId()
     })
@@ -466,9 +708,28 @@ export class App {
       // Логирование изменений в select
       this.ui.wordLengthSelect.addEventListener('change', (event) => {
         logger.info('Изменение длины слова:', event.target.value)
+        this.updateWordCountHint()
       })
     }
 
+    // Фильтры словаря и алфавит: та же защита от всплытия, что и у выбора длины
+    for (const select of [this.ui.wordDifficultySelect, this.ui.wordCategorySelect, this.ui.wordAlphabetSelect]) {
+      if (!select) continue
+
+      select.addEventListener('click', (event) => {
+        event.stopPropagation()
+      })
+
+      select.addEventListener('touchstart', (event) => {
+        event.stopPropagation()
+      }, { passive: false })
+
+      select.addEventListener('change', () => {
+        this.updateWordCountHint()
+      })
+    }
+    this.updateWordCountHint()
+
     // Аналогичная защита для input элементов
     if (this.ui.roomIdInput) {
       this.ui.roomIdInput.addEventListener('click', (event) => {
@@ -484,7 +745,12 @@ export class App {
       }, { passive: false })
     }
 
+    document.addEventListener('visibilitychange', () => {
+      this.handleVisibilityChange()
+    })
+
     window.addEventListener('beforeunload', () => {
+      this.cancelRequests()
       this.cleanup()
     })
   }
@@ -551,7 +817,7 @@ export class App {
       // Обновляем состояние игры с debouncing
       if (this.state.roomId && this.ui.gameScreen?.style.display !== 'none') {
         this.debouncer.debounce('loadGameState', () => {
-          this.showNotification('Обновление игры...')
+          this.showNotification(t('notify.refreshing'))
           this.loadGameState()
         }, 500)
       }
@@ -577,7 +843,7 @@ export class App {
       const activeElement = document.activeElement
       if (activeElement && (activeElement.tagName === 'INPUT' || activeElement.tagName === 'TEXTAREA')) {
         activeElement.blur()
-        this.showNotification('Клавиатура скрыта')
+        this.showNotification(t('notify.keyboardHidden'))
       }
     })
   }
@@ -603,7 +869,7 @@ export class App {
         // Проверяем, что double-tap не на form элементах
         const isFormElement = data.target?.closest('select, input, textarea, button')
         if (!isFormElement) {
-          this.showNotification('Быстрое создание игры...')
+          this.showNotification(t('notify.quickCreate'))
           this.handleCreateGame()
         }
       }
@@ -669,12 +935,11 @@ export class App {
     const isRevealed = cellElement.classList.contains('game-cell--revealed')
     const letter = cellElement.textContent?.trim() || ''
     
-    let message = `Клетка (${parseInt(row) + 1}, ${parseInt(col) + 1})`
+    const position = { row: parseInt(row) + 1, col: parseInt(col) + 1 }
     
+    let message = t('notify.cellHidden', position)
     if (isRevealed) {
-      message += letter ? ` - буква: ${letter}` : ' - пустая'
-    } else {
-      message += ' - скрыта'
+      message = letter ? t('notify.cellLetter', { ...position, letter }) : t('notify.cellEmpty', position)
     }
     
     this.showNotification(message)
@@ -686,7 +951,7 @@ export class App {
   showRoomContextMenu(x, y) {
     const actions = [
       {
-        text: 'Копировать ID',
+        text: t('contextMenu.copyId'),
         action: () => this.copyRoomId()
       }
     ]
@@ -694,13 +959,13 @@ export class App {
     // Добавляем опцию поделиться только для первого игрока
     if (this.state.isFirstPlayer) {
       actions.push({
-        text: 'Отправить ссылку',
+        text: t('contextMenu.sendLink'),
         action: () => this.handleShareRoomClick()
       })
     }
 
     actions.push({
-      text: 'Обновить состояние',
+      text: t('contextMenu.refresh'),
       action: () => {
         this.debouncer.debounce('refreshGameState', () => {
           this.loadGameState()
@@ -717,15 +982,15 @@ export class App {
   showInputContextMenu(inputElement, x, y) {
     const actions = [
       {
-        text: 'Очистить',
+        text: t('contextMenu.clear'),
         action: () => {
           inputElement.value = ''
           inputElement.focus()
-          this.showNotification('Поле очищено')
+          this.showNotification(t('notify.fieldCleared'))
         }
       },
       {
-        text: 'Вставить из буфера',
+        text: t('contextMenu.paste'),
         action: async () => {
           try {
             // Проверяем поддержку clipboard API
@@ -736,13 +1001,13 @@ export class App {
             const text = await navigator.clipboard.readText()
             if (text) {
               inputElement.value = text
-              this.showNotification('Текст вставлен')
+              this.showNotification(t('notify.textPasted'))
             } else {
-              this.showNotification('Буфер обмена пуст')
+              this.showNotification(t('notify.clipboardEmpty'))
             }
           } catch (error) {
             logger.error('Ошибка при чтении из буфера обмена:', error)
-            this.showNotification('Не удалось получить данные из буфера')
+            this.showNotification(t('notify.clipboardFailed'))
           }
         }
       }
@@ -757,14 +1022,14 @@ export class App {
   showBackToMenuConfirmation() {
     const actions = [
       {
-        text: 'Да, выйти в меню',
+        text: t('contextMenu.leave'),
         action: () => {
           this.handleNewGame()
         },
         destructive: true
       },
       {
-        text: 'Отмена',
+        text: t('common.cancel'),
         action: () => {
           // Просто закрываем меню
         }
@@ -778,9 +1043,38 @@ export class App {
     this.contextMenuManager.show(centerX, centerY, actions)
   }
 
+  /**
+   * Очередь ходов: показ неотправленных ходов и отправка ходов, оставшихся с прошлого запуска
+   */
+  initOutbox() {
+    actionOutbox.subscribe((queue, isOffline) => {
+      const pending = queue.filter(action => action.roomId === this.state.roomId)
+      this.components.turnIndicator.setPendingActions(pending, isOffline)
+      // Без сети ход ждет в очереди - не держим экран загрузки, ход виден в индикаторе
+      if (isOffline && pending.length > 0) {
+        this.hideLoading()
+      }
+      if (this.state.gameState && !this.localSession) {
+        this.updateControls(this.state.gameState)
+      }
+    })
+    actionOutbox.flush()
+  }
+
+  /**
+   * Обработка ссылок ?room= и ?spectate=
+   * @returns {boolean} - true, если URL указывает на комнату
+   */
   checkUrlParams() {
     const urlParams = new URLSearchParams(window.location.search)
     const roomId = urlParams.get('room')
+    const spectateRoomId = urlParams.get('spectate')
+
+    if (spectateRoomId) {
+      logger.info('Обнаружена ссылка для зрителя', { roomId: spectateRoomId })
+      this.handleSpectate(spectateRoomId)
+      return true
+    }
 
     if (roomId) {
       logger.info('Обнаружен roomId в URL', { roomId })
@@ -792,7 +1086,102 @@ export class App {
       this.debouncer.debounce('autoJoinFromUrl', () => {
         this.handleJoinGame()
       }, 500)
+      return true
     }
+
+    return false
+  }
+
+  /**
+   * Поиск незавершенных игр после перезагрузки: одна - продолжаем сразу,
+   * несколько - спрашиваем, какую продолжить
+   */
+  async restoreSessions() {
+    const sessions = sessionStore.list()
+    if (sessions.length === 0) return
+
+    logger.info('Проверка сохраненных игр', { count: sessions.length })
+
+    const results = await Promise.all(sessions.map(async (session) => {
+      try {
+        const gameState = await getGameState(session.roomId)
+        if (this.isResumable(session.role, gameState)) {
+          return { role: session.role, gameState }
+        }
+        sessionStore.remove(session.roomId)
+      } catch (error) {
+        // Комнату удалили - забываем ее; при сетевой ошибке попробуем в следующий раз
+        if (error.category === ERROR_CATEGORIES.NOT_FOUND) {
+          sessionStore.remove(session.roomId)
+        }
+        logger.warn('Сохраненная игра недоступна', { roomId: session.roomId, code: error.code })
+      }
+      return null
+    }))
+
+    const candidates = results.filter(Boolean)
+    if (candidates.length === 1) {
+      this.resumeGame(candidates[0].role, candidates[0].gameState)
+    } else if (candidates.length > 1) {
+      this.resumeCandidates = candidates
+      this.components.resumePrompt.show(candidates.map(({ role, gameState }) => ({
+        roomId: gameState.id,
+        title: t('resume.room', { id: gameState.id.slice(0, 8) }),
+        details: this.describeResumableGame(role, gameState)
+      })))
+    }
+  }
+
+  /**
+   * Игра не завершена, и пользователь в ней участвует (или смотрит ее)
+   */
+  isResumable(role, gameState) {
+    const { WAITING, ACTIVE } = GAME_CONFIG.GAME_STATUS
+    if (gameState.status !== WAITING && gameState.status !== ACTIVE) return false
+    return role === GAME_CONFIG.ROOM_ROLES.SPECTATOR ||
+      GameEngine.getPlayerNumber(gameState, this.state.currentUser.id) !== null
+  }
+
+  describeResumableGame(role, gameState) {
+    if (role === GAME_CONFIG.ROOM_ROLES.SPECTATOR) {
+      return t('resume.spectating')
+    }
+    if (gameState.status === GAME_CONFIG.GAME_STATUS.WAITING) {
+      return t('resume.waiting')
+    }
+    const turn = GameEngine.isPlayerTurn(gameState, this.state.currentUser.id) ? t('resume.yourTurn') : t('resume.opponentTurn')
+    return t('resume.details', { turn, score1: gameState.player1_score, score2: gameState.player2_score })
+  }
+
+  /**
+   * Возврат в игру без повторного присоединения: подписка и восстановление экрана
+   * @param {string} role - Роль из GAME_CONFIG.ROOM_ROLES
+   * @param {object} gameState - Текущее состояние комнаты
+   */
+  resumeGame(role, gameState) {
+    const roomId = gameState.id
+    const isSpectator = role === GAME_CONFIG.ROOM_ROLES.SPECTATOR
+    logger.info('Продолжение игры', { roomId, role })
+
+    this.state.mode = isSpectator ? GAME_CONFIG.MODES.SPECTATE : GAME_CONFIG.MODES.ONLINE
+    this.state.roomId = roomId
+    this.state.isFirstPlayer = gameState.player1_id === this.state.currentUser.id
+    this.state.playerJoinedNotificationShown = Boolean(gameState.player2_id)
+    this.components.turnIndicator.setSpectating(isSpectator)
+    sessionStore.save(roomId, role)
+
+    this.subscribeToRoom(roomId)
+    this.handleGameUpdate(gameState)
+    this.showGameScreen()
+
+    if (this.state.isFirstPlayer) {
+      this.displayRoomId(roomId)
+      if (gameState.status === GAME_CONFIG.GAME_STATUS.WAITING) {
+        this.showWaitingForPlayer()
+      }
+    }
+
+    this.showNotification(t('notify.gameRestored'))
   }
 
   async handleCreateGame() {
@@ -814,15 +1203,26 @@ export class App {
     logger.info('Создание новой игры')
 
     try {
-      this.showLoading('Создание игры...')
+      this.showLoading(t('loading.createGame'))
 
       const wordLength = parseInt(this.ui.wordLengthSelect?.value || '5')
       logger.info('Используемая длина слова:', wordLength)
       
-      const result = await createGame(wordLength)
+      const result = await createGame(wordLength, {
+        secretWord: this.ui.secretWordInput?.value.trim() || null,
+        ...this.getWordFilters(),
+        strictGuesses: this.ui.strictGuessesCheckbox?.checked ?? true,
+        turnTimeLimit: parseInt(this.ui.turnTimeSelect?.value || '0') || null,
+        nickname: profileStore.getNickname(),
+        signal: this.requestController.signal
+      })
       this.state.roomId = result.roomId
+      if (this.ui.secretWordInput) {
+        this.ui.secretWordInput.value = ''
+      }
 
       logger.info('Игра создана', { roomId: this.state.roomId })
+      sessionStore.save(this.state.roomId, GAME_CONFIG.ROOM_ROLES.PLAYER)
 
       this.subscribeToRoom(this.state.roomId)
       await this.loadGameState()
@@ -836,29 +1236,76 @@ export class App {
     } catch (error) {
       this.state.isCreatingGame = false
       this.state.isFirstPlayer = false
-      this.handleError(error, 'Не удалось создать игру')
+      if (error.code === 'INVALID_SECRET_WORD') {
+        this.showSecretWordError(error, this.ui.secretWordInput)
+        return
+      }
+      this.handleError(error, t('errors.context.createGame'), { retry: () => this.handleCreateGame() })
+    }
+  }
+
+  /**
+   * Выбранные в меню сложность, тема и алфавит слова
+   * @returns {{difficulty: string, category: string, alphabet: string}}
+   */
+  getWordFilters() {
+    return {
+      difficulty: this.ui.wordDifficultySelect?.value || DICTIONARY_CONFIG.ANY,
+      category: this.ui.wordCategorySelect?.value || DICTIONARY_CONFIG.ANY,
+      alphabet: this.getWordAlphabet()
     }
   }
 
+  /**
+   * Алфавит слов для новых игр во всех режимах
+   * @returns {string} - Ключ ALPHABET_CONFIG.ALPHABETS
+   */
+  getWordAlphabet() {
+    return this.ui.wordAlphabetSelect?.value || ALPHABET_CONFIG.DEFAULT
+  }
+
+  /**
+   * Подсказка о количестве слов под выбранные длину, сложность, тему и алфавит
+   */
+  updateWordCountHint() {
+    if (!this.ui.wordCountHint) return
+
+    const wordLength = parseInt(this.ui.wordLengthSelect?.value || '5')
+    const count = countWords(wordLength, this.getWordFilters())
+
+    this.ui.wordCountHint.textContent = count > 0
+      ? t('menu.wordCount', { count })
+      : t('menu.noWords')
+    this.ui.wordCountHint.classList.toggle('menu-hint--warning', count === 0)
+  }
+
   async handleJoinGame() {
     const roomId = this.ui.roomIdInput?.value.trim()
 
     if (!roomId) {
-      this.showError('Введите ID комнаты')
+      this.showError(t('errors.enterRoomId'))
       return
     }
 
     logger.info('Присоединение к игре', { roomId })
 
     try {
-      this.showLoading('Присоединение к игре...')
+      this.showLoading(t('loading.joinGame'))
 
-      const result = await joinGame(roomId)
+      const secretWord = this.ui.joinSecretWordInput?.value.trim() || null
+      const result = await joinGame(roomId, secretWord, {
+        nickname: profileStore.getNickname(),
+        signal: this.requestController.signal
+      })
       this.state.roomId = roomId
+      if (this.ui.joinSecretWordInput) {
+        this.ui.joinSecretWordInput.value = ''
+      }
       this.state.isFirstPlayer = false // Второй игрок
       this.state.playerJoinedNotificationShown = false // НОВОЕ: Сбрасываем флаг уведомления
 
       logger.info('Присоединились к игре', { roomId, firstPlayer: result.firstPlayer })
+      sessionStore.save(roomId, GAME_CONFIG.ROOM_ROLES.PLAYER)
 
       this.subscribeToRoom(this.state.roomId)
       await this.loadGameState()
@@ -866,8 +1313,313 @@ export class App {
       this.hideLoading()
 
     } catch (error) {
-      this.handleError(error, 'Не удалось присоединиться к игре')
+      if (error.code === 'SECRET_WORD_REQUIRED' || error.code === 'INVALID_SECRET_WORD') {
+        this.showSecretWordError(error, this.ui.joinSecretWordInput)
+        return
+      }
+      // Мы уже участник этой комнаты (например, страницу перезагрузили по ссылке ?room=)
+      if ((error.code === 'ROOM_ALREADY_ACTIVE' || error.code === 'CANNOT_JOIN_OWN_GAME') &&
+          await this.resumeIfMember(roomId)) {
+        this.hideLoading()
+        return
+      }
+      this.handleError(error, t('errors.context.joinGame'), { retry: () => this.handleJoinGame() })
+    }
+  }
+
+  /**
+   * Просмотр чужой игры: только чтение через Realtime, без участия в ходах
+   * @param {string} roomId - UUID комнаты
+   */
+  async handleSpectate(roomId) {
+    logger.info('Режим зрителя', { roomId })
+
+    try {
+      this.showLoading(t('loading.spectate'))
+
+      // Проверяем, что комната существует, до подписки
+      await getGameState(roomId, { signal: this.requestController.signal })
+
+      this.state.mode = GAME_CONFIG.MODES.SPECTATE
+      this.state.roomId = roomId
+      this.components.turnIndicator.setSpectating(true)
+      sessionStore.save(roomId, GAME_CONFIG.ROOM_ROLES.SPECTATOR)
+
+      this.subscribeToRoom(roomId)
+      await this.loadGameState()
+      this.showGameScreen()
+      this.hideLoading()
+    } catch (error) {
+      this.state.mode = GAME_CONFIG.MODES.ONLINE
+      this.state.roomId = null
+      this.handleError(error, t('errors.context.spectate'), { retry: () => this.handleSpectate(roomId) })
+    }
+  }
+
+  /**
+   * Продолжение игры, если пользователь уже в ней участвует
+   * @param {string} roomId - UUID комнаты
+   * @returns {Promise<boolean>} - true, если игра восстановлена
+   */
+  async resumeIfMember(roomId) {
+    try {
+      const gameState = await getGameState(roomId)
+      if (!this.isResumable(GAME_CONFIG.ROOM_ROLES.PLAYER, gameState)) {
+        return false
+      }
+      this.resumeGame(GAME_CONFIG.ROOM_ROLES.PLAYER, gameState)
+      return true
+    } catch (error) {
+      logger.warn('Не удалось восстановить игру', { roomId, code: error.code })
+      return false
+    }
+  }
+
+  /**
+   * Ошибка загаданного слова: показываем причину и возвращаем фокус в поле слова
+   * @param {GameError} error - Ошибка с кодом SECRET_WORD_REQUIRED или INVALID_SECRET_WORD
+   * @param {HTMLInputElement} input - Поле ввода слова
+   */
+  showSecretWordError(error, input) {
+    this.hideLoading()
+    this.showError(error.message)
+    input?.focus()
+  }
+
+  /**
+   * Старт игры с компьютером
+   */
+  handlePlayComputer() {
+    const wordLength = parseInt(this.ui.botWordLengthSelect?.value || '5')
+    const difficulty = this.ui.botDifficultySelect?.value || BOT_CONFIG.DEFAULT_DIFFICULTY
+    const alphabet = this.getWordAlphabet()
+    const word = getRandomWord(wordLength, { alphabet })
+
+    if (!word) {
+      this.showError(t('errors.noWordsOfLength'))
+      return
+    }
+
+    logger.info('Игра с компьютером', { wordLength, difficulty, alphabet })
+
+    const session = new LocalGameSession({
+      word,
+      player1Id: this.state.currentUser.id,
+      player2Id: BOT_CONFIG.PLAYER_ID,
+      alphabet,
+      nicknames: { 1: profileStore.getNickname() }
+    })
+
+    this.computerPlayer = new ComputerPlayer({
+      playerId: BOT_CONFIG.PLAYER_ID,
+      wordLength,
+      difficulty,
+      alphabet
+    })
+    this.computerPlayer.attach(session)
+
+    this.startLocalGame(session, GAME_CONFIG.MODES.COMPUTER)
+  }
+
+  /**
+   * Старт игры вдвоем на одном устройстве
+   */
+  handleStartHotseat() {
+    const wordLength = parseInt(this.ui.hotseatWordLengthSelect?.value || '5')
+    const alphabet = this.getWordAlphabet()
+    const names = {}
+
+    for (const playerNumber of [1, 2]) {
+      const input = this.ui[`hotseatPlayer${playerNumber}Input`]
+      const rawName = input?.value.trim() || ''
+      if (!rawName) {
+        names[playerNumber] = null
+        continue
+      }
+
+      const validation = validateAndSanitizeNickname(rawName)
+      if (!validation.valid) {
+        this.showError(t('errors.playerInvalid', { number: playerNumber, error: validation.error }))
+        return
+      }
+      names[playerNumber] = validation.sanitized
+    }
+
+    const secretWords = this.readHotseatSecretWords(wordLength, alphabet)
+    if (!secretWords) {
+      return
+    }
+
+    const word = secretWords.custom ? secretWords[1] : getRandomWord(wordLength, { alphabet })
+    if (!word) {
+      this.showError(t('errors.noWordsOfLength'))
+      return
+    }
+
+    logger.info('Игра на одном устройстве', { wordLength, alphabet, names, customWords: secretWords.custom })
+
+    const session = new LocalGameSession({
+      word,
+      player1Id: GAME_CONFIG.HOTSEAT_PLAYER_IDS[1],
+      player2Id: GAME_CONFIG.HOTSEAT_PLAYER_IDS[2],
+      player2Word: secretWords.custom ? secretWords[2] : null,
+      alphabet,
+      nicknames: names
+    })
+
+    this.startLocalGame(session, GAME_CONFIG.MODES.HOTSEAT)
+  }
+
+  /**
+   * Свои слова игроков на одном устройстве: загадывают оба или никто
+   * @param {number} wordLength - Длина слова
+   * @param {string} alphabet - Алфавит слов
+   * @returns {{custom: boolean, 1?: string, 2?: string}|null} - null, если слова некорректны
+   */
+  readHotseatSecretWords(wordLength, alphabet) {
+    const inputs = { 1: this.ui.hotseatWord1Input, 2: this.ui.hotseatWord2Input }
+    const rawWords = { 1: inputs[1]?.value.trim() || '', 2: inputs[2]?.value.trim() || '' }
+
+    if (!rawWords[1] && !rawWords[2]) {
+      return { custom: false }
+    }
+
+    if (!rawWords[1] || !rawWords[2]) {
+      this.showError(t('errors.bothWordsRequired'))
+      return null
+    }
+
+    const secretWords = { custom: true }
+    for (const playerNumber of [1, 2]) {
+      const validation = validateSecretWord(rawWords[playerNumber], wordLength, alphabet)
+      if (!validation.valid) {
+        this.showError(t('errors.playerWordInvalid', { number: playerNumber, error: validation.error }))
+        inputs[playerNumber]?.focus()
+        return null
+      }
+      secretWords[playerNumber] = validation.normalized
+    }
+
+    // Слова больше не нужны на экране меню
+    inputs[1].value = ''
+    inputs[2].value = ''
+    return secretWords
+  }
+
+  /**
+   * Запуск локальной сессии на игровом экране
+   * @param {LocalGameSession} session - Локальная сессия
+   * @param {string} mode - Режим из GAME_CONFIG.MODES
+   */
+  startLocalGame(session, mode) {
+    this.state.mode = mode
+    this.state.roomId = session.roomId
+    this.state.isFirstPlayer = false
+    this.localSession = session
+
+    session.subscribe((gameState, previousState, action) => {
+      this.handleLocalUpdate(gameState, previousState, action)
+    })
+
+    this.ui.gameScreen?.classList.add('game-screen--local')
+    this.showGameScreen()
+    session.start()
+  }
+
+  /**
+   * Обработка изменений локальной сессии (аналог Realtime событий)
+   */
+  handleLocalUpdate(gameState, previousState, action) {
+    if (this.state.mode === GAME_CONFIG.MODES.HOTSEAT &&
+        gameState.status === GAME_CONFIG.GAME_STATUS.ACTIVE &&
+        gameState.current_player !== previousState.current_player) {
+      // Прячем поле, пока устройство не окажется у следующего игрока
+      this.state.isHandoverPending = true
+      this.components.handoverScreen.show(this.getPlayerName(gameState, gameState.current_player))
+    }
+
+    this.handleGameUpdate(gameState)
+
+    if (action.playerId === BOT_CONFIG.PLAYER_ID && action.type !== GAME_ACTIONS.JOIN) {
+      this.showComputerMove(action, gameState)
+    }
+
+    if (previousState.status !== GAME_CONFIG.GAME_STATUS.FINISHED &&
+        gameState.status === GAME_CONFIG.GAME_STATUS.FINISHED) {
+      this.handleGameFinished(gameState)
+    }
+  }
+
+  /**
+   * Уведомление о ходе компьютера
+   */
+  showComputerMove(action, gameState) {
+    if (action.type === GAME_ACTIONS.REVEAL) {
+      this.components.gameGrid.highlightCell(action.row, action.col)
+      const letter = gameState.board_state[action.row][action.col].letter
+      this.showNotification(letter ? t('notify.computerRevealed', { letter }) : t('notify.computerRevealedEmpty'))
+    } else if (action.type === GAME_ACTIONS.GUESS && gameState.status !== GAME_CONFIG.GAME_STATUS.FINISHED) {
+      this.showNotification(t('notify.computerMissed', { word: action.word }))
+    } else if (action.type === GAME_ACTIONS.SKIP) {
+      this.showNotification(t('notify.computerSkipped'))
+    }
+  }
+
+  /**
+   * Ход текущего пользователя в локальной сессии
+   * @param {object} action - Действие GameEngine без playerId
+   * @returns {object} - Результат хода
+   * @throws {GameError}
+   */
+  dispatchLocalAction(action) {
+    const { result, error } = this.localSession.dispatch({
+      ...action,
+      playerId: this.getActingUserId(this.localSession.getPublicState())
+    })
+    if (error) {
+      throw error
+    }
+    return result
+  }
+
+  /**
+   * ID зрителя доски: на общем устройстве смотрят оба игрока, поэтому "Вы" не подсвечивается
+   * @returns {string|null}
+   */
+  getViewerId() {
+    return this.isSharedView() ? null : this.state.currentUser.id
+  }
+
+  /**
+   * Доску смотрит не один из игроков: общее устройство или зритель
+   * @returns {boolean}
+   */
+  isSharedView() {
+    return this.state.mode === GAME_CONFIG.MODES.HOTSEAT || this.state.mode === GAME_CONFIG.MODES.SPECTATE
+  }
+
+  /**
+   * ID игрока, который сейчас действует с этого устройства
+   * @param {object} gameState - Состояние игры
+   * @returns {string}
+   */
+  getActingUserId(gameState) {
+    if (this.state.mode === GAME_CONFIG.MODES.HOTSEAT) {
+      return GAME_CONFIG.HOTSEAT_PLAYER_IDS[gameState.current_player]
     }
+    return this.state.currentUser.id
+  }
+
+  /**
+   * Номер игрока, чья доска показывается (в режиме своих слов у каждого своя доска)
+   * @param {object} gameState - Состояние игры
+   * @returns {number}
+   */
+  getBoardPlayerNumber(gameState) {
+    if (this.isSharedView()) {
+      return gameState.current_player || GAME_CONFIG.PLAYERS.PLAYER_1
+    }
+    return GameEngine.getPlayerNumber(gameState, this.state.currentUser.id) || GAME_CONFIG.PLAYERS.PLAYER_1
   }
 
   /**
@@ -895,20 +1647,21 @@ export class App {
    */
   handleShareRoomClick() {
     if (!this.state.roomId) {
-      this.showError('Сначала создайте игру')
+      this.showError(t('errors.createGameFirst'))
       return
     }
 
     if (!this.state.isFirstPlayer) {
-      this.showNotification('Только создатель игры может отправлять приглашения')
+      this.showNotification(t('notify.onlyCreatorInvites'))
       return
     }
 
     const shareUrl = this.generateShareUrl(this.state.roomId)
+    const spectateUrl = this.generateShareUrl(this.state.roomId, { spectate: true })
     
     // Пробуем открыть модальное окно, если не получается - fallback
     try {
-      this.shareModalManager.show(shareUrl, this.state.roomId)
+      this.shareModalManager.show(shareUrl, this.state.roomId, spectateUrl)
       logger.info('Share modal opened successfully')
     } catch (error) {
       logger.error('Failed to open share modal, using fallback:', error)
@@ -918,10 +1671,13 @@ export class App {
 
   /**
    * Генерация URL для шаринга
+   * @param {string} roomId - UUID комнаты
+   * @param {{spectate?: boolean}} [options] - spectate: ссылка для зрителей (только просмотр)
    */
-  generateShareUrl(roomId) {
+  generateShareUrl(roomId, { spectate = false } = {}) {
     const baseUrl = `${window.location.origin}${window.location.pathname}`
-    return `${baseUrl}?room=${encodeURIComponent(roomId)}`
+    const param = spectate ? 'spectate' : 'room'
+    return `${baseUrl}?${param}=${encodeURIComponent(roomId)}`
   }
 
   /**
@@ -930,61 +1686,213 @@ export class App {
   fallbackShareRoom(shareUrl) {
     if (navigator.clipboard && navigator.clipboard.writeText) {
       navigator.clipboard.writeText(shareUrl).then(() => {
-        this.showNotification('Ссылка для приглашения скопирована!')
+        this.showNotification(t('notify.inviteCopied'))
       }).catch((error) => {
         logger.error('Ошибка копирования ссылки:', error)
-        this.showNotification(`Поделитесь ссылкой: ${shareUrl}`)
+        this.showNotification(t('notify.shareLink', { url: shareUrl }))
       })
     } else {
-      this.showNotification(`Поделитесь ссылкой: ${shareUrl}`)
+      this.showNotification(t('notify.shareLink', { url: shareUrl }))
     }
   }
 
   subscribeToRoom(roomId) {
     logger.info('Подписка на Realtime обновления', { roomId })
 
+    const isSpectator = this.state.mode === GAME_CONFIG.MODES.SPECTATE
+    const presence = {
+      key: this.state.currentUser.id,
+      role: isSpectator ? GAME_CONFIG.ROOM_ROLES.SPECTATOR : GAME_CONFIG.ROOM_ROLES.PLAYER,
+      status: this.getPresenceStatus()
+    }
+
+    this.state.roomPresence = null
+    this.state.opponentPresence = null
+    this.components.turnIndicator.setOpponentPresence(null)
+    this.components.connectionBanner.hide()
+    this.components.turnIndicator.setPendingActions(actionOutbox.list(roomId), actionOutbox.isOffline)
+    this.components.chatPanel.enable({ readOnly: isSpectator, muted: chatService.isMuted() })
+
     realtimeManager.subscribeToRoom(roomId, {
       onGameUpdate: (newRecord) => {
         this.handleGameUpdate(newRecord)
       },
       onPlayerJoined: (newRecord) => {
-        // ИСПРАВЛЕНИЕ: Улучшенная логика определения подключения второго игрока
-        logger.info('Обработка события onPlayerJoined', { 
-          newRecord,
-          playerJoinedNotificationShown: this.state.playerJoinedNotificationShown,
-          isFirstPlayer: this.state.isFirstPlayer,
-          previousGameState: this.state.previousGameState
-        })
-        
-        // Показываем уведомление только если:
-        // 1. Уведомление еще не было показано
-        // 2. Мы первый игрок (который ждет подключения второго)
-        // 3. В игре теперь есть второй игрок
-        if (!this.state.playerJoinedNotificationShown && 
-            this.state.isFirstPlayer && 
-            newRecord.player2_id) {
-          
-          this.hideWaitingForPlayer() // Скрываем индикатор ожидания
-          this.showNotification('Противник присоединился! Игра начинается!')
-          this.state.playerJoinedNotificationShown = true // Помечаем, что уведомление показано
-          logger.info('Показано уведомление о подключении второго игрока')
-        }
-        
-        this.handleGameUpdate(newRecord)
+        this.handlePlayerJoined(newRecord)
       },
-      onCellRevealed: (newRecord) => {
-        this.handleGameUpdate(newRecord)
+      onCellsRevealed: (cells, newRecord) => {
+        this.highlightRevealedCells(cells, newRecord)
+        this.notifyOpponentReveal(cells, newRecord)
       },
       onGameFinished: (newRecord) => {
         this.handleGameFinished(newRecord)
       },
+      onRematch: (payload) => {
+        this.handleRematchMessage(payload)
+      },
+      onChat: (payload) => {
+        this.handleChatMessage(payload)
+      },
+      onSpectatorsChange: (count) => {
+        this.components.turnIndicator.setSpectatorCount(count)
+      },
+      onConnectionChange: (status, { attempt } = {}) => {
+        if (status === NETWORK_CONFIG.CONNECTION_STATUS.RECONNECTING) {
+          this.components.connectionBanner.showReconnecting(attempt)
+        } else {
+          this.components.connectionBanner.showRecovered()
+          actionOutbox.flush()
+        }
+      },
+      onResync: (gameState) => {
+        this.applyServerState(gameState)
+      },
+      onPresenceChange: (members) => {
+        this.state.roomPresence = members
+        this.updateOpponentPresence()
+      },
       onError: (error) => {
-        this.handleError(error, 'Ошибка Realtime подписки')
+        this.handleError(error, t('errors.context.realtime'))
       }
+    }, { presence })
+  }
+
+  handlePlayerJoined(newRecord) {
+    // ИСПРАВЛЕНИЕ: Улучшенная логика определения подключения второго игрока
+    logger.info('Обработка события onPlayerJoined', { 
+      newRecord,
+      playerJoinedNotificationShown: this.state.playerJoinedNotificationShown,
+      isFirstPlayer: this.state.isFirstPlayer,
+      previousGameState: this.state.previousGameState
     })
+    
+    // Показываем уведомление только если:
+    // 1. Уведомление еще не было показано
+    // 2. Мы первый игрок (который ждет подключения второго)
+    // 3. В игре теперь есть второй игрок
+    if (!this.state.playerJoinedNotificationShown && 
+        this.state.isFirstPlayer && 
+        newRecord.player2_id) {
+      
+      this.hideWaitingForPlayer() // Скрываем индикатор ожидания
+      this.showNotification(t('notify.opponentJoined', { name: this.getOpponentName(newRecord) }))
+      this.state.playerJoinedNotificationShown = true // Помечаем, что уведомление показано
+      logger.info('Показано уведомление о подключении второго игрока')
+    }
+    
+    this.handleGameUpdate(newRecord)
+  }
+
+  /**
+   * Подсветка клеток, открытых в последнем обновлении, если они на показанной доске
+   * Клетки, открытые при завершении игры, не подсвечиваются - открывается вся доска
+   * @param {Array<object>} cells - Клетки из GameEngine.diffStates
+   * @param {object} gameState - Новое состояние игры
+   */
+  highlightRevealedCells(cells, gameState) {
+    const displayedBoard = gameState.word_mode === GAME_CONFIG.WORD_MODES.CUSTOM
+      ? GameEngine.getOpponentNumber(this.getBoardPlayerNumber(gameState))
+      : null
+
+    cells
+      .filter(cell => cell.byPlayer !== null && cell.board === displayedBoard)
+      .forEach(cell => this.components.gameGrid.highlightCell(cell.row, cell.col))
+  }
+
+  /**
+   * Уведомление о клетке, открытой соперником ("Аня открывает букву А")
+   * @param {Array<object>} cells - Клетки из GameEngine.diffStates
+   * @param {object} gameState - Новое состояние игры
+   */
+  notifyOpponentReveal(cells, gameState) {
+    const userPlayerNumber = GameEngine.getPlayerNumber(gameState, this.state.currentUser.id)
+    if (userPlayerNumber === null) return
+
+    const cell = cells.find(revealed => revealed.byPlayer === GameEngine.getOpponentNumber(userPlayerNumber))
+    if (!cell) return
+
+    const name = this.getOpponentName(gameState)
+    this.showNotification(cell.letter
+      ? t('notify.opponentRevealed', { name, letter: cell.letter })
+      : t('notify.opponentRevealedEmpty', { name }))
+  }
+
+  /**
+   * Имя игрока для экранов и уведомлений: никнейм или "Игрок 1"/"Игрок 2"
+   * @param {object} gameState - Состояние игры
+   * @param {number} playerNumber - Номер игрока
+   * @returns {string} - Санитизированное имя
+   */
+  getPlayerName(gameState, playerNumber) {
+    return sanitizeString(GameEngine.getNickname(gameState, playerNumber)) || t('common.player', { number: playerNumber })
+  }
+
+  /**
+   * Имя соперника текущего пользователя: никнейм или "Соперник"
+   * @param {object} gameState - Состояние игры
+   * @returns {string} - Санитизированное имя
+   */
+  getOpponentName(gameState) {
+    const userPlayerNumber = GameEngine.getPlayerNumber(gameState, this.state.currentUser.id)
+    const nickname = userPlayerNumber === null
+      ? null
+      : GameEngine.getNickname(gameState, GameEngine.getOpponentNumber(userPlayerNumber))
+    return sanitizeString(nickname) || t('common.opponent')
+  }
+
+  /**
+   * Состояние, загруженное с сервера в обход Realtime (опрос или переподключение)
+   * Переходы, о которых не пришли события, определяем сравнением с текущим состоянием
+   * @param {object} gameState - Состояние комнаты
+   */
+  applyServerState(gameState) {
+    if (gameState.id !== this.state.roomId) return
+
+    const previous = this.state.gameState
+    // Запись не новее уже показанной
+    if (this.isOutdatedState(gameState, { includeSame: true })) return
+
+    if (gameState.status === GAME_CONFIG.GAME_STATUS.FINISHED) {
+      this.handleGameUpdate(gameState)
+      if (previous?.status !== GAME_CONFIG.GAME_STATUS.FINISHED) {
+        this.handleGameFinished(gameState)
+      }
+      return
+    }
+
+    if (!previous?.player2_id && gameState.player2_id) {
+      this.handlePlayerJoined(gameState)
+      return
+    }
+
+    this.handleGameUpdate(gameState)
+    this.highlightRevealedCells(GameEngine.diffStates(previous, gameState).cells, gameState)
+  }
+
+  /**
+   * Состояние той же комнаты с версией старше уже показанной
+   * Ответ getGameState может прийти позже Realtime события с более новой версией
+   * @param {object} gameState - Состояние игры
+   * @param {object} [options]
+   * @param {boolean} [options.includeSame] - Считать устаревшей и ту же версию
+   * @returns {boolean}
+   */
+  isOutdatedState(gameState, { includeSame = false } = {}) {
+    const current = this.state.gameState
+    if (!current || current.id !== gameState.id) return false
+    if (!Number.isInteger(current.version) || !Number.isInteger(gameState.version)) return false
+    return includeSame ? gameState.version <= current.version : gameState.version < current.version
   }
 
   handleGameUpdate(gameState) {
+    if (this.isOutdatedState(gameState)) {
+      logger.info('Пропуск устаревшего состояния игры', {
+        version: gameState.version,
+        currentVersion: this.state.gameState.version
+      })
+      return
+    }
+
     logger.info('Обновление игры', { gameState })
     
     // НОВОЕ: Сохраняем предыдущее состояние для сравнения
@@ -992,7 +1900,7 @@ export class App {
     this.state.gameState = gameState
 
     // Поддержка разных структур данных
-    const boardData = gameState.board_state ||
+    const boardData = GameEngine.getBoardFor(gameState, this.getBoardPlayerNumber(gameState)) ||
       (gameState.field_state?.grid) ||
       gameState.field_state
 
@@ -1007,39 +1915,120 @@ export class App {
     }
 
     this.components.gameGrid.updateBoard(boardData)
-    this.components.turnIndicator.setCurrentUser(this.state.currentUser.id)
+    this.components.turnIndicator.setCurrentUser(this.getViewerId())
     this.components.turnIndicator.updateGameState(gameState)
+    this.updateOpponentPresence()
+    this.components.guessInput.setStrictMode(gameState.strict_guesses !== false)
+    this.components.guessInput.setAlphabet(gameState.alphabet)
 
-    const isMyTurn = this.components.turnIndicator.isCurrentUserTurn()
-    const isActive = gameState.status === 'active'
+    if (this.updateControls(gameState)) {
+      this.components.guessInput.focus()
+    }
+  }
 
-    this.components.gameGrid.setInteractive(isMyTurn && isActive)
-    this.components.guessInput.setEnabled(isMyTurn && isActive)
+  /**
+   * Доступность доски и поля ввода по текущему состоянию игры
+   * @param {object} gameState - Состояние игры
+   * @returns {boolean} - true, если пользователь может ходить
+   */
+  updateControls(gameState) {
+    // Пока ход ждет в очереди, второй ход за тот же ход не принимаем
+    const canAct = this.state.mode !== GAME_CONFIG.MODES.SPECTATE &&
+      GameEngine.isPlayerTurn(gameState, this.getActingUserId(gameState)) &&
+      !this.state.isHandoverPending &&
+      actionOutbox.list(this.state.roomId).length === 0
+
+    this.components.gameGrid.setInteractive(canAct)
+    this.components.guessInput.setEnabled(canAct)
+    return canAct
+  }
 
-    if (isMyTurn && isActive) {
-      this.components.guessInput.focus()
+  /**
+   * Свой статус присутствия по видимости вкладки
+   * @returns {string} - ONLINE или AWAY из GAME_CONFIG.PRESENCE_STATUS
+   */
+  getPresenceStatus() {
+    return document.hidden ? GAME_CONFIG.PRESENCE_STATUS.AWAY : GAME_CONFIG.PRESENCE_STATUS.ONLINE
+  }
+
+  handleVisibilityChange() {
+    if (this.state.roomId && !this.localSession) {
+      realtimeManager.setPresenceStatus(this.state.roomId, this.getPresenceStatus())
     }
   }
 
+  /**
+   * Статус соперника в индикаторе хода и уведомление о его возвращении
+   * Соперник, которого нет в канале, считается отключенным
+   */
+  updateOpponentPresence() {
+    const { gameState, roomPresence, currentUser } = this.state
+    const { DISCONNECTED } = GAME_CONFIG.PRESENCE_STATUS
+    const opponentId = gameState?.player1_id === currentUser?.id ? gameState?.player2_id : gameState?.player1_id
+
+    if (!roomPresence || !opponentId || this.isSharedView()) {
+      this.components.turnIndicator.setOpponentPresence(null)
+      return
+    }
+
+    const member = roomPresence[opponentId] || null
+    const previous = this.state.opponentPresence
+    if (previous?.status === DISCONNECTED && member && member.status !== DISCONNECTED) {
+      this.showNotification(t('notify.opponentOnline', { name: this.getOpponentName(gameState) }))
+    }
+
+    this.state.opponentPresence = member
+    this.components.turnIndicator.setOpponentPresence(member || { status: DISCONNECTED, lastSeen: null })
+  }
+
   async loadGameState() {
+    if (this.localSession) {
+      this.handleGameUpdate(this.localSession.getPublicState())
+      return
+    }
+
     try {
-      const gameState = await getGameState(this.state.roomId)
+      const gameState = await getGameState(this.state.roomId, { signal: this.requestController.signal })
       this.handleGameUpdate(gameState)
     } catch (error) {
-      this.handleError(error, 'Ошибка загрузки состояния игры')
+      this.handleError(error, t('errors.context.loadState'), { retry: () => this.loadGameState() })
     }
   }
 
   async handleCellClick(row, col) {
     logger.info('Обработка клика по клетке', { row, col })
 
+    if (this.localSession) {
+      try {
+        this.dispatchLocalAction({ type: GAME_ACTIONS.REVEAL, row, col })
+        this.components.gameGrid.highlightCell(row, col)
+      } catch (error) {
+        this.handleError(error, t('errors.context.revealCell'))
+      }
+      return
+    }
+
+    // Оптимистичное открытие: клетка сразу показывается открывающейся, без экрана загрузки
+    this.components.gameGrid.setCellRevealing(row, col)
+    this.components.guessInput.setEnabled(false)
+
     try {
-      this.showLoading('Открытие клетки...')
-      await revealCell(this.state.roomId, row, col)
-      this.components.gameGrid.highlightCell(row, col)
-      this.hideLoading()
+      const { cell } = await actionOutbox.enqueue(this.state.roomId, GAME_ACTIONS.REVEAL, { row, col })
+      this.components.gameGrid.confirmCell(row, col, cell.letter || cell.content || null)
+      // Открытие клетки передает ход - не ждем Realtime, чтобы не принять лишний клик
+      this.components.gameGrid.setInteractive(false)
     } catch (error) {
-      this.handleError(error, 'Не удалось открыть клетку')
+      logger.warn('Открытие клетки отклонено', { row, col, code: error.code })
+      this.components.gameGrid.rollbackCell(row, col)
+      this.updateControls(this.state.gameState)
+
+      if (error.category === ERROR_CATEGORIES.CONFLICT) {
+        // Доска на экране отстала от сервера (ход уже перешел, клетку уже открыли)
+        this.showError(error.message)
+        await this.loadGameState()
+        return
+      }
+      this.handleError(error, t('errors.context.revealCell'))
     }
   }
 
@@ -1047,18 +2036,29 @@ export class App {
     logger.info('Обработка попытки угадать слово', { word })
 
     try {
-      this.showLoading('Проверка слова...')
-      const result = await validateGuess(this.state.roomId, word)
+      this.showLoading(t('loading.checkGuess'))
+      const result = this.localSession
+        ? this.dispatchLocalAction({ type: GAME_ACTIONS.GUESS, word })
+        : await actionOutbox.enqueue(this.state.roomId, GAME_ACTIONS.GUESS, {
+          word,
+          alphabet: this.state.gameState?.alphabet
+        })
 
       if (result.correct) {
-        this.showNotification(`Правильно! Слово было: ${result.word}`)
+        this.showNotification(t('notify.guessCorrect', { word: result.word }))
       } else {
-        this.showNotification('Неправильно! Ход переходит к сопернику')
+        this.showNotification(t('notify.guessWrong'))
       }
 
       this.hideLoading()
     } catch (error) {
-      this.handleError(error, 'Ошибка проверки слова')
+      // Слово не из словаря: ход не потрачен, показываем ошибку прямо у поля ввода
+      if (error.code === 'WORD_NOT_IN_DICTIONARY') {
+        this.hideLoading()
+        this.components.guessInput.showError(getErrorMessage('WORD_NOT_IN_DICTIONARY'))
+        return
+      }
+      this.handleError(error, t('errors.context.checkGuess'))
     }
   }
 
@@ -1069,24 +2069,61 @@ export class App {
     logger.info('Обработка пропуска хода')
 
     try {
-      this.showLoading('Пропуск хода...')
-      const result = await skipTurn(this.state.roomId)
+      this.showLoading(t('loading.skipTurn'))
+      const result = this.localSession
+        ? this.dispatchLocalAction({ type: GAME_ACTIONS.SKIP })
+        : await actionOutbox.enqueue(this.state.roomId, GAME_ACTIONS.SKIP)
 
       if (result.skipped) {
-        this.showNotification('Ход пропущен! Ход переходит к сопернику')
+        this.showNotification(t('notify.turnSkipped'))
       } else {
         // Не должно случиться, но на всякий случай
-        this.showNotification('Ход передан сопернику')
+        this.showNotification(t('notify.turnPassed'))
       }
 
       this.hideLoading()
     } catch (error) {
-      this.handleError(error, 'Ошибка пропуска хода')
+      this.handleError(error, t('errors.context.skipTurn'))
     }
   }
 
-  handleGameFinished(gameState) {
-    logger.info('Игра завершена', { gameState })
+  /**
+   * Истекло время хода: пропуск отправляют оба клиента, сервер применяет только первый.
+   * Если часы клиента спешат, сервер отвечает TURN_NOT_EXPIRED - повторяем через секунду,
+   * пока срок хода в состоянии не сменился
+   * @param {string} deadline - Истекший срок хода из записи комнаты
+   * @param {number} [attempt] - Номер повторной попытки
+   */
+  async handleTurnTimeout(deadline, attempt = 0) {
+    if (this.localSession || !this.state.roomId || this.state.mode === GAME_CONFIG.MODES.SPECTATE) return
+
+    const wasMyTurn = GameEngine.isPlayerTurn(this.state.gameState, this.getActingUserId(this.state.gameState))
+
+    try {
+      await skipTurn(this.state.roomId, { timedOut: true, signal: this.requestController.signal })
+      this.showNotification(wasMyTurn
+        ? t('notify.timeUp')
+        : t('notify.opponentTimeUp'))
+    } catch (error) {
+      const canRetry = error.code === 'TURN_NOT_EXPIRED' &&
+        attempt < NETWORK_CONFIG.MAX_RETRIES &&
+        this.state.gameState?.turn_deadline === deadline
+
+      if (canRetry) {
+        setTimeout(() => this.handleTurnTimeout(deadline, attempt + 1), UI_CONFIG.TURN_TIMER_TICK)
+        return
+      }
+      logger.warn('Пропуск хода по таймеру не выполнен', { deadline, code: error.code })
+    }
+  }
+
+  async handleGameFinished(record) {
+    logger.info('Игра завершена', { gameState: record })
+    sessionStore.remove(record.id)
+
+    const gameState = await this.loadFinishedState(record)
+    // Пока загружался итог, пользователь мог уйти из комнаты
+    if (gameState.id !== this.state.roomId) return
 
     const userPlayerNumber = this.components.turnIndicator.getCurrentUserPlayerNumber()
 
@@ -1095,16 +2132,270 @@ export class App {
       word: gameState.word,
       player1Score: gameState.player1_score,
       player2Score: gameState.player2_score,
-      currentUserId: this.state.currentUser.id,
+      currentUserId: this.getViewerId(),
       player1Id: gameState.player1_id,
-      player2Id: gameState.player2_id
+      player2Id: gameState.player2_id,
+      playerNames: {
+        1: GameEngine.getNickname(gameState, 1),
+        2: GameEngine.getNickname(gameState, 2)
+      },
+      canRematch: this.state.mode === GAME_CONFIG.MODES.ONLINE &&
+        GameEngine.getPlayerNumber(gameState, this.state.currentUser.id) !== null,
+      requiresSecretWord: gameState.word_mode === GAME_CONFIG.WORD_MODES.CUSTOM,
+      canReplay: false,
+      rematchStatus: this.state.rematch?.status || REMATCH_STATUS.NONE
+    })
+
+    this.saveGameHistory(gameState)
+  }
+
+  /**
+   * Итоговое состояние завершенной игры с загаданным словом
+   * Строка game_rooms из события Realtime не содержит слов (они в game_secrets),
+   * поэтому онлайн-итог перечитывается из game_rooms_safe
+   * @param {object} record - Состояние, в котором игра завершилась
+   * @returns {Promise<object>} - При ошибке загрузки - исходное состояние
+   */
+  async loadFinishedState(record) {
+    if (this.localSession || record.word) return record
+
+    try {
+      return await getGameState(record.id, { signal: this.requestController.signal })
+    } catch (error) {
+      logger.warn('Не удалось загрузить итог игры', { roomId: record.id, code: error.code })
+      return record
+    }
+  }
+
+  /**
+   * Сохранение партии в историю: итоговое состояние и журнал ходов
+   * (локальная игра ведет журнал сама, онлайн-журнал запрашивается у сервера)
+   * @param {object} gameState - Итоговое состояние игры из loadFinishedState
+   */
+  async saveGameHistory(gameState) {
+    const mode = this.state.mode
+
+    try {
+      const moves = this.localSession ? this.localSession.getMoves() : await getGameMoves(gameState.id)
+      historyStore.save({ roomId: gameState.id, mode, state: gameState, moves })
+      this.components.gameHistory.update(historyStore.list())
+
+      if (this.state.roomId === gameState.id && this.components.gameOverScreen.isOpen()) {
+        this.components.gameOverScreen.setReplayAvailable(true)
+      }
+    } catch (error) {
+      logger.warn('Партия не сохранена в историю', { roomId: gameState.id, code: error.code })
+    }
+  }
+
+  /**
+   * Просмотр повтора сохраненной партии
+   * @param {string} roomId - ID комнаты из истории
+   */
+  openReplay(roomId) {
+    const game = historyStore.get(roomId)
+    if (!game) {
+      this.showError(t('replay.unavailable'))
+      return
+    }
+
+    let frames
+    try {
+      frames = buildReplay(game.state, game.moves)
+    } catch (error) {
+      // Запись истории повреждена или сохранена старой версией приложения
+      logger.error('Не удалось построить повтор партии', { roomId, error: error.message })
+      this.showError(t('replay.unavailable'))
+      return
+    }
+
+    this.components.replayViewer.show(frames, {
+      playerNames: {
+        1: GameEngine.getNickname(game.state, 1),
+        2: GameEngine.getNickname(game.state, 2)
+      }
+    })
+  }
+
+  /**
+   * Предложение реванша: создаем связанную комнату и сообщаем сопернику через канал текущей игры
+   * @param {string|null} secretWord - Новое слово (в игре со своими словами)
+   */
+  async handleRematchOffer(secretWord) {
+    const previousRoomId = this.state.roomId
+
+    try {
+      this.showLoading(t('loading.createRematch'))
+      const rematch = await createRematch(previousRoomId, secretWord, {
+        nickname: profileStore.getNickname(),
+        signal: this.requestController.signal
+      })
+
+      if (!rematch.created) {
+        // Соперник успел предложить реванш первым - присоединяемся к его комнате
+        await this.joinRematch(rematch.roomId, secretWord)
+        return
+      }
+
+      this.state.rematch = { roomId: rematch.roomId, status: REMATCH_STATUS.OFFERED }
+      await realtimeManager.broadcast(previousRoomId, BROADCAST_EVENTS.REMATCH, {
+        type: 'offer',
+        room_id: rematch.roomId,
+        from: this.state.currentUser.id
+      })
+
+      this.components.gameOverScreen.setRematchStatus(REMATCH_STATUS.OFFERED)
+      this.hideLoading()
+    } catch (error) {
+      this.handleRematchError(error, () => this.handleRematchOffer(secretWord))
+    }
+  }
+
+  async handleRematchAccept(secretWord) {
+    if (!this.state.rematch?.roomId) return
+
+    try {
+      this.showLoading(t('loading.startRematch'))
+      await this.joinRematch(this.state.rematch.roomId, secretWord)
+    } catch (error) {
+      this.handleRematchError(error, () => this.handleRematchAccept(secretWord))
+    }
+  }
+
+  async handleRematchDecline() {
+    const rematchRoomId = this.state.rematch?.roomId
+    this.state.rematch = null
+    this.components.gameOverScreen.setRematchStatus(REMATCH_STATUS.NONE)
+
+    await realtimeManager.broadcast(this.state.roomId, BROADCAST_EVENTS.REMATCH, {
+      type: 'decline',
+      room_id: rematchRoomId,
+      from: this.state.currentUser.id
     })
   }
 
+  /**
+   * Присоединение к комнате реванша и переход в нее
+   */
+  async joinRematch(rematchRoomId, secretWord) {
+    const previousRoomId = this.state.roomId
+    await joinGame(rematchRoomId, secretWord, {
+      nickname: profileStore.getNickname(),
+      signal: this.requestController.signal
+    })
+
+    await realtimeManager.broadcast(previousRoomId, BROADCAST_EVENTS.REMATCH, {
+      type: 'accept',
+      room_id: rematchRoomId,
+      from: this.state.currentUser.id
+    })
+
+    await this.switchToRoom(rematchRoomId, { isFirstPlayer: false })
+  }
+
+  /**
+   * Сообщение чата от другого участника канала (broadcast)
+   * @param {object} payload - Payload события BROADCAST_EVENTS.CHAT
+   */
+  handleChatMessage(payload) {
+    if (payload?.from === this.state.currentUser.id) return
+
+    const message = chatService.receive(payload)
+    if (message) {
+      this.addChatMessage(message)
+    }
+  }
+
+  /**
+   * Показ сообщения чата с именем автора из записи комнаты (имени из payload не доверяем)
+   * @param {object} message - Проверенное сообщение chatService
+   */
+  addChatMessage(message) {
+    const { gameState, currentUser } = this.state
+    const playerNumber = GameEngine.getPlayerNumber(gameState, message.from)
+
+    this.components.chatPanel.addMessage({
+      ...message,
+      name: playerNumber ? this.getPlayerName(gameState, playerNumber) : t('chat.spectator'),
+      own: message.from === currentUser.id
+    })
+  }
+
+  /**
+   * Сообщения о реванше от соперника (broadcast канала текущей игры)
+   * @param {{type: string, room_id: string, from: string}} payload
+   */
+  handleRematchMessage(payload) {
+    if (!payload || payload.from === this.state.currentUser.id) return
+
+    if (payload.type === 'offer') {
+      this.state.rematch = { roomId: payload.room_id, status: REMATCH_STATUS.RECEIVED }
+      this.components.gameOverScreen.setRematchStatus(REMATCH_STATUS.RECEIVED)
+      this.showNotification(t('notify.rematchOffered', { name: this.getOpponentName(this.state.gameState) }))
+    } else if (payload.type === 'accept' && this.state.rematch?.roomId === payload.room_id) {
+      this.showNotification(t('notify.rematchAccepted', { name: this.getOpponentName(this.state.gameState) }))
+      this.switchToRoom(payload.room_id, { isFirstPlayer: true })
+    } else if (payload.type === 'decline' && this.state.rematch?.status === REMATCH_STATUS.OFFERED) {
+      this.state.rematch = null
+      this.components.gameOverScreen.setRematchStatus(REMATCH_STATUS.DECLINED)
+    }
+  }
+
+  /**
+   * @param {GameError} error - Ошибка реванша
+   * @param {Function} retry - Повтор действия после таймаута
+   */
+  handleRematchError(error, retry) {
+    this.hideLoading()
+    if (error.code === 'SECRET_WORD_REQUIRED' || error.code === 'INVALID_SECRET_WORD') {
+      this.components.gameOverScreen.showRematchError(error.message)
+      return
+    }
+    this.handleError(error, t('errors.context.rematch'), { retry })
+  }
+
+  /**
+   * Переход в другую комнату без перезагрузки страницы (реванш)
+   * @param {string} roomId - UUID новой комнаты
+   * @param {{isFirstPlayer: boolean}} options - Создатель ли комнаты этот клиент
+   */
+  async switchToRoom(roomId, { isFirstPlayer }) {
+    logger.info('Переход в новую комнату', { from: this.state.roomId, to: roomId })
+
+    // Ответы для прошлой комнаты больше не нужны
+    this.cancelRequests()
+    await realtimeManager.unsubscribeFromRoom(this.state.roomId)
+    sessionStore.remove(this.state.roomId)
+    sessionStore.save(roomId, GAME_CONFIG.ROOM_ROLES.PLAYER)
+
+    this.state.roomId = roomId
+    this.state.isFirstPlayer = isFirstPlayer
+    this.state.playerJoinedNotificationShown = true // Соперник уже в комнате
+    this.state.gameState = null
+    this.state.previousGameState = null
+    this.state.rematch = null
+
+    this.components.gameOverScreen.hide()
+    this.subscribeToRoom(roomId)
+    await this.loadGameState()
+    this.displayRoomId(roomId)
+    this.hideLoading()
+  }
+
   handleNewGame() {
+    this.cancelRequests()
     window.location.reload()
   }
 
+  /**
+   * Отмена запросов игрового экрана, которые еще ждут ответа
+   * Ходы из очереди (actionOutbox) не отменяются - они отправятся позже
+   */
+  cancelRequests() {
+    this.requestController.abort()
+    this.requestController = new AbortController()
+  }
+
   handleShareRoom() {
     // Используем новый метод
     this.handleShareRoomClick()
@@ -1114,13 +2405,13 @@ export class App {
     if (this.state.roomId) {
       if (navigator.clipboard && navigator.clipboard.writeText) {
         navigator.clipboard.writeText(this.state.roomId).then(() => {
-          this.showNotification('ID комнаты скопирован!')
+          this.showNotification(t('notify.roomIdCopied'))
         }).catch((error) => {
           logger.error('Ошибка копирования ID комнаты:', error)
-          this.showNotification(`ID комнаты: ${this.state.roomId}`)
+          this.showNotification(t('notify.roomId', { roomId: this.state.roomId }))
         })
       } else {
-        this.showNotification(`ID комнаты: ${this.state.roomId}`)
+        this.showNotification(t('notify.roomId', { roomId: this.state.roomId }))
       }
     }
   }
@@ -1140,7 +2431,7 @@ export class App {
     }
   }
 
-  showLoading(message = 'Загрузка...') {
+  showLoading(message = t('loading.default')) {
     if (this.ui.loadingOverlay) {
       this.ui.loadingOverlay.style.display = 'flex'
       const loadingText = this.ui.loadingOverlay.querySelector('.loading-text')
@@ -1156,16 +2447,34 @@ export class App {
     }
   }
 
-  showError(message) {
+  /**
+   * @param {string} message - Текст ошибки
+   * @param {object} [options]
+   * @param {Function} [options.retry] - Действие кнопки «Повторить»
+   */
+  showError(message, { retry } = {}) {
     if (this.ui.errorMessage) {
       this.ui.errorMessage.textContent = message
       this.ui.errorMessage.style.display = 'block'
 
-      setTimeout(() => {
+      if (retry) {
+        const retryBtn = document.createElement('button')
+        retryBtn.type = 'button'
+        retryBtn.className = 'error-message__retry'
+        retryBtn.textContent = t('common.retry')
+        retryBtn.addEventListener('click', () => {
+          this.ui.errorMessage.style.display = 'none'
+          retry()
+        }, { once: true })
+        this.ui.errorMessage.appendChild(retryBtn)
+      }
+
+      clearTimeout(this.errorTimer)
+      this.errorTimer = setTimeout(() => {
         if (this.ui.errorMessage) {
           this.ui.errorMessage.style.display = 'none'
         }
-      }, 5000)
+      }, retry ? UI_CONFIG.ERROR_TIMEOUT * 2 : UI_CONFIG.ERROR_TIMEOUT)
     }
   }
 
@@ -1185,8 +2494,21 @@ export class App {
     }, 3000)
   }
 
-  handleError(error, context = '') {
+  /**
+   * @param {Error} error - Ошибка
+   * @param {string} [context] - Что не удалось сделать
+   * @param {object} [options]
+   * @param {Function} [options.retry] - Повтор действия: для ошибок с признаком retryable (сеть, таймаут)
+   *   рядом с ошибкой появляется кнопка «Повторить»
+   */
+  handleError(error, context = '', { retry } = {}) {
     this.hideLoading()
+
+    // Запрос отменен, потому что пользователь ушел с экрана - сообщать не о чем
+    if (isAbortError(error)) {
+      logger.info(`Запрос отменен: ${context}`)
+      return
+    }
     
     // Подробное логирование ошибки
     const gameError = handleError(error)
@@ -1205,7 +2527,7 @@ export class App {
       }
     })
     
-    this.showError(message)
+    this.showError(message, { retry: gameError.retryable ? retry : undefined })
   }
 
   cleanup() {
@@ -1213,6 +2535,18 @@ export class App {
     
     // Очищаем Realtime подписки
     realtimeManager.unsubscribeAll()
+
+    // Останавливаем локальную игру
+    if (this.computerPlayer) {
+      this.computerPlayer.detach()
+    }
+    if (this.localSession) {
+      this.localSession.destroy()
+    }
+    this.components.handoverScreen?.destroy()
+    this.components.chatPanel?.destroy()
+    this.components.replayViewer?.destroy()
+    this.components.turnIndicator?.stopTimer()
     
     // Очищаем жесты
     if (this.gestureManager && this.gestureManager.isActive()) {
@@ -0,0 +1,278 @@
+import { logger } from '../utils/logger.js'
+import { GameError, getErrorMessage } from '../utils/errorHandler.js'
+import { CHAT_MESSAGE_TYPES } from '../services/chatService.js'
+import { CHAT_CONFIG } from '../config/constants.js'
+import { i18n, t } from '../i18n/i18n.js'
+
+/**
+ * Время сообщения: часы и минуты
+ */
+function formatTime(timestamp) {
+  return new Date(timestamp).toLocaleTimeString(i18n.getIntlLocale(), { hour: '2-digit', minute: '2-digit' })
+}
+
+/**
+ * Текст сообщения или реакция (текст уже санитизирован chatService)
+ */
+function renderContent(message) {
+  return message.type === CHAT_MESSAGE_TYPES.REACTION
+    ? `<span class="chat__reaction">${message.emoji}</span>`
+    : message.text
+}
+
+/**
+ * Чат комнаты: боковая панель на десктопе, на мобильных - строка реакций и поле ввода,
+ * а входящие сообщения всплывают поверх игры. Какой вариант виден, решают стили
+ * Сообщения: {id, type, text?, emoji?, sentAt, name, own}, name санитизирован
+ */
+export class ChatPanel {
+  constructor(containerId) {
+    this.container = document.getElementById(containerId)
+    if (!this.container) {
+      throw new Error(`Container ${containerId} not found`)
+    }
+    this.isEnabled = false
+    this.isReadOnly = false
+    this.isMuted = false
+    this.isSending = false
+    this.messages = []
+    this.draft = ''
+    this.errorMessage = null
+    this.onSend = null
+    this.onReact = null
+    this.onMuteToggle = null
+  }
+
+  /**
+   * Показ чата в онлайн-комнате
+   * @param {object} options
+   * @param {boolean} options.readOnly - Зритель: сообщения видны, писать нельзя
+   * @param {boolean} options.muted - Чат выключен пользователем
+   */
+  enable({ readOnly, muted }) {
+    this.isEnabled = true
+    this.isReadOnly = readOnly
+    this.isMuted = muted
+    this.render()
+  }
+
+  /**
+   * Обработчик отправки сообщения
+   * @param {Function} callback - async (text) => void, ошибка показывается под полем ввода
+   */
+  setSendHandler(callback) {
+    this.onSend = callback
+  }
+
+  /**
+   * @param {Function} callback - async (emoji) => void
+   */
+  setReactHandler(callback) {
+    this.onReact = callback
+  }
+
+  /**
+   * @param {Function} callback - (muted) => void
+   */
+  setMuteToggleHandler(callback) {
+    this.onMuteToggle = callback
+  }
+
+  /**
+   * Новое сообщение (свое или полученное)
+   * @param {object} message - Сообщение чата
+   */
+  addMessage(message) {
+    if (this.messages.some(item => item.id === message.id)) return
+
+    this.messages = [...this.messages, message].slice(-CHAT_CONFIG.MAX_HISTORY)
+    this.renderMessages()
+    if (!message.own) {
+      this.showToast(message)
+    }
+  }
+
+  setMuted(muted) {
+    this.isMuted = muted
+    this.render()
+  }
+
+  showError(message) {
+    this.errorMessage = message
+    this.renderError()
+  }
+
+  clearError() {
+    this.errorMessage = null
+    this.renderError()
+  }
+
+  async handleSubmit() {
+    const text = this.draft.trim()
+    if (!text || this.isSending || !this.onSend) return
+
+    this.isSending = true
+    try {
+      await this.onSend(text)
+      this.draft = ''
+      const input = this.container.querySelector('.chat__input')
+      if (input) {
+        input.value = ''
+      }
+      this.clearError()
+    } catch (error) {
+      // Текст остается в поле, чтобы отправить его позже
+      this.showError(error instanceof GameError ? error.message : getErrorMessage('UNKNOWN_ERROR'))
+    } finally {
+      this.isSending = false
+    }
+  }
+
+  async handleReaction(emoji) {
+    if (!this.onReact) return
+
+    try {
+      await this.onReact(emoji)
+      this.clearError()
+    } catch (error) {
+      this.showError(error instanceof GameError ? error.message : getErrorMessage('UNKNOWN_ERROR'))
+    }
+  }
+
+  /**
+   * Всплывающее сообщение (видно только на мобильных)
+   */
+  showToast(message) {
+    const toasts = this.container.querySelector('.chat__toasts')
+    if (!toasts) return
+
+    const toast = document.createElement('div')
+    toast.className = 'chat__toast'
+    toast.innerHTML = `<span class="chat__author">${message.name}:</span> ${renderContent(message)}`
+    toasts.appendChild(toast)
+    setTimeout(() => toast.remove(), CHAT_CONFIG.TOAST_DURATION)
+  }
+
+  renderMessages() {
+    const list = this.container.querySelector('.chat__messages')
+    if (!list) return
+
+    if (this.messages.length === 0) {
+      list.innerHTML = `<li class="chat__empty">${t('chat.empty')}</li>`
+      return
+    }
+
+    list.innerHTML = this.messages.map(message => `
+      <li class="chat__message ${message.own ? 'chat__message--own' : ''}">
+        <span class="chat__author">${message.own ? t('chat.you') : message.name}</span>
+        <span class="chat__time">${formatTime(message.sentAt)}</span>
+        <div class="chat__text">${renderContent(message)}</div>
+      </li>
+    `).join('')
+    list.scrollTop = list.scrollHeight
+  }
+
+  renderError() {
+    const error = this.container.querySelector('.chat__error')
+    if (!error) return
+
+    error.textContent = this.errorMessage || ''
+    error.hidden = !this.errorMessage
+  }
+
+  renderForm() {
+    if (this.isReadOnly) {
+      return `<p class="chat__hint">${t('chat.readOnly')}</p>`
+    }
+
+    return `
+      <div class="chat__reactions">
+        ${CHAT_CONFIG.REACTIONS.map(emoji => `
+          <button
+            type="button"
+            class="chat__reaction-btn"
+            data-emoji="${emoji}"
+            title="${t('chat.reactionTitle', { emoji })}"
+            data-exclude-gestures="true"
+          >${emoji}</button>
+        `).join('')}
+      </div>
+      <form class="chat__form">
+        <input
+          type="text"
+          class="chat__input"
+          placeholder="${t('chat.placeholder')}"
+          maxlength="${CHAT_CONFIG.MAX_MESSAGE_LENGTH}"
+          autocomplete="off"
+          data-exclude-gestures="true"
+        />
+        <button type="submit" class="chat__send" title="${t('chat.send')}" data-exclude-gestures="true">➤</button>
+      </form>
+      <div class="chat__error" role="alert" hidden></div>
+    `
+  }
+
+  render() {
+    if (!this.isEnabled) {
+      this.container.innerHTML = ''
+      return
+    }
+
+    this.container.innerHTML = `
+      <aside class="chat ${this.isMuted ? 'chat--muted' : ''}" aria-label="${t('chat.title')}">
+        <div class="chat__header">
+          <span class="chat__title">💬 ${t('chat.title')}</span>
+          <button
+            type="button"
+            class="chat__mute"
+            title="${this.isMuted ? t('chat.unmute') : t('chat.mute')}"
+            aria-pressed="${this.isMuted}"
+            data-exclude-gestures="true"
+          >${this.isMuted ? '🔕' : '🔔'}</button>
+        </div>
+        ${this.isMuted ? `<p class="chat__hint">${t('chat.muted')}</p>` : ''}
+        <ul class="chat__messages"></ul>
+        ${this.renderForm()}
+        <div class="chat__toasts" aria-live="polite"></div>
+      </aside>
+    `
+
+    const input = this.container.querySelector('.chat__input')
+    if (input) {
+      input.value = this.draft
+    }
+    this.renderMessages()
+    this.renderError()
+    this.attachEventListeners()
+  }
+
+  attachEventListeners() {
+    this.container.querySelector('.chat__mute')?.addEventListener('click', () => {
+      logger.info('Переключение чата', { muted: !this.isMuted })
+      if (this.onMuteToggle) {
+        this.onMuteToggle(!this.isMuted)
+      }
+    })
+
+    this.container.querySelectorAll('.chat__reaction-btn').forEach(button => {
+      button.addEventListener('click', () => {
+        this.handleReaction(button.dataset.emoji)
+      })
+    })
+
+    const input = this.container.querySelector('.chat__input')
+    input?.addEventListener('input', () => {
+      this.draft = input.value
+    })
+
+    this.container.querySelector('.chat__form')?.addEventListener('submit', (event) => {
+      event.preventDefault()
+      this.handleSubmit()
+    })
+  }
+
+  destroy() {
+    this.isEnabled = false
+    this.container.innerHTML = ''
+  }
+}
@@ -0,0 +1,73 @@
+import { logger } from '../utils/logger.js'
+import { NETWORK_CONFIG, UI_CONFIG } from '../config/constants.js'
+import { t } from '../i18n/i18n.js'
+
+/**
+ * Полоса состояния Realtime соединения над игровым экраном
+ * Видна, пока идет переподключение, и ненадолго после восстановления
+ */
+export class ConnectionBanner {
+  constructor(containerId) {
+    this.container = document.getElementById(containerId)
+    if (!this.container) {
+      throw new Error(`Container ${containerId} not found`)
+    }
+    this.status = NETWORK_CONFIG.CONNECTION_STATUS.CONNECTED
+    this.hideTimer = null
+  }
+
+  /**
+   * Соединение потеряно, идет переподключение
+   * @param {number} attempt - Номер попытки
+   */
+  showReconnecting(attempt) {
+    logger.info('Баннер: переподключение', { attempt })
+    this.status = NETWORK_CONFIG.CONNECTION_STATUS.RECONNECTING
+    this.clearHideTimer()
+    this.render({
+      modifier: 'reconnecting',
+      text: attempt > 1 ? t('connection.reconnectingAttempt', { attempt }) : t('connection.reconnecting')
+    })
+  }
+
+  /**
+   * Соединение восстановлено: сообщаем и скрываем баннер через несколько секунд
+   */
+  showRecovered() {
+    if (this.status !== NETWORK_CONFIG.CONNECTION_STATUS.RECONNECTING) {
+      return
+    }
+
+    logger.info('Баннер: соединение восстановлено')
+    this.status = NETWORK_CONFIG.CONNECTION_STATUS.CONNECTED
+    this.render({ modifier: 'recovered', text: t('connection.recovered') })
+    this.clearHideTimer()
+    this.hideTimer = setTimeout(() => this.hide(), UI_CONFIG.SUCCESS_TIMEOUT)
+  }
+
+  hide() {
+    this.clearHideTimer()
+    this.status = NETWORK_CONFIG.CONNECTION_STATUS.CONNECTED
+    this.container.innerHTML = ''
+  }
+
+  clearHideTimer() {
+    if (this.hideTimer) {
+      clearTimeout(this.hideTimer)
+      this.hideTimer = null
+    }
+  }
+
+  render({ modifier, text }) {
+    this.container.innerHTML = `
+      <div class="connection-banner connection-banner--${modifier}" role="status">
+        ${modifier === 'reconnecting' ? '<span class="connection-banner__spinner"></span>' : '✅'}
+        <span class="connection-banner__text">${text}</span>
+      </div>
+    `
+  }
+
+  destroy() {
+    this.hide()
+  }
+}
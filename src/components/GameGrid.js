@@ -13,6 +13,8 @@ export class GameGrid {
     this.boardState = this.createEmptyBoard()
     this.isInteractive = false
     this.onCellClick = null
+    // Клетка, открытие которой отправлено на сервер и еще не подтверждено: {row, col}
+    this.pendingCell = null
     this.render()
   }
 
@@ -42,10 +44,66 @@ export class GameGrid {
           revealed: cell.revealed || false
         }))
       )
+      // Состояние без этой клетки могло быть отправлено до хода - ждем ответа сервера
+      if (this.pendingCell && !this.boardState[this.pendingCell.row][this.pendingCell.col].revealed) {
+        this.boardState[this.pendingCell.row][this.pendingCell.col].revealing = true
+      } else {
+        this.pendingCell = null
+      }
     }
     this.render()
   }
 
+  /**
+   * Оптимистичное открытие: клетка показывается открывающейся, доска блокируется до ответа сервера
+   */
+  setCellRevealing(row, col) {
+    this.pendingCell = { row, col }
+    this.boardState[row][col].revealing = true
+    this.render()
+  }
+
+  /**
+   * Сервер подтвердил открытие клетки
+   * @param {string|null} letter - Буква клетки (null - пустая клетка)
+   */
+  confirmCell(row, col, letter) {
+    this.pendingCell = null
+    this.boardState[row][col] = {
+      ...this.boardState[row][col],
+      letter,
+      content: letter,
+      revealed: true,
+      revealing: false
+    }
+    this.render()
+    this.highlightCell(row, col)
+  }
+
+  /**
+   * Сервер отклонил открытие: клетка снова закрыта
+   */
+  rollbackCell(row, col) {
+    this.pendingCell = null
+    this.boardState[row][col].revealing = false
+    this.render()
+
+    const cellElement = this.getCellElement(row, col)
+    if (cellElement) {
+      cellElement.classList.add('game-cell--rejected')
+      setTimeout(() => {
+        cellElement.classList.remove('game-cell--rejected')
+      }, 500)
+    }
+  }
+
+  /**
+   * Доска принимает клики: ход игрока и нет неподтвержденного открытия
+   */
+  canInteract() {
+    return this.isInteractive && !this.pendingCell
+  }
+
   setCellClickHandler(callback) {
     this.onCellClick = callback
   }
@@ -68,7 +126,7 @@ export class GameGrid {
       return
     }
 
-    if (!this.isInteractive) {
+    if (!this.canInteract()) {
       logger.info('Доска неактивна', { row, col })
       return
     }
@@ -84,7 +142,7 @@ export class GameGrid {
     const grid = document.createElement('div')
     grid.className = 'game-grid'
 
-    if (!this.isInteractive) {
+    if (!this.canInteract()) {
       grid.classList.add('game-grid--disabled')
     }
 
@@ -109,6 +167,8 @@ export class GameGrid {
       // ФИКС: Проверяем оба поля - letter и content
       const displayText = cell.letter || cell.content || '?'
       cellDiv.textContent = displayText
+    } else if (cell.revealing) {
+      cellDiv.classList.add('game-cell--revealing')
     } else {
       cellDiv.classList.add('game-cell--hidden')
     }
@@ -117,17 +177,19 @@ export class GameGrid {
       this.handleCellClick(row, col)
     })
 
-    if (!cell.revealed && this.isInteractive) {
+    if (!cell.revealed && this.canInteract()) {
       cellDiv.classList.add('game-cell--interactive')
     }
 
     return cellDiv
   }
 
+  getCellElement(row, col) {
+    return this.container.querySelector(`.game-cell[data-row="${row}"][data-col="${col}"]`)
+  }
+
   highlightCell(row, col) {
-    const cellElement = this.container.querySelector(
-      `.game-cell[data-row="${row}"][data-col="${col}"]`
-    )
+    const cellElement = this.getCellElement(row, col)
     if (cellElement) {
       cellElement.classList.add('game-cell--highlight')
       setTimeout(() => {
@@ -139,6 +201,7 @@ export class GameGrid {
   clear() {
     this.boardState = this.createEmptyBoard()
     this.isInteractive = false
+    this.pendingCell = null
     this.render()
   }
 
@@ -0,0 +1,103 @@
+import { GameEngine } from '../services/GameEngine.js'
+import { logger } from '../utils/logger.js'
+import { sanitizeString } from '../utils/validation.js'
+import { i18n, t } from '../i18n/i18n.js'
+
+/**
+ * Карточка меню со списком последних партий и кнопкой просмотра повтора
+ * Без сохраненных партий карточка не показывается
+ */
+export class GameHistory {
+  constructor(containerId) {
+    this.container = document.getElementById(containerId)
+    if (!this.container) {
+      throw new Error(`Container ${containerId} not found`)
+    }
+    this.games = []
+    this.onWatch = null
+  }
+
+  /**
+   * @param {Array<object>} games - Записи historyStore, от последней к самой старой
+   */
+  update(games) {
+    this.games = games
+    this.render()
+  }
+
+  getPlayerName(state, playerNumber) {
+    return sanitizeString(GameEngine.getNickname(state, playerNumber)) || t('common.player', { number: playerNumber })
+  }
+
+  formatDate(timestamp) {
+    return new Date(timestamp).toLocaleString(i18n.getIntlLocale(), {
+      day: 'numeric',
+      month: 'short',
+      hour: '2-digit',
+      minute: '2-digit'
+    })
+  }
+
+  renderItem({ roomId, mode, finishedAt, state }) {
+    const word = sanitizeString(state.word)
+    const details = t('history.details', {
+      mode: t(`history.modes.${mode}`),
+      date: this.formatDate(finishedAt),
+      score1: state.player1_score,
+      score2: state.player2_score
+    })
+    const result = state.winner
+      ? t('history.result', { name: this.getPlayerName(state, state.winner), word })
+      : t('history.word', { word })
+
+    return `
+      <li class="history__item">
+        <div class="history__info">
+          <span class="history__players">${this.getPlayerName(state, 1)} - ${this.getPlayerName(state, 2)}</span>
+          <span class="history__details">${details}</span>
+          <span class="history__result">${result}</span>
+        </div>
+        <button class="history__btn" data-room-id="${sanitizeString(roomId)}" data-exclude-gestures="true">${t('history.watch')}</button>
+      </li>
+    `
+  }
+
+  render() {
+    if (this.games.length === 0) {
+      this.container.innerHTML = ''
+      return
+    }
+
+    this.container.innerHTML = `
+      <div class="menu-card history">
+        <h2 class="menu-card__title">${t('history.title')}</h2>
+        <ul class="history__list">
+          ${this.games.map(game => this.renderItem(game)).join('')}
+        </ul>
+      </div>
+    `
+
+    this.attachEventListeners()
+  }
+
+  attachEventListeners() {
+    this.container.querySelectorAll('.history__btn').forEach(button => {
+      button.addEventListener('click', () => {
+        const roomId = button.dataset.roomId
+        logger.info('Выбран повтор партии из истории', { roomId })
+        if (this.onWatch) {
+          this.onWatch(roomId)
+        }
+      })
+    })
+  }
+
+  setWatchHandler(callback) {
+    this.onWatch = callback
+  }
+
+  destroy() {
+    this.container.innerHTML = ''
+    this.onWatch = null
+  }
+}
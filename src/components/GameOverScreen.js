@@ -1,4 +1,16 @@
 import { logger } from '../utils/logger.js'
+import { sanitizeString } from '../utils/validation.js'
+import { t } from '../i18n/i18n.js'
+
+/**
+ * Состояния реванша на экране завершения игры
+ */
+export const REMATCH_STATUS = {
+  NONE: 'none',
+  OFFERED: 'offered', // Мы предложили, ждем ответа
+  RECEIVED: 'received', // Соперник предлагает реванш
+  DECLINED: 'declined' // Соперник отказался
+}
 
 export class GameOverScreen {
   constructor(containerId) {
@@ -9,6 +21,11 @@ export class GameOverScreen {
     this.isVisible = false
     this.onNewGame = null
     this.onShareRoom = null
+    this.onRematch = null
+    this.onRematchAccept = null
+    this.onRematchDecline = null
+    this.onReplay = null
+    this.rematchError = null
     this.gameResult = {
       winner: null,
       word: null,
@@ -16,13 +33,19 @@ export class GameOverScreen {
       player2Score: 0,
       currentUserId: null,
       player1Id: null,
-      player2Id: null
+      player2Id: null,
+      playerNames: null, // Никнеймы игроков {1, 2}, null - имя не задано
+      canRematch: false, // Реванш доступен только участникам онлайн-игры
+      requiresSecretWord: false, // Игра со своими словами: для реванша нужно новое слово
+      canReplay: false, // Журнал ходов сохранен в историю, повтор можно открыть
+      rematchStatus: REMATCH_STATUS.NONE
     }
   }
 
   show(result) {
     logger.info('Показ экрана завершения игры', { result })
     this.gameResult = { ...this.gameResult, ...result }
+    this.rematchError = null
     this.isVisible = true
     this.render()
   }
@@ -37,6 +60,10 @@ export class GameOverScreen {
     const { winner, currentUserId, player1Id, player2Id } = this.gameResult
     if (!winner) return 'draw'
     const userPlayerNumber = currentUserId === player1Id ? 1 : currentUserId === player2Id ? 2 : null
+    if (userPlayerNumber === null) {
+      // Общее устройство: победителя называем по имени
+      return 'named'
+    }
     if (winner === userPlayerNumber) {
       return 'you'
     } else {
@@ -44,6 +71,90 @@ export class GameOverScreen {
     }
   }
 
+  getPlayerName(playerNumber) {
+    return sanitizeString(this.gameResult.playerNames?.[playerNumber]) || t('common.player', { number: playerNumber })
+  }
+
+  /**
+   * Обновление состояния реванша без повторного показа экрана
+   * @param {string} status - Значение из REMATCH_STATUS
+   */
+  setRematchStatus(status) {
+    this.gameResult.rematchStatus = status
+    this.rematchError = null
+    this.render()
+  }
+
+  /**
+   * Кнопка повтора появляется, когда журнал ходов сохранен
+   * @param {boolean} available
+   */
+  setReplayAvailable(available) {
+    this.gameResult.canReplay = available
+    this.render()
+  }
+
+  showRematchError(message) {
+    this.rematchError = message
+    this.render()
+  }
+
+  renderRematch() {
+    const { rematchStatus, requiresSecretWord } = this.gameResult
+    const wordInput = requiresSecretWord ? `
+      <input
+        type="password"
+        id="rematch-word-input"
+        class="game-over__rematch-input"
+        placeholder="${t('gameOver.rematchWordPlaceholder')}"
+        maxlength="8"
+        autocomplete="off"
+      />
+    ` : ''
+    const error = this.rematchError ? `
+      <div class="game-over__rematch-error">${this.rematchError}</div>
+    ` : ''
+
+    if (rematchStatus === REMATCH_STATUS.OFFERED) {
+      return `
+        <div class="game-over__rematch">
+          <p class="game-over__rematch-text">${t('gameOver.rematchOffered')}</p>
+        </div>
+      `
+    }
+
+    if (rematchStatus === REMATCH_STATUS.RECEIVED) {
+      return `
+        <div class="game-over__rematch game-over__rematch--incoming">
+          <p class="game-over__rematch-text">${t('gameOver.rematchReceived')}</p>
+          ${wordInput}
+          ${error}
+          <div class="game-over__rematch-actions">
+            <button id="rematch-accept-btn" class="game-over__btn game-over__btn--primary">${t('gameOver.rematchAccept')}</button>
+            <button id="rematch-decline-btn" class="game-over__btn game-over__btn--secondary">${t('gameOver.rematchDecline')}</button>
+          </div>
+        </div>
+      `
+    }
+
+    return `
+      <div class="game-over__rematch">
+        ${rematchStatus === REMATCH_STATUS.DECLINED ? `
+          <p class="game-over__rematch-text">${t('gameOver.rematchDeclined')}</p>
+        ` : ''}
+        ${wordInput}
+        ${error}
+        <button id="rematch-btn" class="game-over__btn game-over__btn--primary">
+          ${t('gameOver.rematch')}
+        </button>
+      </div>
+    `
+  }
+
+  getRematchWord() {
+    return this.container.querySelector('#rematch-word-input')?.value.trim() || null
+  }
+
   render() {
     if (!this.isVisible) {
       return
@@ -56,21 +167,26 @@ export class GameOverScreen {
     let className = ''
 
     switch (resultType) {
-      case 'you':
-        title = 'Поздравляем! Вы победили! 🎉'
-        emoji = '🏆'
-        className = 'game-over--win'
-        break
-      case 'opponent':
-        title = 'Противник победил'
-        emoji = '😔'
-        className = 'game-over--lose'
-        break
-      case 'draw':
-        title = 'Ничья'
-        emoji = '🤝'
-        className = 'game-over--draw'
-        break
+    case 'you':
+      title = t('gameOver.win')
+      emoji = '🏆'
+      className = 'game-over--win'
+      break
+    case 'opponent':
+      title = t('gameOver.lose')
+      emoji = '😔'
+      className = 'game-over--lose'
+      break
+    case 'draw':
+      title = t('gameOver.draw')
+      emoji = '🤝'
+      className = 'game-over--draw'
+      break
+    case 'named':
+      title = t('gameOver.namedWin', { name: this.getPlayerName(this.gameResult.winner) })
+      emoji = '🏆'
+      className = 'game-over--win'
+      break
     }
 
     this.container.innerHTML = `
@@ -79,27 +195,33 @@ export class GameOverScreen {
           <div class="game-over__emoji">${emoji}</div>
           <h2 class="game-over__title">${title}</h2>
           <div class="game-over__word">
-            <span class="game-over__word-label">Загаданное слово:</span>
+            <span class="game-over__word-label">${t('gameOver.word')}</span>
             <span class="game-over__word-value">${this.gameResult.word || '???'}</span>
           </div>
           <div class="game-over__scores">
             <div class="game-over__score-item">
-              <span class="game-over__score-label">Игрок 1</span>
+              <span class="game-over__score-label">${this.getPlayerName(1)}</span>
               <span class="game-over__score-value">${this.gameResult.player1Score}</span>
             </div>
             <div class="game-over__score-separator">:</div>
             <div class="game-over__score-item">
-              <span class="game-over__score-label">Игрок 2</span>
+              <span class="game-over__score-label">${this.getPlayerName(2)}</span>
               <span class="game-over__score-value">${this.gameResult.player2Score}</span>
             </div>
           </div>
+          ${this.gameResult.canRematch ? this.renderRematch() : ''}
           <div class="game-over__actions">
-            <button id="new-game-btn" class="game-over__btn game-over__btn--primary">
-              Новая игра
+            <button id="new-game-btn" class="game-over__btn ${this.gameResult.canRematch ? 'game-over__btn--secondary' : 'game-over__btn--primary'}">
+              ${t('gameOver.newGame')}
             </button>
             <button id="share-room-btn" class="game-over__btn game-over__btn--secondary">
-              Пригласить друга
+              ${t('gameOver.invite')}
             </button>
+            ${this.gameResult.canReplay ? `
+              <button id="replay-btn" class="game-over__btn game-over__btn--secondary">
+                ${t('gameOver.replay')}
+              </button>
+            ` : ''}
           </div>
         </div>
       </div>
@@ -130,6 +252,46 @@ export class GameOverScreen {
         }
       })
     }
+
+    const replayBtn = this.container.querySelector('#replay-btn')
+    if (replayBtn) {
+      replayBtn.addEventListener('click', () => {
+        logger.info('Нажата кнопка "Повтор партии"')
+        if (this.onReplay) {
+          this.onReplay()
+        }
+      })
+    }
+
+    const rematchBtn = this.container.querySelector('#rematch-btn')
+    if (rematchBtn) {
+      rematchBtn.addEventListener('click', () => {
+        logger.info('Нажата кнопка "Реванш"')
+        if (this.onRematch) {
+          this.onRematch(this.getRematchWord())
+        }
+      })
+    }
+
+    const acceptBtn = this.container.querySelector('#rematch-accept-btn')
+    if (acceptBtn) {
+      acceptBtn.addEventListener('click', () => {
+        logger.info('Реванш принят')
+        if (this.onRematchAccept) {
+          this.onRematchAccept(this.getRematchWord())
+        }
+      })
+    }
+
+    const declineBtn = this.container.querySelector('#rematch-decline-btn')
+    if (declineBtn) {
+      declineBtn.addEventListener('click', () => {
+        logger.info('Реванш отклонен')
+        if (this.onRematchDecline) {
+          this.onRematchDecline()
+        }
+      })
+    }
   }
 
   setNewGameHandler(callback) {
@@ -140,6 +302,25 @@ export class GameOverScreen {
     this.onShareRoom = callback
   }
 
+  /**
+   * Обработчики реванша: предложить и принять получают слово из поля ввода (или null)
+   */
+  setRematchHandler(callback) {
+    this.onRematch = callback
+  }
+
+  setRematchAcceptHandler(callback) {
+    this.onRematchAccept = callback
+  }
+
+  setRematchDeclineHandler(callback) {
+    this.onRematchDecline = callback
+  }
+
+  setReplayHandler(callback) {
+    this.onReplay = callback
+  }
+
   isOpen() {
     return this.isVisible
   }
@@ -148,5 +329,9 @@ export class GameOverScreen {
     this.hide()
     this.onNewGame = null
     this.onShareRoom = null
+    this.onRematch = null
+    this.onRematchAccept = null
+    this.onRematchDecline = null
+    this.onReplay = null
   }
 }
@@ -1,5 +1,9 @@
-import { validateGuessInput } from '../utils/validation.js'
+import { getAlphabetLetters, validateGuessInput } from '../utils/validation.js'
 import { logger } from '../utils/logger.js'
+import { getErrorMessage } from '../utils/errorHandler.js'
+import { getAlphabet, isDictionaryWord } from '../services/dictionary.js'
+import { ALPHABET_CONFIG, GAME_CONFIG } from '../config/constants.js'
+import { t } from '../i18n/i18n.js'
 
 export class GuessInput {
   constructor(containerId) {
@@ -11,11 +15,19 @@ export class GuessInput {
     this.onGuessSubmit = null
     this.onSkipTurn = null
     this.errorMessage = null
+    this.strictMode = false
+    this.alphabet = ALPHABET_CONFIG.DEFAULT
     this.render()
     this.attachEventListeners()
   }
 
   render() {
+    const hintGuess = t('guess.hintGuess', {
+      min: GAME_CONFIG.MIN_WORD_LENGTH,
+      max: GAME_CONFIG.MAX_WORD_LENGTH,
+      letters: getAlphabetLetters(this.alphabet)
+    })
+
     this.container.innerHTML = `
       <div class="guess-input">
         <div class="guess-input__field-wrapper">
@@ -23,9 +35,10 @@ export class GuessInput {
             type="text"
             id="guess-input-field"
             class="guess-input__field"
-            placeholder="Введите слово или пропустите ход..."
+            placeholder="${t('guess.placeholder')}"
             maxlength="8"
             autocomplete="off"
+            lang="${getAlphabet(this.alphabet).locale}"
             ${this.isEnabled ? '' : 'disabled'}
           />
         </div>
@@ -34,18 +47,18 @@ export class GuessInput {
           <button
             id="guess-skip-btn"
             class="guess-input__skip"
-            title="Пропустить ход и передать его сопернику"
+            title="${t('guess.skipTitle')}"
             ${this.isEnabled ? '' : 'disabled'}
           >
-            ⏭️ Пропустить ход
+            ${t('guess.skip')}
           </button>
           <button
             id="guess-submit-btn"
             class="guess-input__submit"
-            title="Проверить введённое слово"
+            title="${t('guess.submitTitle')}"
             ${this.isEnabled ? '' : 'disabled'}
           >
-            ✅ Проверить
+            ${t('guess.submit')}
           </button>
         </div>
         
@@ -56,9 +69,9 @@ export class GuessInput {
         ` : ''}
         
         <div class="guess-input__hint">
-          <strong>Варианты действий:</strong><br>
-          • Введите слово (5-8 букв, кириллица) и нажмите "Проверить"<br>
-          • Или нажмите "Пропустить ход" для передачи хода сопернику
+          <strong>${t('guess.hintTitle')}</strong><br>
+          • ${hintGuess}<br>
+          • ${t('guess.hintSkip')}
         </div>
       </div>
     `
@@ -83,7 +96,7 @@ export class GuessInput {
           this.handleSubmit()
         } else {
           // If field is empty and Enter pressed, show hint
-          this.showError('Введите слово для проверки или используйте кнопку "Пропустить ход"')
+          this.showError(t('guess.emptyEnter'))
         }
       }
     })
@@ -118,7 +131,7 @@ export class GuessInput {
     // Convert to uppercase for better UX
     const inputField = this.container.querySelector('#guess-input-field')
     if (inputField && value) {
-      inputField.value = value.toUpperCase()
+      inputField.value = value.toLocaleUpperCase(getAlphabet(this.alphabet).locale)
     }
 
     // Update button states based on input
@@ -151,18 +164,25 @@ export class GuessInput {
 
     // Check if field is empty
     if (!value.trim()) {
-      this.showError('Введите слово для проверки или используйте "Пропустить ход"')
+      this.showError(t('guess.emptySubmit'))
       return
     }
 
     // Validate the word
-    const validation = validateGuessInput(value)
+    const validation = validateGuessInput(value, this.alphabet)
     if (!validation.valid) {
       this.showError(validation.error)
       logger.warn('Невалидный ввод', { error: validation.error })
       return
     }
 
+    // Строгий режим: слово не из словаря не отправляем, ход остается у игрока
+    if (this.strictMode && !isDictionaryWord(validation.normalized, this.alphabet)) {
+      this.showError(getErrorMessage('WORD_NOT_IN_DICTIONARY'))
+      logger.warn('Слова нет в словаре', { word: validation.normalized })
+      return
+    }
+
     // Submit the word
     if (this.onGuessSubmit) {
       this.onGuessSubmit(validation.normalized)
@@ -219,6 +239,27 @@ export class GuessInput {
     this.onSkipTurn = callback
   }
 
+  /**
+   * Строгий режим комнаты: попытки проверяются по словарю до отправки
+   * @param {boolean} strict
+   */
+  setStrictMode(strict) {
+    this.strictMode = strict
+  }
+
+  /**
+   * Алфавит комнаты: по нему проверяется ввод и строится подсказка
+   * @param {string} alphabet - Ключ ALPHABET_CONFIG.ALPHABETS
+   */
+  setAlphabet(alphabet) {
+    const next = alphabet || ALPHABET_CONFIG.DEFAULT
+    if (next === this.alphabet) return
+
+    this.alphabet = next
+    this.render()
+    this.attachEventListeners()
+  }
+
   setEnabled(enabled) {
     this.isEnabled = enabled
     this.render()
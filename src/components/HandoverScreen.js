@@ -0,0 +1,81 @@
+import { logger } from '../utils/logger.js'
+import { t } from '../i18n/i18n.js'
+
+/**
+ * Экран передачи устройства между ходами (режим "на одном устройстве")
+ * Полностью закрывает игровое поле, пока следующий игрок не подтвердит, что устройство у него
+ */
+export class HandoverScreen {
+  constructor(containerId) {
+    this.container = document.getElementById(containerId)
+    if (!this.container) {
+      throw new Error(`Container ${containerId} not found`)
+    }
+    this.isVisible = false
+    this.playerName = null
+    this.onContinue = null
+  }
+
+  show(playerName) {
+    logger.info('Показ экрана передачи устройства', { playerName })
+    this.playerName = playerName
+    this.isVisible = true
+    this.render()
+  }
+
+  hide() {
+    this.isVisible = false
+    this.container.innerHTML = ''
+  }
+
+  render() {
+    if (!this.isVisible) {
+      return
+    }
+
+    this.container.innerHTML = `
+      <div class="handover-overlay">
+        <div class="handover">
+          <div class="handover__emoji">🔄</div>
+          <h2 class="handover__title">${t('handover.title')}</h2>
+          <p class="handover__text">
+            ${t('handover.current')} <strong class="handover__name">${this.playerName}</strong>
+          </p>
+          <p class="handover__hint">${t('handover.hint')}</p>
+          <button id="handover-continue-btn" class="handover__btn">
+            ${t('handover.continue', { name: this.playerName })}
+          </button>
+        </div>
+      </div>
+    `
+
+    this.attachEventListeners()
+  }
+
+  attachEventListeners() {
+    const continueBtn = this.container.querySelector('#handover-continue-btn')
+    if (!continueBtn) return
+
+    continueBtn.addEventListener('click', () => {
+      logger.info('Устройство передано', { playerName: this.playerName })
+      this.hide()
+      if (this.onContinue) {
+        this.onContinue()
+      }
+    })
+    continueBtn.focus()
+  }
+
+  setContinueHandler(callback) {
+    this.onContinue = callback
+  }
+
+  isOpen() {
+    return this.isVisible
+  }
+
+  destroy() {
+    this.hide()
+    this.onContinue = null
+  }
+}
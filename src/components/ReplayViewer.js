@@ -0,0 +1,247 @@
+import { GameGrid } from './GameGrid.js'
+import { GameEngine, GAME_ACTIONS } from '../services/GameEngine.js'
+import { HISTORY_CONFIG, GAME_CONFIG } from '../config/constants.js'
+import { logger } from '../utils/logger.js'
+import { sanitizeString } from '../utils/validation.js'
+import { t } from '../i18n/i18n.js'
+
+/**
+ * Повтор партии: доска перерисовывается по кадрам buildReplay,
+ * управление - воспроизведение/пауза, шаг назад и вперед, перемотка ползунком
+ */
+export class ReplayViewer {
+  constructor(containerId) {
+    this.container = document.getElementById(containerId)
+    if (!this.container) {
+      throw new Error(`Container ${containerId} not found`)
+    }
+    this.isVisible = false
+    this.frames = []
+    this.index = 0
+    this.playerNames = null
+    this.playTimer = null
+    this.grid = null
+    this.onClose = null
+  }
+
+  /**
+   * @param {Array<{state: object, move: object|null}>} frames - Кадры повтора
+   * @param {object} [options]
+   * @param {object} [options.playerNames] - Никнеймы игроков {1, 2}, null - имя не задано
+   */
+  show(frames, { playerNames = null } = {}) {
+    logger.info('Показ повтора партии', { moves: frames.length - 1 })
+    this.frames = frames
+    this.playerNames = playerNames
+    this.index = 0
+    this.isVisible = true
+    this.render()
+  }
+
+  hide() {
+    this.pause()
+    this.isVisible = false
+    this.grid = null
+    this.container.innerHTML = ''
+  }
+
+  isPlaying() {
+    return this.playTimer !== null
+  }
+
+  play() {
+    if (this.isPlaying()) return
+    // С последнего кадра воспроизведение начинается сначала
+    if (this.index >= this.frames.length - 1) {
+      this.index = 0
+    }
+    this.playTimer = setInterval(() => {
+      if (this.index >= this.frames.length - 1) {
+        this.pause()
+        return
+      }
+      this.seek(this.index + 1)
+    }, HISTORY_CONFIG.PLAYBACK_INTERVAL)
+    this.renderFrame()
+  }
+
+  pause() {
+    if (!this.isPlaying()) return
+    clearInterval(this.playTimer)
+    this.playTimer = null
+    this.renderFrame()
+  }
+
+  /**
+   * Переход к кадру (0 - начало партии, N - после N-го хода)
+   * @param {number} index - Номер кадра
+   */
+  seek(index) {
+    this.index = Math.min(Math.max(index, 0), this.frames.length - 1)
+    this.renderFrame()
+  }
+
+  step(delta) {
+    this.pause()
+    this.seek(this.index + delta)
+  }
+
+  getPlayerName(playerNumber) {
+    return sanitizeString(this.playerNames?.[playerNumber]) || t('common.player', { number: playerNumber })
+  }
+
+  /**
+   * Доска кадра: в режиме своих слов - доска, на которой сделан ход (или доска того, кто ходит)
+   */
+  getFrameBoard({ state, move }) {
+    return GameEngine.getBoardFor(state, move?.player || state.current_player)
+  }
+
+  describeMove({ state, move }, board) {
+    if (!move) {
+      return t('replay.start', { name: this.getPlayerName(state.current_player) })
+    }
+
+    const name = this.getPlayerName(move.player)
+    if (move.type === GAME_ACTIONS.REVEAL) {
+      const position = { name, row: move.row + 1, col: move.col + 1 }
+      const letter = board?.[move.row]?.[move.col]?.letter
+      return letter
+        ? t('replay.moves.reveal', { ...position, letter: sanitizeString(letter) })
+        : t('replay.moves.revealEmpty', position)
+    }
+    if (move.type === GAME_ACTIONS.GUESS) {
+      const word = sanitizeString(move.word)
+      return move.correct ? t('replay.moves.guessCorrect', { name, word }) : t('replay.moves.guessWrong', { name, word })
+    }
+    return move.type === GAME_ACTIONS.TIMEOUT ? t('replay.moves.timeout', { name }) : t('replay.moves.skip', { name })
+  }
+
+  /**
+   * Обновление кадра без перерисовки окна (ползунок не теряет фокус при перемотке)
+   */
+  renderFrame() {
+    if (!this.isVisible || !this.grid) return
+
+    const frame = this.frames[this.index]
+    const { state, move } = frame
+    const board = this.getFrameBoard(frame)
+    const total = this.frames.length - 1
+
+    this.grid.updateBoard(board)
+    if (move?.type === GAME_ACTIONS.REVEAL) {
+      this.grid.highlightCell(move.row, move.col)
+    }
+
+    const boardLabel = this.container.querySelector('.replay__board')
+    if (boardLabel) {
+      const isCustom = state.word_mode === GAME_CONFIG.WORD_MODES.CUSTOM
+      const boardOwner = GameEngine.getOpponentNumber(move?.player || state.current_player)
+      boardLabel.textContent = isCustom ? t('replay.board', { name: this.getPlayerName(boardOwner) }) : ''
+      boardLabel.hidden = !isCustom
+    }
+
+    this.container.querySelector('.replay__move').innerHTML = this.describeMove(frame, board)
+    this.container.querySelector('.replay__counter').textContent = t('replay.counter', { current: this.index, total })
+    this.container.querySelector('.replay__score').textContent = `${state.player1_score} : ${state.player2_score}`
+
+    const scrub = this.container.querySelector('.replay__scrub')
+    scrub.value = String(this.index)
+
+    const playBtn = this.container.querySelector('.replay__btn--play')
+    playBtn.textContent = this.isPlaying() ? '⏸' : '▶'
+    playBtn.title = this.isPlaying() ? t('replay.pause') : t('replay.play')
+    this.container.querySelector('.replay__btn--first').disabled = this.index === 0
+    this.container.querySelector('.replay__btn--prev').disabled = this.index === 0
+    this.container.querySelector('.replay__btn--next').disabled = this.index === total
+    this.container.querySelector('.replay__btn--last').disabled = this.index === total
+  }
+
+  render() {
+    if (!this.isVisible) {
+      return
+    }
+
+    this.container.innerHTML = `
+      <div class="replay-overlay">
+        <div class="replay" role="dialog" aria-label="${t('replay.title')}">
+          <div class="replay__header">
+            <h2 class="replay__title">${t('replay.title')}</h2>
+            <button type="button" class="replay__close" title="${t('replay.close')}" data-exclude-gestures="true">×</button>
+          </div>
+          <div class="replay__players">
+            <span class="replay__player">${this.getPlayerName(1)}</span>
+            <span class="replay__score"></span>
+            <span class="replay__player">${this.getPlayerName(2)}</span>
+          </div>
+          <div class="replay__board" hidden></div>
+          <div id="replay-grid-container" class="replay__grid"></div>
+          <p class="replay__move" aria-live="polite"></p>
+          <input
+            type="range"
+            class="replay__scrub"
+            min="0"
+            max="${this.frames.length - 1}"
+            step="1"
+            aria-label="${t('replay.scrub')}"
+            data-exclude-gestures="true"
+          />
+          <div class="replay__controls">
+            <button type="button" class="replay__btn replay__btn--first" title="${t('replay.first')}" data-exclude-gestures="true">⏮</button>
+            <button type="button" class="replay__btn replay__btn--prev" title="${t('replay.prev')}" data-exclude-gestures="true">◀</button>
+            <button type="button" class="replay__btn replay__btn--play" data-exclude-gestures="true">▶</button>
+            <button type="button" class="replay__btn replay__btn--next" title="${t('replay.next')}" data-exclude-gestures="true">▶▶</button>
+            <button type="button" class="replay__btn replay__btn--last" title="${t('replay.last')}" data-exclude-gestures="true">⏭</button>
+          </div>
+          <span class="replay__counter"></span>
+        </div>
+      </div>
+    `
+
+    this.grid = new GameGrid('replay-grid-container')
+    this.attachEventListeners()
+    this.renderFrame()
+  }
+
+  attachEventListeners() {
+    this.container.querySelector('.replay__close').addEventListener('click', () => {
+      logger.info('Повтор партии закрыт')
+      this.hide()
+      if (this.onClose) {
+        this.onClose()
+      }
+    })
+
+    this.container.querySelector('.replay__btn--play').addEventListener('click', () => {
+      if (this.isPlaying()) {
+        this.pause()
+      } else {
+        this.play()
+      }
+    })
+
+    this.container.querySelector('.replay__btn--first').addEventListener('click', () => this.step(-this.index))
+    this.container.querySelector('.replay__btn--prev').addEventListener('click', () => this.step(-1))
+    this.container.querySelector('.replay__btn--next').addEventListener('click', () => this.step(1))
+    this.container.querySelector('.replay__btn--last').addEventListener('click', () => this.step(this.frames.length))
+
+    const scrub = this.container.querySelector('.replay__scrub')
+    scrub.addEventListener('input', () => {
+      this.pause()
+      this.seek(Number(scrub.value))
+    })
+  }
+
+  setCloseHandler(callback) {
+    this.onClose = callback
+  }
+
+  isOpen() {
+    return this.isVisible
+  }
+
+  destroy() {
+    this.hide()
+    this.onClose = null
+  }
+}
@@ -0,0 +1,104 @@
+import { logger } from '../utils/logger.js'
+import { t } from '../i18n/i18n.js'
+
+/**
+ * Окно "Продолжить игру?" при запуске, если сохранено несколько незавершенных игр
+ */
+export class ResumePrompt {
+  constructor(containerId) {
+    this.container = document.getElementById(containerId)
+    if (!this.container) {
+      throw new Error(`Container ${containerId} not found`)
+    }
+    this.isVisible = false
+    this.items = []
+    this.onResume = null
+    this.onDismiss = null
+  }
+
+  /**
+   * @param {Array<{roomId: string, title: string, details: string}>} items - Игры для продолжения
+   */
+  show(items) {
+    logger.info('Показ предложения продолжить игру', { count: items.length })
+    this.items = items
+    this.isVisible = true
+    this.render()
+  }
+
+  hide() {
+    this.isVisible = false
+    this.container.innerHTML = ''
+  }
+
+  render() {
+    if (!this.isVisible) {
+      return
+    }
+
+    this.container.innerHTML = `
+      <div class="resume-overlay">
+        <div class="resume">
+          <h2 class="resume__title">${t('resume.title')}</h2>
+          <p class="resume__text">${t('resume.text')}</p>
+          <ul class="resume__list">
+            ${this.items.map(item => `
+              <li class="resume__item">
+                <div class="resume__info">
+                  <span class="resume__name">${item.title}</span>
+                  <span class="resume__details">${item.details}</span>
+                </div>
+                <button class="resume__btn" data-room-id="${item.roomId}">${t('resume.continue')}</button>
+              </li>
+            `).join('')}
+          </ul>
+          <button id="resume-dismiss-btn" class="resume__dismiss">${t('resume.dismiss')}</button>
+        </div>
+      </div>
+    `
+
+    this.attachEventListeners()
+  }
+
+  attachEventListeners() {
+    this.container.querySelectorAll('.resume__btn').forEach(button => {
+      button.addEventListener('click', () => {
+        const roomId = button.dataset.roomId
+        logger.info('Выбрана игра для продолжения', { roomId })
+        this.hide()
+        if (this.onResume) {
+          this.onResume(roomId)
+        }
+      })
+    })
+
+    const dismissBtn = this.container.querySelector('#resume-dismiss-btn')
+    if (dismissBtn) {
+      dismissBtn.addEventListener('click', () => {
+        logger.info('Продолжение игры отклонено')
+        this.hide()
+        if (this.onDismiss) {
+          this.onDismiss()
+        }
+      })
+    }
+  }
+
+  setResumeHandler(callback) {
+    this.onResume = callback
+  }
+
+  setDismissHandler(callback) {
+    this.onDismiss = callback
+  }
+
+  isOpen() {
+    return this.isVisible
+  }
+
+  destroy() {
+    this.hide()
+    this.onResume = null
+    this.onDismiss = null
+  }
+}
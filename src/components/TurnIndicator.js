@@ -1,4 +1,40 @@
 import { logger } from '../utils/logger.js'
+import { sanitizeString } from '../utils/validation.js'
+import { GameEngine, GAME_ACTIONS } from '../services/GameEngine.js'
+import { ALPHABET_CONFIG, GAME_CONFIG, UI_CONFIG } from '../config/constants.js'
+import { i18n, t } from '../i18n/i18n.js'
+
+const { ONLINE, AWAY, DISCONNECTED } = GAME_CONFIG.PRESENCE_STATUS
+
+/**
+ * Описание хода из очереди: клетка (строка:столбец с единицы), слово или пропуск
+ */
+function describePendingAction(action) {
+  if (action.type === GAME_ACTIONS.REVEAL) {
+    return t('turn.pendingCell', { row: action.payload.row + 1, col: action.payload.col + 1 })
+  }
+  if (action.type === GAME_ACTIONS.GUESS) return t('turn.pendingWord', { word: sanitizeString(action.payload.word) })
+  return t('turn.pendingSkip')
+}
+
+// Ключи строк статуса соперника
+const PRESENCE_LABELS = {
+  [ONLINE]: 'turn.presenceOnline',
+  [AWAY]: 'turn.presenceAway',
+  [DISCONNECTED]: 'turn.presenceDisconnected'
+}
+
+/**
+ * Время последней активности: часы и минуты, для прошлых дней еще и дата
+ */
+function formatLastSeen(timestamp) {
+  const date = new Date(timestamp)
+  const time = date.toLocaleTimeString(i18n.getIntlLocale(), { hour: '2-digit', minute: '2-digit' })
+  if (date.toDateString() === new Date().toDateString()) {
+    return time
+  }
+  return `${date.toLocaleDateString(i18n.getIntlLocale(), { day: 'numeric', month: 'short' })} ${time}`
+}
 
 export class TurnIndicator {
   constructor(containerId) {
@@ -13,6 +49,23 @@ export class TurnIndicator {
     this.player1Score = 0
     this.player2Score = 0
     this.gameStatus = 'waiting'
+    this.playerNames = { 1: null, 2: null }
+    this.wordCategory = null
+    this.alphabet = ALPHABET_CONFIG.DEFAULT
+    this.isSpectating = false
+    this.spectatorCount = 0
+    // Присутствие соперника: {status, lastSeen} или null, если неизвестно
+    this.opponentPresence = null
+    // Ходы, ожидающие отправки на сервер, и признак отсутствия сети
+    this.pendingActions = []
+    this.isOffline = false
+    // Таймер хода: срок из записи комнаты и уже отправленные по нему события
+    this.turnDeadline = null
+    this.timerId = null
+    this.warnedDeadline = null
+    this.expiredDeadline = null
+    this.onTimeWarning = null
+    this.onTimeExpired = null
     this.render()
   }
 
@@ -24,7 +77,15 @@ export class TurnIndicator {
     this.player1Score = gameState.player1_score || 0
     this.player2Score = gameState.player2_score || 0
     this.gameStatus = gameState.status
+    this.wordCategory = gameState.word_category || null
+    this.alphabet = gameState.alphabet || ALPHABET_CONFIG.DEFAULT
+    this.playerNames = {
+      1: GameEngine.getNickname(gameState, 1),
+      2: GameEngine.getNickname(gameState, 2)
+    }
+    this.turnDeadline = gameState.status === 'active' ? gameState.turn_deadline || null : null
     this.render()
+    this.syncTimer()
   }
 
   setCurrentUser(userId) {
@@ -32,24 +93,166 @@ export class TurnIndicator {
     this.render()
   }
 
-  isCurrentUserTurn() {
-    if (!this.currentUserId || !this.currentPlayer) {
-      return false
+  /**
+   * Режим зрителя: вместо "Ваш ход" показываем, кто ходит, и пометку о просмотре
+   * @param {boolean} spectating
+   */
+  setSpectating(spectating) {
+    this.isSpectating = spectating
+    this.render()
+  }
+
+  /**
+   * Количество зрителей комнаты (presence канала)
+   * @param {number} count
+   */
+  setSpectatorCount(count) {
+    this.spectatorCount = count
+    this.render()
+  }
+
+  /**
+   * Статус соперника (presence канала комнаты)
+   * @param {{status: string, lastSeen: number|null}|null} presence - status из GAME_CONFIG.PRESENCE_STATUS
+   */
+  setOpponentPresence(presence) {
+    const current = this.opponentPresence
+    if (current?.status === presence?.status && current?.lastSeen === presence?.lastSeen) return
+    this.opponentPresence = presence
+    this.render()
+  }
+
+  /**
+   * Ходы из очереди, еще не отправленные на сервер
+   * @param {Array<object>} actions - Записи очереди ходов
+   * @param {boolean} isOffline - Последняя попытка отправки не удалась из-за сети
+   */
+  setPendingActions(actions, isOffline) {
+    this.pendingActions = actions
+    this.isOffline = isOffline
+    this.render()
+  }
+
+  renderPendingActions() {
+    if (this.pendingActions.length === 0) return ''
+
+    const title = this.isOffline ? t('turn.pendingOffline') : t('turn.pendingSending')
+    return `
+      <div class="turn-indicator__pending ${this.isOffline ? 'turn-indicator__pending--offline' : ''}">
+        ⏳ ${title}: ${this.pendingActions.map(describePendingAction).join(', ')}
+      </div>
+    `
+  }
+
+  renderPresence() {
+    const presence = this.opponentPresence
+    if (!presence || this.gameStatus !== 'active') return ''
+
+    // Для игрока в сети время активности не показываем: оно обновляется только с heartbeat
+    const lastSeen = presence.status !== ONLINE && presence.lastSeen
+      ? `<span class="turn-indicator__presence-seen">${t('turn.lastSeen', { time: formatLastSeen(presence.lastSeen) })}</span>`
+      : ''
+
+    return `
+      <div class="turn-indicator__presence turn-indicator__presence--${presence.status}">
+        <span class="turn-indicator__presence-dot"></span>
+        ${t(PRESENCE_LABELS[presence.status])}
+        ${lastSeen}
+      </div>
+    `
+  }
+
+  /**
+   * Никнейм игрока из записи комнаты, без никнейма - "Игрок 1"/"Игрок 2"
+   */
+  getPlayerName(playerNumber) {
+    return sanitizeString(this.playerNames[playerNumber]) || t('common.player', { number: playerNumber })
+  }
+
+  /**
+   * Обработчик предупреждения о скором конце хода
+   * @param {Function} callback - (currentPlayer) => void
+   */
+  setTimeWarningHandler(callback) {
+    this.onTimeWarning = callback
+  }
+
+  /**
+   * Обработчик истечения времени хода, вызывается один раз на каждый срок
+   * @param {Function} callback - (turnDeadline) => void
+   */
+  setTimeExpiredHandler(callback) {
+    this.onTimeExpired = callback
+  }
+
+  syncTimer() {
+    if (this.turnDeadline && !this.timerId) {
+      this.timerId = setInterval(() => this.tick(), UI_CONFIG.TURN_TIMER_TICK)
+    } else if (!this.turnDeadline) {
+      this.stopTimer()
+    }
+  }
+
+  stopTimer() {
+    if (this.timerId) {
+      clearInterval(this.timerId)
+      this.timerId = null
+    }
+  }
+
+  tick() {
+    const timeLeft = GameEngine.getTurnTimeLeft(this.getGameState())
+    if (timeLeft === null) {
+      this.stopTimer()
+      return
     }
-    if (this.currentPlayer === 1 && this.currentUserId === this.player1Id) {
-      return true
+
+    this.updateTimerDisplay(timeLeft)
+
+    const deadline = this.turnDeadline
+    if (timeLeft > 0 && timeLeft <= UI_CONFIG.TURN_TIMER_WARNING * 1000 && this.warnedDeadline !== deadline) {
+      this.warnedDeadline = deadline
+      if (this.onTimeWarning) {
+        this.onTimeWarning(this.currentPlayer)
+      }
     }
-    if (this.currentPlayer === 2 && this.currentUserId === this.player2Id) {
-      return true
+
+    if (timeLeft === 0 && this.expiredDeadline !== deadline) {
+      this.expiredDeadline = deadline
+      logger.info('Время хода истекло', { deadline, currentPlayer: this.currentPlayer })
+      if (this.onTimeExpired) {
+        this.onTimeExpired(deadline)
+      }
     }
-    return false
+  }
+
+  updateTimerDisplay(timeLeft) {
+    const timer = this.container.querySelector('.turn-indicator__timer')
+    if (!timer) return
+
+    const totalSeconds = Math.ceil(timeLeft / 1000)
+    const minutes = Math.floor(totalSeconds / 60)
+    const seconds = String(totalSeconds % 60).padStart(2, '0')
+    timer.querySelector('.turn-indicator__timer-value').textContent = `${minutes}:${seconds}`
+    timer.classList.toggle('turn-indicator__timer--warning', totalSeconds <= UI_CONFIG.TURN_TIMER_WARNING)
+  }
+
+  getGameState() {
+    return {
+      player1_id: this.player1Id,
+      player2_id: this.player2Id,
+      current_player: this.currentPlayer,
+      status: this.gameStatus,
+      turn_deadline: this.turnDeadline
+    }
+  }
+
+  isCurrentUserTurn() {
+    return GameEngine.isPlayerTurn(this.getGameState(), this.currentUserId)
   }
 
   getCurrentUserPlayerNumber() {
-    if (!this.currentUserId) return null
-    if (this.currentUserId === this.player1Id) return 1
-    if (this.currentUserId === this.player2Id) return 2
-    return null
+    return GameEngine.getPlayerNumber(this.getGameState(), this.currentUserId)
   }
 
   render() {
@@ -58,19 +261,28 @@ export class TurnIndicator {
 
     let statusText = ''
     let statusClass = ''
+    const categoryLabel = this.wordCategory ? t(`dictionary.categories.${this.wordCategory}`) : null
+    // Алфавит показываем, только если он отличается от обычного
+    const alphabetLabel = this.alphabet && this.alphabet !== ALPHABET_CONFIG.DEFAULT
+      ? t(`alphabets.${this.alphabet}.label`)
+      : null
 
     if (this.gameStatus === 'waiting') {
-      statusText = 'Ожидание второго игрока...'
+      statusText = t('turn.waiting')
       statusClass = 'turn-indicator--waiting'
     } else if (this.gameStatus === 'finished') {
-      statusText = 'Игра завершена'
+      statusText = t('turn.finished')
       statusClass = 'turn-indicator--finished'
     } else if (this.gameStatus === 'active') {
-      if (isMyTurn) {
-        statusText = 'Ваш ход!'
+      if (userPlayerNumber === null && this.currentPlayer) {
+        // Общее устройство: показываем, чей сейчас ход
+        statusText = t('turn.playerTurn', { name: this.getPlayerName(this.currentPlayer) })
+        statusClass = 'turn-indicator--your-turn'
+      } else if (isMyTurn) {
+        statusText = t('turn.yourTurn')
         statusClass = 'turn-indicator--your-turn'
       } else {
-        statusText = 'Ход соперника'
+        statusText = t('turn.opponentTurn')
         statusClass = 'turn-indicator--opponent-turn'
       }
     }
@@ -80,11 +292,32 @@ export class TurnIndicator {
         <div class="turn-indicator__status">
           ${statusText}
         </div>
+        ${this.renderPresence()}
+        ${this.renderPendingActions()}
+        ${this.isSpectating ? `
+          <div class="turn-indicator__spectators">${t('turn.spectating')}</div>
+        ` : ''}
+        ${this.spectatorCount > 0 ? `
+          <div class="turn-indicator__spectators" title="${t('turn.spectatorsTitle')}">
+            👀 ${t('turn.spectators', { count: this.spectatorCount })}
+          </div>
+        ` : ''}
+        ${this.turnDeadline ? `
+          <div class="turn-indicator__timer" title="${t('turn.timerTitle')}">
+            ⏱️ <span class="turn-indicator__timer-value"></span>
+          </div>
+        ` : ''}
+        ${categoryLabel ? `
+          <div class="turn-indicator__category">${t('turn.category', { category: categoryLabel })}</div>
+        ` : ''}
+        ${alphabetLabel ? `
+          <div class="turn-indicator__category">${t('turn.alphabet', { alphabet: alphabetLabel })}</div>
+        ` : ''}
         ${this.gameStatus === 'active' || this.gameStatus === 'finished' ? `
           <div class="turn-indicator__scores">
             <div class="turn-indicator__player ${userPlayerNumber === 1 ? 'turn-indicator__player--you' : ''}">
               <span class="turn-indicator__player-label">
-                Игрок 1 ${userPlayerNumber === 1 ? '(Вы)' : ''}
+                ${this.getPlayerName(1)} ${userPlayerNumber === 1 ? t('common.you') : ''}
               </span>
               <span class="turn-indicator__score ${this.currentPlayer === 1 ? 'turn-indicator__score--active' : ''}">
                 ${this.player1Score}
@@ -93,7 +326,7 @@ export class TurnIndicator {
             <div class="turn-indicator__separator">:</div>
             <div class="turn-indicator__player ${userPlayerNumber === 2 ? 'turn-indicator__player--you' : ''}">
               <span class="turn-indicator__player-label">
-                Игрок 2 ${userPlayerNumber === 2 ? '(Вы)' : ''}
+                ${this.getPlayerName(2)} ${userPlayerNumber === 2 ? t('common.you') : ''}
               </span>
               <span class="turn-indicator__score ${this.currentPlayer === 2 ? 'turn-indicator__score--active' : ''}">
                 ${this.player2Score}
@@ -103,9 +336,15 @@ export class TurnIndicator {
         ` : ''}
       </div>
     `
+
+    const timeLeft = GameEngine.getTurnTimeLeft(this.getGameState())
+    if (timeLeft !== null) {
+      this.updateTimerDisplay(timeLeft)
+    }
   }
 
   destroy() {
+    this.stopTimer()
     this.container.innerHTML = ''
   }
 }
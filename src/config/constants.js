@@ -31,6 +31,105 @@ export const GAME_CONFIG = {
   PLAYERS: {
     PLAYER_1: 1,
     PLAYER_2: 2
+  },
+
+  // Режимы игры
+  MODES: {
+    ONLINE: 'online',
+    COMPUTER: 'computer',
+    HOTSEAT: 'hotseat',
+    SPECTATE: 'spectate'
+  },
+
+  // Ограничение времени на ход (секунды); без ограничения - null
+  TURN_TIME_LIMIT: {
+    MIN: 10,
+    MAX: 600
+  },
+
+  // Роли участников канала комнаты (presence)
+  ROOM_ROLES: {
+    PLAYER: 'player',
+    SPECTATOR: 'spectator'
+  },
+
+  // Статусы участников комнаты: вкладка открыта, скрыта или соединение потеряно
+  PRESENCE_STATUS: {
+    ONLINE: 'online',
+    AWAY: 'away',
+    DISCONNECTED: 'disconnected'
+  },
+
+  // Источник загаданного слова: случайное из словаря или свои слова игроков
+  WORD_MODES: {
+    RANDOM: 'random',
+    CUSTOM: 'custom'
+  },
+
+  // ID игроков в режиме "на одном устройстве"
+  HOTSEAT_PLAYER_IDS: {
+    1: 'hotseat-player-1',
+    2: 'hotseat-player-2'
+  }
+}
+
+/**
+ * Настройки компьютерного соперника
+ */
+export const BOT_CONFIG = {
+  DEFAULT_DIFFICULTY: 'medium',
+
+  // ID компьютерного игрока в локальной сессии
+  PLAYER_ID: 'computer',
+
+  // Задержка "обдумывания" хода (мс)
+  THINK_DELAY: 900,
+
+  // Параметры уровней сложности:
+  // guessThreshold - максимум подходящих слов, при котором бот рискует угадывать
+  // vocabularyShare - доля словаря, известная боту
+  // hesitation - вероятность пропустить ход вместо попытки угадать
+  DIFFICULTIES: {
+    easy: { guessThreshold: 1, vocabularyShare: 0.6, hesitation: 0.4 },
+    medium: { guessThreshold: 2, vocabularyShare: 0.85, hesitation: 0.15 },
+    hard: { guessThreshold: 3, vocabularyShare: 1, hesitation: 0 }
+  }
+}
+
+/**
+ * Настройки словаря
+ */
+export const DICTIONARY_CONFIG = {
+  // Значение фильтра "любая сложность / любая тема"
+  ANY: 'any',
+
+  // Сложность по частотности слова (употреблений на миллион слов):
+  // слово относится к первому уровню, чей minFrequency не больше его частотности.
+  // Пороги совпадают с колонкой words.difficulty на сервере
+  DIFFICULTIES: {
+    easy: { minFrequency: 40 },
+    medium: { minFrequency: 10 },
+    hard: { minFrequency: 0 }
+  },
+
+  // Тематические категории (названия - в бандлах локализации, dictionary.categories)
+  CATEGORIES: ['animals', 'food', 'cities', 'nature', 'home', 'transport', 'misc']
+}
+
+/**
+ * Алфавиты слов
+ * Алфавит выбирается при создании комнаты и задает проверку слов, словарь и нормализацию ввода:
+ * слово приводится к верхнему регистру по правилам locale, символы ignored удаляются
+ * (апостроф в украинских словах не занимает клетку). Правила совпадают с _normalize_word
+ * и проверкой words_word_format на сервере
+ */
+export const ALPHABET_CONFIG = {
+  DEFAULT: 'ru',
+
+  ALPHABETS: {
+    ru: { pattern: /^[А-ЯЁ]+$/, locale: 'ru-RU', ignored: null },
+    uk: { pattern: /^[А-ЩЬЮЯҐЄІЇ]+$/, locale: 'uk-UA', ignored: /['’ʼ]/g },
+    en: { pattern: /^[A-Z]+$/, locale: 'en-US', ignored: null }
   }
 }
 
@@ -43,6 +142,10 @@ export const UI_CONFIG = {
   ERROR_TIMEOUT: 5000,
   SUCCESS_TIMEOUT: 2000,
   
+  // Таймер хода: предупреждение за N секунд до конца и период обновления (мс)
+  TURN_TIMER_WARNING: 10,
+  TURN_TIMER_TICK: 1000,
+
   // Анимации
   FADE_DURATION: 300,
   SLIDE_DURATION: 250,
@@ -76,7 +179,100 @@ export const NETWORK_CONFIG = {
   
   // Интервалы опроса
   POLLING_INTERVAL: 5000,
-  HEARTBEAT_INTERVAL: 30000
+  HEARTBEAT_INTERVAL: 30000,
+
+  // Переподключение Realtime: верхняя граница задержки между попытками
+  RECONNECT_MAX_DELAY: 30000,
+
+  // Состояние Realtime соединения комнаты
+  CONNECTION_STATUS: {
+    CONNECTED: 'connected',
+    RECONNECTING: 'reconnecting'
+  }
+}
+
+/**
+ * Сохранение активных игр между перезагрузками страницы
+ */
+export const SESSION_CONFIG = {
+  // Ключ localStorage со списком комнат
+  STORAGE_KEY: 'guess-word-online:sessions',
+
+  // Сколько комнат помнить и как долго (мс); старые комнаты все равно удаляет cleanup_old_games
+  MAX_SESSIONS: 5,
+  MAX_AGE: 24 * 60 * 60 * 1000
+}
+
+// Профиль игрока на этом устройстве
+export const PROFILE_CONFIG = {
+  // Ключ localStorage с профилем {nickname, chatMuted}
+  STORAGE_KEY: 'guess-word-online:profile'
+}
+
+/**
+ * Чат комнаты: broadcast сообщения канала Realtime, в БД не сохраняются
+ */
+export const CHAT_CONFIG = {
+  // Длина сообщения и сколько последних сообщений держать в панели
+  MAX_MESSAGE_LENGTH: 200,
+  MAX_HISTORY: 50,
+
+  // Быстрые реакции
+  REACTIONS: ['👍', '😮', '😂'],
+
+  // Не больше MAX_MESSAGES сообщений и реакций за WINDOW мс: для своих и для входящих от каждого участника
+  RATE_LIMIT: {
+    MAX_MESSAGES: 5,
+    WINDOW: 10000
+  },
+
+  // Сколько показывается всплывающее сообщение на мобильных (мс)
+  TOAST_DURATION: 4000
+}
+
+/**
+ * История сыгранных партий и их повтор
+ */
+export const HISTORY_CONFIG = {
+  // Ключ localStorage с историей {roomId, mode, finishedAt, state, moves}
+  STORAGE_KEY: 'guess-word-online:history',
+
+  // Сколько последних партий помнить
+  MAX_GAMES: 10,
+
+  // Пауза между ходами при воспроизведении (мс)
+  PLAYBACK_INTERVAL: 1200
+}
+
+/**
+ * Очередь ходов, не отправленных из-за потери связи
+ */
+export const OUTBOX_CONFIG = {
+  // Ключ localStorage с очередью
+  STORAGE_KEY: 'guess-word-online:outbox',
+
+  // Пауза между попытками отправить очередь без сети (мс)
+  RETRY_INTERVAL: 5000,
+
+  // Ход старше этого срока (мс) не отправляется: партия за это время ушла вперед
+  MAX_AGE: 10 * 60 * 1000
+}
+
+/**
+ * Настройки backend
+ */
+export const BACKEND_CONFIG = {
+  // Тип backend: 'supabase' - Supabase проект, 'local' - in-memory (без сети)
+  TYPE: import.meta.env.VITE_GAME_BACKEND || 'supabase',
+
+  // Доступные реализации
+  TYPES: {
+    SUPABASE: 'supabase',
+    LOCAL: 'local'
+  },
+
+  // Задержка доставки событий in-memory backend (мс), имитирует Realtime
+  LOCAL_EVENT_DELAY: 0
 }
 
 /**
@@ -93,36 +289,24 @@ export const VALIDATION_CONFIG = {
   // Регулярные выражения
   REGEX: {
     UUID: /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i,
-    WORD: /^[а-яё]+$/i,
     SAFE_STRING: /^[a-zA-Zа-яёА-ЯЁ0-9\s-_]+$/
   }
 }
 
 /**
- * Текстовые сообщения
+ * Локализация интерфейса
  */
-export const MESSAGES = {
-  ERRORS: {
-    NETWORK_ERROR: 'Ошибка сети. Проверьте подключение к интернету.',
-    ROOM_NOT_FOUND: 'Комната не найдена. Проверьте правильность ID.',
-    GAME_FULL: 'В игре уже максимальное количество игроков.',
-    INVALID_MOVE: 'Недопустимый ход. Попробуйте еще раз.',
-    SESSION_EXPIRED: 'Сессия истекла. Перезагрузите страницу.',
-    VALIDATION_ERROR: 'Некорректные данные. Проверьте ввод.'
-  },
-  
-  SUCCESS: {
-    GAME_CREATED: 'Игра создана успешно!',
-    PLAYER_JOINED: 'Противник присоединился! Игра начинается!',
-    WORD_GUESSED: 'Правильно! Вы угадали слово!',
-    ROOM_COPIED: 'ID комнаты скопирован в буфер обмена!'
-  },
-  
-  INFO: {
-    WAITING_PLAYER: 'Ожидание второго игрока...',
-    YOUR_TURN: 'Ваш ход',
-    OPPONENT_TURN: 'Ход противника',
-    GAME_OVER: 'Игра окончена'
+export const I18N_CONFIG = {
+  // Ключ localStorage с выбранным языком
+  STORAGE_KEY: 'guess-word-online:locale',
+
+  // Язык по умолчанию и запасной для отсутствующих переводов
+  DEFAULT_LOCALE: 'ru',
+
+  // Доступные языки: название в переключателе и локаль для Intl
+  LOCALES: {
+    ru: { label: 'Русский', intl: 'ru-RU' },
+    en: { label: 'English', intl: 'en-US' }
   }
 }
 
@@ -0,0 +1,290 @@
+/**
+ * Словарь игры: слова по алфавитам (ALPHABET_CONFIG) и тематическим категориям
+ * Каждое слово задано парой [слово, частотность], частотность - примерное число
+ * употреблений на миллион слов (ipm), по ней определяется сложность (DICTIONARY_CONFIG)
+ * Совпадает с таблицей words (supabase/migrations)
+ */
+export const WORD_LISTS = {
+  ru: {
+    animals: [
+      // 5 букв
+      ['КОШКА', 60], ['ПТИЦА', 80], ['ПЕТУХ', 20], ['ОЛЕНЬ', 20], ['ЩЕНОК', 20], ['МЫШКА', 15],
+      ['ЗЕБРА', 4], ['ЖИРАФ', 3], ['ХОМЯК', 5], ['БОБЕР', 4],
+      // 6 букв
+      ['СОБАКА', 80], ['ЛОШАДЬ', 80], ['КУРИЦА', 35], ['КОРОВА', 20], ['ВОРОНА', 15], ['КРОЛИК', 15],
+      ['ЛЕБЕДЬ', 15], ['ЛИСИЦА', 8], ['СОРОКА', 6], ['БАРСУК', 3], ['ТЮЛЕНЬ', 3], ['МЕДУЗА', 3],
+      ['ЖИРАФЫ', 2],
+      // 7 букв
+      ['МЕДВЕДЬ', 45], ['ЛЯГУШКА', 15], ['ВОРОБЕЙ', 12], ['КОТЕНОК', 10], ['ПОПУГАЙ', 10],
+      ['ВЕРБЛЮД', 8], ['БАБОЧКИ', 6], ['ДЕЛЬФИН', 5], ['ЖУРАВЛЬ', 5], ['ПИНГВИН', 4], ['БЕГЕМОТ', 4],
+      ['МУРАВЕЙ', 4], ['ПАНТЕРА', 3], ['КЕНГУРУ', 3], ['НОСОРОГ', 2],
+      // 8 букв
+      ['ЛАСТОЧКА', 8], ['ЧЕРЕПАХА', 8], ['КРОКОДИЛ', 6], ['ЦЫПЛЕНОК', 6], ['КУЗНЕЧИК', 3],
+      ['ГУСЕНИЦА', 3], ['СКОРПИОН', 3], ['МАРТЫШКА', 3], ['ОСЬМИНОГ', 2]
+    ],
+    food: [
+      // 5 букв
+      ['МАСЛО', 40], ['САЛАТ', 25], ['ПИРОГ', 15], ['ЛИМОН', 15], ['ЯГОДА', 15], ['ПЕРЕЦ', 10],
+      ['БУЛКА', 10], ['ОРЕХИ', 10], ['ГРУША', 8], ['ВИШНЯ', 8], ['АРБУЗ', 6], ['БАНАН', 6],
+      ['ТЫКВА', 6], ['СЛИВА', 6], ['БАТОН', 5], ['КЕФИР', 4], ['ОМЛЕТ', 4], ['ВАФЛЯ', 2],
+      // 6 букв
+      ['МОЛОКО', 40], ['ЯБЛОКО', 20], ['МАЛИНА', 10], ['ОГУРЕЦ', 8], ['ТВОРОГ', 8], ['ЧЕСНОК', 8],
+      ['КОМПОТ', 5], ['ШАШЛЫК', 5], ['ПРЯНИК', 4], ['ФАСОЛЬ', 3], ['КИСЕЛЬ', 3], ['ОЛАДЬИ', 3],
+      ['ЙОГУРТ', 2],
+      // 7 букв
+      ['ШОКОЛАД', 20], ['КОЛБАСА', 15], ['КАПУСТА', 12], ['ВАРЕНЬЕ', 10], ['СМЕТАНА', 10],
+      ['КОНФЕТА', 8], ['МОРКОВЬ', 8], ['БУЛОЧКА', 8], ['ПЕЧЕНЬЕ', 7], ['КОТЛЕТЫ', 6], ['СОСИСКА', 5],
+      ['ЯИЧНИЦА', 5], ['ГОРОШЕК', 4], ['БЛИНЧИК', 3], ['СЫРНИКИ', 2], ['РЕДИСКА', 2],
+      // 8 букв
+      ['КАРТОШКА', 12], ['ВИНОГРАД', 10], ['ПОМИДОРЫ', 8], ['ПЕЛЬМЕНИ', 6], ['МАКАРОНЫ', 6],
+      ['КЛУБНИКА', 6], ['МАНДАРИН', 5], ['АПЕЛЬСИН', 5], ['БАКЛАЖАН', 2], ['ВАТРУШКА', 2]
+    ],
+    cities: [
+      // 5 букв
+      ['ПАРИЖ', 40], ['МИНСК', 15], ['ПРАГА', 15], ['ТОКИО', 10], ['ПЕКИН', 10], ['ПЕРМЬ', 8],
+      ['КУРСК', 8], ['КИРОВ', 8], ['АФИНЫ', 8], ['ТОМСК', 6], ['ПСКОВ', 6], ['ТВЕРЬ', 5],
+      ['МИЛАН', 5], ['ПЕНЗА', 4], ['ЦЮРИХ', 3], ['ОСАКА', 2], ['АНАПА', 2],
+      // 6 букв
+      ['МОСКВА', 300], ['ЛОНДОН', 40], ['БЕРЛИН', 40], ['КАЗАНЬ', 12], ['САМАРА', 8], ['МАДРИД', 8],
+      ['ЕРЕВАН', 6], ['РЯЗАНЬ', 6], ['ЖЕНЕВА', 6], ['КАЛУГА', 5], ['ЧИКАГО', 5], ['ТАЛЛИН', 5],
+      ['ТЮМЕНЬ', 4], ['ТАМБОВ', 4], ['БОСТОН', 4], ['БРЯНСК', 3], ['ЛИПЕЦК', 3], ['ИЖЕВСК', 3],
+      ['ДУБЛИН', 3], ['ГАВАНА', 3], ['ОТТАВА', 2], ['СИДНЕЙ', 2], ['КРАКОВ', 2],
+      // 7 букв
+      ['ВАРШАВА', 15], ['ВОРОНЕЖ', 8], ['ТБИЛИСИ', 8], ['ВЕНЕЦИЯ', 8], ['САРАТОВ', 6],
+      ['ИРКУТСК', 6], ['СТАМБУЛ', 5], ['ВОЛОГДА', 4], ['НЕАПОЛЬ', 3], ['БАРНАУЛ', 3], ['КОЛОМНА', 3],
+      ['ТОРОНТО', 2], ['МАРСЕЛЬ', 2],
+      // 8 букв
+      ['НОВГОРОД', 10], ['СМОЛЕНСК', 8], ['КОСТРОМА', 5], ['МУРМАНСК', 5], ['ОРЕНБУРГ', 4],
+      ['БРЮССЕЛЬ', 4], ['ЛИССАБОН', 3], ['ТОБОЛЬСК', 2], ['ТАГАНРОГ', 2], ['МОНРЕАЛЬ', 2]
+    ],
+    nature: [
+      // 5 букв
+      ['ВЕТЕР', 90], ['ОЗЕРО', 40], ['ТРАВА', 60], ['ОКЕАН', 25], ['ТУМАН', 25], ['ГРОЗА', 20],
+      ['СКАЛА', 15], ['РЕЧКА', 15], ['ЗАКАТ', 12], ['ТУЧКА', 6], ['ТАЙГА', 4],
+      // 6 букв
+      ['СОЛНЦЕ', 120], ['ДЕРЕВО', 70], ['ОСТРОВ', 60], ['ЗВЕЗДА', 50], ['ПОГОДА', 50],
+      ['ЦВЕТОК', 30], ['КОСТЕР', 25], ['ЛИСТЬЯ', 20], ['БЕРЕЗА', 20], ['ОБЛАКО', 15], ['МОЛНИЯ', 15],
+      ['БОЛОТО', 10], ['ПЕЩЕРА', 10], ['РАДУГА', 8], ['МЕТЕЛЬ', 6], ['ВУЛКАН', 5], ['ЛИВЕНЬ', 5],
+      ['СУГРОБ', 4], ['ЛЕДНИК', 3], ['ЛАНДЫШ', 2], ['ЖЕЛУДЬ', 2],
+      // 7 букв
+      ['ПРИРОДА', 90], ['ПЛАНЕТА', 20], ['ПУСТЫНЯ', 15], ['ВЕРШИНА', 15], ['РАССВЕТ', 15],
+      ['ПАУТИНА', 8], ['РОМАШКА', 5], ['ВОДОПАД', 4], ['ОРХИДЕЯ', 2],
+      // 8 букв
+      ['ГОРИЗОНТ', 15], ['ТРОПИНКА', 5], ['СНЕГОПАД', 3], ['СНЕГОВИК', 2], ['ЛИСТОПАД', 2],
+      ['СОСУЛЬКА', 2]
+    ],
+    home: [
+      // 5 букв
+      ['ДВЕРЬ', 150], ['КНИГА', 250], ['КУХНЯ', 60], ['РУЧКА', 60], ['ДИВАН', 40], ['ЛАМПА', 35],
+      ['ЧАШКА', 35], ['ЛОЖКА', 20], ['ПОЛКА', 15], ['СВЕЧА', 15], ['ВАННА', 15], ['ВЕДРО', 10],
+      ['КОВЕР', 10], ['ЩЕТКА', 10], ['ВИЛКА', 8], ['КОМОД', 3],
+      // 6 букв
+      ['КАРМАН', 60], ['СТАКАН', 50], ['КРЕСЛО', 50], ['ВОРОТА', 40], ['ПАЛЬТО', 30], ['БАЛКОН', 20],
+      ['ЧАЙНИК', 15], ['ОДЕЯЛО', 15], ['РЮКЗАК', 10], ['ЗОНТИК', 8], ['ГВОЗДЬ', 8], ['КАРТОН', 8],
+      ['ИГОЛКА', 3],
+      // 7 букв
+      ['ТЕЛЕФОН', 150], ['КОМНАТА', 150], ['КАРТИНА', 70], ['ЗЕРКАЛО', 45], ['КРОВАТЬ', 40],
+      ['КОРОБКА', 30], ['ПОДУШКА', 25], ['ТАРЕЛКА', 25], ['ТЕТРАДЬ', 20], ['КОШЕЛЕК', 15],
+      ['МОЛОТОК', 10], ['БОТИНОК', 10], ['КОРЗИНА', 10], ['НОЖНИЦЫ', 8], ['БЛОКНОТ', 8],
+      ['ФОНАРИК', 6], ['ВЕШАЛКА', 5], ['ТАПОЧКИ', 5], ['ПЫЛЕСОС', 3],
+      // 8 букв
+      ['ЛЕСТНИЦА', 60], ['ПОРТФЕЛЬ', 20], ['КАРАНДАШ', 15], ['ЧЕМОДАНЫ', 10], ['ФУТБОЛКА', 6],
+      ['КАСТРЮЛЯ', 5], ['ШКАТУЛКА', 4], ['ТУМБОЧКА', 3]
+    ],
+    transport: [
+      // 5 букв
+      ['ПОЕЗД', 70], ['ТАКСИ', 40], ['МЕТРО', 45], ['ЛОДКА', 40], ['ВАГОН', 30], ['КАТЕР', 10],
+      ['САНКИ', 5], ['БАРЖА', 3], ['ПАРОМ', 3],
+      // 6 букв
+      ['МАШИНА', 200], ['РАКЕТА', 20], ['КАРЕТА', 15], ['ТЕЛЕГА', 8], ['ФУРГОН', 5], ['ЛАЙНЕР', 3],
+      ['ТАНКЕР', 2], ['СКУТЕР', 2],
+      // 7 букв
+      ['САМОЛЕТ', 70], ['КОРАБЛЬ', 55], ['АВТОБУС', 40], ['ТРАМВАЙ', 30], ['ПАРОХОД', 20],
+      ['ТРАКТОР', 15], ['ПАРОВОЗ', 10], ['САМОКАТ', 3], ['ЛИМУЗИН', 2],
+      // 8 букв
+      ['ВЕРТОЛЕТ', 20], ['МОТОЦИКЛ', 15], ['ГРУЗОВИК', 10], ['ТЕПЛОХОД', 5], ['ПОДЛОДКА', 3],
+      ['ПАРУСНИК', 2]
+    ],
+    misc: [
+      // 5 букв
+      ['СЛОВО', 500], ['ГОРОД', 300], ['ШКОЛА', 200], ['ПЕСНЯ', 80], ['РАДИО', 40], ['ЗАМОК', 30],
+      ['САПОГ', 10], ['РЫБАК', 8],
+      // 6 букв
+      ['ДОРОГА', 250], ['ГАЗЕТА', 90],
+      // 7 букв
+      ['ПОДАРОК', 40], ['БАРАБАН', 8],
+      // 8 букв
+      ['МАГАЗИНЫ', 40], ['КОЛОКОЛА', 10], ['АПТЕКАРЬ', 2], ['ТРАМПЛИН', 2]
+    ]
+  },
+  uk: {
+    animals: [
+      // 5 букв
+      ['КІШКА', 50], ['ПТАХИ', 20], ['ОЛЕНЬ', 15], ['ЗАЄЦЬ', 15], ['МИШКА', 10], ['ЖАБКА', 5],
+      ['БОБЕР', 4], ['ЗЕБРА', 3], ['ЖИРАФ', 3],
+      // 6 букв
+      ['СОБАКА', 60], ['КОРОВА', 20], ['КРОЛИК', 12], ['ЛИСИЦЯ', 10], ['ЛЕЛЕКА', 8], ['ПІВЕНЬ', 8],
+      ['ЛЕБІДЬ', 6], ['ПАПУГА', 5], ['КОШЕНЯ', 5],
+      // 7 букв
+      ['ВЕДМІДЬ', 40], ['МЕТЕЛИК', 10], ['ВЕРБЛЮД', 5], ['ДЕЛЬФІН', 4], ['ПІНГВІН', 3],
+      // 8 букв
+      ['ЛАСТІВКА', 8], ['ЧЕРЕПАХА', 6], ['ГОРОБЕЦЬ', 6], ['КРОКОДИЛ', 4]
+    ],
+    food: [
+      // 5 букв
+      ['МАСЛО', 30], ['ЛИМОН', 12], ['ЯГОДА', 12], ['ПИРІГ', 10], ['ГРУША', 8], ['ВИШНЯ', 8],
+      ['СЛИВА', 6], ['БАНАН', 5], ['КАВУН', 5],
+      // 6 букв
+      ['МОЛОКО', 40], ['ЯБЛУКО', 20], ['МАЛИНА', 8], ['ОГІРОК', 6], ['ЧАСНИК', 6], ['ПЕЧИВО', 5],
+      ['МОРКВА', 5], ['КОМПОТ', 3],
+      // 7 букв
+      ['КАПУСТА', 8], ['СМЕТАНА', 6], ['КОВБАСА', 6], ['ЦУКЕРКА', 5], ['ВАРЕНИК', 3],
+      // 8 букв
+      ['КАРТОПЛЯ', 15], ['ВИНОГРАД', 10], ['ПОМІДОРИ', 5], ['АПЕЛЬСИН', 5], ['МАНДАРИН', 4],
+      ['ПОЛУНИЦЯ', 4]
+    ],
+    cities: [
+      // 5 букв
+      ['ОДЕСА', 40], ['ЛЬВІВ', 40], ['ПАРИЖ', 20], ['ПРАГА', 10], ['РІВНЕ', 8], ['ЛУЦЬК', 8],
+      ['ТОКІО', 5], ['МІЛАН', 4],
+      // 6 букв
+      ['ХАРКІВ', 45], ['ЛОНДОН', 20], ['БЕРЛІН', 15], ['ХЕРСОН', 15], ['МАДРИД', 5],
+      // 7 букв
+      ['ПОЛТАВА', 15], ['ВАРШАВА', 12], ['ЖИТОМИР', 10], ['ВІННИЦЯ', 10], ['УЖГОРОД', 6],
+      ['ЧЕРКАСИ', 6], ['ЛІСАБОН', 2],
+      // 8 букв
+      ['МИКОЛАЇВ', 12], ['ЧЕРНІГІВ', 10], ['БРЮССЕЛЬ', 3]
+    ],
+    nature: [
+      // 5 букв
+      ['СОНЦЕ', 80], ['ВІТЕР', 50], ['ОЗЕРО', 30], ['ТРАВА', 30], ['РІЧКА', 30], ['ХМАРА', 15],
+      ['ГРОЗА', 10], ['ТУМАН', 10], ['ЗІРКА', 10], ['ЛИСТЯ', 10],
+      // 6 букв
+      ['ДЕРЕВО', 40], ['ПОГОДА', 30], ['ОСТРІВ', 20], ['КВІТКА', 15], ['БЕРЕЗА', 8],
+      // 7 букв
+      ['ПРИРОДА', 60], ['ВЕРШИНА', 10], ['ВЕСЕЛКА', 5], ['ПУСТЕЛЯ', 5],
+      // 8 букв
+      ['ГОРИЗОНТ', 10], ['СВІТАНОК', 8], ['ВОДОСПАД', 4], ['СНІГОПАД', 3]
+    ],
+    home: [
+      // 5 букв
+      ['ДВЕРІ', 60], ['КНИГА', 60], ['ВІКНО', 40], ['КУХНЯ', 20], ['ЛАМПА', 12], ['ДИВАН', 10],
+      ['ЧАШКА', 10], ['ЛОЖКА', 8], ['ЗОШИТ', 6],
+      // 6 букв
+      ['КРІСЛО', 15], ['БАЛКОН', 10], ['ПОЛИЦЯ', 8], ['КИШЕНЯ', 8], ['ЧАЙНИК', 6], ['КОВДРА', 5], ['НОЖИЦІ', 3],
+      // 7 букв
+      ['КІМНАТА', 60], ['ТЕЛЕФОН', 50], ['КАРТИНА', 20], ['ТАРІЛКА', 8], ['ПОДУШКА', 8],
+      ['КОРОБКА', 8], ['СКЛЯНКА', 6], ['ОЛІВЕЦЬ', 5],
+      // 8 букв
+      ['ДЗЕРКАЛО', 15], ['ПОРТФЕЛЬ', 5], ['КАСТРУЛЯ', 3], ['ПАРАСОЛЯ', 2]
+    ],
+    transport: [
+      // 5 букв
+      ['ПОЇЗД', 30], ['ЛІТАК', 25], ['МЕТРО', 20], ['ТАКСІ', 15], ['ВАГОН', 15], ['ЧОВЕН', 12],
+      ['ПОРОМ', 3],
+      // 6 букв
+      ['МАШИНА', 60], ['РАКЕТА', 8], ['КАРЕТА', 6], ['ФУРГОН', 3],
+      // 7 букв
+      ['АВТОБУС', 25], ['ТРАМВАЙ', 10], ['ТРАКТОР', 8], ['САМОКАТ', 3],
+      // 8 букв
+      ['КОРАБЕЛЬ', 20], ['МОТОЦИКЛ', 8], ['ТЕПЛОХІД', 3], ['ПАРОПЛАВ', 2]
+    ],
+    misc: [
+      // 5 букв
+      ['СЛОВО', 150], ['МІСТО', 120], ['ШКОЛА', 100], ['ПІСНЯ', 40], ['РАДІО', 25], ['ЗАМОК', 15],
+      // 6 букв
+      ['ДОРОГА', 100], ['МУЗИКА', 40], ['ГАЗЕТА', 30],
+      // 7 букв
+      ['ІСТОРІЯ', 80], ['ЗУСТРІЧ', 40], ['МАГАЗИН', 30], ['ПОДОРОЖ', 15], ['ПРИГОДА', 8],
+      ['БАРАБАН', 4],
+      // 8 букв
+      ['ЗАВДАННЯ', 60]
+    ]
+  },
+  en: {
+    animals: [
+      // 5 букв
+      ['HORSE', 100], ['MOUSE', 40], ['SHEEP', 30], ['TIGER', 20], ['EAGLE', 15], ['CAMEL', 5],
+      ['ZEBRA', 3], ['OTTER', 2],
+      // 6 букв
+      ['RABBIT', 20], ['MONKEY', 15], ['DONKEY', 8], ['TURTLE', 6], ['PARROT', 5], ['BEAVER', 3],
+      ['JAGUAR', 2],
+      // 7 букв
+      ['CHICKEN', 40], ['DOLPHIN', 5], ['PENGUIN', 4], ['GIRAFFE', 3], ['SPARROW', 3],
+      ['HAMSTER', 2], ['OSTRICH', 1],
+      // 8 букв
+      ['ELEPHANT', 15], ['SQUIRREL', 6], ['MOSQUITO', 4], ['KANGAROO', 3], ['TORTOISE', 2],
+      ['FLAMINGO', 1]
+    ],
+    food: [
+      // 5 букв
+      ['BREAD', 60], ['APPLE', 30], ['SUGAR', 30], ['HONEY', 20], ['PIZZA', 15], ['LEMON', 10],
+      ['BACON', 8], ['PEACH', 5], ['MANGO', 3],
+      // 6 букв
+      ['CHEESE', 30], ['ORANGE', 30], ['BUTTER', 25], ['PEPPER', 10], ['CHERRY', 8], ['TOMATO', 8],
+      ['POTATO', 8], ['CARROT', 6], ['BANANA', 6],
+      // 7 букв
+      ['BISCUIT', 5], ['CABBAGE', 4], ['COOKIES', 4], ['PANCAKE', 3], ['NOODLES', 3], ['AVOCADO', 2],
+      // 8 букв
+      ['SANDWICH', 10], ['MUSHROOM', 5], ['BROCCOLI', 2], ['DUMPLING', 2], ['ZUCCHINI', 1]
+    ],
+    cities: [
+      // 5 букв
+      ['PARIS', 60], ['TOKYO', 15], ['MIAMI', 10], ['CAIRO', 6], ['DUBAI', 5], ['MILAN', 5],
+      ['PERTH', 3], ['OSAKA', 2],
+      // 6 букв
+      ['LONDON', 100], ['BERLIN', 30], ['MOSCOW', 25], ['BOSTON', 25], ['MADRID', 10], ['VIENNA', 10],
+      ['SYDNEY', 10], ['DUBLIN', 8], ['LISBON', 6], ['PRAGUE', 5],
+      // 7 букв
+      ['CHICAGO', 30], ['TORONTO', 10], ['BEIJING', 10], ['HOUSTON', 10], ['SEATTLE', 10],
+      ['DETROIT', 10], ['ATLANTA', 8], ['NAIROBI', 2],
+      // 8 букв
+      ['BRUSSELS', 6], ['MONTREAL', 5], ['ISTANBUL', 4], ['BORDEAUX', 2], ['HONOLULU', 2],
+      ['BRISBANE', 1]
+    ],
+    nature: [
+      // 5 букв
+      ['RIVER', 80], ['STONE', 50], ['OCEAN', 30], ['STORM', 30], ['BEACH', 30], ['GRASS', 30],
+      ['CLOUD', 25],
+      // 6 букв
+      ['WINTER', 50], ['GARDEN', 50], ['FOREST', 40], ['ISLAND', 40], ['FLOWER', 30], ['DESERT', 20],
+      ['MEADOW', 5], ['SUNSET', 8],
+      // 7 букв
+      ['WEATHER', 50], ['THUNDER', 8], ['RAINBOW', 5], ['SUNRISE', 5], ['VOLCANO', 3], ['GLACIER', 2],
+      // 8 букв
+      ['MOUNTAIN', 40], ['SUNLIGHT', 10], ['WILDLIFE', 5], ['SNOWFALL', 2], ['SEASHORE', 2]
+    ],
+    home: [
+      // 5 букв
+      ['TABLE', 80], ['CHAIR', 40], ['CLOCK', 20], ['KNIFE', 20], ['COUCH', 10], ['SHELF', 8],
+      ['TOWEL', 8], ['SPOON', 5],
+      // 6 букв
+      ['WINDOW', 60], ['MIRROR', 20], ['PILLOW', 8], ['BASKET', 8], ['CARPET', 8], ['CANDLE', 8],
+      ['BUCKET', 5], ['KETTLE', 4],
+      // 7 букв
+      ['KITCHEN', 50], ['BLANKET', 10], ['CABINET', 8], ['LANTERN', 3], ['CUSHION', 3],
+      // 8 букв
+      ['BATHROOM', 20], ['UMBRELLA', 8], ['NOTEBOOK', 6], ['CUPBOARD', 5], ['SCISSORS', 3]
+    ],
+    transport: [
+      // 5 букв
+      ['TRAIN', 40], ['PLANE', 30], ['TRUCK', 30], ['WAGON', 8], ['FERRY', 5], ['YACHT', 2],
+      // 6 букв
+      ['ROCKET', 8], ['SUBWAY', 8], ['TANKER', 2], ['CAMPER', 2], ['GLIDER', 1],
+      // 7 букв
+      ['BICYCLE', 10], ['TRACTOR', 6], ['TROLLEY', 3], ['SCOOTER', 2], ['CRUISER', 2],
+      // 8 букв
+      ['AIRPLANE', 10], ['CARRIAGE', 10], ['SAILBOAT', 2], ['RICKSHAW', 1]
+    ],
+    misc: [
+      // 5 букв
+      ['WORLD', 300], ['MUSIC', 80], ['PARTY', 70], ['PAPER', 60], ['DREAM', 40], ['GHOST', 8],
+      // 6 букв
+      ['FRIEND', 150], ['SCHOOL', 150], ['LETTER', 80], ['MARKET', 60], ['PUZZLE', 5],
+      // 7 букв
+      ['HISTORY', 100], ['LIBRARY', 25], ['JOURNEY', 20], ['CONCERT', 10], ['MYSTERY', 10],
+      // 8 букв
+      ['QUESTION', 150], ['BIRTHDAY', 30], ['MAGAZINE', 15], ['TREASURE', 10], ['ALPHABET', 3]
+    ]
+  }
+}
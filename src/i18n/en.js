@@ -0,0 +1,384 @@
+/**
+ * Английские строки интерфейса
+ * Формы множественного числа: one (1), other (0, 2, 5...)
+ * Слова в игре остаются русскими - переведен только интерфейс
+ */
+export const en = {
+  app: {
+    title: '🎯 Guess the Word Online',
+    documentTitle: 'Guess the Word Online',
+    subtitle: 'A multiplayer word game for two players',
+    footer: 'Built with',
+    shareText: 'Join my game! Room: {roomId}'
+  },
+
+  common: {
+    player: 'Player {number}',
+    opponent: 'Your opponent',
+    you: '(You)',
+    or: 'or',
+    copy: '📋 Copy',
+    copied: '✅ Copied!',
+    copyFailed: '❌ Failed',
+    retry: 'Retry',
+    cancel: 'Cancel',
+    letters: { one: '{count} letter', other: '{count} letters' },
+    seconds: { one: '{count} second', other: '{count} seconds' },
+    minutes: { one: '{count} minute', other: '{count} minutes' }
+  },
+
+  menu: {
+    language: 'Language:',
+    alphabet: 'Word language:',
+    nickname: 'Your name:',
+    nicknamePlaceholder: 'How your opponent sees you',
+    createTitle: 'Create a new game',
+    wordLength: 'Word length:',
+    difficulty: 'Word difficulty:',
+    difficultyAny: 'Any',
+    difficultyEasy: 'Easy (common words)',
+    difficultyMedium: 'Medium',
+    difficultyHard: 'Rare words',
+    category: 'Topic:',
+    categoryAny: 'Any',
+    wordCount: 'Matching words: {count}',
+    noWords: 'No matching words, change the difficulty or topic',
+    secretWord: 'Your word for the opponent:',
+    secretWordPlaceholder: 'Empty - random word',
+    turnTime: 'Time per turn:',
+    turnTimeUnlimited: 'Unlimited',
+    strictGuesses: 'Dictionary words only (a typo does not cost a turn)',
+    createGame: 'Create game',
+    joinTitle: 'Join a game',
+    roomId: 'Room ID:',
+    roomIdPlaceholder: 'Paste the room ID',
+    joinSecretWord: 'Your word (if the room uses custom words):',
+    joinSecretWordPlaceholder: 'Word for the opponent',
+    joinGame: 'Join',
+    computerTitle: 'Play against the computer',
+    botDifficulty: 'Difficulty:',
+    botEasy: 'Easy',
+    botMedium: 'Medium',
+    botHard: 'Hard',
+    playComputer: 'Play against the computer',
+    hotseatTitle: 'Two players, one device',
+    playerNames: 'Player names:',
+    player1: 'Player 1',
+    player2: 'Player 2',
+    hotseatWords: 'Custom words (both or none):',
+    player1Word: 'Player 1 word',
+    player2Word: 'Player 2 word',
+    hotseatStart: 'Start game'
+  },
+
+  room: {
+    roomId: 'Room ID:',
+    copyTitle: 'Copy ID',
+    shareTitle: 'Send an invitation link',
+    share: '🔗 Share game',
+    waiting: 'Waiting for the second player...'
+  },
+
+  share: {
+    title: '🎯 Invite to the game',
+    description: 'Send this link to a friend so they can join:',
+    linkPlaceholder: 'The link is generated automatically',
+    spectateDescription: 'Link for spectators - they can watch the game but not make moves:',
+    nativeShare: '📤 Share',
+    tipsTitle: 'Good to know:',
+    tipOpens: 'The link opens the game automatically',
+    tipNoActions: 'No extra steps are needed',
+    tipStarts: 'The game starts as soon as your friend joins'
+  },
+
+  loading: {
+    default: 'Loading...',
+    init: 'Initializing...',
+    createGame: 'Creating the game...',
+    joinGame: 'Joining the game...',
+    spectate: 'Connecting to the game...',
+    checkGuess: 'Checking the word...',
+    skipTurn: 'Skipping the turn...',
+    createRematch: 'Creating a rematch...',
+    startRematch: 'Starting the rematch...'
+  },
+
+  guess: {
+    placeholder: 'Enter a word or skip your turn...',
+    skipTitle: 'Skip the turn and pass it to the opponent',
+    skip: '⏭️ Skip turn',
+    submitTitle: 'Check the entered word',
+    submit: '✅ Check',
+    hintTitle: 'What you can do:',
+    hintGuess: 'Enter a word ({min}-{max} {letters}) and press "Check"',
+    hintSkip: 'Or press "Skip turn" to pass the turn to the opponent',
+    emptyEnter: 'Enter a word to check or use the "Skip turn" button',
+    emptySubmit: 'Enter a word to check or use "Skip turn"'
+  },
+
+  turn: {
+    waiting: 'Waiting for the second player...',
+    finished: 'Game over',
+    playerTurn: '{name} to move',
+    yourTurn: 'Your turn!',
+    opponentTurn: 'Opponent\'s turn',
+    spectating: '👁️ You are watching this game',
+    spectatorsTitle: 'Spectators in the room',
+    spectators: { one: '{count} spectator', other: '{count} spectators' },
+    timerTitle: 'Time per turn',
+    category: 'Topic: {category}',
+    alphabet: 'Word language: {alphabet}',
+    presenceOnline: 'Opponent is online',
+    presenceAway: 'Opponent is away',
+    presenceDisconnected: 'Opponent is offline',
+    lastSeen: '· last active at {time}',
+    pendingOffline: 'No connection, the move will be sent later',
+    pendingSending: 'Sending the move',
+    pendingCell: 'cell {row}:{col}',
+    pendingWord: 'word {word}',
+    pendingSkip: 'skipped turn'
+  },
+
+  gameOver: {
+    win: 'Congratulations! You won! 🎉',
+    lose: 'Your opponent won',
+    draw: 'Draw',
+    namedWin: '{name} wins! 🎉',
+    word: 'The word was:',
+    newGame: 'New game',
+    invite: 'Invite a friend',
+    rematch: '🔁 Rematch',
+    rematchWordPlaceholder: 'New word for the opponent',
+    rematchOffered: 'Offer sent. Waiting for the opponent to respond...',
+    rematchReceived: 'Your opponent offers a rematch! 🔁',
+    rematchAccept: 'Accept',
+    rematchDecline: 'Decline',
+    rematchDeclined: 'Your opponent declined the rematch',
+    replay: '▶ Watch replay'
+  },
+
+  replay: {
+    title: 'Game replay',
+    close: 'Close',
+    play: 'Play',
+    pause: 'Pause',
+    first: 'To the start',
+    prev: 'Previous move',
+    next: 'Next move',
+    last: 'To the end',
+    scrub: 'Scrub through moves',
+    counter: 'Move {current} of {total}',
+    board: 'Board with {name}\'s word',
+    start: 'Game start. {name} moves first',
+    unavailable: 'The replay of this game is not available',
+    moves: {
+      reveal: '{name} reveals cell ({row}, {col}): letter {letter}',
+      revealEmpty: '{name} reveals cell ({row}, {col}): empty',
+      guessCorrect: '{name} guesses the word {word}! 🎉',
+      guessWrong: '{name} tries {word} - miss',
+      skip: '{name} skips the turn',
+      timeout: '{name} runs out of time'
+    }
+  },
+
+  history: {
+    title: 'Game history',
+    watch: 'Watch',
+    details: '{mode} · {date} · score {score1}:{score2}',
+    result: '{name} won, word {word}',
+    word: 'Word {word}',
+    modes: {
+      online: 'Online',
+      computer: 'Vs computer',
+      hotseat: 'Same device',
+      spectate: 'Spectated'
+    }
+  },
+
+  chat: {
+    title: 'Chat',
+    empty: 'No messages yet',
+    placeholder: 'Message...',
+    send: 'Send',
+    you: 'You',
+    spectator: 'Spectator',
+    reactionTitle: 'Send reaction {emoji}',
+    mute: 'Mute chat',
+    unmute: 'Unmute chat',
+    muted: 'Chat is muted: new messages are hidden',
+    readOnly: 'Spectators can read the chat but cannot post'
+  },
+
+  handover: {
+    title: 'Pass the device',
+    current: 'Now playing:',
+    hint: 'Other players, no peeking 🙈',
+    continue: 'I am {name}, continue'
+  },
+
+  resume: {
+    title: 'Continue playing?',
+    text: 'You have unfinished games:',
+    continue: 'Continue',
+    dismiss: 'No, go to the menu',
+    room: 'Room {id}',
+    spectating: 'Watching',
+    waiting: 'Waiting for the second player',
+    yourTurn: 'Your turn',
+    opponentTurn: 'Opponent\'s turn',
+    details: '{turn} · score {score1}:{score2}'
+  },
+
+  connection: {
+    reconnecting: 'Lost connection to the server. Reconnecting...',
+    reconnectingAttempt: 'Lost connection to the server. Reconnecting (attempt {attempt})...',
+    recovered: 'Connection restored'
+  },
+
+  contextMenu: {
+    copyId: 'Copy ID',
+    sendLink: 'Send link',
+    refresh: 'Refresh state',
+    clear: 'Clear',
+    paste: 'Paste from clipboard',
+    leave: 'Yes, back to the menu'
+  },
+
+  notify: {
+    timeWarning: {
+      one: '⏰ {count} second left for your turn!',
+      other: '⏰ {count} seconds left for your turn!'
+    },
+    refreshing: 'Refreshing the game...',
+    keyboardHidden: 'Keyboard hidden',
+    quickCreate: 'Quick game creation...',
+    cellHidden: 'Cell ({row}, {col}) - hidden',
+    cellEmpty: 'Cell ({row}, {col}) - empty',
+    cellLetter: 'Cell ({row}, {col}) - letter: {letter}',
+    fieldCleared: 'Field cleared',
+    textPasted: 'Text pasted',
+    clipboardEmpty: 'Clipboard is empty',
+    clipboardFailed: 'Could not read the clipboard',
+    gameRestored: 'Game restored',
+    computerRevealed: 'The computer revealed the letter {letter}',
+    computerRevealedEmpty: 'The computer revealed an empty cell',
+    opponentRevealed: '{name} reveals the letter {letter}',
+    opponentRevealedEmpty: '{name} reveals an empty cell',
+    computerMissed: 'The computer guessed wrong: {word}',
+    computerSkipped: 'The computer skipped its turn',
+    onlyCreatorInvites: 'Only the game creator can send invitations',
+    inviteCopied: 'Invitation link copied!',
+    shareLink: 'Share this link: {url}',
+    opponentJoined: '{name} joined! The game begins!',
+    opponentOnline: '{name} is back online',
+    guessCorrect: 'Correct! The word was: {word}',
+    guessWrong: 'Wrong! The turn passes to your opponent',
+    turnSkipped: 'Turn skipped! The turn passes to your opponent',
+    turnPassed: 'The turn passed to your opponent',
+    timeUp: 'Time is up! The turn passes to your opponent',
+    opponentTimeUp: 'Your opponent ran out of time - your turn',
+    rematchOffered: '{name} offers a rematch!',
+    rematchAccepted: '{name} accepted the rematch!',
+    roomIdCopied: 'Room ID copied!',
+    roomId: 'Room ID: {roomId}'
+  },
+
+  errors: {
+    // Коды ошибок (ERROR_CODES)
+    INVALID_INPUT: 'Invalid input',
+    NOT_YOUR_TURN: 'It is not your turn',
+    CELL_ALREADY_REVEALED: 'This cell is already revealed',
+    ROOM_NOT_FOUND: 'Game room not found',
+    ROOM_FULL: 'The room already has two players',
+    ROOM_ALREADY_ACTIVE: 'The game has already started',
+    NOT_A_PLAYER: 'You are not a player in this game',
+    CANNOT_JOIN_OWN_GAME: 'You cannot join your own game',
+    INVALID_COORDINATES: 'Invalid cell coordinates',
+    GAME_NOT_FOUND_OR_INACTIVE: 'The game was not found or is inactive',
+    SECRET_WORD_REQUIRED: 'This room requires you to choose a word',
+    INVALID_SECRET_WORD: 'The chosen word is not in the dictionary or has the wrong length',
+    NO_MATCHING_WORDS: 'No words match the selected length, difficulty and topic',
+    WORD_NOT_IN_DICTIONARY: 'This word is not in the dictionary',
+    RATE_LIMITED: 'Too many messages, wait a few seconds',
+    TURN_NOT_EXPIRED: 'The turn time has not run out yet',
+    GAME_NOT_FINISHED: 'The game is not finished yet',
+    ACTION_EXPIRED: 'The move could not be sent: the connection was lost for too long',
+    DATABASE_ERROR: 'Database error',
+    AUTHENTICATION_FAILED: 'Authentication failed',
+    INTERNAL_ERROR: 'Internal server error',
+    UNKNOWN_ERROR: 'An unknown error occurred',
+    NETWORK_ERROR: 'Network error, check your connection',
+    TIMEOUT_ERROR: 'The request timed out',
+    REQUEST_ABORTED: 'The request was cancelled',
+    UNEXPECTED_RESPONSE: 'Unexpected server response',
+
+    // Ошибки интерфейса
+    invalidRoomId: 'Invalid room ID',
+    enterRoomId: 'Enter a room ID',
+    noWordsOfLength: 'No words of the selected length',
+    playerInvalid: 'Player {number}: {error}',
+    bothWordsRequired: 'Both players must choose their words',
+    playerWordInvalid: 'Player {number} word: {error}',
+    createGameFirst: 'Create a game first',
+
+    // Что не удалось сделать (префикс сообщения об ошибке)
+    context: {
+      init: 'Failed to start the app',
+      createGame: 'Could not create the game',
+      joinGame: 'Could not join the game',
+      spectate: 'Could not open the game for watching',
+      realtime: 'Realtime subscription error',
+      loadState: 'Could not load the game state',
+      revealCell: 'Could not reveal the cell',
+      checkGuess: 'Could not check the word',
+      skipTurn: 'Could not skip the turn',
+      rematch: 'Could not start the rematch'
+    }
+  },
+
+  validation: {
+    wordLengthInteger: 'The length must be a whole number',
+    wordLengthRange: 'The word length must be between {min} and {max} letters',
+    turnTimeRange: 'The time per turn must be between {min} and {max} seconds',
+    coordinatesInteger: 'Coordinates must be whole numbers',
+    coordinatesRange: 'Coordinates must be in the range {min}-{max}',
+    wordEmpty: 'The word cannot be empty',
+    guessLengthRange: 'The word must be between {min} and {max} characters long',
+    wordAlphabet: 'The word must contain only {letters}',
+    alphabetUnknown: 'Unknown word language',
+    secretWordLength: { one: 'The chosen word must have {count} letter', other: 'The chosen word must have {count} letters' },
+    roomIdEmpty: 'The room ID cannot be empty',
+    roomIdLength: 'Invalid room ID length',
+    roomIdFormat: 'Invalid room ID format',
+    nicknameEmpty: 'The nickname cannot be empty',
+    nicknameLength: 'The nickname must be between {min} and {max} characters long',
+    nicknameChars: 'The nickname contains invalid characters',
+    chatEmpty: 'The message cannot be empty',
+    chatLength: 'The message must be at most {max} characters long',
+    fieldRequired: '{field} is required',
+    fieldMinLength: '{field} must be at least {min} characters long',
+    fieldMaxLength: '{field} must be at most {max} characters long',
+    fieldPattern: '{field} has an invalid format',
+    fieldNumber: '{field} must be a number',
+    fieldMin: '{field} must be at least {min}',
+    fieldMax: '{field} must be at most {max}'
+  },
+
+  dictionary: {
+    categories: {
+      animals: 'Animals',
+      food: 'Food',
+      cities: 'Cities',
+      nature: 'Nature',
+      home: 'Home and things',
+      transport: 'Transport',
+      misc: 'Miscellaneous'
+    }
+  },
+
+  alphabets: {
+    ru: { label: 'Russian', letters: 'Russian letters' },
+    uk: { label: 'Ukrainian', letters: 'Ukrainian letters' },
+    en: { label: 'English', letters: 'Latin letters' }
+  }
+}
@@ -0,0 +1,149 @@
+import { I18N_CONFIG } from '../config/constants.js'
+import { logger } from '../utils/logger.js'
+import { readItem, writeItem } from '../utils/storage.js'
+import { ru } from './ru.js'
+import { en } from './en.js'
+
+const BUNDLES = { ru, en }
+
+// Подстановка параметров: {name}
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g
+
+/**
+ * Локализация интерфейса
+ * Строки хранятся в бандлах (ru.js, en.js) под ключами вида 'menu.createGame'.
+ * Значение может быть строкой с параметрами {name} или объектом форм множественного числа
+ * {one, few, many, other} - форма выбирается по params.count через Intl.PluralRules.
+ * Статичный текст index.html переводится по атрибутам data-i18n, data-i18n-placeholder и data-i18n-title,
+ * data-i18n-count передает число для форм множественного числа ("5 букв")
+ */
+class I18n {
+  constructor(storage = globalThis.localStorage) {
+    this.storage = storage
+    this.listeners = new Set()
+    this.locale = this.detectLocale()
+    this.pluralRules = new Intl.PluralRules(this.getIntlLocale())
+  }
+
+  /**
+   * Перевод строки
+   * @param {string} key - Ключ строки в бандле
+   * @param {object} [params] - Параметры подстановки; count выбирает форму множественного числа
+   * @returns {string} - Перевод; без перевода - строка языка по умолчанию или сам ключ
+   */
+  t(key, params = {}) {
+    const value = this.lookup(BUNDLES[this.locale], key) ?? this.lookup(BUNDLES[I18N_CONFIG.DEFAULT_LOCALE], key)
+    if (value === undefined) {
+      logger.warn('Нет перевода', { key, locale: this.locale })
+      return key
+    }
+
+    const template = typeof value === 'object' ? this.selectPlural(value, params.count) : value
+    return template.replace(PLACEHOLDER_PATTERN, (match, name) => (name in params ? String(params[name]) : match))
+  }
+
+  /**
+   * Проверка наличия перевода (например, для кодов ошибок сервера)
+   * @param {string} key - Ключ строки
+   * @returns {boolean}
+   */
+  has(key) {
+    return this.lookup(BUNDLES[this.locale], key) !== undefined ||
+      this.lookup(BUNDLES[I18N_CONFIG.DEFAULT_LOCALE], key) !== undefined
+  }
+
+  getLocale() {
+    return this.locale
+  }
+
+  /**
+   * Локаль для Intl (даты, время, числа)
+   * @returns {string}
+   */
+  getIntlLocale() {
+    return I18N_CONFIG.LOCALES[this.locale].intl
+  }
+
+  /**
+   * Смена языка: сохраняем выбор и сообщаем подписчикам
+   * @param {string} locale - Ключ I18N_CONFIG.LOCALES
+   */
+  setLocale(locale) {
+    if (!I18N_CONFIG.LOCALES[locale] || locale === this.locale) return
+
+    logger.info('Смена языка', { from: this.locale, to: locale })
+    this.locale = locale
+    this.pluralRules = new Intl.PluralRules(this.getIntlLocale())
+    this.save()
+    this.listeners.forEach(listener => listener(locale))
+  }
+
+  /**
+   * Подписка на смену языка
+   * @param {Function} listener - (locale) => void
+   * @returns {Function} - Отписка
+   */
+  subscribe(listener) {
+    this.listeners.add(listener)
+    return () => this.listeners.delete(listener)
+  }
+
+  /**
+   * Перевод статичной разметки по атрибутам data-i18n*
+   * @param {ParentNode} root - Корень поиска
+   */
+  translateDom(root = document) {
+    document.documentElement.lang = this.locale
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+      const { i18n: key, i18nCount: count } = element.dataset
+      element.textContent = this.t(key, count === undefined ? {} : { count: Number(count) })
+    })
+    root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+      element.placeholder = this.t(element.dataset.i18nPlaceholder)
+    })
+    root.querySelectorAll('[data-i18n-title]').forEach(element => {
+      element.title = this.t(element.dataset.i18nTitle)
+    })
+  }
+
+  lookup(bundle, key) {
+    return key.split('.').reduce((node, part) => node?.[part], bundle)
+  }
+
+  selectPlural(forms, count) {
+    if (typeof count !== 'number') return forms.other
+    return forms[this.pluralRules.select(count)] ?? forms.other
+  }
+
+  /**
+   * Язык из localStorage, затем из настроек браузера, иначе язык по умолчанию
+   */
+  detectLocale() {
+    const saved = this.read()
+    if (I18N_CONFIG.LOCALES[saved]) return saved
+
+    const browserLocale = globalThis.navigator?.language?.slice(0, 2).toLowerCase()
+    return I18N_CONFIG.LOCALES[browserLocale] ? browserLocale : I18N_CONFIG.DEFAULT_LOCALE
+  }
+
+  read() {
+    return readItem(this.storage, I18N_CONFIG.STORAGE_KEY)
+  }
+
+  save() {
+    writeItem(this.storage, I18N_CONFIG.STORAGE_KEY, this.locale)
+  }
+}
+
+// Singleton instance
+export const i18n = new I18n()
+
+/**
+ * Перевод строки текущего языка (сокращение для i18n.t)
+ * @param {string} key - Ключ строки
+ * @param {object} [params] - Параметры подстановки
+ * @returns {string}
+ */
+export function t(key, params) {
+  return i18n.t(key, params)
+}
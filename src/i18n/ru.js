@@ -0,0 +1,385 @@
+/**
+ * Русские строки интерфейса
+ * Формы множественного числа: one (1, 21), few (2-4, 22-24), many (5-20, 25), other (дроби)
+ */
+export const ru = {
+  app: {
+    title: '🎯 Угадай Слово Online',
+    documentTitle: 'Угадай Слово Online',
+    subtitle: 'Многопользовательская игра для двух игроков',
+    footer: 'Создано с использованием',
+    shareText: 'Присоединяйся к игре! Комната: {roomId}'
+  },
+
+  common: {
+    player: 'Игрок {number}',
+    opponent: 'Соперник',
+    you: '(Вы)',
+    or: 'или',
+    copy: '📋 Копировать',
+    copied: '✅ Скопировано!',
+    copyFailed: '❌ Ошибка',
+    retry: 'Повторить',
+    cancel: 'Отмена',
+    letters: { one: '{count} буква', few: '{count} буквы', many: '{count} букв', other: '{count} буквы' },
+    seconds: { one: '{count} секунда', few: '{count} секунды', many: '{count} секунд', other: '{count} секунды' },
+    minutes: { one: '{count} минута', few: '{count} минуты', many: '{count} минут', other: '{count} минуты' }
+  },
+
+  menu: {
+    language: 'Язык:',
+    alphabet: 'Язык слов:',
+    nickname: 'Ваше имя:',
+    nicknamePlaceholder: 'Как вас показывать сопернику',
+    createTitle: 'Создать новую игру',
+    wordLength: 'Длина слова:',
+    difficulty: 'Сложность слова:',
+    difficultyAny: 'Любая',
+    difficultyEasy: 'Легкие (частые слова)',
+    difficultyMedium: 'Средние',
+    difficultyHard: 'Редкие слова',
+    category: 'Тема:',
+    categoryAny: 'Любая',
+    wordCount: 'Подходящих слов: {count}',
+    noWords: 'Нет подходящих слов, измените сложность или тему',
+    secretWord: 'Свое слово для соперника:',
+    secretWordPlaceholder: 'Пусто - случайное слово',
+    turnTime: 'Время на ход:',
+    turnTimeUnlimited: 'Без ограничения',
+    strictGuesses: 'Только слова из словаря (ошибка не тратит ход)',
+    createGame: 'Создать игру',
+    joinTitle: 'Присоединиться к игре',
+    roomId: 'ID комнаты:',
+    roomIdPlaceholder: 'Вставьте ID комнаты',
+    joinSecretWord: 'Свое слово (если комната со своими словами):',
+    joinSecretWordPlaceholder: 'Слово для соперника',
+    joinGame: 'Присоединиться',
+    computerTitle: 'Игра с компьютером',
+    botDifficulty: 'Сложность:',
+    botEasy: 'Легко',
+    botMedium: 'Средне',
+    botHard: 'Сложно',
+    playComputer: 'Играть с компьютером',
+    hotseatTitle: 'Вдвоем на одном устройстве',
+    playerNames: 'Имена игроков:',
+    player1: 'Игрок 1',
+    player2: 'Игрок 2',
+    hotseatWords: 'Свои слова (оба или никто):',
+    player1Word: 'Слово игрока 1',
+    player2Word: 'Слово игрока 2',
+    hotseatStart: 'Начать игру'
+  },
+
+  room: {
+    roomId: 'ID комнаты:',
+    copyTitle: 'Скопировать ID',
+    shareTitle: 'Отправить ссылку для приглашения',
+    share: '🔗 Отправить игру',
+    waiting: 'Ожидаем второго игрока...'
+  },
+
+  share: {
+    title: '🎯 Пригласить в игру',
+    description: 'Отправьте эту ссылку другу для присоединения к игре:',
+    linkPlaceholder: 'Ссылка будет сгенерирована автоматически',
+    spectateDescription: 'Ссылка для зрителей - они смогут следить за игрой, но не делать ходы:',
+    nativeShare: '📤 Поделиться',
+    tipsTitle: 'Полезно знать:',
+    tipOpens: 'Ссылка автоматически откроет игру',
+    tipNoActions: 'Никаких дополнительных действий не нужно',
+    tipStarts: 'Игра начнется сразу после присоединения'
+  },
+
+  loading: {
+    default: 'Загрузка...',
+    init: 'Инициализация...',
+    createGame: 'Создание игры...',
+    joinGame: 'Присоединение к игре...',
+    spectate: 'Подключение к игре...',
+    checkGuess: 'Проверка слова...',
+    skipTurn: 'Пропуск хода...',
+    createRematch: 'Создание реванша...',
+    startRematch: 'Начинаем реванш...'
+  },
+
+  guess: {
+    placeholder: 'Введите слово или пропустите ход...',
+    skipTitle: 'Пропустить ход и передать его сопернику',
+    skip: '⏭️ Пропустить ход',
+    submitTitle: 'Проверить введённое слово',
+    submit: '✅ Проверить',
+    hintTitle: 'Варианты действий:',
+    hintGuess: 'Введите слово ({min}-{max} букв, {letters}) и нажмите "Проверить"',
+    hintSkip: 'Или нажмите "Пропустить ход" для передачи хода сопернику',
+    emptyEnter: 'Введите слово для проверки или используйте кнопку "Пропустить ход"',
+    emptySubmit: 'Введите слово для проверки или используйте "Пропустить ход"'
+  },
+
+  turn: {
+    waiting: 'Ожидание второго игрока...',
+    finished: 'Игра завершена',
+    playerTurn: 'Ходит {name}',
+    yourTurn: 'Ваш ход!',
+    opponentTurn: 'Ход соперника',
+    spectating: '👁️ Вы смотрите игру',
+    spectatorsTitle: 'Зрители в комнате',
+    spectators: { one: '{count} зритель', few: '{count} зрителя', many: '{count} зрителей', other: '{count} зрителя' },
+    timerTitle: 'Время на ход',
+    category: 'Тема: {category}',
+    alphabet: 'Язык слов: {alphabet}',
+    presenceOnline: 'Соперник в сети',
+    presenceAway: 'Соперник отошел',
+    presenceDisconnected: 'Соперник не в сети',
+    lastSeen: '· активность в {time}',
+    pendingOffline: 'Нет связи, ход будет отправлен позже',
+    pendingSending: 'Отправка хода',
+    pendingCell: 'клетка {row}:{col}',
+    pendingWord: 'слово {word}',
+    pendingSkip: 'пропуск хода'
+  },
+
+  gameOver: {
+    win: 'Поздравляем! Вы победили! 🎉',
+    lose: 'Противник победил',
+    draw: 'Ничья',
+    namedWin: 'Победа: {name}! 🎉',
+    word: 'Загаданное слово:',
+    newGame: 'Новая игра',
+    invite: 'Пригласить друга',
+    rematch: '🔁 Реванш',
+    rematchWordPlaceholder: 'Новое слово для соперника',
+    rematchOffered: 'Предложение отправлено. Ждем ответа соперника...',
+    rematchReceived: 'Соперник предлагает реванш! 🔁',
+    rematchAccept: 'Принять',
+    rematchDecline: 'Отказаться',
+    rematchDeclined: 'Соперник отказался от реванша',
+    replay: '▶ Повтор партии'
+  },
+
+  replay: {
+    title: 'Повтор партии',
+    close: 'Закрыть',
+    play: 'Воспроизвести',
+    pause: 'Пауза',
+    first: 'В начало',
+    prev: 'Предыдущий ход',
+    next: 'Следующий ход',
+    last: 'В конец',
+    scrub: 'Перемотка по ходам',
+    counter: 'Ход {current} из {total}',
+    board: 'Доска со словом игрока {name}',
+    start: 'Начало партии. Первым ходит {name}',
+    unavailable: 'Повтор этой партии недоступен',
+    moves: {
+      reveal: '{name} открывает клетку ({row}, {col}): буква {letter}',
+      revealEmpty: '{name} открывает клетку ({row}, {col}): пусто',
+      guessCorrect: '{name} угадывает слово {word}! 🎉',
+      guessWrong: '{name} называет слово {word} - мимо',
+      skip: '{name} пропускает ход',
+      timeout: '{name} не успевает сходить'
+    }
+  },
+
+  history: {
+    title: 'История партий',
+    watch: 'Смотреть',
+    details: '{mode} · {date} · счет {score1}:{score2}',
+    result: 'Победа: {name}, слово {word}',
+    word: 'Слово {word}',
+    modes: {
+      online: 'Онлайн',
+      computer: 'С компьютером',
+      hotseat: 'На одном устройстве',
+      spectate: 'Просмотр'
+    }
+  },
+
+  chat: {
+    title: 'Чат',
+    empty: 'Сообщений пока нет',
+    placeholder: 'Сообщение...',
+    send: 'Отправить',
+    you: 'Вы',
+    spectator: 'Зритель',
+    reactionTitle: 'Отправить реакцию {emoji}',
+    mute: 'Выключить чат',
+    unmute: 'Включить чат',
+    muted: 'Чат выключен: новые сообщения не показываются',
+    readOnly: 'Зрители читают чат, но не пишут в него'
+  },
+
+  handover: {
+    title: 'Передайте устройство',
+    current: 'Сейчас ходит:',
+    hint: 'Остальные игроки, не подглядывайте 🙈',
+    continue: 'Я {name}, продолжить'
+  },
+
+  resume: {
+    title: 'Продолжить игру?',
+    text: 'У вас есть незавершенные игры:',
+    continue: 'Продолжить',
+    dismiss: 'Нет, в меню',
+    room: 'Комната {id}',
+    spectating: 'Просмотр игры',
+    waiting: 'Ожидание второго игрока',
+    yourTurn: 'Ваш ход',
+    opponentTurn: 'Ход соперника',
+    details: '{turn} · счет {score1}:{score2}'
+  },
+
+  connection: {
+    reconnecting: 'Нет связи с сервером. Переподключение...',
+    reconnectingAttempt: 'Нет связи с сервером. Переподключение (попытка {attempt})...',
+    recovered: 'Соединение восстановлено'
+  },
+
+  contextMenu: {
+    copyId: 'Копировать ID',
+    sendLink: 'Отправить ссылку',
+    refresh: 'Обновить состояние',
+    clear: 'Очистить',
+    paste: 'Вставить из буфера',
+    leave: 'Да, выйти в меню'
+  },
+
+  notify: {
+    timeWarning: {
+      one: '⏰ Осталась {count} секунда на ход!',
+      few: '⏰ Осталось {count} секунды на ход!',
+      many: '⏰ Осталось {count} секунд на ход!',
+      other: '⏰ Осталось {count} секунды на ход!'
+    },
+    refreshing: 'Обновление игры...',
+    keyboardHidden: 'Клавиатура скрыта',
+    quickCreate: 'Быстрое создание игры...',
+    cellHidden: 'Клетка ({row}, {col}) - скрыта',
+    cellEmpty: 'Клетка ({row}, {col}) - пустая',
+    cellLetter: 'Клетка ({row}, {col}) - буква: {letter}',
+    fieldCleared: 'Поле очищено',
+    textPasted: 'Текст вставлен',
+    clipboardEmpty: 'Буфер обмена пуст',
+    clipboardFailed: 'Не удалось получить данные из буфера',
+    gameRestored: 'Игра восстановлена',
+    computerRevealed: 'Компьютер открыл букву {letter}',
+    computerRevealedEmpty: 'Компьютер открыл пустую клетку',
+    opponentRevealed: '{name} открывает букву {letter}',
+    opponentRevealedEmpty: '{name} открывает пустую клетку',
+    computerMissed: 'Компьютер не угадал: {word}',
+    computerSkipped: 'Компьютер пропустил ход',
+    onlyCreatorInvites: 'Только создатель игры может отправлять приглашения',
+    inviteCopied: 'Ссылка для приглашения скопирована!',
+    shareLink: 'Поделитесь ссылкой: {url}',
+    opponentJoined: '{name} в игре! Игра начинается!',
+    opponentOnline: '{name} снова в сети',
+    guessCorrect: 'Правильно! Слово было: {word}',
+    guessWrong: 'Неправильно! Ход переходит к сопернику',
+    turnSkipped: 'Ход пропущен! Ход переходит к сопернику',
+    turnPassed: 'Ход передан сопернику',
+    timeUp: 'Время вышло! Ход переходит к сопернику',
+    opponentTimeUp: 'Соперник не успел сходить - ваш ход',
+    rematchOffered: '{name} предлагает реванш!',
+    rematchAccepted: '{name} принимает реванш!',
+    roomIdCopied: 'ID комнаты скопирован!',
+    roomId: 'ID комнаты: {roomId}'
+  },
+
+  errors: {
+    // Коды ошибок (ERROR_CODES)
+    INVALID_INPUT: 'Некорректный ввод данных',
+    NOT_YOUR_TURN: 'Сейчас не ваш ход',
+    CELL_ALREADY_REVEALED: 'Эта клетка уже открыта',
+    ROOM_NOT_FOUND: 'Игровая комната не найдена',
+    ROOM_FULL: 'В комнате уже два игрока',
+    ROOM_ALREADY_ACTIVE: 'Игра уже началась',
+    NOT_A_PLAYER: 'Вы не являетесь участником этой игры',
+    CANNOT_JOIN_OWN_GAME: 'Нельзя присоединиться к своей игре',
+    INVALID_COORDINATES: 'Некорректные координаты клетки',
+    GAME_NOT_FOUND_OR_INACTIVE: 'Игра не найдена или неактивна',
+    SECRET_WORD_REQUIRED: 'В этой комнате нужно загадать свое слово',
+    INVALID_SECRET_WORD: 'Загаданного слова нет в словаре или не подходит его длина',
+    NO_MATCHING_WORDS: 'Нет слов с выбранной длиной, сложностью и темой',
+    WORD_NOT_IN_DICTIONARY: 'Такого слова нет в словаре',
+    RATE_LIMITED: 'Слишком много сообщений, подождите несколько секунд',
+    TURN_NOT_EXPIRED: 'Время хода еще не истекло',
+    GAME_NOT_FINISHED: 'Игра еще не завершена',
+    ACTION_EXPIRED: 'Ход не удалось отправить: слишком долго не было связи',
+    DATABASE_ERROR: 'Ошибка базы данных',
+    AUTHENTICATION_FAILED: 'Ошибка аутентификации',
+    INTERNAL_ERROR: 'Внутренняя ошибка сервера',
+    UNKNOWN_ERROR: 'Произошла неизвестная ошибка',
+    NETWORK_ERROR: 'Ошибка сети, проверьте подключение',
+    TIMEOUT_ERROR: 'Превышено время ожидания',
+    REQUEST_ABORTED: 'Запрос отменен',
+    UNEXPECTED_RESPONSE: 'Неожиданный ответ сервера',
+
+    // Ошибки интерфейса
+    invalidRoomId: 'Некорректный ID комнаты',
+    enterRoomId: 'Введите ID комнаты',
+    noWordsOfLength: 'Нет слов выбранной длины',
+    playerInvalid: 'Игрок {number}: {error}',
+    bothWordsRequired: 'Свои слова должны загадать оба игрока',
+    playerWordInvalid: 'Слово игрока {number}: {error}',
+    createGameFirst: 'Сначала создайте игру',
+
+    // Что не удалось сделать (префикс сообщения об ошибке)
+    context: {
+      init: 'Ошибка инициализации приложения',
+      createGame: 'Не удалось создать игру',
+      joinGame: 'Не удалось присоединиться к игре',
+      spectate: 'Не удалось открыть игру для просмотра',
+      realtime: 'Ошибка Realtime подписки',
+      loadState: 'Ошибка загрузки состояния игры',
+      revealCell: 'Не удалось открыть клетку',
+      checkGuess: 'Ошибка проверки слова',
+      skipTurn: 'Ошибка пропуска хода',
+      rematch: 'Не удалось начать реванш'
+    }
+  },
+
+  validation: {
+    wordLengthInteger: 'Длина должна быть целым числом',
+    wordLengthRange: 'Длина слова должна быть от {min} до {max} букв',
+    turnTimeRange: 'Время на ход должно быть от {min} до {max} секунд',
+    coordinatesInteger: 'Координаты должны быть целыми числами',
+    coordinatesRange: 'Координаты должны быть в диапазоне {min}-{max}',
+    wordEmpty: 'Слово не может быть пустым',
+    guessLengthRange: 'Длина слова должна быть от {min} до {max} символов',
+    wordAlphabet: 'Слово должно содержать только {letters}',
+    alphabetUnknown: 'Неизвестный язык слов',
+    secretWordLength: { one: 'Загаданное слово должно состоять из {count} буквы', other: 'Загаданное слово должно состоять из {count} букв' },
+    roomIdEmpty: 'ID комнаты не может быть пустым',
+    roomIdLength: 'Некорректная длина ID комнаты',
+    roomIdFormat: 'Некорректный формат ID комнаты',
+    nicknameEmpty: 'Никнейм не может быть пустым',
+    nicknameLength: 'Длина никнейма должна быть от {min} до {max} символов',
+    nicknameChars: 'Никнейм содержит недопустимые символы',
+    chatEmpty: 'Сообщение не может быть пустым',
+    chatLength: 'Сообщение должно быть не длиннее {max} символов',
+    fieldRequired: '{field} обязательно для заполнения',
+    fieldMinLength: '{field} должно содержать минимум {min} символов',
+    fieldMaxLength: '{field} должно содержать максимум {max} символов',
+    fieldPattern: '{field} имеет неправильный формат',
+    fieldNumber: '{field} должно быть числом',
+    fieldMin: '{field} должно быть не менее {min}',
+    fieldMax: '{field} должно быть не более {max}'
+  },
+
+  dictionary: {
+    categories: {
+      animals: 'Животные',
+      food: 'Еда',
+      cities: 'Города',
+      nature: 'Природа',
+      home: 'Дом и вещи',
+      transport: 'Транспорт',
+      misc: 'Разное'
+    }
+  },
+
+  alphabets: {
+    ru: { label: 'Русский', letters: 'русские буквы' },
+    uk: { label: 'Украинский', letters: 'украинские буквы' },
+    en: { label: 'Английский', letters: 'латинские буквы' }
+  }
+}
@@ -0,0 +1,164 @@
+import { ALPHABET_CONFIG, BOT_CONFIG } from '../config/constants.js'
+import { GameEngine, GAME_ACTIONS } from './GameEngine.js'
+import { getWords, getWordInfo } from './dictionary.js'
+import { logger } from '../utils/logger.js'
+
+function randomItem(items) {
+  return items[Math.floor(Math.random() * items.length)]
+}
+
+/**
+ * Подсчет количества каждой буквы
+ * @param {Array<string>} letters
+ * @returns {Map<string, number>}
+ */
+function countLetters(letters) {
+  const counts = new Map()
+  letters.forEach(letter => counts.set(letter, (counts.get(letter) || 0) + 1))
+  return counts
+}
+
+/**
+ * Компьютерный соперник
+ * Видит только публичное состояние доски: открывает случайные скрытые клетки
+ * и угадывает, когда словарь сужается до нескольких слов с открытыми буквами
+ */
+export class ComputerPlayer {
+  /**
+   * @param {object} options
+   * @param {string} options.playerId - ID бота в игре
+   * @param {number} options.wordLength - Длина загаданного слова
+   * @param {string} [options.difficulty] - easy | medium | hard
+   * @param {string} [options.alphabet] - Алфавит слов из ALPHABET_CONFIG.ALPHABETS
+   */
+  constructor({
+    playerId,
+    wordLength,
+    difficulty = BOT_CONFIG.DEFAULT_DIFFICULTY,
+    alphabet = ALPHABET_CONFIG.DEFAULT
+  }) {
+    this.playerId = playerId
+    this.alphabet = alphabet
+    this.difficulty = BOT_CONFIG.DIFFICULTIES[difficulty] ? difficulty : BOT_CONFIG.DEFAULT_DIFFICULTY
+    this.config = BOT_CONFIG.DIFFICULTIES[this.difficulty]
+    this.vocabulary = this.buildVocabulary(getWords(wordLength, { alphabet }))
+    this.triedWords = new Set()
+    this.session = null
+    this.unsubscribe = null
+    this.moveTimer = null
+  }
+
+  /**
+   * Словарь бота: на низких уровнях он знает не все слова
+   */
+  buildVocabulary(words) {
+    const size = Math.max(1, Math.round(words.length * this.config.vocabularyShare))
+    const shuffled = [...words].sort(() => Math.random() - 0.5)
+    return shuffled.slice(0, size)
+  }
+
+  /**
+   * Доска, на которой играет бот
+   * @param {object} state - Публичное состояние игры
+   * @returns {Array<Array<object>>}
+   */
+  getBoard(state) {
+    return GameEngine.getBoardFor(state, GameEngine.getPlayerNumber(state, this.playerId))
+  }
+
+  /**
+   * Слова из словаря бота, содержащие все открытые буквы
+   * Тема комнаты известна обоим игрокам, поэтому бот тоже ее учитывает
+   * @param {object} state - Публичное состояние игры
+   * @returns {Array<string>}
+   */
+  getCandidates(state) {
+    const revealedLetters = this.getBoard(state)
+      .flat()
+      .filter(cell => cell.revealed && cell.letter)
+      .map(cell => cell.letter)
+    const required = countLetters(revealedLetters)
+
+    return this.vocabulary.filter(word => {
+      if (word.length !== state.word_length || this.triedWords.has(word)) {
+        return false
+      }
+      if (state.word_category && getWordInfo(word, this.alphabet).category !== state.word_category) {
+        return false
+      }
+      const available = countLetters(word.split(''))
+      for (const [letter, count] of required) {
+        if ((available.get(letter) || 0) < count) {
+          return false
+        }
+      }
+      return true
+    })
+  }
+
+  /**
+   * Выбор действия для текущего состояния
+   * @param {object} state - Публичное состояние игры
+   * @returns {{type: string, playerId: string}}
+   */
+  chooseAction(state) {
+    const candidates = this.getCandidates(state)
+    const hiddenCells = this.getBoard(state).flat().filter(cell => !cell.revealed)
+    const confident = candidates.length > 0 && candidates.length <= this.config.guessThreshold
+    const hesitates = Math.random() < this.config.hesitation
+
+    if (confident && (!hesitates || hiddenCells.length === 0)) {
+      const word = randomItem(candidates)
+      this.triedWords.add(word)
+      return { type: GAME_ACTIONS.GUESS, playerId: this.playerId, word }
+    }
+
+    if (hiddenCells.length > 0) {
+      const cell = randomItem(hiddenCells)
+      return { type: GAME_ACTIONS.REVEAL, playerId: this.playerId, row: cell.row, col: cell.col }
+    }
+
+    return { type: GAME_ACTIONS.SKIP, playerId: this.playerId }
+  }
+
+  /**
+   * Подключение бота к локальной сессии: он ходит, когда наступает его очередь
+   * @param {LocalGameSession} session
+   */
+  attach(session) {
+    this.detach()
+    this.session = session
+    this.unsubscribe = session.subscribe(state => this.scheduleMove(state))
+    this.scheduleMove(session.getPublicState())
+  }
+
+  scheduleMove(state) {
+    if (!GameEngine.isPlayerTurn(state, this.playerId) || this.moveTimer) {
+      return
+    }
+
+    this.moveTimer = setTimeout(() => {
+      this.moveTimer = null
+      if (!this.session) return
+
+      const currentState = this.session.getPublicState()
+      if (!GameEngine.isPlayerTurn(currentState, this.playerId)) return
+
+      const action = this.chooseAction(currentState)
+      logger.info('Ход компьютера', { difficulty: this.difficulty, action })
+      this.session.dispatch(action)
+    }, BOT_CONFIG.THINK_DELAY)
+  }
+
+  detach() {
+    if (this.moveTimer) {
+      clearTimeout(this.moveTimer)
+      this.moveTimer = null
+    }
+    if (this.unsubscribe) {
+      this.unsubscribe()
+      this.unsubscribe = null
+    }
+    this.session = null
+  }
+}
@@ -0,0 +1,571 @@
+import { ALPHABET_CONFIG, GAME_CONFIG } from '../config/constants.js'
+import { GameError, getErrorMessage } from '../utils/errorHandler.js'
+import { isDictionaryWord, normalizeWord } from './dictionary.js'
+
+/**
+ * Типы действий игры
+ */
+export const GAME_ACTIONS = {
+  JOIN: 'join',
+  REVEAL: 'reveal',
+  GUESS: 'guess',
+  SKIP: 'skip',
+  TIMEOUT: 'timeout'
+}
+
+const { PLAYER_1, PLAYER_2 } = GAME_CONFIG.PLAYERS
+const { WAITING, ACTIVE, FINISHED } = GAME_CONFIG.GAME_STATUS
+const { RANDOM, CUSTOM } = GAME_CONFIG.WORD_MODES
+
+function createEmptyBoard() {
+  return Array.from({ length: GAME_CONFIG.GRID_SIZE }, (_, row) =>
+    Array.from({ length: GAME_CONFIG.GRID_SIZE }, (_, col) => ({
+      row,
+      col,
+      letter: null,
+      revealed: false
+    }))
+  )
+}
+
+/**
+ * Клетки доски в случайном порядке: первые клетки займут буквы слова
+ * @param {Function} random - Генератор случайных чисел [0, 1)
+ * @returns {Array<[number, number]>} - Координаты [row, col] всех клеток
+ */
+function shuffleCells(random = Math.random) {
+  const positions = createEmptyBoard().flat().map(cell => [cell.row, cell.col])
+
+  // Тасование Фишера-Йетса
+  for (let i = positions.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1))
+    const temp = positions[i]
+    positions[i] = positions[j]
+    positions[j] = temp
+  }
+
+  return positions
+}
+
+/**
+ * Раскладка букв слова по клеткам доски
+ * @param {string} word - Загаданное слово
+ * @param {Array<[number, number]>} positions - Клетки для букв по порядку (см. shuffleCells)
+ * @returns {Array<Array<object>>}
+ */
+function createSecretBoard(word, positions) {
+  const board = createEmptyBoard()
+
+  word.split('').forEach((letter, index) => {
+    const [row, col] = positions[index]
+    board[row][col].letter = letter
+  })
+
+  return board
+}
+
+function revealAll(board) {
+  return board.map(cells => cells.map(cell => ({ ...cell, revealed: true })))
+}
+
+function fail(state, code) {
+  return { state, error: new GameError(code, getErrorMessage(code)) }
+}
+
+function getOpponentNumber(playerNumber) {
+  return playerNumber === PLAYER_1 ? PLAYER_2 : PLAYER_1
+}
+
+/**
+ * Номер игрока (1 или 2) по ID пользователя
+ * @param {object} state - Состояние игры
+ * @param {string} userId - ID пользователя
+ * @returns {number|null}
+ */
+function getPlayerNumber(state, userId) {
+  if (!state || !userId) return null
+  if (state.player1_id === userId) return PLAYER_1
+  if (state.player2_id === userId) return PLAYER_2
+  return null
+}
+
+/**
+ * Никнейм игрока комнаты
+ * @param {object} state - Состояние игры
+ * @param {number} playerNumber - Номер игрока (1 или 2)
+ * @returns {string|null} - null, если игрок не задал имя
+ */
+function getNickname(state, playerNumber) {
+  return state?.[`player${playerNumber}_nickname`] || null
+}
+
+/**
+ * Проверка, ходит ли сейчас пользователь
+ * @param {object} state - Состояние игры
+ * @param {string} userId - ID пользователя
+ * @returns {boolean}
+ */
+function isPlayerTurn(state, userId) {
+  const playerNumber = getPlayerNumber(state, userId)
+  return state?.status === ACTIVE && playerNumber !== null && state.current_player === playerNumber
+}
+
+/**
+ * Доска, на которой играет игрок
+ * В режиме своих слов игрок открывает доску со словом соперника,
+ * иначе оба игрока играют на общей доске board_state
+ * @param {object} state - Состояние игры
+ * @param {number} playerNumber - Номер игрока
+ * @returns {Array<Array<object>>|null}
+ */
+function getBoardFor(state, playerNumber) {
+  if (state?.word_mode !== CUSTOM) {
+    return state?.board_state || null
+  }
+  return state.boards?.[getOpponentNumber(playerNumber)] || null
+}
+
+/**
+ * Общие проверки для хода: игра активна, пользователь - участник, его очередь
+ * @returns {{playerNumber?: number, errorCode?: string}}
+ */
+function checkTurn(state, playerId) {
+  if (!state || state.status !== ACTIVE) {
+    return { errorCode: 'GAME_NOT_FOUND_OR_INACTIVE' }
+  }
+
+  const playerNumber = getPlayerNumber(state, playerId)
+  if (!playerNumber) {
+    return { errorCode: 'NOT_A_PLAYER' }
+  }
+
+  if (state.current_player !== playerNumber) {
+    return { errorCode: 'NOT_YOUR_TURN' }
+  }
+
+  return { playerNumber }
+}
+
+/**
+ * Вход второго игрока. Случайные значения приходят в действии, чтобы reducer оставался
+ * детерминированным: firstPlayer - кто ходит первым (если не задан комнатой),
+ * positions - клетки для букв слова второго игрока в режиме своих слов (shuffleCells)
+ */
+function reduceJoin(state, { playerId, firstPlayer, secretWord, positions, nickname = null }) {
+  if (!state) return fail(state, 'ROOM_NOT_FOUND')
+  if (state.player1_id === playerId) return fail(state, 'CANNOT_JOIN_OWN_GAME')
+  if (state.player2_id) {
+    return fail(state, state.player2_id === playerId ? 'ROOM_ALREADY_ACTIVE' : 'ROOM_FULL')
+  }
+  if (state.status !== WAITING) return fail(state, 'ROOM_ALREADY_ACTIVE')
+
+  // В реванше очередность задана при создании комнаты
+  const first = state.first_player || (firstPlayer === PLAYER_2 ? PLAYER_2 : PLAYER_1)
+  const nextState = {
+    ...state,
+    player2_id: playerId,
+    player2_nickname: nickname,
+    status: ACTIVE,
+    current_player: first,
+    first_player: first
+  }
+
+  if (state.word_mode === CUSTOM) {
+    // Второй игрок загадывает свое слово при входе в комнату
+    const word = normalizeWord(secretWord, state.alphabet)
+    if (!word) return fail(state, 'SECRET_WORD_REQUIRED')
+    if (word.length !== state.word_length) return fail(state, 'INVALID_SECRET_WORD')
+    if (!Array.isArray(positions)) return fail(state, 'INVALID_INPUT')
+
+    nextState.player_words = { ...state.player_words, [PLAYER_2]: word }
+    nextState.secret_boards = { ...state.secret_boards, [PLAYER_2]: createSecretBoard(word, positions) }
+  }
+
+  return {
+    state: nextState,
+    result: { first_player: first }
+  }
+}
+
+function reduceReveal(state, { playerId, row, col }) {
+  const { playerNumber, errorCode } = checkTurn(state, playerId)
+  if (errorCode) return fail(state, errorCode)
+
+  if (!Number.isInteger(row) || !Number.isInteger(col) ||
+      row < GAME_CONFIG.MIN_ROW || row > GAME_CONFIG.MAX_ROW ||
+      col < GAME_CONFIG.MIN_COL || col > GAME_CONFIG.MAX_COL) {
+    return fail(state, 'INVALID_COORDINATES')
+  }
+
+  const board = getBoardFor(state, playerNumber)
+  if (board[row][col].revealed) {
+    return fail(state, 'CELL_ALREADY_REVEALED')
+  }
+
+  const nextPlayer = getOpponentNumber(playerNumber)
+  const isCustom = state.word_mode === CUSTOM
+  const secretBoard = isCustom ? state.secret_boards[nextPlayer] : state.secret_board
+  const letter = secretBoard[row][col].letter
+  const cell = { row, col, letter, revealed: true }
+  const updatedBoard = board.map((cells, rowIdx) =>
+    rowIdx === row ? cells.map((item, colIdx) => (colIdx === col ? cell : item)) : cells
+  )
+  const scoreField = `player${playerNumber}_score`
+  const revealedCells = state.revealed_cells + 1
+
+  return {
+    state: {
+      ...state,
+      ...(isCustom
+        ? { boards: { ...state.boards, [nextPlayer]: updatedBoard } }
+        : { board_state: updatedBoard }),
+      revealed_cells: revealedCells,
+      [scoreField]: state[scoreField] + (letter ? 1 : 0),
+      current_player: nextPlayer
+    },
+    result: { cell, revealed_cells: revealedCells, next_player: nextPlayer }
+  }
+}
+
+function reduceSkip(state, { playerId }) {
+  const { playerNumber, errorCode } = checkTurn(state, playerId)
+  if (errorCode) return fail(state, errorCode)
+
+  const nextPlayer = getOpponentNumber(playerNumber)
+
+  return {
+    state: { ...state, current_player: nextPlayer },
+    result: { skipped: true, next_player: nextPlayer }
+  }
+}
+
+/**
+ * Пропуск хода по истечении времени: может вызвать любой из игроков,
+ * поэтому оба клиента вызывают его, не договариваясь, а повторный вызов безопасен
+ */
+function reduceTimeout(state, { playerId, now }) {
+  if (!state || state.status !== ACTIVE) return fail(state, 'GAME_NOT_FOUND_OR_INACTIVE')
+  if (!getPlayerNumber(state, playerId)) return fail(state, 'NOT_A_PLAYER')
+
+  const timeLeft = getTurnTimeLeft(state, now)
+  if (timeLeft === null || timeLeft > 0) return fail(state, 'TURN_NOT_EXPIRED')
+
+  const nextPlayer = getOpponentNumber(state.current_player)
+
+  return {
+    state: { ...state, current_player: nextPlayer },
+    result: { skipped: true, timed_out: true, next_player: nextPlayer }
+  }
+}
+
+function reduceGuess(state, action) {
+  // Алфавит комнаты известен только после проверки, что игра существует и ход игрока
+  const { playerNumber, errorCode } = checkTurn(state, action.playerId)
+  if (errorCode) return fail(state, errorCode)
+
+  const normalized = normalizeWord(action.word, state.alphabet)
+
+  // Пустое слово - пропуск хода, как в validate_guess
+  if (!normalized) {
+    return reduceSkip(state, action)
+  }
+
+  // Строгий режим: слова не из словаря отклоняются, ход остается у игрока
+  if (state.strict_guesses && !isDictionaryWord(normalized, state.alphabet)) {
+    return fail(state, 'WORD_NOT_IN_DICTIONARY')
+  }
+
+  const nextPlayer = getOpponentNumber(playerNumber)
+  const isCustom = state.word_mode === CUSTOM
+  const targetWord = isCustom ? state.player_words[nextPlayer] : state.word
+
+  if (normalized === targetWord) {
+    // В режиме своих слов word после игры - слово, которое угадал победитель
+    const revealed = isCustom
+      ? {
+        word: targetWord,
+        boards: {
+          [PLAYER_1]: revealAll(state.secret_boards[PLAYER_1]),
+          [PLAYER_2]: revealAll(state.secret_boards[PLAYER_2])
+        }
+      }
+      : { board_state: revealAll(state.secret_board) }
+
+    return {
+      state: {
+        ...state,
+        ...revealed,
+        status: FINISHED,
+        winner: playerNumber
+      },
+      result: { correct: true, winner: playerNumber, word: targetWord }
+    }
+  }
+
+  return {
+    state: { ...state, current_player: nextPlayer },
+    result: { correct: false, next_player: nextPlayer }
+  }
+}
+
+const REDUCERS = {
+  [GAME_ACTIONS.JOIN]: reduceJoin,
+  [GAME_ACTIONS.REVEAL]: reduceReveal,
+  [GAME_ACTIONS.GUESS]: reduceGuess,
+  [GAME_ACTIONS.SKIP]: reduceSkip,
+  [GAME_ACTIONS.TIMEOUT]: reduceTimeout
+}
+
+/**
+ * Клетки, открытые на доске после предыдущего состояния
+ * @returns {Array<{row: number, col: number, letter: string|null}>}
+ */
+function diffBoard(before, after) {
+  if (!Array.isArray(after)) return []
+  return after.flat()
+    .filter(cell => cell.revealed && !before?.[cell.row]?.[cell.col]?.revealed)
+    .map(({ row, col, letter }) => ({ row, col, letter: letter || null }))
+}
+
+/**
+ * Изменения между двумя состояниями игры: открытые клетки, смена хода, счета и статуса
+ * Кто открыл клетку, определяется по игроку, который ходил в предыдущем состоянии.
+ * Клетки, открытые при завершении игры (показ всего слова), приходят с byPlayer = null
+ * @param {object|null} previous - Предыдущее состояние
+ * @param {object} next - Новое состояние
+ * @returns {{
+ *   cells: Array<{board: number|null, row: number, col: number, letter: string|null, byPlayer: number|null}>,
+ *   turn: {from: number|null, to: number|null}|null,
+ *   scores: Array<{player: number, from: number, to: number}>,
+ *   status: {from: string|null, to: string}|null
+ * }} - board: чья доска в режиме своих слов, null для общей доски
+ */
+function diffStates(previous, next) {
+  const isFinalReveal = previous?.status !== FINISHED && next.status === FINISHED
+  const mover = isFinalReveal ? null : previous?.current_player || null
+
+  const boards = next.word_mode === CUSTOM
+    ? [PLAYER_1, PLAYER_2].map(key => ({
+      key,
+      before: previous?.boards?.[key],
+      after: next.boards?.[key],
+      // Доску игрока открывает его соперник
+      byPlayer: mover && getOpponentNumber(key)
+    }))
+    : [{ key: null, before: previous?.board_state, after: next.board_state, byPlayer: mover }]
+
+  const cells = boards.flatMap(({ key, before, after, byPlayer }) =>
+    diffBoard(before, after).map(cell => ({ board: key, ...cell, byPlayer }))
+  )
+
+  const scores = [PLAYER_1, PLAYER_2]
+    .map(player => ({
+      player,
+      from: previous?.[`player${player}_score`] || 0,
+      to: next[`player${player}_score`] || 0
+    }))
+    .filter(score => score.from !== score.to)
+
+  const turn = previous?.current_player !== next.current_player
+    ? { from: previous?.current_player || null, to: next.current_player || null }
+    : null
+
+  const status = previous?.status !== next.status
+    ? { from: previous?.status || null, to: next.status }
+    : null
+
+  return { cells, turn, scores, status }
+}
+
+/**
+ * Запись хода для журнала партии (аналог строки game_moves)
+ * Ходил игрок, чья очередь была до действия: и при своем ходе, и при пропуске по таймеру.
+ * Попытка с пустым словом записывается как пропуск, как и на сервере
+ * @param {object} previous - Состояние до действия
+ * @param {object} action - Примененное действие GameEngine
+ * @param {object} result - Результат reduce
+ * @returns {{player: number, type: string, row: number|null, col: number|null, word: string|null,
+ *   correct: boolean|null, created_at: string}|null} - null для действий, которые не являются ходом (JOIN)
+ */
+function toMove(previous, action, result) {
+  const type = action.type === GAME_ACTIONS.GUESS && result.skipped ? GAME_ACTIONS.SKIP : action.type
+  if (![GAME_ACTIONS.REVEAL, GAME_ACTIONS.GUESS, GAME_ACTIONS.SKIP, GAME_ACTIONS.TIMEOUT].includes(type)) {
+    return null
+  }
+
+  const isReveal = type === GAME_ACTIONS.REVEAL
+  const isGuess = type === GAME_ACTIONS.GUESS
+  return {
+    player: previous.current_player,
+    type,
+    row: isReveal ? action.row : null,
+    col: isReveal ? action.col : null,
+    word: isGuess ? normalizeWord(action.word, previous.alphabet) : null,
+    correct: isGuess ? result.correct : null,
+    created_at: new Date(action.now ?? Date.now()).toISOString()
+  }
+}
+
+/**
+ * Оставшееся время хода
+ * @param {object} state - Состояние игры
+ * @param {number} [now] - Текущее время (мс)
+ * @returns {number|null} - Миллисекунды до конца хода (не меньше 0) или null, если таймера нет
+ */
+function getTurnTimeLeft(state, now = Date.now()) {
+  if (!state?.turn_deadline || state.status !== ACTIVE) return null
+  return Math.max(0, new Date(state.turn_deadline).getTime() - now)
+}
+
+/**
+ * Срок хода пересчитывается при смене игрока или статуса, как триггер
+ * game_rooms_set_turn_deadline на сервере
+ */
+function withTurnDeadline(previousState, nextState, now) {
+  if (previousState?.current_player === nextState.current_player &&
+      previousState?.status === nextState.status) {
+    return nextState
+  }
+
+  const hasTimer = nextState.status === ACTIVE && nextState.turn_time_limit
+  return {
+    ...nextState,
+    turn_deadline: hasTimer ? new Date(now + nextState.turn_time_limit * 1000).toISOString() : null
+  }
+}
+
+/**
+ * Создание начального состояния игры (ожидание второго игрока)
+ * Формат совпадает со строкой game_rooms, плюс секретные поля word и secret_board
+ * @param {object} options
+ * @param {string} options.id - ID комнаты
+ * @param {string} options.playerId - ID создателя (игрок 1)
+ * @param {string} options.word - Загаданное слово (в режиме своих слов - слово создателя)
+ * @param {string} [options.wordMode] - Источник слова из GAME_CONFIG.WORD_MODES
+ * @param {string|null} [options.wordDifficulty] - Сложность, по которой выбрано слово (null - любая)
+ * @param {string|null} [options.wordCategory] - Тема слова (null - любая)
+ * @param {string} [options.alphabet] - Алфавит слов из ALPHABET_CONFIG.ALPHABETS
+ * @param {string|null} [options.nickname] - Никнейм создателя комнаты
+ * @param {boolean} [options.strictGuesses] - Принимать только попытки из словаря
+ * @param {number|null} [options.turnTimeLimit] - Время на ход в секундах (null - без ограничения)
+ * @param {number|null} [options.firstPlayer] - Кто ходит первым (null - случайно при входе второго игрока)
+ * @param {string|null} [options.rematchOf] - ID игры, реваншем которой является комната
+ * @param {Array<Array<object>>} [options.secretBoard] - Готовая раскладка доски
+ * @param {Function} [options.random] - Генератор случайных чисел для раскладки
+ * @returns {object}
+ */
+function createState({
+  id,
+  playerId,
+  word,
+  wordMode = RANDOM,
+  wordDifficulty = null,
+  wordCategory = null,
+  alphabet = ALPHABET_CONFIG.DEFAULT,
+  nickname = null,
+  strictGuesses = true,
+  turnTimeLimit = null,
+  firstPlayer = null,
+  rematchOf = null,
+  secretBoard = null,
+  random = Math.random
+}) {
+  const normalizedWord = normalizeWord(word, alphabet)
+  const board = secretBoard || createSecretBoard(normalizedWord, shuffleCells(random))
+  const isCustom = wordMode === CUSTOM
+
+  return {
+    id,
+    player1_id: playerId,
+    player2_id: null,
+    player1_nickname: nickname,
+    player2_nickname: null,
+    current_player: null,
+    status: WAITING,
+    word_length: normalizedWord.length,
+    word_mode: isCustom ? CUSTOM : RANDOM,
+    word_difficulty: wordDifficulty,
+    word_category: wordCategory,
+    alphabet,
+    strict_guesses: strictGuesses,
+    turn_time_limit: turnTimeLimit || null,
+    turn_deadline: null,
+    first_player: firstPlayer,
+    rematch_of: rematchOf,
+    rematch_room_id: null,
+    word: isCustom ? null : normalizedWord,
+    secret_board: isCustom ? null : board,
+    board_state: createEmptyBoard(),
+    // Режим своих слов: доски и слова по номеру игрока, который загадал слово
+    boards: isCustom ? { [PLAYER_1]: createEmptyBoard(), [PLAYER_2]: createEmptyBoard() } : null,
+    player_words: isCustom ? { [PLAYER_1]: normalizedWord, [PLAYER_2]: null } : null,
+    secret_boards: isCustom ? { [PLAYER_1]: board, [PLAYER_2]: null } : null,
+    revealed_cells: 0,
+    player1_score: 0,
+    player2_score: 0,
+    winner: null
+  }
+}
+
+/**
+ * Reducer игровых правил: (state, action) -> {state, result} | {state, error}
+ * Не изменяет исходное состояние и не имеет побочных эффектов; случайные значения
+ * (очередность, раскладка букв) передаются в действии, поэтому результат воспроизводим.
+ * При ошибке возвращает исходное состояние и GameError с кодом из ERROR_CODES.
+ * Время действия action.now (мс) нужно для таймера хода; по умолчанию - текущее.
+ * @param {object} state - Текущее состояние
+ * @param {{type: string, playerId: string, now?: number}} action - Действие
+ * @returns {{state: object, result?: object, error?: GameError}}
+ */
+function reduce(state, action) {
+  const reducer = REDUCERS[action?.type]
+  if (!reducer) {
+    return fail(state, 'INVALID_INPUT')
+  }
+
+  const now = action.now ?? Date.now()
+  const outcome = reducer(state, { ...action, now })
+  if (outcome.error) {
+    return outcome
+  }
+  return { ...outcome, state: withTurnDeadline(state, outcome.state, now) }
+}
+
+/**
+ * Представление состояния без секретных данных (аналог game_rooms_safe)
+ * Слово раскрывается только после завершения игры
+ * @param {object} state - Состояние игры
+ * @returns {object}
+ */
+function toPublicState(state) {
+  if (!state) return null
+  const isFinished = state.status === FINISHED
+  const publicState = {
+    ...state,
+    word: isFinished ? state.word : null,
+    player_words: isFinished ? state.player_words : null
+  }
+  delete publicState.secret_board
+  delete publicState.secret_boards
+  return publicState
+}
+
+/**
+ * Игровой движок: чистые функции правил игры
+ * Используется in-memory backend, локальными режимами и для воспроизведения партий
+ */
+export const GameEngine = {
+  createState,
+  createSecretBoard,
+  shuffleCells,
+  reduce,
+  diffStates,
+  toMove,
+  toPublicState,
+  getBoardFor,
+  getPlayerNumber,
+  getNickname,
+  getOpponentNumber,
+  getTurnTimeLeft,
+  isPlayerTurn
+}
@@ -0,0 +1,135 @@
+import { ALPHABET_CONFIG, GAME_CONFIG } from '../config/constants.js'
+import { GameEngine, GAME_ACTIONS } from './GameEngine.js'
+import { logger } from '../utils/logger.js'
+
+/**
+ * Локальная игровая сессия без сервера
+ * Хранит состояние GameEngine и уведомляет подписчиков об изменениях,
+ * аналогично Realtime событиям онлайн-режима
+ */
+export class LocalGameSession {
+  /**
+   * @param {object} options
+   * @param {string} options.word - Загаданное слово (в режиме своих слов - слово первого игрока)
+   * @param {string} options.player1Id - ID первого игрока
+   * @param {string} options.player2Id - ID второго игрока
+   * @param {string} [options.player2Word] - Слово второго игрока; включает режим своих слов
+   * @param {string} [options.alphabet] - Алфавит слов из ALPHABET_CONFIG.ALPHABETS
+   * @param {number} [options.firstPlayer] - Кто ходит первым (1 или 2), по умолчанию случайно
+   * @param {{1?: string, 2?: string}} [options.nicknames] - Имена игроков по номеру
+   */
+  constructor({
+    word,
+    player1Id,
+    player2Id,
+    player2Word = null,
+    firstPlayer = null,
+    alphabet = ALPHABET_CONFIG.DEFAULT,
+    nicknames = {}
+  }) {
+    this.roomId = crypto.randomUUID()
+    this.player1Id = player1Id
+    this.player2Id = player2Id
+    this.player2Word = player2Word
+    this.player2Nickname = nicknames[GAME_CONFIG.PLAYERS.PLAYER_2] || null
+    this.firstPlayer = firstPlayer || (Math.random() < 0.5
+      ? GAME_CONFIG.PLAYERS.PLAYER_1
+      : GAME_CONFIG.PLAYERS.PLAYER_2)
+    this.state = GameEngine.createState({
+      id: this.roomId,
+      playerId: player1Id,
+      word,
+      wordMode: player2Word ? GAME_CONFIG.WORD_MODES.CUSTOM : GAME_CONFIG.WORD_MODES.RANDOM,
+      alphabet,
+      nickname: nicknames[GAME_CONFIG.PLAYERS.PLAYER_1] || null
+    })
+    this.listeners = new Set()
+    // Журнал ходов партии для повтора (формат как у get_game_moves)
+    this.moves = []
+  }
+
+  /**
+   * Старт игры: второй игрок присоединяется сразу
+   */
+  start() {
+    logger.info('Старт локальной игры', { roomId: this.roomId, firstPlayer: this.firstPlayer })
+    return this.dispatch({
+      type: GAME_ACTIONS.JOIN,
+      playerId: this.player2Id,
+      firstPlayer: this.firstPlayer,
+      positions: GameEngine.shuffleCells(),
+      secretWord: this.player2Word,
+      nickname: this.player2Nickname
+    })
+  }
+
+  /**
+   * Применение действия игрока
+   * @param {{type: string, playerId: string}} action - Действие GameEngine
+   * @returns {{result?: object, error?: GameError}}
+   */
+  dispatch(action) {
+    const previousState = this.state
+    const { state, result, error } = GameEngine.reduce(previousState, action)
+
+    if (error) {
+      logger.warn('Локальный ход отклонен', { action, code: error.code })
+      return { error }
+    }
+
+    this.state = state
+    const move = GameEngine.toMove(previousState, action, result)
+    if (move) {
+      this.moves.push({ seq: this.moves.length + 1, ...move })
+    }
+    this.notify(previousState, action)
+    return { result }
+  }
+
+  /**
+   * Подписка на изменения состояния
+   * @param {Function} callback - (publicState, previousPublicState, action) => void
+   * @returns {Function} - Функция отписки
+   */
+  subscribe(callback) {
+    this.listeners.add(callback)
+    return () => this.listeners.delete(callback)
+  }
+
+  notify(previousState, action) {
+    const publicState = this.getPublicState()
+    const previousPublicState = GameEngine.toPublicState(previousState)
+
+    this.listeners.forEach(listener => {
+      try {
+        listener(publicState, previousPublicState, action)
+      } catch (error) {
+        logger.error('Ошибка обработчика локальной сессии', { error: error.message })
+      }
+    })
+  }
+
+  /**
+   * Состояние без секретных данных (как game_rooms_safe)
+   * @returns {object}
+   */
+  getPublicState() {
+    return GameEngine.toPublicState(this.state)
+  }
+
+  /**
+   * Журнал ходов партии
+   * @returns {Array<object>}
+   */
+  getMoves() {
+    return this.moves.map(move => ({ ...move }))
+  }
+
+  isFinished() {
+    return this.state.status === GAME_CONFIG.GAME_STATUS.FINISHED
+  }
+
+  destroy() {
+    this.listeners.clear()
+  }
+}
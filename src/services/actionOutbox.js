@@ -0,0 +1,173 @@
+import { OUTBOX_CONFIG } from '../config/constants.js'
+import { GAME_ACTIONS } from './GameEngine.js'
+import { revealCell, validateGuess, skipTurn } from './gameService.js'
+import { GameError, getErrorMessage } from '../utils/errorHandler.js'
+import { logger } from '../utils/logger.js'
+import { readJson, writeJson } from '../utils/storage.js'
+
+const SENDERS = {
+  [GAME_ACTIONS.REVEAL]: ({ id, roomId, payload }) => revealCell(roomId, payload.row, payload.col, { actionId: id }),
+  [GAME_ACTIONS.GUESS]: ({ id, roomId, payload }) => validateGuess(roomId, payload.word, {
+    alphabet: payload.alphabet,
+    actionId: id
+  }),
+  [GAME_ACTIONS.SKIP]: ({ id, roomId }) => skipTurn(roomId, { actionId: id })
+}
+
+/**
+ * Очередь ходов игрока (outbox)
+ * Ход сохраняется в localStorage и только потом отправляется. Если сети нет, ход ждет в очереди
+ * и уходит позже - по событию online, по таймеру или при явном вызове flush(), строго по порядку.
+ * Ключ идемпотентности (id) не меняется между попытками, поэтому сервер не применит ход дважды.
+ * Запись: {id, roomId, type, payload, createdAt}, type - GAME_ACTIONS.REVEAL, GUESS или SKIP
+ */
+class ActionOutbox {
+  constructor(storage = globalThis.localStorage) {
+    this.storage = storage
+    this.queue = this.read()
+    // Вызовы enqueue этой вкладки, ждущие результата: id -> {resolve, reject}
+    this.waiters = new Map()
+    this.listeners = new Set()
+    this.isFlushing = false
+    this.isOffline = false
+    this.retryTimer = null
+
+    if (typeof window !== 'undefined' && window.addEventListener) {
+      window.addEventListener('online', () => this.flush())
+    }
+  }
+
+  /**
+   * Ходы комнаты, ожидающие отправки
+   * @param {string} roomId - UUID комнаты
+   * @returns {Array<object>}
+   */
+  list(roomId) {
+    return this.queue.filter(action => action.roomId === roomId)
+  }
+
+  /**
+   * Подписка на изменения очереди
+   * @param {Function} listener - (queue, isOffline) => void
+   * @returns {Function} - Отписка
+   */
+  subscribe(listener) {
+    this.listeners.add(listener)
+    return () => this.listeners.delete(listener)
+  }
+
+  /**
+   * Постановка хода в очередь и отправка
+   * @param {string} roomId - UUID комнаты
+   * @param {string} type - GAME_ACTIONS.REVEAL, GUESS или SKIP
+   * @param {object} [payload] - {row, col} или {word, alphabet}
+   * @returns {Promise<object>} - Результат revealCell / validateGuess / skipTurn
+   */
+  enqueue(roomId, type, payload = {}) {
+    const action = { id: crypto.randomUUID(), roomId, type, payload, createdAt: Date.now() }
+    logger.info('Ход поставлен в очередь', { roomId, type, actionId: action.id })
+
+    const result = new Promise((resolve, reject) => {
+      this.waiters.set(action.id, { resolve, reject })
+    })
+    this.queue.push(action)
+    this.write()
+    this.notify()
+    this.flush()
+
+    return result
+  }
+
+  /**
+   * Отправка очереди по порядку
+   * На сетевой ошибке отправка останавливается, следующая попытка - через RETRY_INTERVAL
+   */
+  async flush() {
+    if (this.isFlushing || this.queue.length === 0) return
+    this.isFlushing = true
+    this.clearRetry()
+
+    try {
+      while (this.queue.length > 0) {
+        const action = this.queue[0]
+
+        if (Date.now() - action.createdAt > OUTBOX_CONFIG.MAX_AGE || !SENDERS[action.type]) {
+          this.settle(action, new GameError('ACTION_EXPIRED', getErrorMessage('ACTION_EXPIRED')))
+          continue
+        }
+
+        try {
+          const result = await SENDERS[action.type](action)
+          this.setOffline(false)
+          this.settle(action, null, result)
+        } catch (error) {
+          // Сеть или таймаут (retryable): ход остается в очереди до восстановления связи
+          if (error.retryable) {
+            logger.warn('Нет связи, ход остается в очереди', { actionId: action.id, pending: this.queue.length })
+            this.setOffline(true)
+            this.retryTimer = setTimeout(() => this.flush(), OUTBOX_CONFIG.RETRY_INTERVAL)
+            return
+          }
+          this.settle(action, error)
+        }
+      }
+    } finally {
+      this.isFlushing = false
+    }
+  }
+
+  /**
+   * Ход отправлен или отклонен сервером: убираем из очереди и сообщаем вызвавшему
+   */
+  settle(action, error, result = null) {
+    this.queue = this.queue.filter(item => item.id !== action.id)
+    this.write()
+
+    const waiter = this.waiters.get(action.id)
+    this.waiters.delete(action.id)
+    if (error) {
+      logger.warn('Ход из очереди отклонен', { actionId: action.id, type: action.type, code: error.code })
+    } else {
+      logger.info('Ход из очереди отправлен', { actionId: action.id, type: action.type })
+    }
+
+    // Ходы, восстановленные после перезагрузки, никто не ждет - результат придет через Realtime
+    if (waiter && error) {
+      waiter.reject(error)
+    } else if (waiter) {
+      waiter.resolve(result)
+    }
+    this.notify()
+  }
+
+  setOffline(isOffline) {
+    if (this.isOffline !== isOffline) {
+      this.isOffline = isOffline
+      this.notify()
+    }
+  }
+
+  clearRetry() {
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer)
+      this.retryTimer = null
+    }
+  }
+
+  notify() {
+    const queue = [...this.queue]
+    this.listeners.forEach(listener => listener(queue, this.isOffline))
+  }
+
+  read() {
+    const queue = readJson(this.storage, OUTBOX_CONFIG.STORAGE_KEY, [])
+    return Array.isArray(queue) ? queue : []
+  }
+
+  write() {
+    writeJson(this.storage, OUTBOX_CONFIG.STORAGE_KEY, this.queue)
+  }
+}
+
+// Singleton instance
+export const actionOutbox = new ActionOutbox()
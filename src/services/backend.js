@@ -0,0 +1,27 @@
+import { BACKEND_CONFIG } from '../config/constants.js'
+import { supabaseBackend } from './supabaseBackend.js'
+import { localBackend } from './localBackend.js'
+
+/**
+ * Контракт backend, который используют gameService и RealtimeManager:
+ *
+ * - initAuth(): Promise<{id: string}> - текущий (анонимный) пользователь
+ * - rpc(fn, params, {signal}): Promise<{data, error}> - вызов RPC функции
+ *   (create_game, join_game, reveal_cell, validate_guess, cleanup_old_games)
+ * - fetchRoom(roomId, {signal}): Promise<{data, error}> - строка представления game_rooms_safe
+ *   (signal - необязательный AbortSignal, отменяющий запрос)
+ * - channel(name, options): RealtimeChannel - канал с методами on/subscribe/send/track/presenceState
+ *   (события 'postgres_changes' для таблицы game_rooms, 'broadcast' и 'presence')
+ * - removeChannel(channel): Promise - закрытие канала
+ */
+const BACKENDS = {
+  [BACKEND_CONFIG.TYPES.SUPABASE]: supabaseBackend,
+  [BACKEND_CONFIG.TYPES.LOCAL]: localBackend
+}
+
+if (!BACKENDS[BACKEND_CONFIG.TYPE]) {
+  throw new Error(`Неизвестный тип backend: ${BACKEND_CONFIG.TYPE}`)
+}
+
+// Активный backend, выбранный через VITE_GAME_BACKEND
+export const backend = BACKENDS[BACKEND_CONFIG.TYPE]
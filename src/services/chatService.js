@@ -0,0 +1,161 @@
+import { CHAT_CONFIG } from '../config/constants.js'
+import { realtimeManager, BROADCAST_EVENTS } from './realtimeService.js'
+import { profileStore } from './profileStore.js'
+import { validateChatMessage } from '../utils/validation.js'
+import { GameError } from '../utils/errorHandler.js'
+import { logger } from '../utils/logger.js'
+import { t } from '../i18n/i18n.js'
+
+/**
+ * Типы сообщений чата
+ */
+export const CHAT_MESSAGE_TYPES = {
+  TEXT: 'text',
+  REACTION: 'reaction'
+}
+
+/**
+ * Ограничение частоты: не больше maxMessages событий за window мс на каждый ключ
+ */
+class RateLimiter {
+  constructor({ MAX_MESSAGES, WINDOW }) {
+    this.maxMessages = MAX_MESSAGES
+    this.window = WINDOW
+    this.events = new Map()
+  }
+
+  /**
+   * Учет события, если лимит ключа еще не исчерпан
+   * @param {string} key - Отправитель
+   * @returns {boolean} - false, если лимит исчерпан
+   */
+  tryAcquire(key, now = Date.now()) {
+    const recent = (this.events.get(key) || []).filter(time => now - time < this.window)
+    const allowed = recent.length < this.maxMessages
+    if (allowed) {
+      recent.push(now)
+    }
+    this.events.set(key, recent)
+    return allowed
+  }
+}
+
+/**
+ * Чат комнаты поверх broadcast канала Realtime
+ * Сообщения видят только участники, подключенные к каналу, в БД они не попадают.
+ * Payload broadcast приходит от другого клиента без проверки сервером, поэтому входящие
+ * сообщения проверяются по тем же правилам, что и свои, и ограничиваются по частоте
+ */
+class ChatService {
+  constructor() {
+    this.limiter = new RateLimiter(CHAT_CONFIG.RATE_LIMIT)
+    this.muted = profileStore.isChatMuted()
+  }
+
+  /**
+   * Отправка текстового сообщения
+   * @param {string} roomId - UUID комнаты
+   * @param {string} text - Текст сообщения
+   * @param {string} from - ID отправителя
+   * @returns {Promise<object>} - Отправленное сообщение с санитизированным текстом
+   * @throws {GameError} INVALID_INPUT, RATE_LIMITED или NETWORK_ERROR
+   */
+  async sendMessage(roomId, text, from) {
+    const validation = validateChatMessage(text)
+    if (!validation.valid) {
+      throw new GameError('INVALID_INPUT', validation.error)
+    }
+
+    const message = await this.send(roomId, { type: CHAT_MESSAGE_TYPES.TEXT, text: text.trim() }, from)
+    return { ...message, text: validation.sanitized }
+  }
+
+  /**
+   * Отправка быстрой реакции
+   * @param {string} roomId - UUID комнаты
+   * @param {string} emoji - Реакция из CHAT_CONFIG.REACTIONS
+   * @param {string} from - ID отправителя
+   * @returns {Promise<object>} - Отправленное сообщение
+   * @throws {GameError}
+   */
+  async sendReaction(roomId, emoji, from) {
+    if (!CHAT_CONFIG.REACTIONS.includes(emoji)) {
+      throw new GameError('INVALID_INPUT', t('errors.INVALID_INPUT'))
+    }
+
+    return this.send(roomId, { type: CHAT_MESSAGE_TYPES.REACTION, emoji }, from)
+  }
+
+  async send(roomId, content, from) {
+    if (!this.limiter.tryAcquire(from)) {
+      throw new GameError('RATE_LIMITED', t('errors.RATE_LIMITED'))
+    }
+
+    const message = { id: crypto.randomUUID(), from, sentAt: Date.now(), ...content }
+    const sent = await realtimeManager.broadcast(roomId, BROADCAST_EVENTS.CHAT, message)
+    if (!sent) {
+      throw new GameError('NETWORK_ERROR', t('errors.NETWORK_ERROR'))
+    }
+
+    logger.info('Сообщение чата отправлено', { roomId, type: content.type })
+    return message
+  }
+
+  /**
+   * Проверка входящего сообщения
+   * @param {object} payload - Payload broadcast события CHAT
+   * @returns {object|null} - Сообщение с санитизированным текстом; null, если чат выключен,
+   *   сообщение некорректно или отправитель превысил лимит
+   */
+  receive(payload) {
+    if (this.muted || typeof payload?.from !== 'string') return null
+
+    const message = this.parse(payload)
+    if (!message) {
+      logger.warn('Отброшено некорректное сообщение чата', { from: payload.from, type: payload.type })
+      return null
+    }
+
+    if (!this.limiter.tryAcquire(payload.from)) {
+      logger.warn('Отброшено сообщение чата сверх лимита', { from: payload.from })
+      return null
+    }
+    return message
+  }
+
+  parse(payload) {
+    const base = {
+      id: typeof payload.id === 'string' ? payload.id : crypto.randomUUID(),
+      from: payload.from,
+      sentAt: Number.isFinite(payload.sentAt) ? payload.sentAt : Date.now(),
+      type: payload.type
+    }
+
+    if (payload.type === CHAT_MESSAGE_TYPES.REACTION) {
+      return CHAT_CONFIG.REACTIONS.includes(payload.emoji) ? { ...base, emoji: payload.emoji } : null
+    }
+
+    if (payload.type === CHAT_MESSAGE_TYPES.TEXT) {
+      const validation = validateChatMessage(payload.text)
+      return validation.valid ? { ...base, text: validation.sanitized } : null
+    }
+    return null
+  }
+
+  isMuted() {
+    return this.muted
+  }
+
+  /**
+   * Выключение чата: входящие сообщения и реакции не показываются (выбор запоминается)
+   * @param {boolean} muted
+   */
+  setMuted(muted) {
+    logger.info('Чат комнаты', { muted })
+    this.muted = muted
+    profileStore.setChatMuted(muted)
+  }
+}
+
+// Singleton instance
+export const chatService = new ChatService()
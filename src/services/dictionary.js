@@ -0,0 +1,152 @@
+import { ALPHABET_CONFIG, DICTIONARY_CONFIG } from '../config/constants.js'
+import { WORD_LISTS } from '../data/words.js'
+
+const { ANY } = DICTIONARY_CONFIG
+
+/**
+ * Правила алфавита; неизвестный ключ - алфавит по умолчанию (комнаты, созданные до выбора алфавита)
+ * @param {string} [alphabet] - Ключ ALPHABET_CONFIG.ALPHABETS
+ * @returns {{pattern: RegExp, locale: string, ignored: RegExp|null}}
+ */
+export function getAlphabet(alphabet) {
+  return ALPHABET_CONFIG.ALPHABETS[alphabet] || ALPHABET_CONFIG.ALPHABETS[ALPHABET_CONFIG.DEFAULT]
+}
+
+/**
+ * Нормализация слова по правилам алфавита: без пробелов по краям и игнорируемых символов,
+ * в верхнем регистре. Совпадает с _normalize_word на сервере
+ * @param {string} word - Слово в любом регистре
+ * @param {string} [alphabet] - Ключ ALPHABET_CONFIG.ALPHABETS
+ * @returns {string}
+ */
+export function normalizeWord(word, alphabet = ALPHABET_CONFIG.DEFAULT) {
+  const { locale, ignored } = getAlphabet(alphabet)
+  const trimmed = (word || '').trim()
+  return (ignored ? trimmed.replace(ignored, '') : trimmed).toLocaleUpperCase(locale)
+}
+
+/**
+ * Проверка, что нормализованное слово состоит только из букв алфавита
+ * @param {string} word - Нормализованное слово
+ * @param {string} [alphabet] - Ключ ALPHABET_CONFIG.ALPHABETS
+ * @returns {boolean}
+ */
+export function isAlphabetWord(word, alphabet = ALPHABET_CONFIG.DEFAULT) {
+  return getAlphabet(alphabet).pattern.test(word)
+}
+
+/**
+ * Сложность слова по его частотности
+ * @param {number} frequency - Употреблений на миллион слов
+ * @returns {string} - easy | medium | hard
+ */
+export function getWordDifficulty(frequency) {
+  const levels = Object.entries(DICTIONARY_CONFIG.DIFFICULTIES)
+  const match = levels.find(([, level]) => frequency >= level.minFrequency)
+  return match ? match[0] : levels[levels.length - 1][0]
+}
+
+function indexKey(alphabet, length, difficulty, category) {
+  return `${alphabet}|${length}|${difficulty}|${category}`
+}
+
+/**
+ * Загрузка словаря: записи слов и индекс по алфавиту, длине, сложности и категории
+ * Каждое слово попадает в 4 ключа индекса: с конкретными значениями и с ANY
+ */
+function loadDictionary(lists) {
+  const entries = new Map()
+  const index = new Map()
+
+  const addToIndex = (key, word) => {
+    if (!index.has(key)) {
+      index.set(key, [])
+    }
+    index.get(key).push(word)
+  }
+
+  Object.entries(lists).forEach(([alphabet, categories]) => {
+    Object.entries(categories).forEach(([category, words]) => {
+      words.forEach(([word, frequency]) => {
+        const entry = {
+          word,
+          alphabet,
+          length: word.length,
+          category,
+          frequency,
+          difficulty: getWordDifficulty(frequency)
+        }
+        entries.set(`${alphabet}|${word}`, entry)
+
+        for (const difficulty of [entry.difficulty, ANY]) {
+          for (const categoryKey of [category, ANY]) {
+            addToIndex(indexKey(alphabet, entry.length, difficulty, categoryKey), word)
+          }
+        }
+      })
+    })
+  })
+
+  return { entries, index }
+}
+
+const { entries: WORD_ENTRIES, index: WORD_INDEX } = loadDictionary(WORD_LISTS)
+
+/**
+ * Слова заданной длины с фильтрами
+ * @param {number} length - Длина слова
+ * @param {object} [filters]
+ * @param {string|null} [filters.difficulty] - Ключ DICTIONARY_CONFIG.DIFFICULTIES, null или ANY - любая
+ * @param {string|null} [filters.category] - Значение из DICTIONARY_CONFIG.CATEGORIES, null или ANY - любая
+ * @param {string} [filters.alphabet] - Ключ ALPHABET_CONFIG.ALPHABETS
+ * @returns {Array<string>}
+ */
+export function getWords(length, { difficulty = ANY, category = ANY, alphabet = ALPHABET_CONFIG.DEFAULT } = {}) {
+  const words = WORD_INDEX.get(indexKey(alphabet, length, difficulty || ANY, category || ANY))
+  return words ? [...words] : []
+}
+
+/**
+ * Количество слов, подходящих под фильтры
+ * @param {number} length - Длина слова
+ * @param {object} [filters] - См. getWords
+ * @returns {number}
+ */
+export function countWords(length, filters = {}) {
+  return getWords(length, filters).length
+}
+
+/**
+ * Случайное слово заданной длины
+ * @param {number} length - Длина слова
+ * @param {object} [filters] - См. getWords
+ * @returns {string|null}
+ */
+export function getRandomWord(length, filters = {}) {
+  const words = getWords(length, filters)
+  if (words.length === 0) {
+    return null
+  }
+  return words[Math.floor(Math.random() * words.length)]
+}
+
+/**
+ * Сведения о слове: категория, частотность и сложность
+ * @param {string} word - Слово в любом регистре
+ * @param {string} [alphabet] - Ключ ALPHABET_CONFIG.ALPHABETS
+ * @returns {{word: string, alphabet: string, length: number, category: string, frequency: number, difficulty: string}|null}
+ */
+export function getWordInfo(word, alphabet = ALPHABET_CONFIG.DEFAULT) {
+  const entry = WORD_ENTRIES.get(`${alphabet}|${normalizeWord(word, alphabet)}`)
+  return entry ? { ...entry } : null
+}
+
+/**
+ * Проверка наличия слова в словаре
+ * @param {string} word - Слово в любом регистре
+ * @param {string} [alphabet] - Ключ ALPHABET_CONFIG.ALPHABETS
+ * @returns {boolean}
+ */
+export function isDictionaryWord(word, alphabet = ALPHABET_CONFIG.DEFAULT) {
+  return getWordInfo(word, alphabet) !== null
+}
@@ -1,34 +1,172 @@
-import { supabase } from './supabase.js'
-import { validateWordLength, validateGuessInput, validateCellCoordinates, validateUUID } from '../utils/validation.js'
-import { handleError, retryOperation, GameError } from '../utils/errorHandler.js'
+import { backend } from './backend.js'
+import {
+  validateWordLength,
+  validateGuessInput,
+  validateCellCoordinates,
+  validateUUID,
+  validateSecretWord,
+  validateTurnTimeLimit,
+  validateAlphabet,
+  validateAndSanitizeNickname
+} from '../utils/validation.js'
+import { handleError, retryOperation, withTimeout, GameError, getErrorMessage } from '../utils/errorHandler.js'
 import { logger, perfMonitor } from '../utils/logger.js'
+import { GameEngine, GAME_ACTIONS } from './GameEngine.js'
+import { ALPHABET_CONFIG, DICTIONARY_CONFIG } from '../config/constants.js'
+import { t } from '../i18n/i18n.js'
+
+/**
+ * Повтор для RPC без ключа идемпотентности (create_game, join_game, create_rematch):
+ * после таймаута сервер мог уже выполнить запрос, и повтор создал бы вторую комнату
+ * или вернул бы ROOM_ALREADY_ACTIVE присоединившемуся игроку. Повторяются только
+ * сетевые ошибки - запрос до сервера не дошел
+ * @param {GameError} error
+ * @returns {boolean}
+ */
+function retryUnsentRequest(error) {
+  return error.code === 'NETWORK_ERROR'
+}
+
+/**
+ * Ход через submit_action: сервер запоминает результат по ключу идемпотентности,
+ * поэтому повтор запроса (retryOperation, очередь ходов после офлайна) не применит ход дважды
+ * @param {string} roomId - UUID комнаты
+ * @param {string} actionId - UUID хода
+ * @param {string} type - GAME_ACTIONS.REVEAL, GUESS или SKIP
+ * @param {object} [payload] - {row, col} или {word}
+ * @param {AbortSignal} [signal] - Отмена запроса
+ * @returns {Promise<object>} - Ответ как у reveal_cell / validate_guess
+ */
+function submitAction(roomId, actionId, type, payload = {}, signal) {
+  return retryOperation(async (attemptSignal) => {
+    const { data, error } = await backend.rpc('submit_action', {
+      p_action_id: actionId,
+      p_room_id: roomId,
+      p_type: type,
+      p_payload: payload
+    }, { signal: attemptSignal })
+    if (error) throw error
+    return data
+  }, { signal })
+}
+
+/**
+ * Проверка загаданного слова перед отправкой на сервер
+ * @param {string|null} secretWord - Слово игрока или null для случайного слова
+ * @param {number} wordLength - Длина слова в комнате
+ * @param {string} alphabet - Алфавит комнаты
+ * @returns {string|null} - Нормализованное слово
+ */
+function prepareSecretWord(secretWord, wordLength, alphabet) {
+  if (!secretWord) {
+    return null
+  }
+
+  const validation = validateSecretWord(secretWord, wordLength, alphabet)
+  if (!validation.valid) {
+    throw new GameError('INVALID_SECRET_WORD', validation.error)
+  }
+  return validation.normalized
+}
+
+/**
+ * Проверка никнейма перед отправкой на сервер
+ * @param {string|null} nickname - Имя игрока или null, если имя не задано
+ * @returns {string|null} - Очищенное имя
+ */
+function prepareNickname(nickname) {
+  if (!nickname?.trim()) {
+    return null
+  }
+
+  const validation = validateAndSanitizeNickname(nickname)
+  if (!validation.valid) {
+    throw new GameError('INVALID_INPUT', validation.error)
+  }
+  return validation.sanitized
+}
 
 /**
  * Создание новой игры
  * @param {number} wordLength - Длина слова (5-8)
+ * @param {object} [options]
+ * @param {string|null} [options.secretWord] - Свое слово для соперника; без него слово выбирает сервер
+ * @param {string|null} [options.difficulty] - Сложность случайного слова (DICTIONARY_CONFIG.DIFFICULTIES)
+ * @param {string|null} [options.category] - Тема случайного слова (значение из DICTIONARY_CONFIG.CATEGORIES)
+ * @param {string} [options.alphabet] - Алфавит слов комнаты (ALPHABET_CONFIG.ALPHABETS)
+ * @param {boolean} [options.strictGuesses] - Строгий режим: попытки не из словаря не тратят ход
+ * @param {number|null} [options.turnTimeLimit] - Время на ход в секундах, null - без ограничения
+ * @param {string|null} [options.nickname] - Имя создателя комнаты
+ * @param {AbortSignal} [options.signal] - Отмена запроса
  * @returns {Promise<{roomId: string, wordLength: number}>}
  */
-export async function createGame(wordLength = 5) {
+export async function createGame(wordLength = 5, {
+  secretWord = null,
+  difficulty = null,
+  category = null,
+  alphabet = ALPHABET_CONFIG.DEFAULT,
+  strictGuesses = true,
+  turnTimeLimit = null,
+  nickname = null,
+  signal
+} = {}) {
   // Валидация
   const validation = validateWordLength(wordLength)
   if (!validation.valid) {
     throw new GameError('INVALID_INPUT', validation.error)
   }
 
-  logger.info('Создание игры', { wordLength })
+  const timeLimitValidation = validateTurnTimeLimit(turnTimeLimit)
+  if (!timeLimitValidation.valid) {
+    throw new GameError('INVALID_INPUT', timeLimitValidation.error)
+  }
+
+  const alphabetValidation = validateAlphabet(alphabet)
+  if (!alphabetValidation.valid) {
+    throw new GameError('INVALID_INPUT', alphabetValidation.error)
+  }
+
+  const normalizedSecret = prepareSecretWord(secretWord, wordLength, alphabet)
+  const normalizedNickname = prepareNickname(nickname)
+
+  // "Любая" сложность или тема передается на сервер как null
+  const filters = {
+    difficulty: difficulty && difficulty !== DICTIONARY_CONFIG.ANY ? difficulty : null,
+    category: category && category !== DICTIONARY_CONFIG.ANY ? category : null
+  }
+
+  logger.info('Создание игры', {
+    wordLength,
+    customWord: Boolean(normalizedSecret),
+    alphabet,
+    strictGuesses,
+    turnTimeLimit,
+    ...filters
+  })
   perfMonitor.startMeasure('create_game')
 
   try {
-    const operation = async () => {
-      const { data, error } = await supabase.rpc('create_game', {
-        p_word_length: wordLength
-      })
+    const operation = async (attemptSignal) => {
+      const { data, error } = await backend.rpc('create_game', {
+        p_word_length: wordLength,
+        p_secret_word: normalizedSecret,
+        p_difficulty: filters.difficulty,
+        p_category: filters.category,
+        p_alphabet: alphabet,
+        p_strict_guesses: strictGuesses,
+        p_turn_time_limit: turnTimeLimit,
+        p_nickname: normalizedNickname
+      }, { signal: attemptSignal })
       if (error) throw error
       return data
     }
 
-    const result = await retryOperation(operation)
+    const result = await retryOperation(operation, { signal, shouldRetry: retryUnsentRequest })
     perfMonitor.endMeasure('create_game')
+
+    if (!result.success) {
+      throw GameError.fromResult(result)
+    }
     logger.info('Игра создана', { roomId: result.room_id })
 
     return {
@@ -46,31 +184,43 @@ export async function createGame(wordLength = 5) {
 /**
  * Присоединение к игре
  * @param {string} roomId - UUID комнаты
+ * @param {string|null} secretWord - Свое слово (обязательно в комнатах со своими словами)
+ * @param {object} [options]
+ * @param {string|null} [options.nickname] - Имя игрока
+ * @param {AbortSignal} [options.signal] - Отмена запроса
  * @returns {Promise<{success: boolean, firstPlayer?: number}>}
  */
-export async function joinGame(roomId) {
+export async function joinGame(roomId, secretWord = null, { nickname = null, signal } = {}) {
   // Валидация UUID
   if (!validateUUID(roomId)) {
-    throw new GameError('INVALID_INPUT', 'Некорректный ID комнаты')
+    throw new GameError('INVALID_INPUT', t('errors.invalidRoomId'))
   }
 
+  const normalizedNickname = prepareNickname(nickname)
+
+  // Длину слова и алфавит для проверки берем из комнаты
+  const room = secretWord ? await getGameState(roomId, { signal }) : null
+  const normalizedSecret = room ? prepareSecretWord(secretWord, room.word_length, room.alphabet) : null
+
   logger.info('Присоединение к игре', { roomId })
   perfMonitor.startMeasure('join_game')
 
   try {
-    const operation = async () => {
-      const { data, error } = await supabase.rpc('join_game', {
-        p_room_id: roomId
-      })
+    const operation = async (attemptSignal) => {
+      const { data, error } = await backend.rpc('join_game', {
+        p_room_id: roomId,
+        p_secret_word: normalizedSecret,
+        p_nickname: normalizedNickname
+      }, { signal: attemptSignal })
       if (error) throw error
       return data
     }
 
-    const result = await retryOperation(operation)
+    const result = await retryOperation(operation, { signal, shouldRetry: retryUnsentRequest })
     perfMonitor.endMeasure('join_game')
 
     if (!result.success) {
-      throw new GameError(result.error, result.error)
+      throw GameError.fromResult(result)
     }
 
     logger.info('Присоединились к игре', { roomId, firstPlayer: result.first_player })
@@ -87,17 +237,75 @@ export async function joinGame(roomId) {
   }
 }
 
+/**
+ * Создание реванша завершенной игры
+ * Если соперник уже создал реванш, возвращается его комната (created = false) - к ней нужно присоединиться
+ * @param {string} roomId - UUID завершенной комнаты
+ * @param {string|null} secretWord - Свое слово (обязательно, если игра была со своими словами)
+ * @param {object} [options]
+ * @param {string|null} [options.nickname] - Имя игрока в новой комнате
+ * @param {AbortSignal} [options.signal] - Отмена запроса
+ * @returns {Promise<{roomId: string, wordLength: number, created: boolean}>}
+ */
+export async function createRematch(roomId, secretWord = null, { nickname = null, signal } = {}) {
+  if (!validateUUID(roomId)) {
+    throw new GameError('INVALID_INPUT', t('errors.invalidRoomId'))
+  }
+
+  const normalizedNickname = prepareNickname(nickname)
+
+  const room = secretWord ? await getGameState(roomId, { signal }) : null
+  const normalizedSecret = room ? prepareSecretWord(secretWord, room.word_length, room.alphabet) : null
+
+  logger.info('Создание реванша', { roomId, customWord: Boolean(normalizedSecret) })
+  perfMonitor.startMeasure('create_rematch')
+
+  try {
+    const operation = async (attemptSignal) => {
+      const { data, error } = await backend.rpc('create_rematch', {
+        p_room_id: roomId,
+        p_secret_word: normalizedSecret,
+        p_nickname: normalizedNickname
+      }, { signal: attemptSignal })
+      if (error) throw error
+      return data
+    }
+
+    const result = await retryOperation(operation, { signal, shouldRetry: retryUnsentRequest })
+    perfMonitor.endMeasure('create_rematch')
+
+    if (!result.success) {
+      throw GameError.fromResult(result)
+    }
+    logger.info('Реванш готов', { roomId, rematchRoomId: result.room_id, created: result.created })
+
+    return {
+      roomId: result.room_id,
+      wordLength: result.word_length,
+      created: result.created
+    }
+  } catch (error) {
+    perfMonitor.endMeasure('create_rematch')
+    const gameError = handleError(error)
+    logger.error('Ошибка создания реванша', { roomId, error: gameError.message })
+    throw gameError
+  }
+}
+
 /**
  * Открытие клетки
  * @param {string} roomId - UUID комнаты
  * @param {number} row - Строка (0-4)
  * @param {number} col - Столбец (0-4)
+ * @param {object} [options]
+ * @param {string} [options.actionId] - Ключ идемпотентности хода (по умолчанию новый)
+ * @param {AbortSignal} [options.signal] - Отмена запроса
  * @returns {Promise<{cell: object, revealedCells: number}>}
  */
-export async function revealCell(roomId, row, col) {
+export async function revealCell(roomId, row, col, { actionId = crypto.randomUUID(), signal } = {}) {
   // Валидация
   if (!validateUUID(roomId)) {
-    throw new GameError('INVALID_INPUT', 'Некорректный ID комнаты')
+    throw new GameError('INVALID_INPUT', t('errors.invalidRoomId'))
   }
 
   const coordValidation = validateCellCoordinates(row, col)
@@ -105,34 +313,27 @@ export async function revealCell(roomId, row, col) {
     throw new GameError('INVALID_INPUT', coordValidation.error)
   }
 
-  logger.info('Открытие клетки', { roomId, row, col })
+  logger.info('Открытие клетки', { roomId, row, col, actionId })
   perfMonitor.startMeasure('reveal_cell')
 
   try {
-    const operation = async () => {
-      const { data, error } = await supabase.rpc('reveal_cell', {
-        p_room_id: roomId,
-        p_row: row,
-        p_col: col
-      })
-      if (error) throw error
-      return data
-    }
-
-    const result = await retryOperation(operation)
+    const result = await submitAction(roomId, actionId, GAME_ACTIONS.REVEAL, { row, col }, signal)
     perfMonitor.endMeasure('reveal_cell')
 
     if (!result.success) {
-      throw new GameError(result.error, result.error)
+      throw GameError.fromResult(result)
     }
 
-    if (!result.cell || Object.keys(result.cell).length === 0 || !result.cell.letter) {
+    // letter = null - обычная пустая клетка, перезагрузка нужна, только если клетки в ответе нет
+    if (!result.cell || Object.keys(result.cell).length === 0) {
       logger.warn('Backend вернул некорректную клетку, перезагружаем состояние')
 
       await new Promise(resolve => setTimeout(resolve, 100))
 
-      const gameState = await getGameState(roomId)
-      const boardData = gameState.board_state || gameState.field_state?.grid || gameState.field_state
+      const gameState = await getGameState(roomId, { signal })
+      // Клетка открыта на доске следующего игрока (в режиме своих слов) или на общей доске
+      const boardData = GameEngine.getBoardFor(gameState, GameEngine.getOpponentNumber(result.next_player)) ||
+        gameState.field_state?.grid || gameState.field_state
 
       if (boardData && boardData[row] && boardData[row][col]) {
         return {
@@ -160,39 +361,38 @@ export async function revealCell(roomId, row, col) {
  * Проверка угаданного слова
  * @param {string} roomId - UUID комнаты
  * @param {string} guessedWord - Введенное слово
+ * @param {object} [options]
+ * @param {string} [options.alphabet] - Алфавит комнаты: по нему нормализуется и проверяется слово
+ * @param {string} [options.actionId] - Ключ идемпотентности хода (по умолчанию новый)
+ * @param {AbortSignal} [options.signal] - Отмена запроса
  * @returns {Promise<{correct: boolean, winner?: number, word?: string, nextPlayer?: number}>}
  */
-export async function validateGuess(roomId, guessedWord) {
+export async function validateGuess(roomId, guessedWord, {
+  alphabet = ALPHABET_CONFIG.DEFAULT,
+  actionId = crypto.randomUUID(),
+  signal
+} = {}) {
   // Валидация
   if (!validateUUID(roomId)) {
-    throw new GameError('INVALID_INPUT', 'Некорректный ID комнаты')
+    throw new GameError('INVALID_INPUT', t('errors.invalidRoomId'))
   }
 
-  const wordValidation = validateGuessInput(guessedWord)
+  const wordValidation = validateGuessInput(guessedWord, alphabet)
   if (!wordValidation.valid) {
     throw new GameError('INVALID_INPUT', wordValidation.error)
   }
 
   const normalized = wordValidation.normalized
 
-  logger.info('Проверка слова', { roomId, word: normalized })
+  logger.info('Проверка слова', { roomId, word: normalized, actionId })
   perfMonitor.startMeasure('validate_guess')
 
   try {
-    const operation = async () => {
-      const { data, error } = await supabase.rpc('validate_guess', {
-        p_room_id: roomId,
-        p_guessed_word: normalized
-      })
-      if (error) throw error
-      return data
-    }
-
-    const result = await retryOperation(operation)
+    const result = await submitAction(roomId, actionId, GAME_ACTIONS.GUESS, { word: normalized }, signal)
     perfMonitor.endMeasure('validate_guess')
 
     if (result.success === false) {
-      throw new GameError(result.error, result.error)
+      throw GameError.fromResult(result)
     }
 
     if (result.correct) {
@@ -220,39 +420,44 @@ export async function validateGuess(roomId, guessedWord) {
 /**
  * Пропуск хода - передача хода сопернику
  * @param {string} roomId - UUID комнаты 
+ * @param {object} [options]
+ * @param {boolean} [options.timedOut] - Пропуск по истечении времени хода; может вызвать любой игрок,
+ *   сервер сам проверяет срок по turn_deadline комнаты
+ * @param {string} [options.actionId] - Ключ идемпотентности обычного пропуска (по умолчанию новый)
+ * @param {AbortSignal} [options.signal] - Отмена запроса
  * @returns {Promise<{skipped: boolean, nextPlayer: number}>}
  */
-export async function skipTurn(roomId) {
+export async function skipTurn(roomId, { timedOut = false, actionId = crypto.randomUUID(), signal } = {}) {
   // Валидация UUID
   if (!validateUUID(roomId)) {
-    throw new GameError('INVALID_INPUT', 'Некорректный ID комнаты')
+    throw new GameError('INVALID_INPUT', t('errors.invalidRoomId'))
   }
 
-  logger.info('Пропуск хода', { roomId })
+  logger.info('Пропуск хода', { roomId, timedOut })
   perfMonitor.startMeasure('skip_turn')
 
   try {
-    const operation = async () => {
-      // Используем функцию validate_guess с пустой строкой для пропуска хода
-      const { data, error } = await supabase.rpc('validate_guess', {
-        p_room_id: roomId,
-        p_guessed_word: '' // Пустая строка = пропуск хода
-      })
+    // Обычный пропуск - ход игрока через submit_action, по таймеру - skip_expired_turn
+    // (его может вызвать любой игрок, повтор безопасен: сервер ответит TURN_NOT_EXPIRED)
+    const operation = async (attemptSignal) => {
+      const { data, error } = await backend.rpc('skip_expired_turn', { p_room_id: roomId }, { signal: attemptSignal })
       if (error) throw error
       return data
     }
 
-    const result = await retryOperation(operation)
+    const result = timedOut
+      ? await retryOperation(operation, { signal })
+      : await submitAction(roomId, actionId, GAME_ACTIONS.SKIP, {}, signal)
     perfMonitor.endMeasure('skip_turn')
 
     if (result.success === false) {
-      throw new GameError(result.error, result.error)
+      throw GameError.fromResult(result)
     }
 
     // Проверяем, что это действительно пропуск хода
     if (result.skipped !== true) {
       logger.warn('Неожиданный ответ при пропуске хода', { result })
-      throw new GameError('UNEXPECTED_RESPONSE', 'Неожиданный ответ сервера при пропуске хода')
+      throw new GameError('UNEXPECTED_RESPONSE', getErrorMessage('UNEXPECTED_RESPONSE'))
     }
 
     logger.info('Ход пропущен', { nextPlayer: result.next_player })
@@ -271,27 +476,29 @@ export async function skipTurn(roomId) {
 
 /**
  * Получение состояния игры
+ * Запрос не повторяется (его повторяют опрос и переподключение RealtimeManager), но ограничен по времени
  * @param {string} roomId - UUID комнаты
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Отмена запроса
  * @returns {Promise<object>}
  */
-export async function getGameState(roomId) {
+export async function getGameState(roomId, { signal } = {}) {
   if (!validateUUID(roomId)) {
-    throw new GameError('INVALID_INPUT', 'Некорректный ID комнаты')
+    throw new GameError('INVALID_INPUT', t('errors.invalidRoomId'))
   }
 
   logger.info('Получение состояния игры', { roomId })
 
   try {
-    const { data, error } = await supabase
-      .from('game_rooms_safe')
-      .select('*')
-      .eq('id', roomId)
-      .single()
+    const { data, error } = await withTimeout(
+      (attemptSignal) => backend.fetchRoom(roomId, { signal: attemptSignal }),
+      { signal }
+    )
 
     if (error) throw error
 
     if (!data) {
-      throw new GameError('ROOM_NOT_FOUND', 'Игра не найдена')
+      throw new GameError('ROOM_NOT_FOUND', getErrorMessage('ROOM_NOT_FOUND'))
     }
 
     if (data.field_state && !data.board_state) {
@@ -304,4 +511,40 @@ export async function getGameState(roomId) {
     logger.error('Ошибка получения состояния', { roomId, error: gameError.message })
     throw gameError
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Журнал ходов завершенной игры (для просмотра повтора)
+ * @param {string} roomId - UUID комнаты
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Отмена запроса
+ * @returns {Promise<object[]>} - Ходы по порядку: {seq, player, type, row, col, word, correct, created_at}
+ * @throws {GameError} ROOM_NOT_FOUND или GAME_NOT_FINISHED, пока игра идет
+ */
+export async function getGameMoves(roomId, { signal } = {}) {
+  if (!validateUUID(roomId)) {
+    throw new GameError('INVALID_INPUT', t('errors.invalidRoomId'))
+  }
+
+  logger.info('Получение журнала ходов', { roomId })
+
+  try {
+    const operation = async (attemptSignal) => {
+      const { data, error } = await backend.rpc('get_game_moves', { p_room_id: roomId }, { signal: attemptSignal })
+      if (error) throw error
+      return data
+    }
+
+    const result = await retryOperation(operation, { signal })
+
+    if (!result.success) {
+      throw GameError.fromResult(result)
+    }
+
+    return result.moves || []
+  } catch (error) {
+    const gameError = handleError(error)
+    logger.error('Ошибка получения журнала ходов', { roomId, error: gameError.message })
+    throw gameError
+  }
+}
@@ -0,0 +1,52 @@
+import { HISTORY_CONFIG } from '../config/constants.js'
+import { readJson, writeJson } from '../utils/storage.js'
+
+/**
+ * История сыгранных партий в localStorage для просмотра повтора
+ * Запись: {roomId, mode, finishedAt, state, moves}: state - итоговое публичное состояние игры,
+ * moves - журнал ходов в формате get_game_moves, mode - значение GAME_CONFIG.MODES
+ */
+class HistoryStore {
+  constructor(storage = globalThis.localStorage) {
+    this.storage = storage
+  }
+
+  /**
+   * Сохраненные партии, от последней к самой старой
+   * @returns {Array<{roomId: string, mode: string, finishedAt: number, state: object, moves: Array<object>}>}
+   */
+  list() {
+    return this.read().sort((a, b) => b.finishedAt - a.finishedAt)
+  }
+
+  /**
+   * Партия по ID комнаты
+   * @param {string} roomId - ID комнаты (у локальных игр - ID локальной сессии)
+   * @returns {object|null}
+   */
+  get(roomId) {
+    return this.read().find(game => game.roomId === roomId) || null
+  }
+
+  /**
+   * Сохранение завершенной партии (повторное сохранение заменяет запись)
+   * @param {object} game - Запись истории без finishedAt
+   */
+  save(game) {
+    const games = this.list().filter(item => item.roomId !== game.roomId)
+    games.unshift({ ...game, finishedAt: Date.now() })
+    this.write(games.slice(0, HISTORY_CONFIG.MAX_GAMES))
+  }
+
+  read() {
+    const games = readJson(this.storage, HISTORY_CONFIG.STORAGE_KEY, [])
+    return Array.isArray(games) ? games : []
+  }
+
+  write(games) {
+    writeJson(this.storage, HISTORY_CONFIG.STORAGE_KEY, games)
+  }
+}
+
+// Singleton instance
+export const historyStore = new HistoryStore()
@@ -0,0 +1,635 @@
+import { GAME_CONFIG, BACKEND_CONFIG, DICTIONARY_CONFIG, ALPHABET_CONFIG } from '../config/constants.js'
+import { logger } from '../utils/logger.js'
+import { GameEngine, GAME_ACTIONS } from './GameEngine.js'
+import { getRandomWord, isDictionaryWord, normalizeWord } from './dictionary.js'
+import { validateAlphabet, validateAndSanitizeNickname, validateTurnTimeLimit } from '../utils/validation.js'
+import { ERROR_CODES, getErrorInfo } from '../utils/errorHandler.js'
+
+const ROOMS_TABLE = 'game_rooms'
+
+// Комнаты старше этого возраста удаляются cleanup_old_games (мс)
+const ROOM_MAX_AGE = 24 * 60 * 60 * 1000
+
+// Ответ на отмененный запрос в формате postgrest-js
+const ABORT_ERROR = { code: '', message: 'AbortError: The operation was aborted' }
+
+function randomItem(items) {
+  return items[Math.floor(Math.random() * items.length)]
+}
+
+/**
+ * Ответ RPC с ошибкой, как у public._rpc_error
+ */
+function rpcError(code) {
+  return { success: false, error: code, error_info: getErrorInfo(code) }
+}
+
+/**
+ * Дополнение ответа с success = false описанием ошибки, как у public._with_error_info
+ */
+function withErrorInfo(result) {
+  return result?.success === false && result.error
+    ? { ...result, error_info: getErrorInfo(result.error) }
+    : result
+}
+
+function clone(value) {
+  return value === null || value === undefined ? value : JSON.parse(JSON.stringify(value))
+}
+
+/**
+ * In-memory Realtime канал с API, совместимым с RealtimeChannel Supabase
+ * Поддерживает события 'postgres_changes', 'broadcast' и 'presence' (только sync)
+ */
+class LocalChannel {
+  /**
+   * @param {LocalBackend} backend
+   * @param {string} topic - Имя канала
+   * @param {object} [options] - Параметры как у supabase.channel: config.presence.key - ключ участника
+   */
+  constructor(backend, topic, options = {}) {
+    this.backend = backend
+    this.topic = topic
+    this.presenceKey = options.config?.presence?.key || crypto.randomUUID()
+    this.listeners = []
+    this.isJoined = false
+  }
+
+  on(type, filter, callback) {
+    this.listeners.push({ type, filter, callback })
+    return this
+  }
+
+  subscribe(statusCallback) {
+    this.backend.channels.add(this)
+    this.isJoined = true
+    if (statusCallback) {
+      setTimeout(() => statusCallback('SUBSCRIBED'), BACKEND_CONFIG.LOCAL_EVENT_DELAY)
+    }
+    return this
+  }
+
+  /**
+   * Отправка broadcast сообщения остальным каналам с тем же topic
+   * @param {{type: string, event: string, payload: object}} message
+   * @returns {Promise<string>}
+   */
+  async send(message) {
+    if (!this.isJoined) {
+      return 'error'
+    }
+    if (message.type === 'broadcast') {
+      this.backend.dispatchBroadcast(this, message)
+    }
+    return 'ok'
+  }
+
+  /**
+   * Публикация состояния участника в presence канала
+   * @param {object} payload - Произвольные данные участника
+   * @returns {Promise<string>}
+   */
+  async track(payload) {
+    if (!this.isJoined) {
+      return 'error'
+    }
+    this.backend.updatePresence(this, payload)
+    return 'ok'
+  }
+
+  async untrack() {
+    this.backend.updatePresence(this, null)
+    return 'ok'
+  }
+
+  /**
+   * Участники канала: {[key]: [payload, ...]}, как presenceState() в Supabase
+   * @returns {object}
+   */
+  presenceState() {
+    return this.backend.getPresenceState(this.topic)
+  }
+
+  async unsubscribe() {
+    this.isJoined = false
+    this.backend.channels.delete(this)
+    this.backend.updatePresence(this, null)
+    return 'ok'
+  }
+
+  /**
+   * Проверка соответствия postgres_changes подписки событию
+   */
+  matchesChange(listener, table, eventType, record) {
+    const { event, table: listenerTable, filter } = listener.filter || {}
+    if (listenerTable && listenerTable !== table) return false
+    if (event && event !== '*' && event !== eventType) return false
+
+    if (filter) {
+      const [column, condition] = filter.split('=')
+      const expected = condition?.replace(/^eq\./, '')
+      if (!record || String(record[column]) !== expected) return false
+    }
+
+    return true
+  }
+
+  deliverChange(table, payload) {
+    const record = payload.eventType === 'DELETE' ? payload.old : payload.new
+    this.listeners
+      .filter(listener => listener.type === 'postgres_changes')
+      .filter(listener => this.matchesChange(listener, table, payload.eventType, record))
+      .forEach(listener => listener.callback(clone(payload)))
+  }
+
+  deliverPresenceSync() {
+    this.listeners
+      .filter(listener => listener.type === 'presence')
+      .filter(listener => !listener.filter?.event || listener.filter.event === 'sync')
+      .forEach(listener => listener.callback())
+  }
+
+  deliverBroadcast(message) {
+    this.listeners
+      .filter(listener => listener.type === 'broadcast')
+      .filter(listener => !listener.filter?.event || listener.filter.event === message.event)
+      .forEach(listener => listener.callback(clone(message)))
+  }
+}
+
+/**
+ * In-memory backend: полная реализация RPC контракта без сети
+ * Используется для разработки, демонстрации и тестирования без Supabase
+ */
+export class LocalBackend {
+  constructor() {
+    this.type = BACKEND_CONFIG.TYPES.LOCAL
+    this.rooms = new Map()
+    this.channels = new Set()
+    // Presence: канал -> данные участника, опубликованные через track()
+    this.presence = new Map()
+    // Результаты ходов по ключам идемпотентности (как таблица game_actions)
+    this.actions = new Map()
+    // Журналы ходов по комнатам (как таблица game_moves)
+    this.moves = new Map()
+    this.currentUser = null
+  }
+
+  /**
+   * "Аутентификация" - генерация локального пользователя
+   * @returns {Promise<{id: string}>}
+   */
+  async initAuth() {
+    if (!this.currentUser) {
+      this.currentUser = { id: crypto.randomUUID(), is_anonymous: true }
+    }
+    return this.currentUser
+  }
+
+  /**
+   * Смена текущего пользователя (имитация второго клиента)
+   * @param {string} userId - ID пользователя
+   * @returns {{id: string}}
+   */
+  switchUser(userId) {
+    this.currentUser = { id: userId, is_anonymous: true }
+    return this.currentUser
+  }
+
+  /**
+   * Вызов RPC функции
+   * @param {string} fn - Имя функции
+   * @param {object} params - Параметры
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal] - Отмененный запрос не выполняется, как и в Supabase
+   * @returns {Promise<{data: *, error: object|null}>}
+   */
+  async rpc(fn, params = {}, { signal } = {}) {
+    if (signal?.aborted) {
+      return { data: null, error: ABORT_ERROR }
+    }
+
+    const handlers = {
+      create_game: () => this.createGame(params),
+      join_game: () => this.joinGame(params),
+      reveal_cell: () => this.revealCell(params),
+      validate_guess: () => this.validateGuess(params),
+      skip_expired_turn: () => this.skipExpiredTurn(params),
+      submit_action: () => this.submitAction(params),
+      create_rematch: () => this.createRematch(params),
+      get_game_moves: () => this.getGameMoves(params),
+      cleanup_old_games: () => this.cleanupOldGames()
+    }
+
+    const handler = handlers[fn]
+    if (!handler) {
+      return {
+        data: null,
+        error: { code: 'PGRST202', message: `Could not find the function public.${fn}` }
+      }
+    }
+
+    if (!this.currentUser) {
+      return { data: rpcError('AUTHENTICATION_FAILED'), error: null }
+    }
+
+    try {
+      return { data: withErrorInfo(handler()), error: null }
+    } catch (error) {
+      // Исключение с кодом ошибки (raise exception на сервере) - такой же ответ, как у обертки RPC
+      if (ERROR_CODES[error.message]) {
+        return { data: rpcError(error.message), error: null }
+      }
+      logger.error('LocalBackend: ошибка RPC', { fn, error: error.message })
+      return { data: null, error: { message: error.message } }
+    }
+  }
+
+  /**
+   * Получение безопасного представления комнаты (аналог game_rooms_safe)
+   * @param {string} roomId - UUID комнаты
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal] - Отмена запроса
+   * @returns {Promise<{data: object|null, error: object|null}>}
+   */
+  async fetchRoom(roomId, { signal } = {}) {
+    if (signal?.aborted) {
+      return { data: null, error: ABORT_ERROR }
+    }
+
+    const room = this.rooms.get(roomId)
+    if (!room) {
+      return {
+        data: null,
+        error: { code: 'PGRST116', message: 'JSON object requested, multiple (or no) rows returned' }
+      }
+    }
+    return { data: this.toSafeRecord(room), error: null }
+  }
+
+  channel(name, options) {
+    return new LocalChannel(this, name, options)
+  }
+
+  async removeChannel(channel) {
+    return channel.unsubscribe()
+  }
+
+  // ---------- RPC ----------
+
+  createGame({
+    p_word_length: wordLength,
+    p_secret_word: secretWord = null,
+    p_difficulty: difficulty = null,
+    p_category: category = null,
+    p_alphabet: alphabet = ALPHABET_CONFIG.DEFAULT,
+    p_strict_guesses: strictGuesses = true,
+    p_turn_time_limit: turnTimeLimit = null,
+    p_nickname: nickname = null
+  }) {
+    // Как и create_game на сервере, некорректные параметры - исключение
+    if (!Number.isInteger(wordLength) ||
+        wordLength < GAME_CONFIG.MIN_WORD_LENGTH || wordLength > GAME_CONFIG.MAX_WORD_LENGTH ||
+        (difficulty && !DICTIONARY_CONFIG.DIFFICULTIES[difficulty]) ||
+        !validateAlphabet(alphabet).valid ||
+        !validateTurnTimeLimit(turnTimeLimit).valid) {
+      throw new Error('INVALID_INPUT')
+    }
+    const creatorNickname = this.normalizeNickname(nickname)
+
+    if (secretWord && !this.isValidSecretWord(secretWord, wordLength, alphabet)) {
+      return { success: false, error: 'INVALID_SECRET_WORD' }
+    }
+
+    // Сложность и тема ограничивают только случайное слово
+    const filters = secretWord ? {} : { difficulty, category }
+    const word = secretWord || getRandomWord(wordLength, { ...filters, alphabet })
+    if (!word) {
+      return { success: false, error: 'NO_MATCHING_WORDS' }
+    }
+
+    const now = new Date().toISOString()
+    const room = {
+      ...GameEngine.createState({
+        id: crypto.randomUUID(),
+        playerId: this.currentUser.id,
+        word,
+        wordMode: secretWord ? GAME_CONFIG.WORD_MODES.CUSTOM : GAME_CONFIG.WORD_MODES.RANDOM,
+        wordDifficulty: filters.difficulty || null,
+        wordCategory: filters.category || null,
+        alphabet,
+        nickname: creatorNickname,
+        strictGuesses: strictGuesses !== false,
+        turnTimeLimit
+      }),
+      created_at: now,
+      updated_at: now,
+      version: 0
+    }
+
+    this.rooms.set(room.id, room)
+    this.emitChange('INSERT', null, room)
+
+    return { success: true, room_id: room.id, word_length: wordLength }
+  }
+
+  joinGame({ p_room_id: roomId, p_secret_word: secretWord = null, p_nickname: nickname = null }) {
+    const playerNickname = this.normalizeNickname(nickname)
+    const room = this.rooms.get(roomId)
+    if (!room) {
+      return { success: false, error: 'ROOM_NOT_FOUND' }
+    }
+
+    if (secretWord && room.word_mode === GAME_CONFIG.WORD_MODES.CUSTOM &&
+        !this.isValidSecretWord(secretWord, room.word_length, room.alphabet)) {
+      return { success: false, error: 'INVALID_SECRET_WORD' }
+    }
+
+    return this.applyAction(roomId, {
+      type: GAME_ACTIONS.JOIN,
+      firstPlayer: randomItem([GAME_CONFIG.PLAYERS.PLAYER_1, GAME_CONFIG.PLAYERS.PLAYER_2]),
+      positions: GameEngine.shuffleCells(),
+      secretWord,
+      nickname: playerNickname
+    })
+  }
+
+  revealCell({ p_room_id: roomId, p_row: row, p_col: col }) {
+    return this.applyAction(roomId, { type: GAME_ACTIONS.REVEAL, row, col })
+  }
+
+  validateGuess({ p_room_id: roomId, p_guessed_word: guessedWord }) {
+    // Пустая строка - пропуск хода (обрабатывается движком)
+    return this.applyAction(roomId, { type: GAME_ACTIONS.GUESS, word: guessedWord })
+  }
+
+  skipExpiredTurn({ p_room_id: roomId }) {
+    return this.applyAction(roomId, { type: GAME_ACTIONS.TIMEOUT })
+  }
+
+  /**
+   * Ход с ключом идемпотентности: повтор с тем же ключом возвращает сохраненный результат
+   */
+  submitAction({ p_action_id: actionId, p_room_id: roomId, p_type: type, p_payload: payload = {} }) {
+    const handlers = {
+      [GAME_ACTIONS.REVEAL]: () => this.revealCell({ p_room_id: roomId, p_row: payload.row, p_col: payload.col }),
+      [GAME_ACTIONS.GUESS]: () => this.validateGuess({ p_room_id: roomId, p_guessed_word: payload.word || '' }),
+      [GAME_ACTIONS.SKIP]: () => this.validateGuess({ p_room_id: roomId, p_guessed_word: '' })
+    }
+    if (!actionId || !handlers[type]) {
+      return { success: false, error: 'INVALID_INPUT' }
+    }
+    if (!this.rooms.has(roomId)) {
+      return { success: false, error: 'GAME_NOT_FOUND_OR_INACTIVE' }
+    }
+
+    const previous = this.actions.get(actionId)
+    if (previous) {
+      if (previous.userId !== this.currentUser.id || previous.roomId !== roomId) {
+        return { success: false, error: 'INVALID_INPUT' }
+      }
+      return { ...clone(previous.result), duplicate: true }
+    }
+
+    const result = handlers[type]()
+    this.actions.set(actionId, { userId: this.currentUser.id, roomId, result: clone(result) })
+    return result
+  }
+
+  /**
+   * Реванш: комната с настройками завершенной игры, первым ходит другой игрок.
+   * Повторный вызов (в том числе соперником) возвращает уже созданную комнату
+   */
+  createRematch({ p_room_id: roomId, p_secret_word: secretWord = null, p_nickname: nickname = null }) {
+    const room = this.rooms.get(roomId)
+    if (!room) {
+      return { success: false, error: 'ROOM_NOT_FOUND' }
+    }
+    if (!GameEngine.getPlayerNumber(room, this.currentUser.id)) {
+      return { success: false, error: 'NOT_A_PLAYER' }
+    }
+    if (room.status !== GAME_CONFIG.GAME_STATUS.FINISHED) {
+      return { success: false, error: 'GAME_NOT_FINISHED' }
+    }
+    if (room.rematch_room_id) {
+      return { success: true, room_id: room.rematch_room_id, word_length: room.word_length, created: false }
+    }
+
+    const isCustom = room.word_mode === GAME_CONFIG.WORD_MODES.CUSTOM
+    if (isCustom && !secretWord?.trim()) {
+      return { success: false, error: 'SECRET_WORD_REQUIRED' }
+    }
+
+    const result = this.createGame({
+      p_word_length: room.word_length,
+      p_secret_word: isCustom ? secretWord : null,
+      p_difficulty: room.word_difficulty,
+      p_category: room.word_category,
+      p_alphabet: room.alphabet,
+      p_strict_guesses: room.strict_guesses,
+      p_turn_time_limit: room.turn_time_limit,
+      p_nickname: nickname
+    })
+    if (!result.success) {
+      return result
+    }
+
+    // Создатель реванша - игрок 1; первым ходит тот, кто в прошлой игре ходил вторым
+    const firstUserId = room.first_player ? room[`player${room.first_player}_id`] : null
+    const firstPlayer = firstUserId
+      ? (firstUserId === this.currentUser.id ? GAME_CONFIG.PLAYERS.PLAYER_2 : GAME_CONFIG.PLAYERS.PLAYER_1)
+      : null
+
+    this.updateRoom(result.room_id, { rematch_of: roomId, first_player: firstPlayer })
+    this.updateRoom(roomId, { rematch_room_id: result.room_id })
+
+    return { ...result, created: true }
+  }
+
+  /**
+   * Журнал ходов завершенной игры для повтора партии
+   */
+  getGameMoves({ p_room_id: roomId }) {
+    const room = this.rooms.get(roomId)
+    if (!room) {
+      return { success: false, error: 'ROOM_NOT_FOUND' }
+    }
+    if (room.status !== GAME_CONFIG.GAME_STATUS.FINISHED) {
+      return { success: false, error: 'GAME_NOT_FINISHED' }
+    }
+
+    return { success: true, moves: clone(this.moves.get(roomId) || []) }
+  }
+
+  cleanupOldGames() {
+    const threshold = Date.now() - ROOM_MAX_AGE
+    let deleted = 0
+
+    this.rooms.forEach((room, roomId) => {
+      if (new Date(room.updated_at).getTime() < threshold) {
+        this.rooms.delete(roomId)
+        this.moves.delete(roomId)
+        this.actions.forEach((action, actionId) => {
+          if (action.roomId === roomId) this.actions.delete(actionId)
+        })
+        this.emitChange('DELETE', room, null)
+        deleted++
+      }
+    })
+
+    return { success: true, deleted }
+  }
+
+  // ---------- Внутренние методы ----------
+
+  /**
+   * Никнейм как в _normalize_nickname на сервере: пустой - null, некорректный - исключение
+   */
+  normalizeNickname(nickname) {
+    const trimmed = nickname?.trim()
+    if (!trimmed) return null
+    if (!validateAndSanitizeNickname(trimmed).valid) {
+      throw new Error('INVALID_INPUT')
+    }
+    return trimmed
+  }
+
+  /**
+   * Загаданное слово должно быть в словаре и совпадать по длине (как в words на сервере)
+   */
+  isValidSecretWord(word, wordLength, alphabet) {
+    const normalized = normalizeWord(word, alphabet)
+    return normalized.length === wordLength && isDictionaryWord(normalized, alphabet)
+  }
+
+  /**
+   * Применение действия текущего пользователя через GameEngine
+   * @returns {object} - Ответ RPC: {success: true, ...result} или {success: false, error}
+   */
+  applyAction(roomId, action) {
+    const room = this.rooms.get(roomId) || null
+    const { state, result, error } = GameEngine.reduce(room, {
+      ...action,
+      playerId: this.currentUser.id
+    })
+
+    if (error) {
+      return { success: false, error: error.code }
+    }
+
+    this.rooms.set(roomId, this.touch(room, state))
+    this.recordMove(roomId, GameEngine.toMove(room, action, result))
+    this.emitChange('UPDATE', room, this.rooms.get(roomId))
+
+    return { success: true, ...result }
+  }
+
+  /**
+   * Запись хода в журнал комнаты с порядковым номером (seq с единицы)
+   */
+  recordMove(roomId, move) {
+    if (!move) return
+    const moves = this.moves.get(roomId) || []
+    this.moves.set(roomId, [...moves, { seq: moves.length + 1, ...move }])
+  }
+
+  /**
+   * Служебное изменение полей комнаты (аналог update внутри RPC функции)
+   */
+  updateRoom(roomId, changes) {
+    const room = this.rooms.get(roomId)
+    this.rooms.set(roomId, this.touch(room, { ...room, ...changes }))
+    this.emitChange('UPDATE', room, this.rooms.get(roomId))
+  }
+
+  /**
+   * Новая запись комнаты с обновленными updated_at и version (как триггеры таблицы game_rooms)
+   */
+  touch(room, next) {
+    return { ...next, updated_at: new Date().toISOString(), version: room.version + 1 }
+  }
+
+  /**
+   * Представление комнаты без секретных данных (как game_rooms_safe)
+   */
+  toSafeRecord(room) {
+    return clone(GameEngine.toPublicState(room))
+  }
+
+  /**
+   * Строка таблицы game_rooms: без полей game_secrets (word, player_words и раскладок),
+   * их нет в событиях Realtime даже после завершения игры
+   */
+  toRoomRecord(room) {
+    const record = clone(room)
+    delete record.word
+    delete record.player_words
+    delete record.secret_board
+    delete record.secret_boards
+    return record
+  }
+
+  /**
+   * Рассылка изменения комнаты подписчикам postgres_changes
+   */
+  emitChange(eventType, oldRoom, newRoom) {
+    const payload = {
+      schema: 'public',
+      table: ROOMS_TABLE,
+      eventType,
+      commit_timestamp: new Date().toISOString(),
+      new: newRoom ? this.toRoomRecord(newRoom) : {},
+      old: oldRoom ? this.toRoomRecord(oldRoom) : {}
+    }
+
+    setTimeout(() => {
+      this.channels.forEach(channel => channel.deliverChange(ROOMS_TABLE, payload))
+    }, BACKEND_CONFIG.LOCAL_EVENT_DELAY)
+  }
+
+  /**
+   * Изменение presence канала и рассылка sync всем каналам с тем же topic
+   * @param {LocalChannel} channel
+   * @param {object|null} payload - null - участник ушел
+   */
+  updatePresence(channel, payload) {
+    if (payload) {
+      this.presence.set(channel, clone(payload))
+    } else if (!this.presence.delete(channel)) {
+      return
+    }
+
+    setTimeout(() => {
+      this.channels.forEach(item => {
+        if (item.topic === channel.topic) {
+          item.deliverPresenceSync()
+        }
+      })
+    }, BACKEND_CONFIG.LOCAL_EVENT_DELAY)
+  }
+
+  getPresenceState(topic) {
+    const state = {}
+    this.presence.forEach((payload, channel) => {
+      if (channel.topic !== topic) return
+      if (!state[channel.presenceKey]) {
+        state[channel.presenceKey] = []
+      }
+      state[channel.presenceKey].push({ ...clone(payload), presence_ref: channel.presenceKey })
+    })
+    return state
+  }
+
+  dispatchBroadcast(sender, message) {
+    setTimeout(() => {
+      this.channels.forEach(channel => {
+        if (channel !== sender && channel.topic === sender.topic) {
+          channel.deliverBroadcast(message)
+        }
+      })
+    }, BACKEND_CONFIG.LOCAL_EVENT_DELAY)
+  }
+}
+
+// Singleton instance
+export const localBackend = new LocalBackend()
@@ -0,0 +1,56 @@
+import { PROFILE_CONFIG } from '../config/constants.js'
+import { readJson, writeJson } from '../utils/storage.js'
+
+/**
+ * Профиль игрока в localStorage
+ * Имя сохраняется между сессиями и отправляется на сервер при создании и входе в комнату.
+ * Запись: {nickname, chatMuted}, имя уже прошло validateAndSanitizeNickname
+ */
+class ProfileStore {
+  constructor(storage = globalThis.localStorage) {
+    this.storage = storage
+  }
+
+  /**
+   * Сохраненное имя игрока
+   * @returns {string|null}
+   */
+  getNickname() {
+    return this.read().nickname || null
+  }
+
+  /**
+   * Сохранение имени (null удаляет имя)
+   * @param {string|null} nickname - Проверенное имя
+   */
+  setNickname(nickname) {
+    this.write({ ...this.read(), nickname: nickname || null })
+  }
+
+  /**
+   * Выключен ли чат комнаты (входящие сообщения не показываются)
+   * @returns {boolean}
+   */
+  isChatMuted() {
+    return this.read().chatMuted === true
+  }
+
+  /**
+   * @param {boolean} muted
+   */
+  setChatMuted(muted) {
+    this.write({ ...this.read(), chatMuted: muted })
+  }
+
+  read() {
+    const profile = readJson(this.storage, PROFILE_CONFIG.STORAGE_KEY, {})
+    return profile && typeof profile === 'object' ? profile : {}
+  }
+
+  write(profile) {
+    writeJson(this.storage, PROFILE_CONFIG.STORAGE_KEY, profile)
+  }
+}
+
+// Singleton instance
+export const profileStore = new ProfileStore()
@@ -1,6 +1,58 @@
-import { supabase } from './supabase.js'
+import { backend } from './backend.js'
 import { logger } from '../utils/logger.js'
 import { handleError } from '../utils/errorHandler.js'
+import { getGameState } from './gameService.js'
+import { GameEngine } from './GameEngine.js'
+import { GAME_CONFIG, NETWORK_CONFIG } from '../config/constants.js'
+
+const { ONLINE, AWAY, DISCONNECTED } = GAME_CONFIG.PRESENCE_STATUS
+
+/**
+ * Broadcast события канала комнаты (сообщения между клиентами, не связанные с записью в БД)
+ */
+export const BROADCAST_EVENTS = {
+  // Реванш: payload {type: 'offer' | 'accept' | 'decline', room_id, from}
+  REMATCH: 'rematch',
+  // Чат: payload {id, from, sentAt, type: 'text' | 'reaction', text?, emoji?}
+  CHAT: 'chat'
+}
+
+/**
+ * Количество зрителей в presence состоянии канала
+ * Один пользователь может смотреть из нескольких вкладок - считаем уникальные ключи
+ * @param {object} presenceState - {[key]: [payload, ...]}
+ * @returns {number}
+ */
+function countSpectators(presenceState) {
+  return Object.values(presenceState)
+    .filter(presences => presences.some(item => item.role === GAME_CONFIG.ROOM_ROLES.SPECTATOR))
+    .length
+}
+
+/**
+ * Статус участника по его presence записям (по одной на вкладку)
+ * Без heartbeat дольше двух интервалов участник считается отключенным:
+ * так видно соединение, которое оборвалось без выхода из канала (например, уснувший телефон)
+ * @param {Array<object>} presences - Записи участника
+ * @param {number} now - Текущее время, мс
+ * @returns {{role: string, status: string, lastSeen: number}}
+ */
+function getMemberPresence(presences, now) {
+  const latest = presences.reduce((result, item) =>
+    (Date.parse(item.heartbeat_at) || 0) > (Date.parse(result.heartbeat_at) || 0) ? item : result
+  )
+  const lastSeen = Math.max(...presences.map(item => Date.parse(item.last_active_at) || 0)) || now
+  const heartbeatAt = Date.parse(latest.heartbeat_at) || now
+
+  let status = AWAY
+  if (now - heartbeatAt > NETWORK_CONFIG.HEARTBEAT_INTERVAL * 2) {
+    status = DISCONNECTED
+  } else if (presences.some(item => item.status === ONLINE)) {
+    status = ONLINE
+  }
+
+  return { role: latest.role, status, lastSeen }
+}
 
 /**
  * Менеджер Realtime подписок
@@ -9,15 +61,30 @@ class RealtimeManager {
   constructor() {
     this.channels = new Map()
     this.eventHandlers = new Map()
+    // Presence комнат: roomId -> {role, status, onlineAt, lastActiveAt, heartbeatId, members}
+    // members - участники, которых видели в канале: key -> {role, status, lastSeen}
+    this.presence = new Map()
+    // Состояние соединения комнат: roomId -> {presenceKey, attempt, reconnectTimer, pollTimer}
+    this.connections = new Map()
+    // Последняя версия записи комнаты, полученная через канал или синхронизацию
+    this.versions = new Map()
+    // Последняя примененная запись комнаты: с ней сравнивается следующее обновление.
+    // payload.old для этого не подходит: при RLS Supabase присылает в нем только первичный ключ
+    this.records = new Map()
   }
 
   /**
    * Подписка на обновления игровой комнаты
+   * При ошибке канала подписка восстанавливается автоматически, а пока соединения нет,
+   * состояние игры запрашивается с сервера и передается в onResync
    * @param {string} roomId - UUID комнаты
    * @param {object} callbacks - Объект с callback функциями
+   * @param {object} [options]
+   * @param {{key: string, role: string, status: string}} [options.presence] - Участие в presence комнаты:
+   *   ключ пользователя, роль из GAME_CONFIG.ROOM_ROLES и начальный статус из GAME_CONFIG.PRESENCE_STATUS
    * @returns {string} - ID канала
    */
-  subscribeToRoom(roomId, callbacks = {}) {
+  subscribeToRoom(roomId, callbacks = {}, { presence = null } = {}) {
     // Если уже подписаны на эту комнату, отписываемся
     if (this.channels.has(roomId)) {
       logger.warn('Уже подписаны на эту комнату, переподписка', { roomId })
@@ -26,8 +93,39 @@ class RealtimeManager {
 
     logger.info('Подписка на комнату', { roomId })
 
-    const channel = supabase
-      .channel(`game_room:${roomId}`)
+    this.eventHandlers.set(roomId, callbacks)
+    this.connections.set(roomId, {
+      presenceKey: presence?.key || null,
+      attempt: 0,
+      reconnectTimer: null,
+      pollTimer: null
+    })
+    if (presence) {
+      const now = new Date().toISOString()
+      this.presence.set(roomId, {
+        role: presence.role,
+        status: presence.status || ONLINE,
+        onlineAt: now,
+        lastActiveAt: now,
+        heartbeatId: null,
+        members: new Map()
+      })
+    }
+    this.channels.set(roomId, this.createChannel(roomId))
+
+    return roomId
+  }
+
+  /**
+   * Создание и подписка канала комнаты (и при первой подписке, и при переподключении)
+   */
+  createChannel(roomId) {
+    const callbacks = this.eventHandlers.get(roomId)
+    const { presenceKey } = this.connections.get(roomId)
+
+    const channelOptions = presenceKey ? { config: { presence: { key: presenceKey } } } : undefined
+    const channel = backend
+      .channel(`game_room:${roomId}`, channelOptions)
       .on(
         'postgres_changes',
         {
@@ -40,32 +138,281 @@ class RealtimeManager {
           this.handleGameUpdate(roomId, payload, callbacks)
         }
       )
-      .subscribe((status, err) => {
-        if (status === 'SUBSCRIBED') {
-          logger.info('Подписка активна', { roomId })
-        } else if (status === 'CHANNEL_ERROR') {
-          logger.error('Ошибка канала', { roomId, error: err })
-          if (callbacks.onError) {
-            callbacks.onError(handleError(err))
-          }
-        } else if (status === 'TIMED_OUT') {
-          logger.error('Таймаут подписки', { roomId })
-          if (callbacks.onError) {
-            callbacks.onError(new Error('Realtime subscription timed out'))
-          }
-        } else if (status === 'CLOSED') {
-          logger.info('Канал закрыт', { roomId })
-        }
+
+    channel.on('broadcast', { event: BROADCAST_EVENTS.REMATCH }, ({ payload }) => {
+      logger.info('Получено сообщение о реванше', { roomId, type: payload?.type })
+      if (callbacks.onRematch) {
+        callbacks.onRematch(payload)
+      }
+    })
+
+    channel.on('broadcast', { event: BROADCAST_EVENTS.CHAT }, ({ payload }) => {
+      if (callbacks.onChat) {
+        callbacks.onChat(payload)
+      }
+    })
+
+    if (presenceKey) {
+      channel.on('presence', { event: 'sync' }, () => {
+        this.syncPresence(roomId)
       })
+    }
 
-    this.channels.set(roomId, channel)
-    this.eventHandlers.set(roomId, callbacks)
+    channel.subscribe((status, err) => {
+      // События канала, который уже заменен при переподключении, не интересны
+      if (this.channels.get(roomId) !== channel) return
 
-    return roomId
+      if (status === 'SUBSCRIBED') {
+        logger.info('Подписка активна', { roomId })
+        this.handleChannelReady(roomId)
+      } else if (status === 'CHANNEL_ERROR') {
+        logger.error('Ошибка канала', { roomId, error: err })
+        this.handleChannelFailure(roomId)
+      } else if (status === 'TIMED_OUT') {
+        logger.error('Таймаут подписки', { roomId })
+        this.handleChannelFailure(roomId)
+      } else if (status === 'CLOSED') {
+        logger.info('Канал закрыт', { roomId })
+      }
+    })
+
+    return channel
+  }
+
+  handleChannelReady(roomId) {
+    const connection = this.connections.get(roomId)
+    const callbacks = this.eventHandlers.get(roomId)
+
+    if (this.presence.has(roomId)) {
+      this.startPresence(roomId)
+    }
+
+    if (connection.attempt > 0) {
+      logger.info('Соединение восстановлено', { roomId, attempts: connection.attempt })
+      connection.attempt = 0
+      this.stopPolling(roomId)
+      if (callbacks.onConnectionChange) {
+        callbacks.onConnectionChange(NETWORK_CONFIG.CONNECTION_STATUS.CONNECTED)
+      }
+    }
+
+    // События до активации канала (и пока его не было) не приходят: загружаем текущую версию
+    this.resync(roomId)
+  }
+
+  /**
+   * Ошибка или таймаут канала: опрос сервера и переподключение с экспоненциальной задержкой
+   */
+  handleChannelFailure(roomId) {
+    const connection = this.connections.get(roomId)
+    const callbacks = this.eventHandlers.get(roomId)
+    if (!connection || connection.reconnectTimer) return
+
+    const delay = Math.min(
+      NETWORK_CONFIG.RETRY_DELAY * Math.pow(NETWORK_CONFIG.BACKOFF_MULTIPLIER, connection.attempt),
+      NETWORK_CONFIG.RECONNECT_MAX_DELAY
+    )
+    connection.attempt += 1
+    logger.warn('Переподключение к комнате', { roomId, attempt: connection.attempt, delay })
+
+    if (callbacks.onConnectionChange) {
+      callbacks.onConnectionChange(NETWORK_CONFIG.CONNECTION_STATUS.RECONNECTING, {
+        attempt: connection.attempt,
+        delay
+      })
+    }
+
+    this.startPolling(roomId)
+    connection.reconnectTimer = setTimeout(() => {
+      connection.reconnectTimer = null
+      this.resubscribe(roomId)
+    }, delay)
+  }
+
+  resubscribe(roomId) {
+    const channel = this.channels.get(roomId)
+    if (!channel) return
+
+    logger.info('Повторная подписка на комнату', { roomId })
+    const nextChannel = this.createChannel(roomId)
+    this.channels.set(roomId, nextChannel)
+    backend.removeChannel(channel).catch(error => {
+      logger.warn('Не удалось закрыть старый канал', { roomId, error: error.message })
+    })
+  }
+
+  startPolling(roomId) {
+    const connection = this.connections.get(roomId)
+    if (!connection || connection.pollTimer) return
+
+    logger.info('Опрос состояния игры до восстановления соединения', { roomId })
+    this.resync(roomId)
+    connection.pollTimer = setInterval(() => this.resync(roomId), NETWORK_CONFIG.POLLING_INTERVAL)
+  }
+
+  stopPolling(roomId) {
+    const connection = this.connections.get(roomId)
+    if (connection?.pollTimer) {
+      clearInterval(connection.pollTimer)
+      connection.pollTimer = null
+    }
+  }
+
+  /**
+   * Загрузка актуального состояния игры в обход Realtime
+   * Ответ, устаревший к моменту получения (событие канала принесло версию новее), отбрасывается
+   */
+  async resync(roomId) {
+    try {
+      const gameState = await getGameState(roomId)
+      const callbacks = this.eventHandlers.get(roomId)
+      if (!callbacks || !this.acceptVersion(roomId, gameState.version)) return
+
+      this.records.set(roomId, gameState)
+      if (callbacks.onResync) {
+        callbacks.onResync(gameState)
+      }
+    } catch (error) {
+      logger.warn('Не удалось получить состояние игры', { roomId, error: error.message })
+    }
+  }
+
+  /**
+   * Первая публикация presence после подключения и периодический heartbeat
+   */
+  startPresence(roomId) {
+    const presence = this.presence.get(roomId)
+    if (!presence) return
+
+    this.trackPresence(roomId)
+    if (!presence.heartbeatId) {
+      presence.heartbeatId = setInterval(() => {
+        this.trackPresence(roomId)
+        this.syncPresence(roomId)
+      }, NETWORK_CONFIG.HEARTBEAT_INTERVAL)
+    }
+  }
+
+  /**
+   * Публикация своего presence: роль, статус и время последней активности
+   * Пока вкладка скрыта, время активности не обновляется
+   */
+  trackPresence(roomId) {
+    const channel = this.channels.get(roomId)
+    const presence = this.presence.get(roomId)
+    if (!channel || !presence) return
+
+    const now = new Date().toISOString()
+    if (presence.status === ONLINE) {
+      presence.lastActiveAt = now
+    }
+
+    channel.track({
+      role: presence.role,
+      status: presence.status,
+      online_at: presence.onlineAt,
+      last_active_at: presence.lastActiveAt,
+      heartbeat_at: now
+    })
+  }
+
+  /**
+   * Смена своего статуса в комнате (например, вкладка скрыта или снова открыта)
+   * @param {string} roomId - UUID комнаты
+   * @param {string} status - ONLINE или AWAY из GAME_CONFIG.PRESENCE_STATUS
+   */
+  setPresenceStatus(roomId, status) {
+    const presence = this.presence.get(roomId)
+    if (!presence || presence.status === status) return
+
+    logger.info('Смена статуса присутствия', { roomId, status })
+    // Момент ухода со вкладки - последняя активность
+    if (status === AWAY) {
+      presence.lastActiveAt = new Date().toISOString()
+    }
+    presence.status = status
+    this.trackPresence(roomId)
+  }
+
+  /**
+   * Пересчет участников комнаты по presence состоянию канала
+   * Участник, пропавший из канала, остается в списке со статусом DISCONNECTED
+   */
+  syncPresence(roomId) {
+    const channel = this.channels.get(roomId)
+    const presence = this.presence.get(roomId)
+    const callbacks = this.eventHandlers.get(roomId)
+    if (!channel || !presence || !callbacks) return
+
+    const state = channel.presenceState()
+    const now = Date.now()
+    const { members } = presence
+
+    members.forEach((member, key) => {
+      if (!state[key] && member.status !== DISCONNECTED) {
+        // Ушедшего онлайн участника видели только что, отошедшего - когда он ушел со вкладки
+        const lastSeen = member.status === ONLINE ? now : member.lastSeen
+        members.set(key, { ...member, status: DISCONNECTED, lastSeen })
+      }
+    })
+    Object.entries(state).forEach(([key, presences]) => {
+      members.set(key, getMemberPresence(presences, now))
+    })
+
+    const spectators = countSpectators(state)
+    logger.info('Presence комнаты обновлен', { roomId, spectators, members: members.size })
+    if (callbacks.onSpectatorsChange) {
+      callbacks.onSpectatorsChange(spectators)
+    }
+    if (callbacks.onPresenceChange) {
+      callbacks.onPresenceChange(Object.fromEntries(members))
+    }
+  }
+
+  /**
+   * Отправка broadcast сообщения остальным участникам канала комнаты
+   * @param {string} roomId - UUID комнаты
+   * @param {string} event - Событие из BROADCAST_EVENTS
+   * @param {object} payload - Данные сообщения
+   * @returns {Promise<boolean>} - true, если сообщение отправлено
+   */
+  async broadcast(roomId, event, payload) {
+    const channel = this.channels.get(roomId)
+    if (!channel) {
+      logger.warn('Канал не найден для отправки сообщения', { roomId, event })
+      return false
+    }
+
+    const status = await channel.send({ type: 'broadcast', event, payload })
+    if (status !== 'ok') {
+      logger.warn('Сообщение не отправлено', { roomId, event, status })
+    }
+    return status === 'ok'
+  }
+
+  /**
+   * Запоминание версии комнаты, если она новее уже полученной
+   * Записи без версии (старая схема БД) принимаются всегда
+   * @returns {boolean} - false для устаревшей или повторной версии
+   */
+  acceptVersion(roomId, version) {
+    const lastVersion = this.versions.get(roomId)
+    if (!Number.isInteger(version)) return true
+    if (Number.isInteger(lastVersion) && version <= lastVersion) return false
+    this.versions.set(roomId, version)
+    return true
   }
 
   /**
    * Обработка обновлений игры
+   * UPDATE с версией не новее полученной отбрасывается. Каждое изменение комнаты увеличивает
+   * версию на единицу, поэтому версия больше следующей за полученной означает, что часть
+   * событий потеряна - состояние загружается заново.
+   * Для UPDATE вычисляется разница с последней примененной записью комнаты (GameEngine.diffStates),
+   * и кроме общего onGameUpdate вызываются типизированные callbacks - только для того, что изменилось:
+   * onCellsRevealed(cells, record), onTurnChange(turn, record), onScoreChange(scores, record),
+   * onStatusChange(status, record). Пока примененной записи нет (начальная синхронизация
+   * не завершилась), сравнивать не с чем - состояние загружается заново.
    */
   handleGameUpdate(roomId, payload, callbacks) {
     logger.info('Получено обновление игры', {
@@ -74,34 +421,74 @@ class RealtimeManager {
       table: payload.table
     })
 
-    const { eventType, new: newRecord, old: oldRecord } = payload
+    const { eventType, new: newRecord } = payload
+    const previous = this.records.get(roomId)
+
+    if (eventType === 'UPDATE' && newRecord) {
+      if (!previous) {
+        logger.info('Нет состояния для сравнения, синхронизация', { roomId, version: newRecord.version })
+        this.resync(roomId)
+        return
+      }
+      const lastVersion = this.versions.get(roomId)
+      if (Number.isInteger(lastVersion) && newRecord.version > lastVersion + 1) {
+        logger.warn('Пропущены обновления комнаты, синхронизация', {
+          roomId,
+          lastVersion,
+          version: newRecord.version
+        })
+        this.resync(roomId)
+        return
+      }
+      if (!this.acceptVersion(roomId, newRecord.version)) {
+        logger.info('Устаревшее обновление пропущено', { roomId, version: newRecord.version, lastVersion })
+        return
+      }
+      this.records.set(roomId, newRecord)
+    }
+
+    const diff = eventType === 'UPDATE' && newRecord ? GameEngine.diffStates(previous, newRecord) : null
 
     try {
       // Общий callback на любое изменение
       if (callbacks.onGameUpdate) {
-        callbacks.onGameUpdate(newRecord, oldRecord, eventType)
+        callbacks.onGameUpdate(newRecord, previous || null, eventType, diff)
       }
 
       // Специфичные callbacks
-      if (eventType === 'UPDATE' && newRecord) {
+      if (diff) {
         // Проверяем, присоединился ли второй игрок
-        if (!oldRecord.player2_id && newRecord.player2_id) {
+        if (!previous.player2_id && newRecord.player2_id) {
           logger.info('Второй игрок присоединился', { roomId })
           if (callbacks.onPlayerJoined) {
             callbacks.onPlayerJoined(newRecord)
           }
         }
 
-        // Проверяем, открыта ли новая клетка
-        if (JSON.stringify(oldRecord.board_state) !== JSON.stringify(newRecord.board_state)) {
-          logger.info('Доска обновлена', { roomId })
-          if (callbacks.onCellRevealed) {
-            callbacks.onCellRevealed(newRecord)
+        if (diff.cells.length > 0) {
+          logger.info('Открыты клетки', { roomId, cells: diff.cells.length })
+          if (callbacks.onCellsRevealed) {
+            callbacks.onCellsRevealed(diff.cells, newRecord)
+          }
+        }
+
+        if (diff.turn && callbacks.onTurnChange) {
+          callbacks.onTurnChange(diff.turn, newRecord)
+        }
+
+        if (diff.scores.length > 0 && callbacks.onScoreChange) {
+          callbacks.onScoreChange(diff.scores, newRecord)
+        }
+
+        if (diff.status) {
+          logger.info('Статус игры изменен', { roomId, ...diff.status })
+          if (callbacks.onStatusChange) {
+            callbacks.onStatusChange(diff.status, newRecord)
           }
         }
 
         // Проверяем, завершилась ли игра
-        if (oldRecord.status === 'active' && newRecord.status === 'finished') {
+        if (previous.status === 'active' && newRecord.status === 'finished') {
           logger.info('Игра завершена', { roomId, winner: newRecord.winner })
           if (callbacks.onGameFinished) {
             callbacks.onGameFinished(newRecord)
@@ -136,9 +523,22 @@ class RealtimeManager {
     }
 
     logger.info('Отписка от комнаты', { roomId })
-    await supabase.removeChannel(channel)
+    const presence = this.presence.get(roomId)
+    if (presence?.heartbeatId) {
+      clearInterval(presence.heartbeatId)
+    }
+    const connection = this.connections.get(roomId)
+    if (connection?.reconnectTimer) {
+      clearTimeout(connection.reconnectTimer)
+    }
+    this.stopPolling(roomId)
+    this.connections.delete(roomId)
+    this.versions.delete(roomId)
+    this.records.delete(roomId)
+    this.presence.delete(roomId)
     this.channels.delete(roomId)
     this.eventHandlers.delete(roomId)
+    await backend.removeChannel(channel)
   }
 
   /**
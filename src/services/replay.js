@@ -0,0 +1,104 @@
+import { GAME_CONFIG } from '../config/constants.js'
+import { GameEngine, GAME_ACTIONS } from './GameEngine.js'
+import { logger } from '../utils/logger.js'
+
+const { CUSTOM } = GAME_CONFIG.WORD_MODES
+
+function hideBoard(board) {
+  return board.map(cells => cells.map(cell => ({ ...cell, letter: null, revealed: false })))
+}
+
+/**
+ * Загаданные слова по журналу: угаданное слово - слово соперника победителя.
+ * Неугаданное слово для повтора не нужно: попытки против него в журнале - промахи
+ * @param {Array<object>} moves - Журнал ходов
+ * @returns {{word: string|null, playerWords: object}}
+ */
+function getLoggedWords(moves) {
+  const winning = moves.find(move => move.type === GAME_ACTIONS.GUESS && move.correct)
+  if (!winning) {
+    return { word: null, playerWords: {} }
+  }
+  return {
+    word: winning.word,
+    playerWords: { [GameEngine.getOpponentNumber(winning.player)]: winning.word }
+  }
+}
+
+/**
+ * Начальное состояние партии, восстановленное по итоговому публичному состоянию
+ * После завершения игры доски раскрыты полностью, поэтому итоговые доски служат
+ * секретной раскладкой, а открытые клетки, счет и очередь возвращаются к началу.
+ * Слова берутся из журнала, а не из состояния: в строке game_rooms их нет
+ * @param {object} finalState - Итоговое состояние игры
+ * @param {Array<object>} moves - Журнал ходов
+ * @returns {object}
+ */
+function createInitialState(finalState, moves) {
+  const isCustom = finalState.word_mode === CUSTOM
+  const boards = isCustom
+    ? Object.fromEntries(Object.entries(finalState.boards).map(([player, board]) => [player, hideBoard(board)]))
+    : null
+  const { word, playerWords } = getLoggedWords(moves)
+
+  return {
+    ...finalState,
+    status: GAME_CONFIG.GAME_STATUS.ACTIVE,
+    current_player: finalState.first_player || moves[0]?.player || GAME_CONFIG.PLAYERS.PLAYER_1,
+    winner: null,
+    revealed_cells: 0,
+    player1_score: 0,
+    player2_score: 0,
+    // Слова из журнала уже прошли проверку сервером
+    strict_guesses: false,
+    turn_time_limit: null,
+    turn_deadline: null,
+    word: isCustom ? null : word,
+    player_words: isCustom ? playerWords : null,
+    board_state: isCustom ? finalState.board_state : hideBoard(finalState.board_state),
+    secret_board: isCustom ? null : finalState.board_state,
+    boards,
+    secret_boards: isCustom ? finalState.boards : null
+  }
+}
+
+/**
+ * Действие GameEngine для записи журнала; пропуск по таймеру повторяется как обычный пропуск
+ */
+function toAction(state, move) {
+  const type = move.type === GAME_ACTIONS.TIMEOUT ? GAME_ACTIONS.SKIP : move.type
+  return {
+    type,
+    playerId: state[`player${move.player}_id`],
+    row: move.row,
+    col: move.col,
+    word: move.word,
+    now: new Date(move.created_at).getTime()
+  }
+}
+
+/**
+ * Кадры повтора партии: состояние до первого хода и после каждого хода журнала
+ * Ходы применяются тем же GameEngine.reduce, что и в игре. Если ход не применяется
+ * (журнал неполный), повтор обрывается на последнем корректном кадре
+ * @param {object} finalState - Итоговое публичное состояние игры
+ * @param {Array<object>} moves - Журнал ходов в формате get_game_moves
+ * @returns {Array<{state: object, move: object|null}>}
+ */
+export function buildReplay(finalState, moves) {
+  let state = createInitialState(finalState, moves)
+  const frames = [{ state: GameEngine.toPublicState(state), move: null }]
+
+  for (const move of moves) {
+    const { state: nextState, error } = GameEngine.reduce(state, toAction(state, move))
+    if (error) {
+      logger.warn('Ход журнала не применен, повтор обрезан', { seq: move.seq, code: error.code })
+      break
+    }
+
+    state = nextState
+    frames.push({ state: GameEngine.toPublicState(state), move })
+  }
+
+  return frames
+}
@@ -0,0 +1,55 @@
+import { SESSION_CONFIG } from '../config/constants.js'
+import { readJson, writeJson } from '../utils/storage.js'
+
+/**
+ * Хранилище активных игр в localStorage
+ * Позволяет вернуться в комнату после перезагрузки вкладки или сбоя браузера.
+ * Запись: {roomId, role, savedAt}, role - значение GAME_CONFIG.ROOM_ROLES
+ */
+class SessionStore {
+  constructor(storage = globalThis.localStorage) {
+    this.storage = storage
+  }
+
+  /**
+   * Сохраненные комнаты, от последней к самой старой (устаревшие отбрасываются)
+   * @returns {Array<{roomId: string, role: string, savedAt: number}>}
+   */
+  list() {
+    const threshold = Date.now() - SESSION_CONFIG.MAX_AGE
+    return this.read()
+      .filter(session => session.savedAt >= threshold)
+      .sort((a, b) => b.savedAt - a.savedAt)
+  }
+
+  /**
+   * Запоминание комнаты (повторное сохранение обновляет время)
+   * @param {string} roomId - UUID комнаты
+   * @param {string} role - Роль пользователя в комнате
+   */
+  save(roomId, role) {
+    const sessions = this.list().filter(session => session.roomId !== roomId)
+    sessions.unshift({ roomId, role, savedAt: Date.now() })
+    this.write(sessions.slice(0, SESSION_CONFIG.MAX_SESSIONS))
+  }
+
+  /**
+   * Удаление комнаты (игра завершена или больше недоступна)
+   * @param {string} roomId - UUID комнаты
+   */
+  remove(roomId) {
+    this.write(this.list().filter(session => session.roomId !== roomId))
+  }
+
+  read() {
+    const sessions = readJson(this.storage, SESSION_CONFIG.STORAGE_KEY, [])
+    return Array.isArray(sessions) ? sessions : []
+  }
+
+  write(sessions) {
+    writeJson(this.storage, SESSION_CONFIG.STORAGE_KEY, sessions)
+  }
+}
+
+// Singleton instance
+export const sessionStore = new SessionStore()
@@ -1,24 +1,30 @@
 import { createClient } from '@supabase/supabase-js'
+import { BACKEND_CONFIG } from '../config/constants.js'
 
 const supabaseUrl = import.meta.env.VITE_SUPABASE_URL
 const supabaseAnonKey = import.meta.env.VITE_SUPABASE_ANON_KEY
 
-if (!supabaseUrl || !supabaseAnonKey) {
+// Клиент нужен только для Supabase backend, in-memory backend работает без него
+const isSupabaseBackend = BACKEND_CONFIG.TYPE === BACKEND_CONFIG.TYPES.SUPABASE
+
+if (isSupabaseBackend && (!supabaseUrl || !supabaseAnonKey)) {
   throw new Error('Отсутствуют переменные окружения для Supabase')
 }
 
-export const supabase = createClient(supabaseUrl, supabaseAnonKey, {
-  auth: {
-    autoRefreshToken: true,
-    persistSession: true,
-    detectSessionInUrl: true
-  },
-  realtime: {
-    params: {
-      eventsPerSecond: 10
+export const supabase = isSupabaseBackend
+  ? createClient(supabaseUrl, supabaseAnonKey, {
+    auth: {
+      autoRefreshToken: true,
+      persistSession: true,
+      detectSessionInUrl: true
+    },
+    realtime: {
+      params: {
+        eventsPerSecond: 10
+      }
     }
-  }
-})
+  })
+  : null
 
 // Инициализация Anonymous Auth
 export async function initAuth() {
@@ -36,7 +42,7 @@ export async function initAuth() {
 }
 
 // Обработчик изменений сессии
-supabase.auth.onAuthStateChange((event, session) => {
+supabase?.auth.onAuthStateChange((event, session) => {
   console.log('Auth event:', event)
   if (event === 'TOKEN_REFRESHED') {
     console.log('Токен обновлен')
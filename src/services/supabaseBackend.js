@@ -0,0 +1,66 @@
+import { supabase, initAuth } from './supabase.js'
+import { BACKEND_CONFIG } from '../config/constants.js'
+
+/**
+ * Backend на основе Supabase (PostgreSQL + Realtime)
+ * Реализует контракт, описанный в backend.js
+ */
+export const supabaseBackend = {
+  type: BACKEND_CONFIG.TYPES.SUPABASE,
+
+  /**
+   * Анонимная аутентификация
+   * @returns {Promise<{id: string}>}
+   */
+  initAuth() {
+    return initAuth()
+  },
+
+  /**
+   * Вызов RPC функции
+   * @param {string} fn - Имя функции
+   * @param {object} params - Параметры
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal] - Отмена HTTP запроса
+   * @returns {Promise<{data: *, error: object|null}>}
+   */
+  rpc(fn, params, { signal } = {}) {
+    const request = supabase.rpc(fn, params)
+    return signal ? request.abortSignal(signal) : request
+  },
+
+  /**
+   * Получение безопасного представления комнаты
+   * @param {string} roomId - UUID комнаты
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal] - Отмена HTTP запроса
+   * @returns {Promise<{data: object|null, error: object|null}>}
+   */
+  fetchRoom(roomId, { signal } = {}) {
+    const request = supabase
+      .from('game_rooms_safe')
+      .select('*')
+      .eq('id', roomId)
+      .single()
+    return signal ? request.abortSignal(signal) : request
+  },
+
+  /**
+   * Создание Realtime канала
+   * @param {string} name - Имя канала
+   * @param {object} [options] - Параметры канала (config.presence.key и т.д.)
+   * @returns {RealtimeChannel}
+   */
+  channel(name, options) {
+    return supabase.channel(name, options)
+  },
+
+  /**
+   * Удаление Realtime канала
+   * @param {RealtimeChannel} channel - Канал
+   * @returns {Promise}
+   */
+  removeChannel(channel) {
+    return supabase.removeChannel(channel)
+  }
+}
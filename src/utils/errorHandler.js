@@ -1,40 +1,169 @@
+import { NETWORK_CONFIG } from '../config/constants.js'
+import { i18n, t } from '../i18n/i18n.js'
+import { logger } from './logger.js'
+
+/**
+ * HTTP-подобные категории ошибок
+ */
+export const ERROR_CATEGORIES = {
+  BAD_REQUEST: 'bad_request',
+  UNAUTHORIZED: 'unauthorized',
+  FORBIDDEN: 'forbidden',
+  NOT_FOUND: 'not_found',
+  GONE: 'gone',
+  CONFLICT: 'conflict',
+  UNPROCESSABLE: 'unprocessable',
+  TOO_MANY_REQUESTS: 'too_many_requests',
+  CANCELLED: 'cancelled',
+  INTERNAL: 'internal',
+  UNAVAILABLE: 'unavailable',
+  TIMEOUT: 'timeout'
+}
+
+/**
+ * Каталог кодов ошибок: HTTP-подобный статус, категория и можно ли повторить запрос
+ * Серверные коды совпадают с public._error_info (миграция error_codes), RPC возвращают
+ * их в поле error_info. Реакция интерфейса на каждый код описана в README
+ */
+export const ERROR_CODES = {
+  // Ошибки запроса
+  INVALID_INPUT: { status: 400, category: ERROR_CATEGORIES.BAD_REQUEST, retryable: false },
+  INVALID_COORDINATES: { status: 400, category: ERROR_CATEGORIES.BAD_REQUEST, retryable: false },
+  AUTHENTICATION_FAILED: { status: 401, category: ERROR_CATEGORIES.UNAUTHORIZED, retryable: false },
+  NOT_A_PLAYER: { status: 403, category: ERROR_CATEGORIES.FORBIDDEN, retryable: false },
+  CANNOT_JOIN_OWN_GAME: { status: 403, category: ERROR_CATEGORIES.FORBIDDEN, retryable: false },
+  ROOM_NOT_FOUND: { status: 404, category: ERROR_CATEGORIES.NOT_FOUND, retryable: false },
+  GAME_NOT_FOUND_OR_INACTIVE: { status: 404, category: ERROR_CATEGORIES.NOT_FOUND, retryable: false },
+  ACTION_EXPIRED: { status: 410, category: ERROR_CATEGORIES.GONE, retryable: false },
+
+  // Состояние игры изменилось или не позволяет действие
+  NOT_YOUR_TURN: { status: 409, category: ERROR_CATEGORIES.CONFLICT, retryable: false },
+  CELL_ALREADY_REVEALED: { status: 409, category: ERROR_CATEGORIES.CONFLICT, retryable: false },
+  ROOM_FULL: { status: 409, category: ERROR_CATEGORIES.CONFLICT, retryable: false },
+  ROOM_ALREADY_ACTIVE: { status: 409, category: ERROR_CATEGORIES.CONFLICT, retryable: false },
+  GAME_NOT_FINISHED: { status: 409, category: ERROR_CATEGORIES.CONFLICT, retryable: false },
+  TURN_NOT_EXPIRED: { status: 409, category: ERROR_CATEGORIES.CONFLICT, retryable: true },
+
+  // Слово не прошло проверку
+  SECRET_WORD_REQUIRED: { status: 422, category: ERROR_CATEGORIES.UNPROCESSABLE, retryable: false },
+  INVALID_SECRET_WORD: { status: 422, category: ERROR_CATEGORIES.UNPROCESSABLE, retryable: false },
+  WORD_NOT_IN_DICTIONARY: { status: 422, category: ERROR_CATEGORIES.UNPROCESSABLE, retryable: false },
+  NO_MATCHING_WORDS: { status: 422, category: ERROR_CATEGORIES.UNPROCESSABLE, retryable: false },
+
+  // Ограничение частоты на клиенте (чат комнаты), сервер этот код не возвращает
+  RATE_LIMITED: { status: 429, category: ERROR_CATEGORIES.TOO_MANY_REQUESTS, retryable: true },
+
+  // Сервер и сеть
+  INTERNAL_ERROR: { status: 500, category: ERROR_CATEGORIES.INTERNAL, retryable: false },
+  DATABASE_ERROR: { status: 500, category: ERROR_CATEGORIES.INTERNAL, retryable: false },
+  UNKNOWN_ERROR: { status: 500, category: ERROR_CATEGORIES.INTERNAL, retryable: false },
+  UNEXPECTED_RESPONSE: { status: 502, category: ERROR_CATEGORIES.INTERNAL, retryable: false },
+  NETWORK_ERROR: { status: 503, category: ERROR_CATEGORIES.UNAVAILABLE, retryable: true },
+  TIMEOUT_ERROR: { status: 504, category: ERROR_CATEGORIES.TIMEOUT, retryable: true },
+  REQUEST_ABORTED: { status: 499, category: ERROR_CATEGORIES.CANCELLED, retryable: false }
+}
+
+/**
+ * Описание кода ошибки; неизвестный код считается внутренней ошибкой
+ * @param {string} code - Код ошибки
+ * @returns {{status: number, category: string, retryable: boolean}}
+ */
+export function getErrorInfo(code) {
+  return ERROR_CODES[code] || ERROR_CODES.UNKNOWN_ERROR
+}
+
 /**
  * Класс для игровых ошибок
+ * Кроме кода несет статус, категорию и признак retryable из каталога ERROR_CODES
+ * (или из error_info ответа сервера)
  */
 export class GameError extends Error {
-  constructor(code, message, details = null) {
+  constructor(code, message, details = null, info = getErrorInfo(code)) {
     super(message)
     this.name = 'GameError'
     this.code = code
     this.details = details
+    this.status = info.status
+    this.category = info.category
+    this.retryable = info.retryable
+  }
+
+  /**
+   * Ошибка из ответа RPC {success: false, error, error_info}
+   * @param {object} result - Ответ RPC
+   * @returns {GameError}
+   */
+  static fromResult(result) {
+    const code = result.error || 'UNKNOWN_ERROR'
+    return new GameError(code, getErrorMessage(code), null,
+      result.error_info || getErrorInfo(code))
   }
 }
 
 /**
- * Маппинг кодов ошибок на человеко-читаемые сообщения
+ * Сообщение для кода ошибки на текущем языке (бандлы локализации, ключи errors.<CODE>)
+ * @param {string} code - Код ошибки
+ * @returns {string}
  */
-const ERROR_MESSAGES = {
-  // Клиентские ошибки
-  INVALID_INPUT: 'Некорректный ввод данных',
-  NOT_YOUR_TURN: 'Сейчас не ваш ход',
-  CELL_ALREADY_REVEALED: 'Эта клетка уже открыта',
-  ROOM_NOT_FOUND: 'Игровая комната не найдена',
-  ROOM_FULL: 'В комнате уже два игрока',
-  ROOM_ALREADY_ACTIVE: 'Игра уже началась',
-  NOT_A_PLAYER: 'Вы не являетесь участником этой игры',
-  CANNOT_JOIN_OWN_GAME: 'Нельзя присоединиться к своей игре',
-  INVALID_COORDINATES: 'Некорректные координаты клетки',
-  GAME_NOT_FOUND_OR_INACTIVE: 'Игра не найдена или неактивна',
-
-  // Серверные ошибки
-  DATABASE_ERROR: 'Ошибка базы данных',
-  AUTHENTICATION_FAILED: 'Ошибка аутентификации',
-  INTERNAL_ERROR: 'Внутренняя ошибка сервера',
-
-  // Прочие
-  UNKNOWN_ERROR: 'Произошла неизвестная ошибка',
-  NETWORK_ERROR: 'Ошибка сети, проверьте подключение',
-  TIMEOUT_ERROR: 'Превышено время ожидания'
+export function getErrorMessage(code) {
+  return i18n.has(`errors.${code}`) ? t(`errors.${code}`) : t('errors.UNKNOWN_ERROR')
+}
+
+// postgrest-js возвращает исключение fetch как {message: 'TypeError: Failed to fetch', code: ''}
+const FETCH_ERROR_PATTERN = /^(\w+Error): /
+
+// Исключения fetch в ответе postgrest-js и их коды
+const FETCH_ERROR_CODES = {
+  AbortError: 'REQUEST_ABORTED',
+  TimeoutError: 'TIMEOUT_ERROR',
+  TypeError: 'NETWORK_ERROR',
+  FetchError: 'NETWORK_ERROR'
+}
+
+// Брошенные исключения и их коды; TypeError здесь - скорее ошибка в коде, а не сеть
+const THROWN_ERROR_CODES = {
+  AbortError: 'REQUEST_ABORTED',
+  TimeoutError: 'TIMEOUT_ERROR',
+  AuthRetryableFetchError: 'NETWORK_ERROR'
+}
+
+// SQLSTATE исключения, поднятого через raise exception в RPC функции
+const RAISE_EXCEPTION_CODE = 'P0001'
+
+/**
+ * Код ошибки по ее типу, а не по тексту сообщения
+ * @param {object} error - Исключение или ошибка Supabase {code, message}
+ * @returns {string}
+ */
+function resolveErrorCode(error) {
+  const transportCode = error instanceof Error
+    ? THROWN_ERROR_CODES[error.name]
+    : FETCH_ERROR_CODES[error.message?.match(FETCH_ERROR_PATTERN)?.[1]]
+  if (transportCode) {
+    return transportCode
+  }
+
+  // Ошибка Supabase Auth или отклоненный PostgREST токен (PGRST3xx)
+  if (error.__isAuthError || error.code?.startsWith('PGRST3')) {
+    return 'AUTHENTICATION_FAILED'
+  }
+
+  // Нет строки комнаты в ответе .single()
+  if (error.code === 'PGRST116') {
+    return 'ROOM_NOT_FOUND'
+  }
+
+  // Сообщение исключения RPC - код ошибки, иногда с подробностями через двоеточие
+  if (error.code === RAISE_EXCEPTION_CODE) {
+    const code = error.message?.split(':')[0]
+    return ERROR_CODES[code] ? code : 'INTERNAL_ERROR'
+  }
+
+  if (error.code) {
+    return 'DATABASE_ERROR'
+  }
+
+  return 'UNKNOWN_ERROR'
 }
 
 /**
@@ -50,62 +179,113 @@ export function handleError(error) {
     return error
   }
 
-  // Специфичные ошибки Supabase
-  if (error.code === 'PGRST116') {
-    return new GameError('NOT_FOUND', ERROR_MESSAGES.ROOM_NOT_FOUND)
-  }
+  const code = resolveErrorCode(error)
+  return new GameError(code, getErrorMessage(code), error.message)
+}
 
-  if (error.message?.includes('JWT') || error.message?.includes('auth')) {
-    return new GameError('AUTH_ERROR', ERROR_MESSAGES.AUTHENTICATION_FAILED)
-  }
+/**
+ * Ошибка отмены запроса
+ * @param {Error} error - Объект ошибки
+ * @returns {boolean}
+ */
+export function isAbortError(error) {
+  return error?.code === 'REQUEST_ABORTED' || error?.name === 'AbortError'
+}
 
-  // Сетевые ошибки
-  if (error.message?.includes('network') || error.message?.includes('Failed to fetch')) {
-    return new GameError('NETWORK_ERROR', ERROR_MESSAGES.NETWORK_ERROR)
+/**
+ * Одна попытка операции с ограничением по времени
+ * Операция получает свой AbortSignal: он срабатывает по таймауту и при отмене внешнего сигнала.
+ * Ответ ждем не дольше timeout, даже если backend сигнал не поддерживает
+ * @param {Function} operation - (signal) => Promise
+ * @param {object} [options]
+ * @param {number} [options.timeout] - Таймаут (мс)
+ * @param {AbortSignal} [options.signal] - Внешний сигнал отмены
+ * @returns {Promise}
+ */
+export function withTimeout(operation, { timeout = NETWORK_CONFIG.REQUEST_TIMEOUT, signal } = {}) {
+  if (signal?.aborted) {
+    return Promise.reject(new GameError('REQUEST_ABORTED', getErrorMessage('REQUEST_ABORTED')))
   }
 
-  if (error.message?.includes('timeout')) {
-    return new GameError('TIMEOUT_ERROR', ERROR_MESSAGES.TIMEOUT_ERROR)
-  }
+  const controller = new AbortController()
+  let timer = null
+  let onAbort = null
 
-  // Ошибки из RPC функций
-  if (error.message) {
-    for (const [code, message] of Object.entries(ERROR_MESSAGES)) {
-      if (error.message.includes(code)) {
-        return new GameError(code, message, error.message)
-      }
+  const interrupted = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      reject(new GameError('TIMEOUT_ERROR', getErrorMessage('TIMEOUT_ERROR')))
+      controller.abort()
+    }, timeout)
+
+    onAbort = () => {
+      reject(new GameError('REQUEST_ABORTED', getErrorMessage('REQUEST_ABORTED')))
+      controller.abort()
     }
-  }
+    signal?.addEventListener('abort', onAbort)
+  })
+
+  return Promise.race([operation(controller.signal), interrupted]).finally(() => {
+    clearTimeout(timer)
+    signal?.removeEventListener('abort', onAbort)
+  })
+}
 
-  // Общая ошибка
-  return new GameError('UNKNOWN_ERROR', ERROR_MESSAGES.UNKNOWN_ERROR, error.message)
+/**
+ * Пауза, которую можно прервать сигналом отмены
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort)
+      resolve()
+    }, ms)
+    const onAbort = () => {
+      clearTimeout(timer)
+      reject(new GameError('REQUEST_ABORTED', getErrorMessage('REQUEST_ABORTED')))
+    }
+    signal?.addEventListener('abort', onAbort, { once: true })
+  })
 }
 
 /**
  * Retry стратегия для сетевых ошибок
- * @param {Function} operation - Асинхронная операция
- * @param {number} maxRetries - Максимальное количество попыток
- * @param {number} delay - Задержка между попытками (мс)
+ * Каждая попытка ограничена по времени (withTimeout). Задержка растет экспоненциально
+ * со случайным разбросом, чтобы клиенты после сбоя не повторяли запросы одновременно
+ * @param {Function} operation - Асинхронная операция, получает AbortSignal попытки
+ * @param {object} [options]
+ * @param {number} [options.maxRetries] - Максимальное количество попыток
+ * @param {number} [options.delay] - Базовая задержка между попытками (мс)
+ * @param {number} [options.timeout] - Таймаут одной попытки (мс)
+ * @param {AbortSignal} [options.signal] - Отмена операции вместе с повторами
+ * @param {Function} [options.shouldRetry] - Повторять ли попытку: получает GameError,
+ *   по умолчанию повторяются ошибки с признаком retryable (сеть, таймаут)
  * @returns {Promise}
  */
-export async function retryOperation(operation, maxRetries = 3, delay = 1000) {
+export async function retryOperation(operation, {
+  maxRetries = NETWORK_CONFIG.MAX_RETRIES,
+  delay = NETWORK_CONFIG.RETRY_DELAY,
+  timeout = NETWORK_CONFIG.REQUEST_TIMEOUT,
+  signal,
+  shouldRetry = error => error.retryable
+} = {}) {
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
     try {
-      return await operation()
+      return await withTimeout(operation, { timeout, signal })
     } catch (error) {
       if (attempt === maxRetries) {
         throw error
       }
 
-      // Проверяем, является ли ошибка сетевой
+      // Отмена не повторяется никогда: у REQUEST_ABORTED нет признака retryable
       const gameError = handleError(error)
-      if (gameError.code === 'NETWORK_ERROR' || gameError.code === 'TIMEOUT_ERROR') {
-        console.log(`Retry attempt ${attempt}/${maxRetries} after ${delay}ms`)
-        await new Promise(resolve => setTimeout(resolve, delay * attempt))
+      if (gameError.retryable && shouldRetry(gameError)) {
+        const backoff = delay * Math.pow(NETWORK_CONFIG.BACKOFF_MULTIPLIER, attempt - 1)
+        const wait = Math.round(backoff / 2 + Math.random() * backoff / 2)
+        logger.warn('Повтор запроса', { attempt, maxRetries, wait })
+        await sleep(wait, signal)
         continue
       }
 
-      // Если ошибка не сетевая, не повторяем
       throw error
     }
   }
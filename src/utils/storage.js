@@ -0,0 +1,66 @@
+import { logger } from './logger.js'
+
+/**
+ * Чтение и запись localStorage без исключений
+ * Хранилища может не быть (Node, старые браузеры), а в приватном режиме или при переполнении
+ * оно бросает исключения - тогда данные просто не сохраняются и приложение работает без них
+ */
+
+/**
+ * Строка из хранилища
+ * @param {Storage|null} storage - Хранилище (обычно localStorage)
+ * @param {string} key - Ключ
+ * @returns {string|null} - null, если значения нет или хранилище недоступно
+ */
+export function readItem(storage, key) {
+  if (!storage) return null
+  try {
+    return storage.getItem(key)
+  } catch (error) {
+    logger.warn('Не удалось прочитать данные из хранилища', { key, error: error.message })
+    return null
+  }
+}
+
+/**
+ * Запись строки в хранилище
+ * @param {Storage|null} storage - Хранилище
+ * @param {string} key - Ключ
+ * @param {string} value - Значение
+ */
+export function writeItem(storage, key, value) {
+  if (!storage) return
+  try {
+    storage.setItem(key, value)
+  } catch (error) {
+    logger.warn('Не удалось сохранить данные в хранилище', { key, error: error.message })
+  }
+}
+
+/**
+ * Значение в формате JSON
+ * @param {Storage|null} storage - Хранилище
+ * @param {string} key - Ключ
+ * @param {*} fallback - Значение, если записи нет или она повреждена
+ * @returns {*}
+ */
+export function readJson(storage, key, fallback) {
+  const raw = readItem(storage, key)
+  if (raw === null) return fallback
+  try {
+    return JSON.parse(raw)
+  } catch (error) {
+    logger.warn('Не удалось разобрать данные из хранилища', { key, error: error.message })
+    return fallback
+  }
+}
+
+/**
+ * Запись значения в формате JSON
+ * @param {Storage|null} storage - Хранилище
+ * @param {string} key - Ключ
+ * @param {*} value - Значение
+ */
+export function writeJson(storage, key, value) {
+  writeItem(storage, key, JSON.stringify(value))
+}
@@ -1,4 +1,6 @@
-import { GAME_CONFIG, VALIDATION_CONFIG } from '../config/constants.js'
+import { ALPHABET_CONFIG, CHAT_CONFIG, GAME_CONFIG, VALIDATION_CONFIG } from '../config/constants.js'
+import { isAlphabetWord, isDictionaryWord, normalizeWord } from '../services/dictionary.js'
+import { t } from '../i18n/i18n.js'
 
 /**
  * Валидация длины слова
@@ -7,17 +9,45 @@ import { GAME_CONFIG, VALIDATION_CONFIG } from '../config/constants.js'
  */
 export function validateWordLength(length) {
   if (typeof length !== 'number' || !Number.isInteger(length)) {
-    return { valid: false, error: 'Длина должна быть целым числом' }
+    return { valid: false, error: t('validation.wordLengthInteger') }
   }
   if (length < GAME_CONFIG.MIN_WORD_LENGTH || length > GAME_CONFIG.MAX_WORD_LENGTH) {
     return { 
       valid: false, 
-      error: `Длина слова должна быть от ${GAME_CONFIG.MIN_WORD_LENGTH} до ${GAME_CONFIG.MAX_WORD_LENGTH} букв` 
+      error: t('validation.wordLengthRange', { min: GAME_CONFIG.MIN_WORD_LENGTH, max: GAME_CONFIG.MAX_WORD_LENGTH })
     }
   }
   return { valid: true }
 }
 
+/**
+ * Валидация ограничения времени на ход
+ * @param {number|null} seconds - Секунды на ход, null - без ограничения
+ * @returns {{valid: boolean, error?: string}}
+ */
+export function validateTurnTimeLimit(seconds) {
+  if (seconds === null || seconds === undefined) {
+    return { valid: true }
+  }
+  const { MIN, MAX } = GAME_CONFIG.TURN_TIME_LIMIT
+  if (!Number.isInteger(seconds) || seconds < MIN || seconds > MAX) {
+    return { valid: false, error: t('validation.turnTimeRange', { min: MIN, max: MAX }) }
+  }
+  return { valid: true }
+}
+
+/**
+ * Валидация алфавита слов комнаты
+ * @param {string} alphabet - Ключ ALPHABET_CONFIG.ALPHABETS
+ * @returns {{valid: boolean, error?: string}}
+ */
+export function validateAlphabet(alphabet) {
+  if (!Object.hasOwn(ALPHABET_CONFIG.ALPHABETS, alphabet)) {
+    return { valid: false, error: t('validation.alphabetUnknown') }
+  }
+  return { valid: true }
+}
+
 /**
  * Валидация координат клетки
  * @param {number} row - Номер строки
@@ -26,13 +56,13 @@ export function validateWordLength(length) {
  */
 export function validateCellCoordinates(row, col) {
   if (!Number.isInteger(row) || !Number.isInteger(col)) {
-    return { valid: false, error: 'Координаты должны быть целыми числами' }
+    return { valid: false, error: t('validation.coordinatesInteger') }
   }
   if (row < GAME_CONFIG.MIN_ROW || row > GAME_CONFIG.MAX_ROW || 
       col < GAME_CONFIG.MIN_COL || col > GAME_CONFIG.MAX_COL) {
     return { 
       valid: false, 
-      error: `Координаты должны быть в диапазоне ${GAME_CONFIG.MIN_ROW}-${GAME_CONFIG.MAX_ROW}` 
+      error: t('validation.coordinatesRange', { min: GAME_CONFIG.MIN_ROW, max: GAME_CONFIG.MAX_ROW })
     }
   }
   return { valid: true }
@@ -41,32 +71,67 @@ export function validateCellCoordinates(row, col) {
 /**
  * Валидация ввода слова игроком
  * @param {string} word - Введенное слово
+ * @param {string} [alphabet] - Алфавит комнаты из ALPHABET_CONFIG.ALPHABETS
  * @returns {{valid: boolean, normalized?: string, error?: string}}
  */
-export function validateGuessInput(word) {
+export function validateGuessInput(word, alphabet = ALPHABET_CONFIG.DEFAULT) {
   if (!word || typeof word !== 'string') {
-    return { valid: false, error: 'Слово не может быть пустым' }
+    return { valid: false, error: t('validation.wordEmpty') }
   }
 
-  const trimmed = word.trim()
-  if (trimmed.length < GAME_CONFIG.MIN_WORD_LENGTH || trimmed.length > GAME_CONFIG.MAX_WORD_LENGTH) {
+  // Длина считается после нормализации: апостроф в украинских словах не занимает клетку
+  const normalized = normalizeWord(word, alphabet)
+  if (normalized.length < GAME_CONFIG.MIN_WORD_LENGTH || normalized.length > GAME_CONFIG.MAX_WORD_LENGTH) {
     return { 
       valid: false, 
-      error: `Длина слова должна быть от ${GAME_CONFIG.MIN_WORD_LENGTH} до ${GAME_CONFIG.MAX_WORD_LENGTH} символов` 
+      error: t('validation.guessLengthRange', { min: GAME_CONFIG.MIN_WORD_LENGTH, max: GAME_CONFIG.MAX_WORD_LENGTH })
     }
   }
 
-  // Проверка на кириллицу
-  if (!VALIDATION_CONFIG.REGEX.WORD.test(trimmed)) {
-    return { valid: false, error: 'Слово должно содержать только русские буквы' }
+  if (!isAlphabetWord(normalized, alphabet)) {
+    return { valid: false, error: t('validation.wordAlphabet', { letters: getAlphabetLetters(alphabet) }) }
   }
 
   return {
     valid: true,
-    normalized: trimmed.toUpperCase()
+    normalized
   }
 }
 
+/**
+ * Название букв алфавита для подсказок и ошибок ("русские буквы")
+ * @param {string} [alphabet] - Ключ ALPHABET_CONFIG.ALPHABETS
+ * @returns {string}
+ */
+export function getAlphabetLetters(alphabet) {
+  const key = ALPHABET_CONFIG.ALPHABETS[alphabet] ? alphabet : ALPHABET_CONFIG.DEFAULT
+  return t(`alphabets.${key}.letters`)
+}
+
+/**
+ * Валидация загаданного слова: формат как у попытки, нужная длина и наличие в словаре
+ * @param {string} word - Слово игрока
+ * @param {number} wordLength - Длина слова в комнате
+ * @param {string} [alphabet] - Алфавит комнаты
+ * @returns {{valid: boolean, normalized?: string, error?: string}}
+ */
+export function validateSecretWord(word, wordLength, alphabet = ALPHABET_CONFIG.DEFAULT) {
+  const validation = validateGuessInput(word, alphabet)
+  if (!validation.valid) {
+    return validation
+  }
+
+  if (validation.normalized.length !== wordLength) {
+    return { valid: false, error: t('validation.secretWordLength', { count: wordLength }) }
+  }
+
+  if (!isDictionaryWord(validation.normalized, alphabet)) {
+    return { valid: false, error: t('errors.WORD_NOT_IN_DICTIONARY') }
+  }
+
+  return validation
+}
+
 /**
  * Валидация UUID
  * @param {string} uuid - UUID строка
@@ -106,17 +171,17 @@ export function sanitizeString(input) {
  */
 export function validateAndSanitizeRoomId(roomId) {
   if (!roomId || typeof roomId !== 'string') {
-    return { valid: false, error: 'ID комнаты не может быть пустым' }
+    return { valid: false, error: t('validation.roomIdEmpty') }
   }
   
   const sanitized = sanitizeString(roomId)
   
   if (sanitized.length !== VALIDATION_CONFIG.ROOM_ID_LENGTH) {
-    return { valid: false, error: 'Некорректная длина ID комнаты' }
+    return { valid: false, error: t('validation.roomIdLength') }
   }
   
   if (!validateUUID(sanitized)) {
-    return { valid: false, error: 'Некорректный формат ID комнаты' }
+    return { valid: false, error: t('validation.roomIdFormat') }
   }
   
   return {
@@ -132,7 +197,7 @@ export function validateAndSanitizeRoomId(roomId) {
  */
 export function validateAndSanitizeNickname(nickname) {
   if (!nickname || typeof nickname !== 'string') {
-    return { valid: false, error: 'Никнейм не может быть пустым' }
+    return { valid: false, error: t('validation.nicknameEmpty') }
   }
   
   const sanitized = sanitizeString(nickname)
@@ -141,12 +206,15 @@ export function validateAndSanitizeNickname(nickname) {
       sanitized.length > VALIDATION_CONFIG.MAX_NICKNAME_LENGTH) {
     return { 
       valid: false, 
-      error: `Длина никнейма должна быть от ${VALIDATION_CONFIG.MIN_NICKNAME_LENGTH} до ${VALIDATION_CONFIG.MAX_NICKNAME_LENGTH} символов` 
+      error: t('validation.nicknameLength', {
+        min: VALIDATION_CONFIG.MIN_NICKNAME_LENGTH,
+        max: VALIDATION_CONFIG.MAX_NICKNAME_LENGTH
+      })
     }
   }
   
   if (!VALIDATION_CONFIG.REGEX.SAFE_STRING.test(sanitized)) {
-    return { valid: false, error: 'Никнейм содержит недопустимые символы' }
+    return { valid: false, error: t('validation.nicknameChars') }
   }
   
   return {
@@ -155,6 +223,25 @@ export function validateAndSanitizeNickname(nickname) {
   }
 }
 
+/**
+ * Валидация сообщения чата
+ * Длина считается до санитизации, чтобы экранирование не съедало лимит
+ * @param {string} text - Текст сообщения (свой или полученный от другого клиента)
+ * @returns {{valid: boolean, sanitized?: string, error?: string}}
+ */
+export function validateChatMessage(text) {
+  const trimmed = typeof text === 'string' ? text.trim() : ''
+  if (!trimmed) {
+    return { valid: false, error: t('validation.chatEmpty') }
+  }
+
+  if (trimmed.length > CHAT_CONFIG.MAX_MESSAGE_LENGTH) {
+    return { valid: false, error: t('validation.chatLength', { max: CHAT_CONFIG.MAX_MESSAGE_LENGTH }) }
+  }
+
+  return { valid: true, sanitized: sanitizeString(trimmed) }
+}
+
 /**
  * Общая функция валидации входных данных
  * @param {Object} data - Объект с данными для валидации
@@ -169,7 +256,7 @@ export function validateInput(data, rules) {
     const value = data[field]
     
     if (rule.required && (!value || (typeof value === 'string' && !value.trim()))) {
-      errors.push(`${field} обязательно для заполнения`)
+      errors.push(t('validation.fieldRequired', { field }))
       continue
     }
     
@@ -179,25 +266,25 @@ export function validateInput(data, rules) {
         sanitized[field] = sanitizedValue
         
         if (rule.minLength && sanitizedValue.length < rule.minLength) {
-          errors.push(`${field} должно содержать минимум ${rule.minLength} символов`)
+          errors.push(t('validation.fieldMinLength', { field, min: rule.minLength }))
         }
         if (rule.maxLength && sanitizedValue.length > rule.maxLength) {
-          errors.push(`${field} должно содержать максимум ${rule.maxLength} символов`)
+          errors.push(t('validation.fieldMaxLength', { field, max: rule.maxLength }))
         }
         if (rule.pattern && !rule.pattern.test(sanitizedValue)) {
-          errors.push(`${field} имеет неправильный формат`)
+          errors.push(t('validation.fieldPattern', { field }))
         }
       } else if (rule.type === 'number') {
         const numValue = Number(value)
         if (isNaN(numValue)) {
-          errors.push(`${field} должно быть числом`)
+          errors.push(t('validation.fieldNumber', { field }))
         } else {
           sanitized[field] = numValue
           if (rule.min !== undefined && numValue < rule.min) {
-            errors.push(`${field} должно быть не менее ${rule.min}`)
+            errors.push(t('validation.fieldMin', { field, min: rule.min }))
           }
           if (rule.max !== undefined && numValue > rule.max) {
-            errors.push(`${field} должно быть не более ${rule.max}`)
+            errors.push(t('validation.fieldMax', { field, max: rule.max }))
           }
         }
       }
@@ -0,0 +1,16 @@
+-- Словарь слов для загадывания
+-- Слова хранятся в верхнем регистре, длина 5-8 букв (см. GAME_CONFIG на клиенте)
+
+create table if not exists public.words (
+  id bigserial primary key,
+  word text not null unique,
+  length smallint generated always as (char_length(word)) stored,
+  created_at timestamptz not null default now(),
+
+  constraint words_word_format check (word ~ '^[А-ЯЁ]+$'),
+  constraint words_length_range check (char_length(word) between 5 and 8)
+);
+
+create index if not exists words_length_idx on public.words (length);
+
+comment on table public.words is 'Словарь слов для create_game';
@@ -0,0 +1,90 @@
+-- Игровые комнаты
+-- board_state содержит только открытые буквы и безопасен для Realtime,
+-- загаданное слово и полная раскладка доски хранятся отдельно в game_secrets
+
+create table if not exists public.game_rooms (
+  id uuid primary key default gen_random_uuid(),
+  player1_id uuid not null references auth.users (id) on delete cascade,
+  player2_id uuid references auth.users (id) on delete set null,
+  current_player smallint,
+  status text not null default 'waiting',
+  word_length smallint not null,
+  board_state jsonb not null,
+  revealed_cells smallint not null default 0,
+  player1_score integer not null default 0,
+  player2_score integer not null default 0,
+  winner smallint,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+
+  constraint game_rooms_status_check
+    check (status in ('waiting', 'active', 'finished', 'cancelled')),
+  constraint game_rooms_current_player_check
+    check (current_player is null or current_player in (1, 2)),
+  constraint game_rooms_winner_check
+    check (winner is null or winner in (1, 2)),
+  constraint game_rooms_word_length_check
+    check (word_length between 5 and 8),
+  constraint game_rooms_players_differ
+    check (player2_id is null or player2_id <> player1_id)
+);
+
+create index if not exists game_rooms_player1_idx on public.game_rooms (player1_id);
+create index if not exists game_rooms_player2_idx on public.game_rooms (player2_id);
+create index if not exists game_rooms_updated_at_idx on public.game_rooms (updated_at);
+
+create table if not exists public.game_secrets (
+  room_id uuid primary key references public.game_rooms (id) on delete cascade,
+  word text not null,
+  secret_board jsonb not null
+);
+
+comment on table public.game_rooms is 'Игровые комнаты, изменяются только через RPC функции';
+comment on table public.game_secrets is 'Загаданное слово и раскладка доски, недоступны клиентам';
+
+-- Автообновление updated_at
+create or replace function public.set_updated_at()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.updated_at := now();
+  return new;
+end;
+$$;
+
+drop trigger if exists game_rooms_set_updated_at on public.game_rooms;
+create trigger game_rooms_set_updated_at
+  before update on public.game_rooms
+  for each row execute function public.set_updated_at();
+
+-- Безопасное представление: слово видно только после завершения игры
+create or replace view public.game_rooms_safe as
+select
+  r.id,
+  r.player1_id,
+  r.player2_id,
+  r.current_player,
+  r.status,
+  r.word_length,
+  r.board_state,
+  r.revealed_cells,
+  r.player1_score,
+  r.player2_score,
+  r.winner,
+  case when r.status = 'finished' then s.word end as word,
+  r.created_at,
+  r.updated_at
+from public.game_rooms r
+left join public.game_secrets s on s.room_id = r.id;
+
+-- Realtime: полные old/new записи нужны RealtimeManager для сравнения состояний
+alter table public.game_rooms replica identity full;
+
+do $$
+begin
+  if exists (select 1 from pg_publication where pubname = 'supabase_realtime') then
+    alter publication supabase_realtime add table public.game_rooms;
+  end if;
+end;
+$$;
@@ -0,0 +1,327 @@
+-- RPC функции игры
+-- Формат ответов соответствует разбору в src/services/gameService.js:
+--   create_game    -> { success, room_id, word_length }
+--   join_game      -> { success, first_player } | { success: false, error }
+--   reveal_cell    -> { success, cell, revealed_cells, next_player } | { success: false, error }
+--   validate_guess -> { success, skipped, next_player }            (пустое слово = пропуск хода)
+--                   | { success, correct: true, winner, word }
+--                   | { success, correct: false, next_player }
+--                   | { success: false, error }
+-- Коды ошибок совпадают с ERROR_MESSAGES в src/utils/errorHandler.js
+
+-- Пустая доска 5x5
+create or replace function public._empty_board()
+returns jsonb
+language sql
+immutable
+as $$
+  select jsonb_agg(cells order by r)
+  from (
+    select r, jsonb_agg(
+      jsonb_build_object('row', r, 'col', c, 'letter', null, 'revealed', false)
+      order by c
+    ) as cells
+    from generate_series(0, 4) as r
+    cross join generate_series(0, 4) as c
+    group by r
+  ) as board_rows;
+$$;
+
+-- Раскладка букв слова по случайным клеткам
+create or replace function public._secret_board(p_word text)
+returns jsonb
+language plpgsql
+volatile
+as $$
+declare
+  v_board jsonb := public._empty_board();
+  v_positions int[];
+  v_pos int;
+begin
+  select array_agg(pos order by random()) into v_positions
+  from generate_series(0, 24) as pos;
+
+  for i in 1..char_length(p_word) loop
+    v_pos := v_positions[i];
+    v_board := jsonb_set(
+      v_board,
+      array[(v_pos / 5)::text, (v_pos % 5)::text, 'letter'],
+      to_jsonb(substr(p_word, i, 1))
+    );
+  end loop;
+
+  return v_board;
+end;
+$$;
+
+-- Полностью открытая доска (после завершения игры)
+create or replace function public._reveal_board(p_board jsonb)
+returns jsonb
+language sql
+immutable
+as $$
+  select jsonb_agg(
+    (
+      select jsonb_agg(cell || '{"revealed": true}'::jsonb order by c)
+      from jsonb_array_elements(board_row) with ordinality as cells(cell, c)
+    )
+    order by r
+  )
+  from jsonb_array_elements(p_board) with ordinality as board_rows(board_row, r);
+$$;
+
+-- Создание игры
+create or replace function public.create_game(p_word_length integer default 5)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user_id uuid := auth.uid();
+  v_word text;
+  v_room_id uuid;
+begin
+  if v_user_id is null then
+    raise exception 'AUTHENTICATION_FAILED';
+  end if;
+
+  if p_word_length is null or p_word_length not between 5 and 8 then
+    raise exception 'INVALID_INPUT';
+  end if;
+
+  select w.word into v_word
+  from public.words w
+  where w.length = p_word_length
+  order by random()
+  limit 1;
+
+  if v_word is null then
+    raise exception 'INTERNAL_ERROR: no words of length %', p_word_length;
+  end if;
+
+  insert into public.game_rooms (player1_id, word_length, board_state)
+  values (v_user_id, p_word_length, public._empty_board())
+  returning id into v_room_id;
+
+  insert into public.game_secrets (room_id, word, secret_board)
+  values (v_room_id, v_word, public._secret_board(v_word));
+
+  return jsonb_build_object(
+    'success', true,
+    'room_id', v_room_id,
+    'word_length', p_word_length
+  );
+end;
+$$;
+
+-- Присоединение второго игрока
+create or replace function public.join_game(p_room_id uuid)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user_id uuid := auth.uid();
+  v_room public.game_rooms%rowtype;
+  v_first_player smallint;
+begin
+  if v_user_id is null then
+    raise exception 'AUTHENTICATION_FAILED';
+  end if;
+
+  select * into v_room from public.game_rooms where id = p_room_id for update;
+
+  if not found then
+    return jsonb_build_object('success', false, 'error', 'ROOM_NOT_FOUND');
+  end if;
+
+  if v_room.player1_id = v_user_id then
+    return jsonb_build_object('success', false, 'error', 'CANNOT_JOIN_OWN_GAME');
+  end if;
+
+  if v_room.player2_id is not null then
+    return jsonb_build_object(
+      'success', false,
+      'error', case when v_room.player2_id = v_user_id then 'ROOM_ALREADY_ACTIVE' else 'ROOM_FULL' end
+    );
+  end if;
+
+  if v_room.status <> 'waiting' then
+    return jsonb_build_object('success', false, 'error', 'ROOM_ALREADY_ACTIVE');
+  end if;
+
+  v_first_player := case when random() < 0.5 then 1 else 2 end;
+
+  update public.game_rooms
+  set player2_id = v_user_id,
+      status = 'active',
+      current_player = v_first_player
+  where id = p_room_id;
+
+  return jsonb_build_object('success', true, 'first_player', v_first_player);
+end;
+$$;
+
+-- Открытие клетки: ход переходит сопернику, найденная буква дает очко
+create or replace function public.reveal_cell(p_room_id uuid, p_row integer, p_col integer)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user_id uuid := auth.uid();
+  v_room public.game_rooms%rowtype;
+  v_player smallint;
+  v_next_player smallint;
+  v_letter jsonb;
+  v_cell jsonb;
+begin
+  if v_user_id is null then
+    raise exception 'AUTHENTICATION_FAILED';
+  end if;
+
+  select * into v_room from public.game_rooms where id = p_room_id for update;
+
+  if not found or v_room.status <> 'active' then
+    return jsonb_build_object('success', false, 'error', 'GAME_NOT_FOUND_OR_INACTIVE');
+  end if;
+
+  v_player := case
+    when v_room.player1_id = v_user_id then 1
+    when v_room.player2_id = v_user_id then 2
+  end;
+
+  if v_player is null then
+    return jsonb_build_object('success', false, 'error', 'NOT_A_PLAYER');
+  end if;
+
+  if v_room.current_player <> v_player then
+    return jsonb_build_object('success', false, 'error', 'NOT_YOUR_TURN');
+  end if;
+
+  if p_row is null or p_col is null or p_row not between 0 and 4 or p_col not between 0 and 4 then
+    return jsonb_build_object('success', false, 'error', 'INVALID_COORDINATES');
+  end if;
+
+  if (v_room.board_state -> p_row -> p_col ->> 'revealed')::boolean then
+    return jsonb_build_object('success', false, 'error', 'CELL_ALREADY_REVEALED');
+  end if;
+
+  select s.secret_board -> p_row -> p_col -> 'letter' into v_letter
+  from public.game_secrets s
+  where s.room_id = p_room_id;
+
+  v_cell := jsonb_build_object(
+    'row', p_row,
+    'col', p_col,
+    'letter', coalesce(v_letter, 'null'::jsonb),
+    'revealed', true
+  );
+  v_next_player := case when v_player = 1 then 2 else 1 end;
+
+  update public.game_rooms
+  set board_state = jsonb_set(board_state, array[p_row::text, p_col::text], v_cell),
+      revealed_cells = revealed_cells + 1,
+      player1_score = player1_score + case when v_player = 1 and jsonb_typeof(v_letter) = 'string' then 1 else 0 end,
+      player2_score = player2_score + case when v_player = 2 and jsonb_typeof(v_letter) = 'string' then 1 else 0 end,
+      current_player = v_next_player
+  where id = p_room_id
+  returning * into v_room;
+
+  return jsonb_build_object(
+    'success', true,
+    'cell', v_cell,
+    'revealed_cells', v_room.revealed_cells,
+    'next_player', v_next_player
+  );
+end;
+$$;
+
+-- Проверка слова; пустая строка означает пропуск хода
+create or replace function public.validate_guess(p_room_id uuid, p_guessed_word text)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user_id uuid := auth.uid();
+  v_room public.game_rooms%rowtype;
+  v_secret public.game_secrets%rowtype;
+  v_player smallint;
+  v_next_player smallint;
+  v_guess text := upper(btrim(coalesce(p_guessed_word, '')));
+begin
+  if v_user_id is null then
+    raise exception 'AUTHENTICATION_FAILED';
+  end if;
+
+  select * into v_room from public.game_rooms where id = p_room_id for update;
+
+  if not found or v_room.status <> 'active' then
+    return jsonb_build_object('success', false, 'error', 'GAME_NOT_FOUND_OR_INACTIVE');
+  end if;
+
+  v_player := case
+    when v_room.player1_id = v_user_id then 1
+    when v_room.player2_id = v_user_id then 2
+  end;
+
+  if v_player is null then
+    return jsonb_build_object('success', false, 'error', 'NOT_A_PLAYER');
+  end if;
+
+  if v_room.current_player <> v_player then
+    return jsonb_build_object('success', false, 'error', 'NOT_YOUR_TURN');
+  end if;
+
+  v_next_player := case when v_player = 1 then 2 else 1 end;
+
+  if v_guess = '' then
+    update public.game_rooms set current_player = v_next_player where id = p_room_id;
+    return jsonb_build_object('success', true, 'skipped', true, 'next_player', v_next_player);
+  end if;
+
+  select * into v_secret from public.game_secrets where room_id = p_room_id;
+
+  if v_guess = v_secret.word then
+    update public.game_rooms
+    set status = 'finished',
+        winner = v_player,
+        board_state = public._reveal_board(v_secret.secret_board)
+    where id = p_room_id;
+
+    return jsonb_build_object(
+      'success', true,
+      'correct', true,
+      'winner', v_player,
+      'word', v_secret.word
+    );
+  end if;
+
+  update public.game_rooms set current_player = v_next_player where id = p_room_id;
+  return jsonb_build_object('success', true, 'correct', false, 'next_player', v_next_player);
+end;
+$$;
+
+-- Удаление неактивных комнат (вызывается по расписанию, например через pg_cron)
+create or replace function public.cleanup_old_games()
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_deleted integer;
+begin
+  delete from public.game_rooms
+  where updated_at < now() - interval '24 hours';
+
+  get diagnostics v_deleted = row_count;
+
+  return jsonb_build_object('success', true, 'deleted', v_deleted);
+end;
+$$;
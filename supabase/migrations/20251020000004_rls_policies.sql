@@ -0,0 +1,44 @@
+-- Row Level Security и права доступа
+-- Клиенты читают комнаты (таблица для Realtime, game_rooms_safe для запросов),
+-- все изменения выполняются только через RPC функции с security definer
+
+alter table public.words enable row level security;
+alter table public.game_rooms enable row level security;
+alter table public.game_secrets enable row level security;
+
+-- words и game_secrets: политик нет, прямой доступ закрыт
+revoke all on public.words from anon, authenticated;
+revoke all on public.game_secrets from anon, authenticated;
+
+-- game_rooms: только чтение для аутентифицированных пользователей
+revoke insert, update, delete on public.game_rooms from anon, authenticated;
+grant select on public.game_rooms to authenticated;
+
+drop policy if exists "game_rooms_select_authenticated" on public.game_rooms;
+create policy "game_rooms_select_authenticated"
+  on public.game_rooms
+  for select
+  to authenticated
+  using (true);
+
+-- game_rooms_safe: представление без секретных данных
+revoke all on public.game_rooms_safe from anon;
+grant select on public.game_rooms_safe to authenticated;
+
+-- Внутренние функции недоступны клиентам
+revoke execute on function public._empty_board() from public;
+revoke execute on function public._secret_board(text) from public;
+revoke execute on function public._reveal_board(jsonb) from public;
+revoke execute on function public.cleanup_old_games() from public;
+grant execute on function public.cleanup_old_games() to service_role;
+
+-- Игровые RPC доступны аутентифицированным (в том числе анонимным) пользователям
+revoke execute on function public.create_game(integer) from public;
+revoke execute on function public.join_game(uuid) from public;
+revoke execute on function public.reveal_cell(uuid, integer, integer) from public;
+revoke execute on function public.validate_guess(uuid, text) from public;
+
+grant execute on function public.create_game(integer) to authenticated;
+grant execute on function public.join_game(uuid) to authenticated;
+grant execute on function public.reveal_cell(uuid, integer, integer) to authenticated;
+grant execute on function public.validate_guess(uuid, text) to authenticated;
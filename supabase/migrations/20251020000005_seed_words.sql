@@ -0,0 +1,23 @@
+-- Начальный словарь (по длине слова)
+
+insert into public.words (word) values
+  -- 5 букв
+  ('ВЕТЕР'), ('ГОРОД'), ('ДИВАН'), ('ЗАМОК'), ('КНИГА'), ('КОШКА'),
+  ('ЛАМПА'), ('ЛОДКА'), ('МЕТРО'), ('ОКЕАН'), ('ПЕСНЯ'), ('ПИРОГ'),
+  ('ПОЕЗД'), ('РАДИО'), ('РУЧКА'), ('РЫБАК'), ('САПОГ'), ('СЛОВО'),
+  ('ТРАВА'), ('ТУЧКА'), ('ЧАШКА'), ('ШКОЛА'),
+  -- 6 букв
+  ('ВОРОТА'), ('ГАЗЕТА'), ('ДЕРЕВО'), ('ДОРОГА'), ('ЖИРАФЫ'), ('КАРМАН'),
+  ('КАРТОН'), ('КОРОВА'), ('КОСТЕР'), ('ЛИСИЦА'), ('МАШИНА'), ('МОЛОКО'),
+  ('ОГУРЕЦ'), ('ПАЛЬТО'), ('ПОГОДА'), ('РАКЕТА'), ('СОБАКА'), ('СТАКАН'),
+  ('ЯБЛОКО'),
+  -- 7 букв
+  ('БАБОЧКИ'), ('БАРАБАН'), ('БОТИНОК'), ('ВОДОПАД'), ('ЗЕРКАЛО'), ('КАПУСТА'),
+  ('КАРТИНА'), ('КОНФЕТА'), ('КОРАБЛЬ'), ('КОТЛЕТЫ'), ('МОЛОТОК'), ('МОРКОВЬ'),
+  ('МУРАВЕЙ'), ('ПАРОХОД'), ('ПАУТИНА'), ('ПЕЧЕНЬЕ'), ('ПОДАРОК'), ('ПОДУШКА'),
+  ('САМОЛЕТ'), ('ТАРЕЛКА'), ('ТЕЛЕФОН'), ('ФОНАРИК'),
+  -- 8 букв
+  ('АПЕЛЬСИН'), ('АПТЕКАРЬ'), ('ВЕРТОЛЕТ'), ('КАРАНДАШ'), ('КОЛОКОЛА'), ('КРОКОДИЛ'),
+  ('ЛЕСТНИЦА'), ('МАГАЗИНЫ'), ('ПОМИДОРЫ'), ('ПОРТФЕЛЬ'), ('СНЕГОВИК'), ('ТРАМПЛИН'),
+  ('ЧЕМОДАНЫ'), ('ЧЕРЕПАХА')
+on conflict (word) do nothing;
@@ -0,0 +1,385 @@
+-- Режим своих слов: каждый игрок загадывает слово, которое открывает соперник
+-- boards: открытые клетки досок игроков, ключ - номер игрока, чье слово разложено на доске
+-- game_secrets.player_words / secret_boards: слова и раскладки по тому же ключу
+-- После победы game_secrets.word заполняется угаданным словом, чтобы game_rooms_safe
+-- возвращал его так же, как в обычном режиме
+
+alter table public.game_rooms
+  add column if not exists word_mode text not null default 'random',
+  add column if not exists boards jsonb;
+
+alter table public.game_rooms drop constraint if exists game_rooms_word_mode_check;
+alter table public.game_rooms
+  add constraint game_rooms_word_mode_check
+    check (word_mode in ('random', 'custom'));
+
+alter table public.game_secrets
+  alter column word drop not null,
+  alter column secret_board drop not null,
+  add column if not exists player_words jsonb,
+  add column if not exists secret_boards jsonb;
+
+-- Слова игроков видны только после завершения игры
+create or replace view public.game_rooms_safe as
+select
+  r.id,
+  r.player1_id,
+  r.player2_id,
+  r.current_player,
+  r.status,
+  r.word_length,
+  r.board_state,
+  r.revealed_cells,
+  r.player1_score,
+  r.player2_score,
+  r.winner,
+  case when r.status = 'finished' then s.word end as word,
+  r.created_at,
+  r.updated_at,
+  r.word_mode,
+  r.boards,
+  case when r.status = 'finished' then s.player_words end as player_words
+from public.game_rooms r
+left join public.game_secrets s on s.room_id = r.id;
+
+-- Проверка загаданного слова по словарю
+create or replace function public._is_dictionary_word(p_word text, p_length integer)
+returns boolean
+language sql
+stable
+as $$
+  select exists (
+    select 1 from public.words w
+    where w.word = p_word and w.length = p_length
+  );
+$$;
+
+-- Новые сигнатуры RPC: старые версии удаляем, чтобы PostgREST не видел перегрузок
+drop function if exists public.create_game(integer);
+drop function if exists public.join_game(uuid);
+
+-- Создание игры; с p_secret_word комната создается в режиме своих слов
+create or replace function public.create_game(
+  p_word_length integer default 5,
+  p_secret_word text default null
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user_id uuid := auth.uid();
+  v_secret text := nullif(upper(btrim(coalesce(p_secret_word, ''))), '');
+  v_word text;
+  v_room_id uuid;
+begin
+  if v_user_id is null then
+    raise exception 'AUTHENTICATION_FAILED';
+  end if;
+
+  if p_word_length is null or p_word_length not between 5 and 8 then
+    raise exception 'INVALID_INPUT';
+  end if;
+
+  if v_secret is not null then
+    if not public._is_dictionary_word(v_secret, p_word_length) then
+      return jsonb_build_object('success', false, 'error', 'INVALID_SECRET_WORD');
+    end if;
+
+    insert into public.game_rooms (player1_id, word_length, board_state, word_mode, boards)
+    values (
+      v_user_id,
+      p_word_length,
+      public._empty_board(),
+      'custom',
+      jsonb_build_object('1', public._empty_board(), '2', public._empty_board())
+    )
+    returning id into v_room_id;
+
+    insert into public.game_secrets (room_id, player_words, secret_boards)
+    values (
+      v_room_id,
+      jsonb_build_object('1', v_secret, '2', null),
+      jsonb_build_object('1', public._secret_board(v_secret), '2', null)
+    );
+  else
+    select w.word into v_word
+    from public.words w
+    where w.length = p_word_length
+    order by random()
+    limit 1;
+
+    if v_word is null then
+      raise exception 'INTERNAL_ERROR: no words of length %', p_word_length;
+    end if;
+
+    insert into public.game_rooms (player1_id, word_length, board_state)
+    values (v_user_id, p_word_length, public._empty_board())
+    returning id into v_room_id;
+
+    insert into public.game_secrets (room_id, word, secret_board)
+    values (v_room_id, v_word, public._secret_board(v_word));
+  end if;
+
+  return jsonb_build_object(
+    'success', true,
+    'room_id', v_room_id,
+    'word_length', p_word_length
+  );
+end;
+$$;
+
+-- Присоединение второго игрока; в режиме своих слов p_secret_word обязателен
+create or replace function public.join_game(
+  p_room_id uuid,
+  p_secret_word text default null
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user_id uuid := auth.uid();
+  v_room public.game_rooms%rowtype;
+  v_secret text := nullif(upper(btrim(coalesce(p_secret_word, ''))), '');
+  v_first_player smallint;
+begin
+  if v_user_id is null then
+    raise exception 'AUTHENTICATION_FAILED';
+  end if;
+
+  select * into v_room from public.game_rooms where id = p_room_id for update;
+
+  if not found then
+    return jsonb_build_object('success', false, 'error', 'ROOM_NOT_FOUND');
+  end if;
+
+  if v_room.player1_id = v_user_id then
+    return jsonb_build_object('success', false, 'error', 'CANNOT_JOIN_OWN_GAME');
+  end if;
+
+  if v_room.player2_id is not null then
+    return jsonb_build_object(
+      'success', false,
+      'error', case when v_room.player2_id = v_user_id then 'ROOM_ALREADY_ACTIVE' else 'ROOM_FULL' end
+    );
+  end if;
+
+  if v_room.status <> 'waiting' then
+    return jsonb_build_object('success', false, 'error', 'ROOM_ALREADY_ACTIVE');
+  end if;
+
+  if v_room.word_mode = 'custom' then
+    if v_secret is null then
+      return jsonb_build_object('success', false, 'error', 'SECRET_WORD_REQUIRED');
+    end if;
+
+    if not public._is_dictionary_word(v_secret, v_room.word_length) then
+      return jsonb_build_object('success', false, 'error', 'INVALID_SECRET_WORD');
+    end if;
+
+    update public.game_secrets
+    set player_words = jsonb_set(player_words, '{2}', to_jsonb(v_secret)),
+        secret_boards = jsonb_set(secret_boards, '{2}', public._secret_board(v_secret))
+    where room_id = p_room_id;
+  end if;
+
+  v_first_player := case when random() < 0.5 then 1 else 2 end;
+
+  update public.game_rooms
+  set player2_id = v_user_id,
+      status = 'active',
+      current_player = v_first_player
+  where id = p_room_id;
+
+  return jsonb_build_object('success', true, 'first_player', v_first_player);
+end;
+$$;
+
+-- Открытие клетки: в режиме своих слов открывается доска соперника
+create or replace function public.reveal_cell(p_room_id uuid, p_row integer, p_col integer)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user_id uuid := auth.uid();
+  v_room public.game_rooms%rowtype;
+  v_player smallint;
+  v_next_player smallint;
+  v_board jsonb;
+  v_letter jsonb;
+  v_cell jsonb;
+begin
+  if v_user_id is null then
+    raise exception 'AUTHENTICATION_FAILED';
+  end if;
+
+  select * into v_room from public.game_rooms where id = p_room_id for update;
+
+  if not found or v_room.status <> 'active' then
+    return jsonb_build_object('success', false, 'error', 'GAME_NOT_FOUND_OR_INACTIVE');
+  end if;
+
+  v_player := case
+    when v_room.player1_id = v_user_id then 1
+    when v_room.player2_id = v_user_id then 2
+  end;
+
+  if v_player is null then
+    return jsonb_build_object('success', false, 'error', 'NOT_A_PLAYER');
+  end if;
+
+  if v_room.current_player <> v_player then
+    return jsonb_build_object('success', false, 'error', 'NOT_YOUR_TURN');
+  end if;
+
+  if p_row is null or p_col is null or p_row not between 0 and 4 or p_col not between 0 and 4 then
+    return jsonb_build_object('success', false, 'error', 'INVALID_COORDINATES');
+  end if;
+
+  v_next_player := case when v_player = 1 then 2 else 1 end;
+  v_board := case
+    when v_room.word_mode = 'custom' then v_room.boards -> v_next_player::text
+    else v_room.board_state
+  end;
+
+  if (v_board -> p_row -> p_col ->> 'revealed')::boolean then
+    return jsonb_build_object('success', false, 'error', 'CELL_ALREADY_REVEALED');
+  end if;
+
+  select case
+    when v_room.word_mode = 'custom' then s.secret_boards -> v_next_player::text -> p_row -> p_col -> 'letter'
+    else s.secret_board -> p_row -> p_col -> 'letter'
+  end into v_letter
+  from public.game_secrets s
+  where s.room_id = p_room_id;
+
+  v_cell := jsonb_build_object(
+    'row', p_row,
+    'col', p_col,
+    'letter', coalesce(v_letter, 'null'::jsonb),
+    'revealed', true
+  );
+
+  update public.game_rooms
+  set board_state = case
+        when word_mode = 'custom' then board_state
+        else jsonb_set(board_state, array[p_row::text, p_col::text], v_cell)
+      end,
+      boards = case
+        when word_mode = 'custom' then jsonb_set(boards, array[v_next_player::text, p_row::text, p_col::text], v_cell)
+        else boards
+      end,
+      revealed_cells = revealed_cells + 1,
+      player1_score = player1_score + case when v_player = 1 and jsonb_typeof(v_letter) = 'string' then 1 else 0 end,
+      player2_score = player2_score + case when v_player = 2 and jsonb_typeof(v_letter) = 'string' then 1 else 0 end,
+      current_player = v_next_player
+  where id = p_room_id
+  returning * into v_room;
+
+  return jsonb_build_object(
+    'success', true,
+    'cell', v_cell,
+    'revealed_cells', v_room.revealed_cells,
+    'next_player', v_next_player
+  );
+end;
+$$;
+
+-- Проверка слова: в режиме своих слов сравнивается со словом соперника
+create or replace function public.validate_guess(p_room_id uuid, p_guessed_word text)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user_id uuid := auth.uid();
+  v_room public.game_rooms%rowtype;
+  v_secret public.game_secrets%rowtype;
+  v_player smallint;
+  v_next_player smallint;
+  v_target text;
+  v_guess text := upper(btrim(coalesce(p_guessed_word, '')));
+begin
+  if v_user_id is null then
+    raise exception 'AUTHENTICATION_FAILED';
+  end if;
+
+  select * into v_room from public.game_rooms where id = p_room_id for update;
+
+  if not found or v_room.status <> 'active' then
+    return jsonb_build_object('success', false, 'error', 'GAME_NOT_FOUND_OR_INACTIVE');
+  end if;
+
+  v_player := case
+    when v_room.player1_id = v_user_id then 1
+    when v_room.player2_id = v_user_id then 2
+  end;
+
+  if v_player is null then
+    return jsonb_build_object('success', false, 'error', 'NOT_A_PLAYER');
+  end if;
+
+  if v_room.current_player <> v_player then
+    return jsonb_build_object('success', false, 'error', 'NOT_YOUR_TURN');
+  end if;
+
+  v_next_player := case when v_player = 1 then 2 else 1 end;
+
+  if v_guess = '' then
+    update public.game_rooms set current_player = v_next_player where id = p_room_id;
+    return jsonb_build_object('success', true, 'skipped', true, 'next_player', v_next_player);
+  end if;
+
+  select * into v_secret from public.game_secrets where room_id = p_room_id for update;
+
+  v_target := case
+    when v_room.word_mode = 'custom' then v_secret.player_words ->> v_next_player::text
+    else v_secret.word
+  end;
+
+  if v_guess = v_target then
+    if v_room.word_mode = 'custom' then
+      update public.game_secrets set word = v_target where room_id = p_room_id;
+
+      update public.game_rooms
+      set status = 'finished',
+          winner = v_player,
+          boards = jsonb_build_object(
+            '1', public._reveal_board(v_secret.secret_boards -> '1'),
+            '2', public._reveal_board(v_secret.secret_boards -> '2')
+          )
+      where id = p_room_id;
+    else
+      update public.game_rooms
+      set status = 'finished',
+          winner = v_player,
+          board_state = public._reveal_board(v_secret.secret_board)
+      where id = p_room_id;
+    end if;
+
+    return jsonb_build_object(
+      'success', true,
+      'correct', true,
+      'winner', v_player,
+      'word', v_target
+    );
+  end if;
+
+  update public.game_rooms set current_player = v_next_player where id = p_room_id;
+  return jsonb_build_object('success', true, 'correct', false, 'next_player', v_next_player);
+end;
+$$;
+
+-- Права доступа для новых сигнатур
+revoke execute on function public._is_dictionary_word(text, integer) from public;
+revoke execute on function public.create_game(integer, text) from public;
+revoke execute on function public.join_game(uuid, text) from public;
+
+grant execute on function public.create_game(integer, text) to authenticated;
+grant execute on function public.join_game(uuid, text) to authenticated;
@@ -0,0 +1,255 @@
+-- Словарь по сложности и тематике
+-- frequency - примерная частотность слова (употреблений на миллион слов),
+-- difficulty вычисляется по тем же порогам, что DICTIONARY_CONFIG.DIFFICULTIES на клиенте
+-- Наполнение совпадает с src/data/words.js
+
+alter table public.words
+  add column if not exists category text not null default 'misc',
+  add column if not exists frequency real not null default 0,
+  add column if not exists difficulty text generated always as (
+    case
+      when frequency >= 40 then 'easy'
+      when frequency >= 10 then 'medium'
+      else 'hard'
+    end
+  ) stored;
+
+alter table public.words drop constraint if exists words_category_check;
+alter table public.words
+  add constraint words_category_check
+    check (category in ('animals', 'food', 'cities', 'nature', 'home', 'transport', 'misc'));
+
+create index if not exists words_filter_idx on public.words (length, difficulty, category);
+
+insert into public.words (word, category, frequency) values
+  -- Животные
+  ('КОШКА', 'animals', 60), ('ПТИЦА', 'animals', 80), ('ПЕТУХ', 'animals', 20),
+  ('ОЛЕНЬ', 'animals', 20), ('ЩЕНОК', 'animals', 20), ('МЫШКА', 'animals', 15),
+  ('ЗЕБРА', 'animals', 4), ('ЖИРАФ', 'animals', 3), ('ХОМЯК', 'animals', 5),
+  ('БОБЕР', 'animals', 4),
+  ('СОБАКА', 'animals', 80), ('ЛОШАДЬ', 'animals', 80), ('КУРИЦА', 'animals', 35),
+  ('КОРОВА', 'animals', 20), ('ВОРОНА', 'animals', 15), ('КРОЛИК', 'animals', 15),
+  ('ЛЕБЕДЬ', 'animals', 15), ('ЛИСИЦА', 'animals', 8), ('СОРОКА', 'animals', 6),
+  ('БАРСУК', 'animals', 3), ('ТЮЛЕНЬ', 'animals', 3), ('МЕДУЗА', 'animals', 3),
+  ('ЖИРАФЫ', 'animals', 2),
+  ('МЕДВЕДЬ', 'animals', 45), ('ЛЯГУШКА', 'animals', 15), ('ВОРОБЕЙ', 'animals', 12),
+  ('КОТЕНОК', 'animals', 10), ('ПОПУГАЙ', 'animals', 10), ('ВЕРБЛЮД', 'animals', 8),
+  ('БАБОЧКИ', 'animals', 6), ('ДЕЛЬФИН', 'animals', 5), ('ЖУРАВЛЬ', 'animals', 5),
+  ('ПИНГВИН', 'animals', 4), ('БЕГЕМОТ', 'animals', 4), ('МУРАВЕЙ', 'animals', 4),
+  ('ПАНТЕРА', 'animals', 3), ('КЕНГУРУ', 'animals', 3), ('НОСОРОГ', 'animals', 2),
+  ('ЛАСТОЧКА', 'animals', 8), ('ЧЕРЕПАХА', 'animals', 8), ('КРОКОДИЛ', 'animals', 6),
+  ('ЦЫПЛЕНОК', 'animals', 6), ('КУЗНЕЧИК', 'animals', 3), ('ГУСЕНИЦА', 'animals', 3),
+  ('СКОРПИОН', 'animals', 3), ('МАРТЫШКА', 'animals', 3), ('ОСЬМИНОГ', 'animals', 2),
+  -- Еда
+  ('МАСЛО', 'food', 40), ('САЛАТ', 'food', 25), ('ПИРОГ', 'food', 15), ('ЛИМОН', 'food', 15),
+  ('ЯГОДА', 'food', 15), ('ПЕРЕЦ', 'food', 10), ('БУЛКА', 'food', 10), ('ОРЕХИ', 'food', 10),
+  ('ГРУША', 'food', 8), ('ВИШНЯ', 'food', 8), ('АРБУЗ', 'food', 6), ('БАНАН', 'food', 6),
+  ('ТЫКВА', 'food', 6), ('СЛИВА', 'food', 6), ('БАТОН', 'food', 5), ('КЕФИР', 'food', 4),
+  ('ОМЛЕТ', 'food', 4), ('ВАФЛЯ', 'food', 2),
+  ('МОЛОКО', 'food', 40), ('ЯБЛОКО', 'food', 20), ('МАЛИНА', 'food', 10), ('ОГУРЕЦ', 'food', 8),
+  ('ТВОРОГ', 'food', 8), ('ЧЕСНОК', 'food', 8), ('КОМПОТ', 'food', 5), ('ШАШЛЫК', 'food', 5),
+  ('ПРЯНИК', 'food', 4), ('ФАСОЛЬ', 'food', 3), ('КИСЕЛЬ', 'food', 3), ('ОЛАДЬИ', 'food', 3),
+  ('ЙОГУРТ', 'food', 2),
+  ('ШОКОЛАД', 'food', 20), ('КОЛБАСА', 'food', 15), ('КАПУСТА', 'food', 12),
+  ('ВАРЕНЬЕ', 'food', 10), ('СМЕТАНА', 'food', 10), ('КОНФЕТА', 'food', 8), ('МОРКОВЬ', 'food', 8),
+  ('БУЛОЧКА', 'food', 8), ('ПЕЧЕНЬЕ', 'food', 7), ('КОТЛЕТЫ', 'food', 6), ('СОСИСКА', 'food', 5),
+  ('ЯИЧНИЦА', 'food', 5), ('ГОРОШЕК', 'food', 4), ('БЛИНЧИК', 'food', 3), ('СЫРНИКИ', 'food', 2),
+  ('РЕДИСКА', 'food', 2),
+  ('КАРТОШКА', 'food', 12), ('ВИНОГРАД', 'food', 10), ('ПОМИДОРЫ', 'food', 8),
+  ('ПЕЛЬМЕНИ', 'food', 6), ('МАКАРОНЫ', 'food', 6), ('КЛУБНИКА', 'food', 6),
+  ('МАНДАРИН', 'food', 5), ('АПЕЛЬСИН', 'food', 5), ('БАКЛАЖАН', 'food', 2),
+  ('ВАТРУШКА', 'food', 2),
+  -- Города
+  ('ПАРИЖ', 'cities', 40), ('МИНСК', 'cities', 15), ('ПРАГА', 'cities', 15),
+  ('ТОКИО', 'cities', 10), ('ПЕКИН', 'cities', 10), ('ПЕРМЬ', 'cities', 8), ('КУРСК', 'cities', 8),
+  ('КИРОВ', 'cities', 8), ('АФИНЫ', 'cities', 8), ('ТОМСК', 'cities', 6), ('ПСКОВ', 'cities', 6),
+  ('ТВЕРЬ', 'cities', 5), ('МИЛАН', 'cities', 5), ('ПЕНЗА', 'cities', 4), ('ЦЮРИХ', 'cities', 3),
+  ('ОСАКА', 'cities', 2), ('АНАПА', 'cities', 2),
+  ('МОСКВА', 'cities', 300), ('ЛОНДОН', 'cities', 40), ('БЕРЛИН', 'cities', 40),
+  ('КАЗАНЬ', 'cities', 12), ('САМАРА', 'cities', 8), ('МАДРИД', 'cities', 8),
+  ('ЕРЕВАН', 'cities', 6), ('РЯЗАНЬ', 'cities', 6), ('ЖЕНЕВА', 'cities', 6),
+  ('КАЛУГА', 'cities', 5), ('ЧИКАГО', 'cities', 5), ('ТАЛЛИН', 'cities', 5),
+  ('ТЮМЕНЬ', 'cities', 4), ('ТАМБОВ', 'cities', 4), ('БОСТОН', 'cities', 4),
+  ('БРЯНСК', 'cities', 3), ('ЛИПЕЦК', 'cities', 3), ('ИЖЕВСК', 'cities', 3),
+  ('ДУБЛИН', 'cities', 3), ('ГАВАНА', 'cities', 3), ('ОТТАВА', 'cities', 2),
+  ('СИДНЕЙ', 'cities', 2), ('КРАКОВ', 'cities', 2),
+  ('ВАРШАВА', 'cities', 15), ('ВОРОНЕЖ', 'cities', 8), ('ТБИЛИСИ', 'cities', 8),
+  ('ВЕНЕЦИЯ', 'cities', 8), ('САРАТОВ', 'cities', 6), ('ИРКУТСК', 'cities', 6),
+  ('СТАМБУЛ', 'cities', 5), ('ВОЛОГДА', 'cities', 4), ('НЕАПОЛЬ', 'cities', 3),
+  ('БАРНАУЛ', 'cities', 3), ('КОЛОМНА', 'cities', 3), ('ТОРОНТО', 'cities', 2),
+  ('МАРСЕЛЬ', 'cities', 2),
+  ('НОВГОРОД', 'cities', 10), ('СМОЛЕНСК', 'cities', 8), ('КОСТРОМА', 'cities', 5),
+  ('МУРМАНСК', 'cities', 5), ('ОРЕНБУРГ', 'cities', 4), ('БРЮССЕЛЬ', 'cities', 4),
+  ('ЛИССАБОН', 'cities', 3), ('ТОБОЛЬСК', 'cities', 2), ('ТАГАНРОГ', 'cities', 2),
+  ('МОНРЕАЛЬ', 'cities', 2),
+  -- Природа
+  ('ВЕТЕР', 'nature', 90), ('ОЗЕРО', 'nature', 40), ('ТРАВА', 'nature', 60),
+  ('ОКЕАН', 'nature', 25), ('ТУМАН', 'nature', 25), ('ГРОЗА', 'nature', 20),
+  ('СКАЛА', 'nature', 15), ('РЕЧКА', 'nature', 15), ('ЗАКАТ', 'nature', 12),
+  ('ТУЧКА', 'nature', 6), ('ТАЙГА', 'nature', 4),
+  ('СОЛНЦЕ', 'nature', 120), ('ДЕРЕВО', 'nature', 70), ('ОСТРОВ', 'nature', 60),
+  ('ЗВЕЗДА', 'nature', 50), ('ПОГОДА', 'nature', 50), ('ЦВЕТОК', 'nature', 30),
+  ('КОСТЕР', 'nature', 25), ('ЛИСТЬЯ', 'nature', 20), ('БЕРЕЗА', 'nature', 20),
+  ('ОБЛАКО', 'nature', 15), ('МОЛНИЯ', 'nature', 15), ('БОЛОТО', 'nature', 10),
+  ('ПЕЩЕРА', 'nature', 10), ('РАДУГА', 'nature', 8), ('МЕТЕЛЬ', 'nature', 6),
+  ('ВУЛКАН', 'nature', 5), ('ЛИВЕНЬ', 'nature', 5), ('СУГРОБ', 'nature', 4),
+  ('ЛЕДНИК', 'nature', 3), ('ЛАНДЫШ', 'nature', 2), ('ЖЕЛУДЬ', 'nature', 2),
+  ('ПРИРОДА', 'nature', 90), ('ПЛАНЕТА', 'nature', 20), ('ПУСТЫНЯ', 'nature', 15),
+  ('ВЕРШИНА', 'nature', 15), ('РАССВЕТ', 'nature', 15), ('ПАУТИНА', 'nature', 8),
+  ('РОМАШКА', 'nature', 5), ('ВОДОПАД', 'nature', 4), ('ОРХИДЕЯ', 'nature', 2),
+  ('ГОРИЗОНТ', 'nature', 15), ('ТРОПИНКА', 'nature', 5), ('СНЕГОПАД', 'nature', 3),
+  ('СНЕГОВИК', 'nature', 2), ('ЛИСТОПАД', 'nature', 2), ('СОСУЛЬКА', 'nature', 2),
+  -- Дом и вещи
+  ('ДВЕРЬ', 'home', 150), ('КНИГА', 'home', 250), ('КУХНЯ', 'home', 60), ('РУЧКА', 'home', 60),
+  ('ДИВАН', 'home', 40), ('ЛАМПА', 'home', 35), ('ЧАШКА', 'home', 35), ('ЛОЖКА', 'home', 20),
+  ('ПОЛКА', 'home', 15), ('СВЕЧА', 'home', 15), ('ВАННА', 'home', 15), ('ВЕДРО', 'home', 10),
+  ('КОВЕР', 'home', 10), ('ЩЕТКА', 'home', 10), ('ВИЛКА', 'home', 8), ('КОМОД', 'home', 3),
+  ('КАРМАН', 'home', 60), ('СТАКАН', 'home', 50), ('КРЕСЛО', 'home', 50), ('ВОРОТА', 'home', 40),
+  ('ПАЛЬТО', 'home', 30), ('БАЛКОН', 'home', 20), ('ЧАЙНИК', 'home', 15), ('ОДЕЯЛО', 'home', 15),
+  ('РЮКЗАК', 'home', 10), ('ЗОНТИК', 'home', 8), ('ГВОЗДЬ', 'home', 8), ('КАРТОН', 'home', 8),
+  ('ИГОЛКА', 'home', 3),
+  ('ТЕЛЕФОН', 'home', 150), ('КОМНАТА', 'home', 150), ('КАРТИНА', 'home', 70),
+  ('ЗЕРКАЛО', 'home', 45), ('КРОВАТЬ', 'home', 40), ('КОРОБКА', 'home', 30),
+  ('ПОДУШКА', 'home', 25), ('ТАРЕЛКА', 'home', 25), ('ТЕТРАДЬ', 'home', 20),
+  ('КОШЕЛЕК', 'home', 15), ('МОЛОТОК', 'home', 10), ('БОТИНОК', 'home', 10),
+  ('КОРЗИНА', 'home', 10), ('НОЖНИЦЫ', 'home', 8), ('БЛОКНОТ', 'home', 8), ('ФОНАРИК', 'home', 6),
+  ('ВЕШАЛКА', 'home', 5), ('ТАПОЧКИ', 'home', 5), ('ПЫЛЕСОС', 'home', 3),
+  ('ЛЕСТНИЦА', 'home', 60), ('ПОРТФЕЛЬ', 'home', 20), ('КАРАНДАШ', 'home', 15),
+  ('ЧЕМОДАНЫ', 'home', 10), ('ФУТБОЛКА', 'home', 6), ('КАСТРЮЛЯ', 'home', 5),
+  ('ШКАТУЛКА', 'home', 4), ('ТУМБОЧКА', 'home', 3),
+  -- Транспорт
+  ('ПОЕЗД', 'transport', 70), ('ТАКСИ', 'transport', 40), ('МЕТРО', 'transport', 45),
+  ('ЛОДКА', 'transport', 40), ('ВАГОН', 'transport', 30), ('КАТЕР', 'transport', 10),
+  ('САНКИ', 'transport', 5), ('БАРЖА', 'transport', 3), ('ПАРОМ', 'transport', 3),
+  ('МАШИНА', 'transport', 200), ('РАКЕТА', 'transport', 20), ('КАРЕТА', 'transport', 15),
+  ('ТЕЛЕГА', 'transport', 8), ('ФУРГОН', 'transport', 5), ('ЛАЙНЕР', 'transport', 3),
+  ('ТАНКЕР', 'transport', 2), ('СКУТЕР', 'transport', 2),
+  ('САМОЛЕТ', 'transport', 70), ('КОРАБЛЬ', 'transport', 55), ('АВТОБУС', 'transport', 40),
+  ('ТРАМВАЙ', 'transport', 30), ('ПАРОХОД', 'transport', 20), ('ТРАКТОР', 'transport', 15),
+  ('ПАРОВОЗ', 'transport', 10), ('САМОКАТ', 'transport', 3), ('ЛИМУЗИН', 'transport', 2),
+  ('ВЕРТОЛЕТ', 'transport', 20), ('МОТОЦИКЛ', 'transport', 15), ('ГРУЗОВИК', 'transport', 10),
+  ('ТЕПЛОХОД', 'transport', 5), ('ПОДЛОДКА', 'transport', 3), ('ПАРУСНИК', 'transport', 2),
+  -- Разное
+  ('СЛОВО', 'misc', 500), ('ГОРОД', 'misc', 300), ('ШКОЛА', 'misc', 200), ('ПЕСНЯ', 'misc', 80),
+  ('РАДИО', 'misc', 40), ('ЗАМОК', 'misc', 30), ('САПОГ', 'misc', 10), ('РЫБАК', 'misc', 8),
+  ('ДОРОГА', 'misc', 250), ('ГАЗЕТА', 'misc', 90),
+  ('ПОДАРОК', 'misc', 40), ('БАРАБАН', 'misc', 8),
+  ('МАГАЗИНЫ', 'misc', 40), ('КОЛОКОЛА', 'misc', 10), ('АПТЕКАРЬ', 'misc', 2),
+  ('ТРАМПЛИН', 'misc', 2)
+on conflict (word) do update
+set category = excluded.category,
+    frequency = excluded.frequency;
+
+-- Параметры подбора слова сохраняются в комнате: тема служит подсказкой игрокам
+alter table public.game_rooms
+  add column if not exists word_difficulty text,
+  add column if not exists word_category text;
+
+create or replace view public.game_rooms_safe as
+select
+  r.id,
+  r.player1_id,
+  r.player2_id,
+  r.current_player,
+  r.status,
+  r.word_length,
+  r.board_state,
+  r.revealed_cells,
+  r.player1_score,
+  r.player2_score,
+  r.winner,
+  case when r.status = 'finished' then s.word end as word,
+  r.created_at,
+  r.updated_at,
+  r.word_mode,
+  r.boards,
+  case when r.status = 'finished' then s.player_words end as player_words,
+  r.word_difficulty,
+  r.word_category
+from public.game_rooms r
+left join public.game_secrets s on s.room_id = r.id;
+
+drop function if exists public.create_game(integer, text);
+
+-- Создание игры; p_difficulty и p_category (null - любые) ограничивают выбор случайного слова
+create or replace function public.create_game(
+  p_word_length integer default 5,
+  p_secret_word text default null,
+  p_difficulty text default null,
+  p_category text default null
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user_id uuid := auth.uid();
+  v_secret text := nullif(upper(btrim(coalesce(p_secret_word, ''))), '');
+  v_word text;
+  v_room_id uuid;
+begin
+  if v_user_id is null then
+    raise exception 'AUTHENTICATION_FAILED';
+  end if;
+
+  if p_word_length is null or p_word_length not between 5 and 8 then
+    raise exception 'INVALID_INPUT';
+  end if;
+
+  if p_difficulty is not null and p_difficulty not in ('easy', 'medium', 'hard') then
+    raise exception 'INVALID_INPUT';
+  end if;
+
+  if v_secret is not null then
+    if not public._is_dictionary_word(v_secret, p_word_length) then
+      return jsonb_build_object('success', false, 'error', 'INVALID_SECRET_WORD');
+    end if;
+
+    insert into public.game_rooms (player1_id, word_length, board_state, word_mode, boards)
+    values (
+      v_user_id,
+      p_word_length,
+      public._empty_board(),
+      'custom',
+      jsonb_build_object('1', public._empty_board(), '2', public._empty_board())
+    )
+    returning id into v_room_id;
+
+    insert into public.game_secrets (room_id, player_words, secret_boards)
+    values (
+      v_room_id,
+      jsonb_build_object('1', v_secret, '2', null),
+      jsonb_build_object('1', public._secret_board(v_secret), '2', null)
+    );
+  else
+    select w.word into v_word
+    from public.words w
+    where w.length = p_word_length
+      and (p_difficulty is null or w.difficulty = p_difficulty)
+      and (p_category is null or w.category = p_category)
+    order by random()
+    limit 1;
+
+    if v_word is null then
+      return jsonb_build_object('success', false, 'error', 'NO_MATCHING_WORDS');
+    end if;
+
+    insert into public.game_rooms (player1_id, word_length, board_state, word_difficulty, word_category)
+    values (v_user_id, p_word_length, public._empty_board(), p_difficulty, p_category)
+    returning id into v_room_id;
+
+    insert into public.game_secrets (room_id, word, secret_board)
+    values (v_room_id, v_word, public._secret_board(v_word));
+  end if;
+
+  return jsonb_build_object(
+    'success', true,
+    'room_id', v_room_id,
+    'word_length', p_word_length
+  );
+end;
+$$;
+
+revoke execute on function public.create_game(integer, text, text, text) from public;
+grant execute on function public.create_game(integer, text, text, text) to authenticated;
@@ -0,0 +1,213 @@
+-- Строгий режим попыток: слова не из словаря не тратят ход
+-- Настройка комнаты задается при создании игры (по умолчанию включена)
+
+alter table public.game_rooms
+  add column if not exists strict_guesses boolean not null default true;
+
+create or replace view public.game_rooms_safe as
+select
+  r.id,
+  r.player1_id,
+  r.player2_id,
+  r.current_player,
+  r.status,
+  r.word_length,
+  r.board_state,
+  r.revealed_cells,
+  r.player1_score,
+  r.player2_score,
+  r.winner,
+  case when r.status = 'finished' then s.word end as word,
+  r.created_at,
+  r.updated_at,
+  r.word_mode,
+  r.boards,
+  case when r.status = 'finished' then s.player_words end as player_words,
+  r.word_difficulty,
+  r.word_category,
+  r.strict_guesses
+from public.game_rooms r
+left join public.game_secrets s on s.room_id = r.id;
+
+drop function if exists public.create_game(integer, text, text, text);
+
+-- Создание игры; p_strict_guesses включает строгий режим попыток
+create or replace function public.create_game(
+  p_word_length integer default 5,
+  p_secret_word text default null,
+  p_difficulty text default null,
+  p_category text default null,
+  p_strict_guesses boolean default true
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user_id uuid := auth.uid();
+  v_secret text := nullif(upper(btrim(coalesce(p_secret_word, ''))), '');
+  v_word text;
+  v_room_id uuid;
+begin
+  if v_user_id is null then
+    raise exception 'AUTHENTICATION_FAILED';
+  end if;
+
+  if p_word_length is null or p_word_length not between 5 and 8 then
+    raise exception 'INVALID_INPUT';
+  end if;
+
+  if p_difficulty is not null and p_difficulty not in ('easy', 'medium', 'hard') then
+    raise exception 'INVALID_INPUT';
+  end if;
+
+  if v_secret is not null then
+    if not public._is_dictionary_word(v_secret, p_word_length) then
+      return jsonb_build_object('success', false, 'error', 'INVALID_SECRET_WORD');
+    end if;
+
+    insert into public.game_rooms (player1_id, word_length, board_state, word_mode, boards, strict_guesses)
+    values (
+      v_user_id,
+      p_word_length,
+      public._empty_board(),
+      'custom',
+      jsonb_build_object('1', public._empty_board(), '2', public._empty_board()),
+      coalesce(p_strict_guesses, true)
+    )
+    returning id into v_room_id;
+
+    insert into public.game_secrets (room_id, player_words, secret_boards)
+    values (
+      v_room_id,
+      jsonb_build_object('1', v_secret, '2', null),
+      jsonb_build_object('1', public._secret_board(v_secret), '2', null)
+    );
+  else
+    select w.word into v_word
+    from public.words w
+    where w.length = p_word_length
+      and (p_difficulty is null or w.difficulty = p_difficulty)
+      and (p_category is null or w.category = p_category)
+    order by random()
+    limit 1;
+
+    if v_word is null then
+      return jsonb_build_object('success', false, 'error', 'NO_MATCHING_WORDS');
+    end if;
+
+    insert into public.game_rooms (
+      player1_id, word_length, board_state, word_difficulty, word_category, strict_guesses
+    )
+    values (
+      v_user_id, p_word_length, public._empty_board(), p_difficulty, p_category,
+      coalesce(p_strict_guesses, true)
+    )
+    returning id into v_room_id;
+
+    insert into public.game_secrets (room_id, word, secret_board)
+    values (v_room_id, v_word, public._secret_board(v_word));
+  end if;
+
+  return jsonb_build_object(
+    'success', true,
+    'room_id', v_room_id,
+    'word_length', p_word_length
+  );
+end;
+$$;
+
+revoke execute on function public.create_game(integer, text, text, text, boolean) from public;
+grant execute on function public.create_game(integer, text, text, text, boolean) to authenticated;
+
+-- Проверка слова с учетом строгого режима
+create or replace function public.validate_guess(p_room_id uuid, p_guessed_word text)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user_id uuid := auth.uid();
+  v_room public.game_rooms%rowtype;
+  v_secret public.game_secrets%rowtype;
+  v_player smallint;
+  v_next_player smallint;
+  v_target text;
+  v_guess text := upper(btrim(coalesce(p_guessed_word, '')));
+begin
+  if v_user_id is null then
+    raise exception 'AUTHENTICATION_FAILED';
+  end if;
+
+  select * into v_room from public.game_rooms where id = p_room_id for update;
+
+  if not found or v_room.status <> 'active' then
+    return jsonb_build_object('success', false, 'error', 'GAME_NOT_FOUND_OR_INACTIVE');
+  end if;
+
+  v_player := case
+    when v_room.player1_id = v_user_id then 1
+    when v_room.player2_id = v_user_id then 2
+  end;
+
+  if v_player is null then
+    return jsonb_build_object('success', false, 'error', 'NOT_A_PLAYER');
+  end if;
+
+  if v_room.current_player <> v_player then
+    return jsonb_build_object('success', false, 'error', 'NOT_YOUR_TURN');
+  end if;
+
+  v_next_player := case when v_player = 1 then 2 else 1 end;
+
+  if v_guess = '' then
+    update public.game_rooms set current_player = v_next_player where id = p_room_id;
+    return jsonb_build_object('success', true, 'skipped', true, 'next_player', v_next_player);
+  end if;
+
+  -- Строгий режим: слово не из словаря отклоняется без передачи хода
+  if v_room.strict_guesses and not exists (select 1 from public.words w where w.word = v_guess) then
+    return jsonb_build_object('success', false, 'error', 'WORD_NOT_IN_DICTIONARY');
+  end if;
+
+  select * into v_secret from public.game_secrets where room_id = p_room_id for update;
+
+  v_target := case
+    when v_room.word_mode = 'custom' then v_secret.player_words ->> v_next_player::text
+    else v_secret.word
+  end;
+
+  if v_guess = v_target then
+    if v_room.word_mode = 'custom' then
+      update public.game_secrets set word = v_target where room_id = p_room_id;
+
+      update public.game_rooms
+      set status = 'finished',
+          winner = v_player,
+          boards = jsonb_build_object(
+            '1', public._reveal_board(v_secret.secret_boards -> '1'),
+            '2', public._reveal_board(v_secret.secret_boards -> '2')
+          )
+      where id = p_room_id;
+    else
+      update public.game_rooms
+      set status = 'finished',
+          winner = v_player,
+          board_state = public._reveal_board(v_secret.secret_board)
+      where id = p_room_id;
+    end if;
+
+    return jsonb_build_object(
+      'success', true,
+      'correct', true,
+      'winner', v_player,
+      'word', v_target
+    );
+  end if;
+
+  update public.game_rooms set current_player = v_next_player where id = p_room_id;
+  return jsonb_build_object('success', true, 'correct', false, 'next_player', v_next_player);
+end;
+$$;
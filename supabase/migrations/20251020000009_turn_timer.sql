@@ -0,0 +1,206 @@
+-- Таймер хода: ограничение времени задается при создании комнаты
+-- turn_deadline пересчитывается триггером при каждой смене хода, поэтому оба клиента
+-- видят один и тот же срок; по его истечении любой игрок вызывает skip_expired_turn
+
+alter table public.game_rooms
+  add column if not exists turn_time_limit integer,
+  add column if not exists turn_deadline timestamptz;
+
+alter table public.game_rooms drop constraint if exists game_rooms_turn_time_limit_check;
+alter table public.game_rooms
+  add constraint game_rooms_turn_time_limit_check
+    check (turn_time_limit is null or turn_time_limit between 10 and 600);
+
+-- Срок хода: считается заново, когда меняется игрок или статус игры
+create or replace function public.set_turn_deadline()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.current_player is distinct from old.current_player or new.status is distinct from old.status then
+    new.turn_deadline := case
+      when new.status = 'active' and new.turn_time_limit is not null
+        then now() + make_interval(secs => new.turn_time_limit)
+    end;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists game_rooms_set_turn_deadline on public.game_rooms;
+create trigger game_rooms_set_turn_deadline
+  before update on public.game_rooms
+  for each row execute function public.set_turn_deadline();
+
+create or replace view public.game_rooms_safe as
+select
+  r.id,
+  r.player1_id,
+  r.player2_id,
+  r.current_player,
+  r.status,
+  r.word_length,
+  r.board_state,
+  r.revealed_cells,
+  r.player1_score,
+  r.player2_score,
+  r.winner,
+  case when r.status = 'finished' then s.word end as word,
+  r.created_at,
+  r.updated_at,
+  r.word_mode,
+  r.boards,
+  case when r.status = 'finished' then s.player_words end as player_words,
+  r.word_difficulty,
+  r.word_category,
+  r.strict_guesses,
+  r.turn_time_limit,
+  r.turn_deadline
+from public.game_rooms r
+left join public.game_secrets s on s.room_id = r.id;
+
+drop function if exists public.create_game(integer, text, text, text, boolean);
+
+-- Создание игры; p_turn_time_limit - секунды на ход (null - без ограничения)
+create or replace function public.create_game(
+  p_word_length integer default 5,
+  p_secret_word text default null,
+  p_difficulty text default null,
+  p_category text default null,
+  p_strict_guesses boolean default true,
+  p_turn_time_limit integer default null
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user_id uuid := auth.uid();
+  v_secret text := nullif(upper(btrim(coalesce(p_secret_word, ''))), '');
+  v_word text;
+  v_room_id uuid;
+begin
+  if v_user_id is null then
+    raise exception 'AUTHENTICATION_FAILED';
+  end if;
+
+  if p_word_length is null or p_word_length not between 5 and 8 then
+    raise exception 'INVALID_INPUT';
+  end if;
+
+  if p_difficulty is not null and p_difficulty not in ('easy', 'medium', 'hard') then
+    raise exception 'INVALID_INPUT';
+  end if;
+
+  if p_turn_time_limit is not null and p_turn_time_limit not between 10 and 600 then
+    raise exception 'INVALID_INPUT';
+  end if;
+
+  if v_secret is not null then
+    if not public._is_dictionary_word(v_secret, p_word_length) then
+      return jsonb_build_object('success', false, 'error', 'INVALID_SECRET_WORD');
+    end if;
+
+    insert into public.game_rooms (
+      player1_id, word_length, board_state, word_mode, boards, strict_guesses, turn_time_limit
+    )
+    values (
+      v_user_id,
+      p_word_length,
+      public._empty_board(),
+      'custom',
+      jsonb_build_object('1', public._empty_board(), '2', public._empty_board()),
+      coalesce(p_strict_guesses, true),
+      p_turn_time_limit
+    )
+    returning id into v_room_id;
+
+    insert into public.game_secrets (room_id, player_words, secret_boards)
+    values (
+      v_room_id,
+      jsonb_build_object('1', v_secret, '2', null),
+      jsonb_build_object('1', public._secret_board(v_secret), '2', null)
+    );
+  else
+    select w.word into v_word
+    from public.words w
+    where w.length = p_word_length
+      and (p_difficulty is null or w.difficulty = p_difficulty)
+      and (p_category is null or w.category = p_category)
+    order by random()
+    limit 1;
+
+    if v_word is null then
+      return jsonb_build_object('success', false, 'error', 'NO_MATCHING_WORDS');
+    end if;
+
+    insert into public.game_rooms (
+      player1_id, word_length, board_state, word_difficulty, word_category, strict_guesses, turn_time_limit
+    )
+    values (
+      v_user_id, p_word_length, public._empty_board(), p_difficulty, p_category,
+      coalesce(p_strict_guesses, true), p_turn_time_limit
+    )
+    returning id into v_room_id;
+
+    insert into public.game_secrets (room_id, word, secret_board)
+    values (v_room_id, v_word, public._secret_board(v_word));
+  end if;
+
+  return jsonb_build_object(
+    'success', true,
+    'room_id', v_room_id,
+    'word_length', p_word_length
+  );
+end;
+$$;
+
+-- Пропуск хода по таймеру: доступен обоим игрокам, повторный вызов после пропуска
+-- получает TURN_NOT_EXPIRED, потому что у нового хода уже свой срок
+create or replace function public.skip_expired_turn(p_room_id uuid)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user_id uuid := auth.uid();
+  v_room public.game_rooms%rowtype;
+  v_next_player smallint;
+begin
+  if v_user_id is null then
+    raise exception 'AUTHENTICATION_FAILED';
+  end if;
+
+  select * into v_room from public.game_rooms where id = p_room_id for update;
+
+  if not found or v_room.status <> 'active' then
+    return jsonb_build_object('success', false, 'error', 'GAME_NOT_FOUND_OR_INACTIVE');
+  end if;
+
+  if v_user_id is distinct from v_room.player1_id and v_user_id is distinct from v_room.player2_id then
+    return jsonb_build_object('success', false, 'error', 'NOT_A_PLAYER');
+  end if;
+
+  if v_room.turn_deadline is null or v_room.turn_deadline > now() then
+    return jsonb_build_object('success', false, 'error', 'TURN_NOT_EXPIRED');
+  end if;
+
+  v_next_player := case when v_room.current_player = 1 then 2 else 1 end;
+  update public.game_rooms set current_player = v_next_player where id = p_room_id;
+
+  return jsonb_build_object(
+    'success', true,
+    'skipped', true,
+    'timed_out', true,
+    'next_player', v_next_player
+  );
+end;
+$$;
+
+revoke execute on function public.create_game(integer, text, text, text, boolean, integer) from public;
+revoke execute on function public.skip_expired_turn(uuid) from public;
+
+grant execute on function public.create_game(integer, text, text, text, boolean, integer) to authenticated;
+grant execute on function public.skip_expired_turn(uuid) to authenticated;
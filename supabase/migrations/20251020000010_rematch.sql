@@ -0,0 +1,207 @@
+-- Реванш: новая комната с теми же настройками, связанная с завершенной игрой
+-- first_player - кто ходил первым; в реванше первым ходит другой игрок
+-- rematch_of / rematch_room_id - связь исходной комнаты и реванша (один реванш на игру)
+
+alter table public.game_rooms
+  add column if not exists first_player smallint,
+  add column if not exists rematch_of uuid references public.game_rooms (id) on delete set null,
+  add column if not exists rematch_room_id uuid references public.game_rooms (id) on delete set null;
+
+alter table public.game_rooms drop constraint if exists game_rooms_first_player_check;
+alter table public.game_rooms
+  add constraint game_rooms_first_player_check
+    check (first_player is null or first_player in (1, 2));
+
+create or replace view public.game_rooms_safe as
+select
+  r.id,
+  r.player1_id,
+  r.player2_id,
+  r.current_player,
+  r.status,
+  r.word_length,
+  r.board_state,
+  r.revealed_cells,
+  r.player1_score,
+  r.player2_score,
+  r.winner,
+  case when r.status = 'finished' then s.word end as word,
+  r.created_at,
+  r.updated_at,
+  r.word_mode,
+  r.boards,
+  case when r.status = 'finished' then s.player_words end as player_words,
+  r.word_difficulty,
+  r.word_category,
+  r.strict_guesses,
+  r.turn_time_limit,
+  r.turn_deadline,
+  r.first_player,
+  r.rematch_of,
+  r.rematch_room_id
+from public.game_rooms r
+left join public.game_secrets s on s.room_id = r.id;
+
+-- Присоединение второго игрока; first_player задан заранее в комнатах-реваншах
+create or replace function public.join_game(
+  p_room_id uuid,
+  p_secret_word text default null
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user_id uuid := auth.uid();
+  v_room public.game_rooms%rowtype;
+  v_secret text := nullif(upper(btrim(coalesce(p_secret_word, ''))), '');
+  v_first_player smallint;
+begin
+  if v_user_id is null then
+    raise exception 'AUTHENTICATION_FAILED';
+  end if;
+
+  select * into v_room from public.game_rooms where id = p_room_id for update;
+
+  if not found then
+    return jsonb_build_object('success', false, 'error', 'ROOM_NOT_FOUND');
+  end if;
+
+  if v_room.player1_id = v_user_id then
+    return jsonb_build_object('success', false, 'error', 'CANNOT_JOIN_OWN_GAME');
+  end if;
+
+  if v_room.player2_id is not null then
+    return jsonb_build_object(
+      'success', false,
+      'error', case when v_room.player2_id = v_user_id then 'ROOM_ALREADY_ACTIVE' else 'ROOM_FULL' end
+    );
+  end if;
+
+  if v_room.status <> 'waiting' then
+    return jsonb_build_object('success', false, 'error', 'ROOM_ALREADY_ACTIVE');
+  end if;
+
+  if v_room.word_mode = 'custom' then
+    if v_secret is null then
+      return jsonb_build_object('success', false, 'error', 'SECRET_WORD_REQUIRED');
+    end if;
+
+    if not public._is_dictionary_word(v_secret, v_room.word_length) then
+      return jsonb_build_object('success', false, 'error', 'INVALID_SECRET_WORD');
+    end if;
+
+    update public.game_secrets
+    set player_words = jsonb_set(player_words, '{2}', to_jsonb(v_secret)),
+        secret_boards = jsonb_set(secret_boards, '{2}', public._secret_board(v_secret))
+    where room_id = p_room_id;
+  end if;
+
+  v_first_player := coalesce(v_room.first_player, case when random() < 0.5 then 1 else 2 end);
+
+  update public.game_rooms
+  set player2_id = v_user_id,
+      status = 'active',
+      current_player = v_first_player,
+      first_player = v_first_player
+  where id = p_room_id;
+
+  return jsonb_build_object('success', true, 'first_player', v_first_player);
+end;
+$$;
+
+-- Создание реванша: комната создается через create_game с настройками исходной игры.
+-- Если реванш уже создан соперником, возвращается его комната (created = false),
+-- и вызвавший игрок просто присоединяется к ней
+create or replace function public.create_rematch(
+  p_room_id uuid,
+  p_secret_word text default null
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user_id uuid := auth.uid();
+  v_room public.game_rooms%rowtype;
+  v_player smallint;
+  v_first_user uuid;
+  v_result jsonb;
+  v_new_room_id uuid;
+begin
+  if v_user_id is null then
+    raise exception 'AUTHENTICATION_FAILED';
+  end if;
+
+  select * into v_room from public.game_rooms where id = p_room_id for update;
+
+  if not found then
+    return jsonb_build_object('success', false, 'error', 'ROOM_NOT_FOUND');
+  end if;
+
+  v_player := case
+    when v_room.player1_id = v_user_id then 1
+    when v_room.player2_id = v_user_id then 2
+  end;
+
+  if v_player is null then
+    return jsonb_build_object('success', false, 'error', 'NOT_A_PLAYER');
+  end if;
+
+  if v_room.status <> 'finished' then
+    return jsonb_build_object('success', false, 'error', 'GAME_NOT_FINISHED');
+  end if;
+
+  if v_room.rematch_room_id is not null then
+    return jsonb_build_object(
+      'success', true,
+      'room_id', v_room.rematch_room_id,
+      'word_length', v_room.word_length,
+      'created', false
+    );
+  end if;
+
+  if v_room.word_mode = 'custom' and nullif(btrim(coalesce(p_secret_word, '')), '') is null then
+    return jsonb_build_object('success', false, 'error', 'SECRET_WORD_REQUIRED');
+  end if;
+
+  v_result := public.create_game(
+    v_room.word_length,
+    case when v_room.word_mode = 'custom' then p_secret_word end,
+    v_room.word_difficulty,
+    v_room.word_category,
+    v_room.strict_guesses,
+    v_room.turn_time_limit
+  );
+
+  if not (v_result ->> 'success')::boolean then
+    return v_result;
+  end if;
+
+  v_new_room_id := (v_result ->> 'room_id')::uuid;
+
+  -- Создатель реванша - игрок 1 новой комнаты; первым ходит тот, кто в прошлой игре ходил вторым
+  v_first_user := case v_room.first_player
+    when 1 then v_room.player1_id
+    when 2 then v_room.player2_id
+  end;
+
+  update public.game_rooms
+  set rematch_of = p_room_id,
+      first_player = case
+        when v_first_user is null then null
+        when v_first_user = v_user_id then 2
+        else 1
+      end
+  where id = v_new_room_id;
+
+  update public.game_rooms set rematch_room_id = v_new_room_id where id = p_room_id;
+
+  return v_result || jsonb_build_object('created', true);
+end;
+$$;
+
+revoke execute on function public.create_rematch(uuid, text) from public;
+grant execute on function public.create_rematch(uuid, text) to authenticated;
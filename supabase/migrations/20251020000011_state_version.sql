@@ -0,0 +1,53 @@
+-- Версия состояния комнаты: растет на 1 при каждом изменении записи
+-- Клиент применяет только состояния новее уже показанного, а по разрыву
+-- в версиях Realtime событий понимает, что пропустил обновление
+
+alter table public.game_rooms
+  add column if not exists version bigint not null default 0;
+
+-- Версия увеличивается триггером, поэтому RPC функции о ней не знают
+create or replace function public.bump_version()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.version := old.version + 1;
+  return new;
+end;
+$$;
+
+drop trigger if exists game_rooms_bump_version on public.game_rooms;
+create trigger game_rooms_bump_version
+  before update on public.game_rooms
+  for each row execute function public.bump_version();
+
+create or replace view public.game_rooms_safe as
+select
+  r.id,
+  r.player1_id,
+  r.player2_id,
+  r.current_player,
+  r.status,
+  r.word_length,
+  r.board_state,
+  r.revealed_cells,
+  r.player1_score,
+  r.player2_score,
+  r.winner,
+  case when r.status = 'finished' then s.word end as word,
+  r.created_at,
+  r.updated_at,
+  r.word_mode,
+  r.boards,
+  case when r.status = 'finished' then s.player_words end as player_words,
+  r.word_difficulty,
+  r.word_category,
+  r.strict_guesses,
+  r.turn_time_limit,
+  r.turn_deadline,
+  r.first_player,
+  r.rematch_of,
+  r.rematch_room_id,
+  r.version
+from public.game_rooms r
+left join public.game_secrets s on s.room_id = r.id;
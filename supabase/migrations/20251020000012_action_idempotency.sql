@@ -0,0 +1,86 @@
+-- Идемпотентные ходы: клиент присваивает каждому ходу UUID (ключ идемпотентности)
+-- и отправляет его через submit_action. Повторная отправка того же хода
+-- (повтор после обрыва сети, очередь ходов после офлайна) возвращает сохраненный
+-- результат и не применяет ход второй раз
+
+create table if not exists public.game_actions (
+  id uuid primary key,
+  room_id uuid not null references public.game_rooms (id) on delete cascade,
+  user_id uuid not null,
+  action_type text not null,
+  result jsonb,
+  created_at timestamptz not null default now(),
+  constraint game_actions_type_check check (action_type in ('reveal', 'guess', 'skip'))
+);
+
+create index if not exists game_actions_room_id_idx on public.game_actions (room_id);
+
+comment on table public.game_actions is 'Результаты ходов по ключам идемпотентности, недоступны клиентам';
+
+-- Политик нет: таблица доступна только security definer функциям
+alter table public.game_actions enable row level security;
+revoke all on public.game_actions from anon, authenticated;
+
+-- Ход игрока с ключом идемпотентности
+-- p_type: reveal ({row, col}), guess ({word}) или skip; результат - как у reveal_cell / validate_guess
+create or replace function public.submit_action(
+  p_action_id uuid,
+  p_room_id uuid,
+  p_type text,
+  p_payload jsonb default '{}'::jsonb
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user_id uuid := auth.uid();
+  v_action public.game_actions%rowtype;
+  v_result jsonb;
+begin
+  if v_user_id is null then
+    raise exception 'AUTHENTICATION_FAILED';
+  end if;
+
+  if p_action_id is null or p_type is null or p_type not in ('reveal', 'guess', 'skip') then
+    return jsonb_build_object('success', false, 'error', 'INVALID_INPUT');
+  end if;
+
+  if not exists (select 1 from public.game_rooms where id = p_room_id) then
+    return jsonb_build_object('success', false, 'error', 'GAME_NOT_FOUND_OR_INACTIVE');
+  end if;
+
+  -- Параллельный вызов с тем же ключом ждет здесь завершения первого
+  insert into public.game_actions (id, room_id, user_id, action_type)
+  values (p_action_id, p_room_id, v_user_id, p_type)
+  on conflict (id) do nothing;
+
+  if not found then
+    select * into v_action from public.game_actions where id = p_action_id;
+
+    if v_action.user_id <> v_user_id or v_action.room_id <> p_room_id then
+      return jsonb_build_object('success', false, 'error', 'INVALID_INPUT');
+    end if;
+
+    return v_action.result || jsonb_build_object('duplicate', true);
+  end if;
+
+  v_result := case p_type
+    when 'reveal' then public.reveal_cell(
+      p_room_id,
+      (p_payload ->> 'row')::integer,
+      (p_payload ->> 'col')::integer
+    )
+    when 'guess' then public.validate_guess(p_room_id, coalesce(p_payload ->> 'word', ''))
+    else public.validate_guess(p_room_id, '')
+  end;
+
+  update public.game_actions set result = v_result where id = p_action_id;
+
+  return v_result;
+end;
+$$;
+
+revoke execute on function public.submit_action(uuid, uuid, text, jsonb) from public;
+grant execute on function public.submit_action(uuid, uuid, text, jsonb) to authenticated;
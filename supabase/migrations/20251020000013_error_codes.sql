@@ -0,0 +1,196 @@
+-- Типизированные ошибки RPC: вместо голого кода ответ с ошибкой содержит error_info -
+-- HTTP-подобный статус, категорию и признак, можно ли повторить запрос:
+--   {"success": false, "error": "NOT_YOUR_TURN",
+--    "error_info": {"status": 409, "category": "conflict", "retryable": false}}
+-- Ошибки, которые функции поднимают через raise exception (AUTHENTICATION_FAILED и т.п.),
+-- возвращаются в том же виде. Каталог кодов совпадает с ERROR_CODES в src/utils/errorHandler.js
+
+-- Описание кода ошибки; неизвестный код считается внутренней ошибкой сервера
+create or replace function public._error_info(p_code text)
+returns jsonb
+language sql
+immutable
+as $$
+  select case
+    when p_code in ('INVALID_INPUT', 'INVALID_COORDINATES')
+      then jsonb_build_object('status', 400, 'category', 'bad_request', 'retryable', false)
+    when p_code = 'AUTHENTICATION_FAILED'
+      then jsonb_build_object('status', 401, 'category', 'unauthorized', 'retryable', false)
+    when p_code in ('NOT_A_PLAYER', 'CANNOT_JOIN_OWN_GAME')
+      then jsonb_build_object('status', 403, 'category', 'forbidden', 'retryable', false)
+    when p_code in ('ROOM_NOT_FOUND', 'GAME_NOT_FOUND_OR_INACTIVE')
+      then jsonb_build_object('status', 404, 'category', 'not_found', 'retryable', false)
+    when p_code = 'TURN_NOT_EXPIRED'
+      then jsonb_build_object('status', 409, 'category', 'conflict', 'retryable', true)
+    when p_code in ('NOT_YOUR_TURN', 'CELL_ALREADY_REVEALED', 'ROOM_FULL', 'ROOM_ALREADY_ACTIVE', 'GAME_NOT_FINISHED')
+      then jsonb_build_object('status', 409, 'category', 'conflict', 'retryable', false)
+    when p_code in ('SECRET_WORD_REQUIRED', 'INVALID_SECRET_WORD', 'WORD_NOT_IN_DICTIONARY', 'NO_MATCHING_WORDS')
+      then jsonb_build_object('status', 422, 'category', 'unprocessable', 'retryable', false)
+    else jsonb_build_object('status', 500, 'category', 'internal', 'retryable', false)
+  end
+$$;
+
+-- Ответ RPC с ошибкой; p_message - код или текст исключения вида 'INTERNAL_ERROR: подробности'
+create or replace function public._rpc_error(p_message text)
+returns jsonb
+language sql
+immutable
+as $$
+  select jsonb_build_object(
+    'success', false,
+    'error', split_part(p_message, ':', 1),
+    'error_info', public._error_info(split_part(p_message, ':', 1))
+  )
+$$;
+
+-- Дополнение ответа с success = false описанием ошибки
+create or replace function public._with_error_info(p_result jsonb)
+returns jsonb
+language sql
+immutable
+as $$
+  select case
+    when p_result ->> 'success' = 'false' and p_result ? 'error'
+      then p_result || jsonb_build_object('error_info', public._error_info(p_result ->> 'error'))
+    else p_result
+  end
+$$;
+
+-- Реализации RPC остаются без изменений под именами с подчеркиванием и доступны только
+-- оберткам ниже. Обертка ловит raise exception: изменения реализации при этом откатываются
+alter function public.create_game(integer, text, text, text, boolean, integer) rename to _create_game;
+alter function public.join_game(uuid, text) rename to _join_game;
+alter function public.reveal_cell(uuid, integer, integer) rename to _reveal_cell;
+alter function public.validate_guess(uuid, text) rename to _validate_guess;
+alter function public.skip_expired_turn(uuid) rename to _skip_expired_turn;
+alter function public.create_rematch(uuid, text) rename to _create_rematch;
+alter function public.submit_action(uuid, uuid, text, jsonb) rename to _submit_action;
+
+revoke execute on function public._create_game(integer, text, text, text, boolean, integer) from public, anon, authenticated;
+revoke execute on function public._join_game(uuid, text) from public, anon, authenticated;
+revoke execute on function public._reveal_cell(uuid, integer, integer) from public, anon, authenticated;
+revoke execute on function public._validate_guess(uuid, text) from public, anon, authenticated;
+revoke execute on function public._skip_expired_turn(uuid) from public, anon, authenticated;
+revoke execute on function public._create_rematch(uuid, text) from public, anon, authenticated;
+revoke execute on function public._submit_action(uuid, uuid, text, jsonb) from public, anon, authenticated;
+
+create or replace function public.create_game(
+  p_word_length integer default 5,
+  p_secret_word text default null,
+  p_difficulty text default null,
+  p_category text default null,
+  p_strict_guesses boolean default true,
+  p_turn_time_limit integer default null
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  return public._with_error_info(public._create_game(
+    p_word_length, p_secret_word, p_difficulty, p_category, p_strict_guesses, p_turn_time_limit
+  ));
+exception when raise_exception then
+  return public._rpc_error(sqlerrm);
+end;
+$$;
+
+create or replace function public.join_game(p_room_id uuid, p_secret_word text default null)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  return public._with_error_info(public._join_game(p_room_id, p_secret_word));
+exception when raise_exception then
+  return public._rpc_error(sqlerrm);
+end;
+$$;
+
+create or replace function public.reveal_cell(p_room_id uuid, p_row integer, p_col integer)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  return public._with_error_info(public._reveal_cell(p_room_id, p_row, p_col));
+exception when raise_exception then
+  return public._rpc_error(sqlerrm);
+end;
+$$;
+
+create or replace function public.validate_guess(p_room_id uuid, p_guessed_word text)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  return public._with_error_info(public._validate_guess(p_room_id, p_guessed_word));
+exception when raise_exception then
+  return public._rpc_error(sqlerrm);
+end;
+$$;
+
+create or replace function public.skip_expired_turn(p_room_id uuid)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  return public._with_error_info(public._skip_expired_turn(p_room_id));
+exception when raise_exception then
+  return public._rpc_error(sqlerrm);
+end;
+$$;
+
+create or replace function public.create_rematch(p_room_id uuid, p_secret_word text default null)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  return public._with_error_info(public._create_rematch(p_room_id, p_secret_word));
+exception when raise_exception then
+  return public._rpc_error(sqlerrm);
+end;
+$$;
+
+create or replace function public.submit_action(
+  p_action_id uuid,
+  p_room_id uuid,
+  p_type text,
+  p_payload jsonb default '{}'::jsonb
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  return public._with_error_info(public._submit_action(p_action_id, p_room_id, p_type, p_payload));
+exception when raise_exception then
+  return public._rpc_error(sqlerrm);
+end;
+$$;
+
+revoke execute on function public.create_game(integer, text, text, text, boolean, integer) from public;
+revoke execute on function public.join_game(uuid, text) from public;
+revoke execute on function public.reveal_cell(uuid, integer, integer) from public;
+revoke execute on function public.validate_guess(uuid, text) from public;
+revoke execute on function public.skip_expired_turn(uuid) from public;
+revoke execute on function public.create_rematch(uuid, text) from public;
+revoke execute on function public.submit_action(uuid, uuid, text, jsonb) from public;
+
+grant execute on function public.create_game(integer, text, text, text, boolean, integer) to authenticated;
+grant execute on function public.join_game(uuid, text) to authenticated;
+grant execute on function public.reveal_cell(uuid, integer, integer) to authenticated;
+grant execute on function public.validate_guess(uuid, text) to authenticated;
+grant execute on function public.skip_expired_turn(uuid) to authenticated;
+grant execute on function public.create_rematch(uuid, text) to authenticated;
+grant execute on function public.submit_action(uuid, uuid, text, jsonb) to authenticated;
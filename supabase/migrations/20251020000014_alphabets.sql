@@ -0,0 +1,637 @@
+-- Алфавит слов комнаты: русский (ru), украинский (uk) или английский (en)
+-- Алфавит выбирается при создании игры и определяет формат слов, словарь и нормализацию ввода.
+-- Правила совпадают с ALPHABET_CONFIG на клиенте: слово приводится к верхнему регистру,
+-- в украинских словах апостроф удаляется и не занимает клетку.
+-- Существующие слова и комнаты получают алфавит 'ru'. Наполнение совпадает с src/data/words.js
+
+alter table public.words
+  add column if not exists alphabet text not null default 'ru';
+
+alter table public.words drop constraint if exists words_alphabet_check;
+alter table public.words
+  add constraint words_alphabet_check check (alphabet in ('ru', 'uk', 'en'));
+
+-- Одно и то же написание может быть словом разных алфавитов
+alter table public.words drop constraint if exists words_word_key;
+alter table public.words drop constraint if exists words_alphabet_word_key;
+alter table public.words
+  add constraint words_alphabet_word_key unique (alphabet, word);
+
+alter table public.words drop constraint if exists words_word_format;
+alter table public.words
+  add constraint words_word_format check (
+    case alphabet
+      when 'ru' then word ~ '^[А-ЯЁ]+$'
+      when 'uk' then word ~ '^[А-ЩЬЮЯҐЄІЇ]+$'
+      when 'en' then word ~ '^[A-Z]+$'
+      else false
+    end
+  );
+
+drop index if exists public.words_filter_idx;
+create index if not exists words_filter_idx on public.words (alphabet, length, difficulty, category);
+
+insert into public.words (alphabet, word, category, frequency) values
+  -- Украинский: животные
+  ('uk', 'КІШКА', 'animals', 50), ('uk', 'ПТАХИ', 'animals', 20), ('uk', 'ОЛЕНЬ', 'animals', 15),
+  ('uk', 'ЗАЄЦЬ', 'animals', 15), ('uk', 'МИШКА', 'animals', 10), ('uk', 'ЖАБКА', 'animals', 5),
+  ('uk', 'БОБЕР', 'animals', 4), ('uk', 'ЗЕБРА', 'animals', 3), ('uk', 'ЖИРАФ', 'animals', 3),
+  ('uk', 'СОБАКА', 'animals', 60), ('uk', 'КОРОВА', 'animals', 20), ('uk', 'КРОЛИК', 'animals', 12),
+  ('uk', 'ЛИСИЦЯ', 'animals', 10), ('uk', 'ЛЕЛЕКА', 'animals', 8), ('uk', 'ПІВЕНЬ', 'animals', 8),
+  ('uk', 'ЛЕБІДЬ', 'animals', 6), ('uk', 'ПАПУГА', 'animals', 5), ('uk', 'КОШЕНЯ', 'animals', 5),
+  ('uk', 'ВЕДМІДЬ', 'animals', 40), ('uk', 'МЕТЕЛИК', 'animals', 10),
+  ('uk', 'ВЕРБЛЮД', 'animals', 5), ('uk', 'ДЕЛЬФІН', 'animals', 4), ('uk', 'ПІНГВІН', 'animals', 3),
+  ('uk', 'ЛАСТІВКА', 'animals', 8), ('uk', 'ЧЕРЕПАХА', 'animals', 6),
+  ('uk', 'ГОРОБЕЦЬ', 'animals', 6), ('uk', 'КРОКОДИЛ', 'animals', 4),
+  -- Украинский: еда
+  ('uk', 'МАСЛО', 'food', 30), ('uk', 'ЛИМОН', 'food', 12), ('uk', 'ЯГОДА', 'food', 12),
+  ('uk', 'ПИРІГ', 'food', 10), ('uk', 'ГРУША', 'food', 8), ('uk', 'ВИШНЯ', 'food', 8),
+  ('uk', 'СЛИВА', 'food', 6), ('uk', 'БАНАН', 'food', 5), ('uk', 'КАВУН', 'food', 5),
+  ('uk', 'МОЛОКО', 'food', 40), ('uk', 'ЯБЛУКО', 'food', 20), ('uk', 'МАЛИНА', 'food', 8),
+  ('uk', 'ОГІРОК', 'food', 6), ('uk', 'ЧАСНИК', 'food', 6), ('uk', 'ПЕЧИВО', 'food', 5),
+  ('uk', 'МОРКВА', 'food', 5), ('uk', 'КОМПОТ', 'food', 3), ('uk', 'КАПУСТА', 'food', 8),
+  ('uk', 'СМЕТАНА', 'food', 6), ('uk', 'КОВБАСА', 'food', 6), ('uk', 'ЦУКЕРКА', 'food', 5),
+  ('uk', 'ВАРЕНИК', 'food', 3), ('uk', 'КАРТОПЛЯ', 'food', 15), ('uk', 'ВИНОГРАД', 'food', 10),
+  ('uk', 'ПОМІДОРИ', 'food', 5), ('uk', 'АПЕЛЬСИН', 'food', 5), ('uk', 'МАНДАРИН', 'food', 4),
+  ('uk', 'ПОЛУНИЦЯ', 'food', 4),
+  -- Украинский: города
+  ('uk', 'ОДЕСА', 'cities', 40), ('uk', 'ЛЬВІВ', 'cities', 40), ('uk', 'ПАРИЖ', 'cities', 20),
+  ('uk', 'ПРАГА', 'cities', 10), ('uk', 'РІВНЕ', 'cities', 8), ('uk', 'ЛУЦЬК', 'cities', 8),
+  ('uk', 'ТОКІО', 'cities', 5), ('uk', 'МІЛАН', 'cities', 4), ('uk', 'ХАРКІВ', 'cities', 45),
+  ('uk', 'ЛОНДОН', 'cities', 20), ('uk', 'БЕРЛІН', 'cities', 15), ('uk', 'ХЕРСОН', 'cities', 15),
+  ('uk', 'МАДРИД', 'cities', 5), ('uk', 'ПОЛТАВА', 'cities', 15), ('uk', 'ВАРШАВА', 'cities', 12),
+  ('uk', 'ЖИТОМИР', 'cities', 10), ('uk', 'ВІННИЦЯ', 'cities', 10), ('uk', 'УЖГОРОД', 'cities', 6),
+  ('uk', 'ЧЕРКАСИ', 'cities', 6), ('uk', 'ЛІСАБОН', 'cities', 2), ('uk', 'МИКОЛАЇВ', 'cities', 12),
+  ('uk', 'ЧЕРНІГІВ', 'cities', 10), ('uk', 'БРЮССЕЛЬ', 'cities', 3),
+  -- Украинский: природа
+  ('uk', 'СОНЦЕ', 'nature', 80), ('uk', 'ВІТЕР', 'nature', 50), ('uk', 'ОЗЕРО', 'nature', 30),
+  ('uk', 'ТРАВА', 'nature', 30), ('uk', 'РІЧКА', 'nature', 30), ('uk', 'ХМАРА', 'nature', 15),
+  ('uk', 'ГРОЗА', 'nature', 10), ('uk', 'ТУМАН', 'nature', 10), ('uk', 'ЗІРКА', 'nature', 10),
+  ('uk', 'ЛИСТЯ', 'nature', 10), ('uk', 'ДЕРЕВО', 'nature', 40), ('uk', 'ПОГОДА', 'nature', 30),
+  ('uk', 'ОСТРІВ', 'nature', 20), ('uk', 'КВІТКА', 'nature', 15), ('uk', 'БЕРЕЗА', 'nature', 8),
+  ('uk', 'ПРИРОДА', 'nature', 60), ('uk', 'ВЕРШИНА', 'nature', 10), ('uk', 'ВЕСЕЛКА', 'nature', 5),
+  ('uk', 'ПУСТЕЛЯ', 'nature', 5), ('uk', 'ГОРИЗОНТ', 'nature', 10), ('uk', 'СВІТАНОК', 'nature', 8),
+  ('uk', 'ВОДОСПАД', 'nature', 4), ('uk', 'СНІГОПАД', 'nature', 3),
+  -- Украинский: дом и вещи
+  ('uk', 'ДВЕРІ', 'home', 60), ('uk', 'КНИГА', 'home', 60), ('uk', 'ВІКНО', 'home', 40),
+  ('uk', 'КУХНЯ', 'home', 20), ('uk', 'ЛАМПА', 'home', 12), ('uk', 'ДИВАН', 'home', 10),
+  ('uk', 'ЧАШКА', 'home', 10), ('uk', 'ЛОЖКА', 'home', 8), ('uk', 'ЗОШИТ', 'home', 6),
+  ('uk', 'КРІСЛО', 'home', 15), ('uk', 'БАЛКОН', 'home', 10), ('uk', 'ПОЛИЦЯ', 'home', 8),
+  ('uk', 'КИШЕНЯ', 'home', 8), ('uk', 'ЧАЙНИК', 'home', 6), ('uk', 'КОВДРА', 'home', 5),
+  ('uk', 'НОЖИЦІ', 'home', 3), ('uk', 'КІМНАТА', 'home', 60), ('uk', 'ТЕЛЕФОН', 'home', 50),
+  ('uk', 'КАРТИНА', 'home', 20), ('uk', 'ТАРІЛКА', 'home', 8), ('uk', 'ПОДУШКА', 'home', 8),
+  ('uk', 'КОРОБКА', 'home', 8), ('uk', 'СКЛЯНКА', 'home', 6), ('uk', 'ОЛІВЕЦЬ', 'home', 5),
+  ('uk', 'ДЗЕРКАЛО', 'home', 15), ('uk', 'ПОРТФЕЛЬ', 'home', 5), ('uk', 'КАСТРУЛЯ', 'home', 3),
+  ('uk', 'ПАРАСОЛЯ', 'home', 2),
+  -- Украинский: транспорт
+  ('uk', 'ПОЇЗД', 'transport', 30), ('uk', 'ЛІТАК', 'transport', 25),
+  ('uk', 'МЕТРО', 'transport', 20), ('uk', 'ТАКСІ', 'transport', 15),
+  ('uk', 'ВАГОН', 'transport', 15), ('uk', 'ЧОВЕН', 'transport', 12),
+  ('uk', 'ПОРОМ', 'transport', 3), ('uk', 'МАШИНА', 'transport', 60),
+  ('uk', 'РАКЕТА', 'transport', 8), ('uk', 'КАРЕТА', 'transport', 6),
+  ('uk', 'ФУРГОН', 'transport', 3), ('uk', 'АВТОБУС', 'transport', 25),
+  ('uk', 'ТРАМВАЙ', 'transport', 10), ('uk', 'ТРАКТОР', 'transport', 8),
+  ('uk', 'САМОКАТ', 'transport', 3), ('uk', 'КОРАБЕЛЬ', 'transport', 20),
+  ('uk', 'МОТОЦИКЛ', 'transport', 8), ('uk', 'ТЕПЛОХІД', 'transport', 3),
+  ('uk', 'ПАРОПЛАВ', 'transport', 2),
+  -- Украинский: разное
+  ('uk', 'СЛОВО', 'misc', 150), ('uk', 'МІСТО', 'misc', 120), ('uk', 'ШКОЛА', 'misc', 100),
+  ('uk', 'ПІСНЯ', 'misc', 40), ('uk', 'РАДІО', 'misc', 25), ('uk', 'ЗАМОК', 'misc', 15),
+  ('uk', 'ДОРОГА', 'misc', 100), ('uk', 'МУЗИКА', 'misc', 40), ('uk', 'ГАЗЕТА', 'misc', 30),
+  ('uk', 'ІСТОРІЯ', 'misc', 80), ('uk', 'ЗУСТРІЧ', 'misc', 40), ('uk', 'МАГАЗИН', 'misc', 30),
+  ('uk', 'ПОДОРОЖ', 'misc', 15), ('uk', 'ПРИГОДА', 'misc', 8), ('uk', 'БАРАБАН', 'misc', 4),
+  ('uk', 'ЗАВДАННЯ', 'misc', 60),
+  -- Английский: животные
+  ('en', 'HORSE', 'animals', 100), ('en', 'MOUSE', 'animals', 40), ('en', 'SHEEP', 'animals', 30),
+  ('en', 'TIGER', 'animals', 20), ('en', 'EAGLE', 'animals', 15), ('en', 'CAMEL', 'animals', 5),
+  ('en', 'ZEBRA', 'animals', 3), ('en', 'OTTER', 'animals', 2), ('en', 'RABBIT', 'animals', 20),
+  ('en', 'MONKEY', 'animals', 15), ('en', 'DONKEY', 'animals', 8), ('en', 'TURTLE', 'animals', 6),
+  ('en', 'PARROT', 'animals', 5), ('en', 'BEAVER', 'animals', 3), ('en', 'JAGUAR', 'animals', 2),
+  ('en', 'CHICKEN', 'animals', 40), ('en', 'DOLPHIN', 'animals', 5),
+  ('en', 'PENGUIN', 'animals', 4), ('en', 'GIRAFFE', 'animals', 3), ('en', 'SPARROW', 'animals', 3),
+  ('en', 'HAMSTER', 'animals', 2), ('en', 'OSTRICH', 'animals', 1),
+  ('en', 'ELEPHANT', 'animals', 15), ('en', 'SQUIRREL', 'animals', 6),
+  ('en', 'MOSQUITO', 'animals', 4), ('en', 'KANGAROO', 'animals', 3),
+  ('en', 'TORTOISE', 'animals', 2), ('en', 'FLAMINGO', 'animals', 1),
+  -- Английский: еда
+  ('en', 'BREAD', 'food', 60), ('en', 'APPLE', 'food', 30), ('en', 'SUGAR', 'food', 30),
+  ('en', 'HONEY', 'food', 20), ('en', 'PIZZA', 'food', 15), ('en', 'LEMON', 'food', 10),
+  ('en', 'BACON', 'food', 8), ('en', 'PEACH', 'food', 5), ('en', 'MANGO', 'food', 3),
+  ('en', 'CHEESE', 'food', 30), ('en', 'ORANGE', 'food', 30), ('en', 'BUTTER', 'food', 25),
+  ('en', 'PEPPER', 'food', 10), ('en', 'CHERRY', 'food', 8), ('en', 'TOMATO', 'food', 8),
+  ('en', 'POTATO', 'food', 8), ('en', 'CARROT', 'food', 6), ('en', 'BANANA', 'food', 6),
+  ('en', 'BISCUIT', 'food', 5), ('en', 'CABBAGE', 'food', 4), ('en', 'COOKIES', 'food', 4),
+  ('en', 'PANCAKE', 'food', 3), ('en', 'NOODLES', 'food', 3), ('en', 'AVOCADO', 'food', 2),
+  ('en', 'SANDWICH', 'food', 10), ('en', 'MUSHROOM', 'food', 5), ('en', 'BROCCOLI', 'food', 2),
+  ('en', 'DUMPLING', 'food', 2), ('en', 'ZUCCHINI', 'food', 1),
+  -- Английский: города
+  ('en', 'PARIS', 'cities', 60), ('en', 'TOKYO', 'cities', 15), ('en', 'MIAMI', 'cities', 10),
+  ('en', 'CAIRO', 'cities', 6), ('en', 'DUBAI', 'cities', 5), ('en', 'MILAN', 'cities', 5),
+  ('en', 'PERTH', 'cities', 3), ('en', 'OSAKA', 'cities', 2), ('en', 'LONDON', 'cities', 100),
+  ('en', 'BERLIN', 'cities', 30), ('en', 'MOSCOW', 'cities', 25), ('en', 'BOSTON', 'cities', 25),
+  ('en', 'MADRID', 'cities', 10), ('en', 'VIENNA', 'cities', 10), ('en', 'SYDNEY', 'cities', 10),
+  ('en', 'DUBLIN', 'cities', 8), ('en', 'LISBON', 'cities', 6), ('en', 'PRAGUE', 'cities', 5),
+  ('en', 'CHICAGO', 'cities', 30), ('en', 'TORONTO', 'cities', 10), ('en', 'BEIJING', 'cities', 10),
+  ('en', 'HOUSTON', 'cities', 10), ('en', 'SEATTLE', 'cities', 10), ('en', 'DETROIT', 'cities', 10),
+  ('en', 'ATLANTA', 'cities', 8), ('en', 'NAIROBI', 'cities', 2), ('en', 'BRUSSELS', 'cities', 6),
+  ('en', 'MONTREAL', 'cities', 5), ('en', 'ISTANBUL', 'cities', 4), ('en', 'BORDEAUX', 'cities', 2),
+  ('en', 'HONOLULU', 'cities', 2), ('en', 'BRISBANE', 'cities', 1),
+  -- Английский: природа
+  ('en', 'RIVER', 'nature', 80), ('en', 'STONE', 'nature', 50), ('en', 'OCEAN', 'nature', 30),
+  ('en', 'STORM', 'nature', 30), ('en', 'BEACH', 'nature', 30), ('en', 'GRASS', 'nature', 30),
+  ('en', 'CLOUD', 'nature', 25), ('en', 'WINTER', 'nature', 50), ('en', 'GARDEN', 'nature', 50),
+  ('en', 'FOREST', 'nature', 40), ('en', 'ISLAND', 'nature', 40), ('en', 'FLOWER', 'nature', 30),
+  ('en', 'DESERT', 'nature', 20), ('en', 'MEADOW', 'nature', 5), ('en', 'SUNSET', 'nature', 8),
+  ('en', 'WEATHER', 'nature', 50), ('en', 'THUNDER', 'nature', 8), ('en', 'RAINBOW', 'nature', 5),
+  ('en', 'SUNRISE', 'nature', 5), ('en', 'VOLCANO', 'nature', 3), ('en', 'GLACIER', 'nature', 2),
+  ('en', 'MOUNTAIN', 'nature', 40), ('en', 'SUNLIGHT', 'nature', 10),
+  ('en', 'WILDLIFE', 'nature', 5), ('en', 'SNOWFALL', 'nature', 2), ('en', 'SEASHORE', 'nature', 2),
+  -- Английский: дом и вещи
+  ('en', 'TABLE', 'home', 80), ('en', 'CHAIR', 'home', 40), ('en', 'CLOCK', 'home', 20),
+  ('en', 'KNIFE', 'home', 20), ('en', 'COUCH', 'home', 10), ('en', 'SHELF', 'home', 8),
+  ('en', 'TOWEL', 'home', 8), ('en', 'SPOON', 'home', 5), ('en', 'WINDOW', 'home', 60),
+  ('en', 'MIRROR', 'home', 20), ('en', 'PILLOW', 'home', 8), ('en', 'BASKET', 'home', 8),
+  ('en', 'CARPET', 'home', 8), ('en', 'CANDLE', 'home', 8), ('en', 'BUCKET', 'home', 5),
+  ('en', 'KETTLE', 'home', 4), ('en', 'KITCHEN', 'home', 50), ('en', 'BLANKET', 'home', 10),
+  ('en', 'CABINET', 'home', 8), ('en', 'LANTERN', 'home', 3), ('en', 'CUSHION', 'home', 3),
+  ('en', 'BATHROOM', 'home', 20), ('en', 'UMBRELLA', 'home', 8), ('en', 'NOTEBOOK', 'home', 6),
+  ('en', 'CUPBOARD', 'home', 5), ('en', 'SCISSORS', 'home', 3),
+  -- Английский: транспорт
+  ('en', 'TRAIN', 'transport', 40), ('en', 'PLANE', 'transport', 30),
+  ('en', 'TRUCK', 'transport', 30), ('en', 'WAGON', 'transport', 8),
+  ('en', 'FERRY', 'transport', 5), ('en', 'YACHT', 'transport', 2),
+  ('en', 'ROCKET', 'transport', 8), ('en', 'SUBWAY', 'transport', 8),
+  ('en', 'TANKER', 'transport', 2), ('en', 'CAMPER', 'transport', 2),
+  ('en', 'GLIDER', 'transport', 1), ('en', 'BICYCLE', 'transport', 10),
+  ('en', 'TRACTOR', 'transport', 6), ('en', 'TROLLEY', 'transport', 3),
+  ('en', 'SCOOTER', 'transport', 2), ('en', 'CRUISER', 'transport', 2),
+  ('en', 'AIRPLANE', 'transport', 10), ('en', 'CARRIAGE', 'transport', 10),
+  ('en', 'SAILBOAT', 'transport', 2), ('en', 'RICKSHAW', 'transport', 1),
+  -- Английский: разное
+  ('en', 'WORLD', 'misc', 300), ('en', 'MUSIC', 'misc', 80), ('en', 'PARTY', 'misc', 70),
+  ('en', 'PAPER', 'misc', 60), ('en', 'DREAM', 'misc', 40), ('en', 'GHOST', 'misc', 8),
+  ('en', 'FRIEND', 'misc', 150), ('en', 'SCHOOL', 'misc', 150), ('en', 'LETTER', 'misc', 80),
+  ('en', 'MARKET', 'misc', 60), ('en', 'PUZZLE', 'misc', 5), ('en', 'HISTORY', 'misc', 100),
+  ('en', 'LIBRARY', 'misc', 25), ('en', 'JOURNEY', 'misc', 20), ('en', 'CONCERT', 'misc', 10),
+  ('en', 'MYSTERY', 'misc', 10), ('en', 'QUESTION', 'misc', 150), ('en', 'BIRTHDAY', 'misc', 30),
+  ('en', 'MAGAZINE', 'misc', 15), ('en', 'TREASURE', 'misc', 10), ('en', 'ALPHABET', 'misc', 3)
+on conflict (alphabet, word) do update
+set category = excluded.category,
+    frequency = excluded.frequency;
+
+alter table public.game_rooms
+  add column if not exists alphabet text not null default 'ru';
+
+alter table public.game_rooms drop constraint if exists game_rooms_alphabet_check;
+alter table public.game_rooms
+  add constraint game_rooms_alphabet_check check (alphabet in ('ru', 'uk', 'en'));
+
+create or replace view public.game_rooms_safe as
+select
+  r.id,
+  r.player1_id,
+  r.player2_id,
+  r.current_player,
+  r.status,
+  r.word_length,
+  r.board_state,
+  r.revealed_cells,
+  r.player1_score,
+  r.player2_score,
+  r.winner,
+  case when r.status = 'finished' then s.word end as word,
+  r.created_at,
+  r.updated_at,
+  r.word_mode,
+  r.boards,
+  case when r.status = 'finished' then s.player_words end as player_words,
+  r.word_difficulty,
+  r.word_category,
+  r.strict_guesses,
+  r.turn_time_limit,
+  r.turn_deadline,
+  r.first_player,
+  r.rematch_of,
+  r.rematch_room_id,
+  r.version,
+  r.alphabet
+from public.game_rooms r
+left join public.game_secrets s on s.room_id = r.id;
+
+-- Нормализация слова по правилам алфавита (как normalizeWord на клиенте)
+create or replace function public._normalize_word(p_word text, p_alphabet text)
+returns text
+language sql
+immutable
+as $$
+  select upper(case
+    when p_alphabet = 'uk' then translate(btrim(coalesce(p_word, '')), '''’ʼ', '')
+    else btrim(coalesce(p_word, ''))
+  end);
+$$;
+
+-- Проверка загаданного слова по словарю алфавита
+drop function if exists public._is_dictionary_word(text, integer);
+
+create or replace function public._is_dictionary_word(p_word text, p_length integer, p_alphabet text)
+returns boolean
+language sql
+stable
+as $$
+  select exists (
+    select 1 from public.words w
+    where w.alphabet = p_alphabet and w.word = p_word and w.length = p_length
+  );
+$$;
+
+-- Новая сигнатура create_game: старые версии удаляем, чтобы PostgREST не видел перегрузок
+drop function if exists public.create_game(integer, text, text, text, boolean, integer);
+drop function if exists public._create_game(integer, text, text, text, boolean, integer);
+
+-- Создание игры; p_alphabet - алфавит слов комнаты
+create or replace function public._create_game(
+  p_word_length integer default 5,
+  p_secret_word text default null,
+  p_difficulty text default null,
+  p_category text default null,
+  p_strict_guesses boolean default true,
+  p_turn_time_limit integer default null,
+  p_alphabet text default 'ru'
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user_id uuid := auth.uid();
+  v_secret text := nullif(public._normalize_word(p_secret_word, p_alphabet), '');
+  v_word text;
+  v_room_id uuid;
+begin
+  if v_user_id is null then
+    raise exception 'AUTHENTICATION_FAILED';
+  end if;
+
+  if p_word_length is null or p_word_length not between 5 and 8 then
+    raise exception 'INVALID_INPUT';
+  end if;
+
+  if p_alphabet is null or p_alphabet not in ('ru', 'uk', 'en') then
+    raise exception 'INVALID_INPUT';
+  end if;
+
+  if p_difficulty is not null and p_difficulty not in ('easy', 'medium', 'hard') then
+    raise exception 'INVALID_INPUT';
+  end if;
+
+  if p_turn_time_limit is not null and p_turn_time_limit not between 10 and 600 then
+    raise exception 'INVALID_INPUT';
+  end if;
+
+  if v_secret is not null then
+    if not public._is_dictionary_word(v_secret, p_word_length, p_alphabet) then
+      return jsonb_build_object('success', false, 'error', 'INVALID_SECRET_WORD');
+    end if;
+
+    insert into public.game_rooms (
+      player1_id, word_length, board_state, word_mode, boards, strict_guesses, turn_time_limit, alphabet
+    )
+    values (
+      v_user_id,
+      p_word_length,
+      public._empty_board(),
+      'custom',
+      jsonb_build_object('1', public._empty_board(), '2', public._empty_board()),
+      coalesce(p_strict_guesses, true),
+      p_turn_time_limit,
+      p_alphabet
+    )
+    returning id into v_room_id;
+
+    insert into public.game_secrets (room_id, player_words, secret_boards)
+    values (
+      v_room_id,
+      jsonb_build_object('1', v_secret, '2', null),
+      jsonb_build_object('1', public._secret_board(v_secret), '2', null)
+    );
+  else
+    select w.word into v_word
+    from public.words w
+    where w.alphabet = p_alphabet
+      and w.length = p_word_length
+      and (p_difficulty is null or w.difficulty = p_difficulty)
+      and (p_category is null or w.category = p_category)
+    order by random()
+    limit 1;
+
+    if v_word is null then
+      return jsonb_build_object('success', false, 'error', 'NO_MATCHING_WORDS');
+    end if;
+
+    insert into public.game_rooms (
+      player1_id, word_length, board_state, word_difficulty, word_category, strict_guesses, turn_time_limit,
+      alphabet
+    )
+    values (
+      v_user_id, p_word_length, public._empty_board(), p_difficulty, p_category,
+      coalesce(p_strict_guesses, true), p_turn_time_limit, p_alphabet
+    )
+    returning id into v_room_id;
+
+    insert into public.game_secrets (room_id, word, secret_board)
+    values (v_room_id, v_word, public._secret_board(v_word));
+  end if;
+
+  return jsonb_build_object(
+    'success', true,
+    'room_id', v_room_id,
+    'word_length', p_word_length
+  );
+end;
+$$;
+
+create or replace function public.create_game(
+  p_word_length integer default 5,
+  p_secret_word text default null,
+  p_difficulty text default null,
+  p_category text default null,
+  p_strict_guesses boolean default true,
+  p_turn_time_limit integer default null,
+  p_alphabet text default 'ru'
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  return public._with_error_info(public._create_game(
+    p_word_length, p_secret_word, p_difficulty, p_category, p_strict_guesses, p_turn_time_limit, p_alphabet
+  ));
+exception when raise_exception then
+  return public._rpc_error(sqlerrm);
+end;
+$$;
+
+revoke execute on function public._create_game(integer, text, text, text, boolean, integer, text)
+  from public, anon, authenticated;
+revoke execute on function public.create_game(integer, text, text, text, boolean, integer, text) from public;
+grant execute on function public.create_game(integer, text, text, text, boolean, integer, text) to authenticated;
+
+-- Присоединение второго игрока: свое слово проверяется по алфавиту комнаты
+create or replace function public._join_game(
+  p_room_id uuid,
+  p_secret_word text default null
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user_id uuid := auth.uid();
+  v_room public.game_rooms%rowtype;
+  v_secret text;
+  v_first_player smallint;
+begin
+  if v_user_id is null then
+    raise exception 'AUTHENTICATION_FAILED';
+  end if;
+
+  select * into v_room from public.game_rooms where id = p_room_id for update;
+
+  if not found then
+    return jsonb_build_object('success', false, 'error', 'ROOM_NOT_FOUND');
+  end if;
+
+  if v_room.player1_id = v_user_id then
+    return jsonb_build_object('success', false, 'error', 'CANNOT_JOIN_OWN_GAME');
+  end if;
+
+  if v_room.player2_id is not null then
+    return jsonb_build_object(
+      'success', false,
+      'error', case when v_room.player2_id = v_user_id then 'ROOM_ALREADY_ACTIVE' else 'ROOM_FULL' end
+    );
+  end if;
+
+  if v_room.status <> 'waiting' then
+    return jsonb_build_object('success', false, 'error', 'ROOM_ALREADY_ACTIVE');
+  end if;
+
+  if v_room.word_mode = 'custom' then
+    v_secret := nullif(public._normalize_word(p_secret_word, v_room.alphabet), '');
+
+    if v_secret is null then
+      return jsonb_build_object('success', false, 'error', 'SECRET_WORD_REQUIRED');
+    end if;
+
+    if not public._is_dictionary_word(v_secret, v_room.word_length, v_room.alphabet) then
+      return jsonb_build_object('success', false, 'error', 'INVALID_SECRET_WORD');
+    end if;
+
+    update public.game_secrets
+    set player_words = jsonb_set(player_words, '{2}', to_jsonb(v_secret)),
+        secret_boards = jsonb_set(secret_boards, '{2}', public._secret_board(v_secret))
+    where room_id = p_room_id;
+  end if;
+
+  v_first_player := coalesce(v_room.first_player, case when random() < 0.5 then 1 else 2 end);
+
+  update public.game_rooms
+  set player2_id = v_user_id,
+      status = 'active',
+      current_player = v_first_player,
+      first_player = v_first_player
+  where id = p_room_id;
+
+  return jsonb_build_object('success', true, 'first_player', v_first_player);
+end;
+$$;
+
+-- Проверка слова: попытка нормализуется и сверяется со словарем по алфавиту комнаты
+create or replace function public._validate_guess(p_room_id uuid, p_guessed_word text)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user_id uuid := auth.uid();
+  v_room public.game_rooms%rowtype;
+  v_secret public.game_secrets%rowtype;
+  v_player smallint;
+  v_next_player smallint;
+  v_target text;
+  v_guess text;
+begin
+  if v_user_id is null then
+    raise exception 'AUTHENTICATION_FAILED';
+  end if;
+
+  select * into v_room from public.game_rooms where id = p_room_id for update;
+
+  if not found or v_room.status <> 'active' then
+    return jsonb_build_object('success', false, 'error', 'GAME_NOT_FOUND_OR_INACTIVE');
+  end if;
+
+  v_guess := public._normalize_word(p_guessed_word, v_room.alphabet);
+
+  v_player := case
+    when v_room.player1_id = v_user_id then 1
+    when v_room.player2_id = v_user_id then 2
+  end;
+
+  if v_player is null then
+    return jsonb_build_object('success', false, 'error', 'NOT_A_PLAYER');
+  end if;
+
+  if v_room.current_player <> v_player then
+    return jsonb_build_object('success', false, 'error', 'NOT_YOUR_TURN');
+  end if;
+
+  v_next_player := case when v_player = 1 then 2 else 1 end;
+
+  if v_guess = '' then
+    update public.game_rooms set current_player = v_next_player where id = p_room_id;
+    return jsonb_build_object('success', true, 'skipped', true, 'next_player', v_next_player);
+  end if;
+
+  -- Строгий режим: слово не из словаря отклоняется без передачи хода
+  if v_room.strict_guesses and not exists (
+    select 1 from public.words w where w.alphabet = v_room.alphabet and w.word = v_guess
+  ) then
+    return jsonb_build_object('success', false, 'error', 'WORD_NOT_IN_DICTIONARY');
+  end if;
+
+  select * into v_secret from public.game_secrets where room_id = p_room_id for update;
+
+  v_target := case
+    when v_room.word_mode = 'custom' then v_secret.player_words ->> v_next_player::text
+    else v_secret.word
+  end;
+
+  if v_guess = v_target then
+    if v_room.word_mode = 'custom' then
+      update public.game_secrets set word = v_target where room_id = p_room_id;
+
+      update public.game_rooms
+      set status = 'finished',
+          winner = v_player,
+          boards = jsonb_build_object(
+            '1', public._reveal_board(v_secret.secret_boards -> '1'),
+            '2', public._reveal_board(v_secret.secret_boards -> '2')
+          )
+      where id = p_room_id;
+    else
+      update public.game_rooms
+      set status = 'finished',
+          winner = v_player,
+          board_state = public._reveal_board(v_secret.secret_board)
+      where id = p_room_id;
+    end if;
+
+    return jsonb_build_object(
+      'success', true,
+      'correct', true,
+      'winner', v_player,
+      'word', v_target
+    );
+  end if;
+
+  update public.game_rooms set current_player = v_next_player where id = p_room_id;
+  return jsonb_build_object('success', true, 'correct', false, 'next_player', v_next_player);
+end;
+$$;
+
+-- Реванш создается с алфавитом исходной игры
+create or replace function public._create_rematch(
+  p_room_id uuid,
+  p_secret_word text default null
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user_id uuid := auth.uid();
+  v_room public.game_rooms%rowtype;
+  v_player smallint;
+  v_first_user uuid;
+  v_result jsonb;
+  v_new_room_id uuid;
+begin
+  if v_user_id is null then
+    raise exception 'AUTHENTICATION_FAILED';
+  end if;
+
+  select * into v_room from public.game_rooms where id = p_room_id for update;
+
+  if not found then
+    return jsonb_build_object('success', false, 'error', 'ROOM_NOT_FOUND');
+  end if;
+
+  v_player := case
+    when v_room.player1_id = v_user_id then 1
+    when v_room.player2_id = v_user_id then 2
+  end;
+
+  if v_player is null then
+    return jsonb_build_object('success', false, 'error', 'NOT_A_PLAYER');
+  end if;
+
+  if v_room.status <> 'finished' then
+    return jsonb_build_object('success', false, 'error', 'GAME_NOT_FINISHED');
+  end if;
+
+  if v_room.rematch_room_id is not null then
+    return jsonb_build_object(
+      'success', true,
+      'room_id', v_room.rematch_room_id,
+      'word_length', v_room.word_length,
+      'created', false
+    );
+  end if;
+
+  if v_room.word_mode = 'custom' and nullif(btrim(coalesce(p_secret_word, '')), '') is null then
+    return jsonb_build_object('success', false, 'error', 'SECRET_WORD_REQUIRED');
+  end if;
+
+  v_result := public.create_game(
+    v_room.word_length,
+    case when v_room.word_mode = 'custom' then p_secret_word end,
+    v_room.word_difficulty,
+    v_room.word_category,
+    v_room.strict_guesses,
+    v_room.turn_time_limit,
+    v_room.alphabet
+  );
+
+  if not (v_result ->> 'success')::boolean then
+    return v_result;
+  end if;
+
+  v_new_room_id := (v_result ->> 'room_id')::uuid;
+
+  -- Создатель реванша - игрок 1 новой комнаты; первым ходит тот, кто в прошлой игре ходил вторым
+  v_first_user := case v_room.first_player
+    when 1 then v_room.player1_id
+    when 2 then v_room.player2_id
+  end;
+
+  update public.game_rooms
+  set rematch_of = p_room_id,
+      first_player = case
+        when v_first_user is null then null
+        when v_first_user = v_user_id then 2
+        else 1
+      end
+  where id = v_new_room_id;
+
+  update public.game_rooms set rematch_room_id = v_new_room_id where id = p_room_id;
+
+  return v_result || jsonb_build_object('created', true);
+end;
+$$;
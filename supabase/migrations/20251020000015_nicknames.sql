@@ -0,0 +1,433 @@
+-- Никнеймы игроков: имя создателя и второго игрока хранится в записи комнаты
+-- и показывается в индикаторе хода, уведомлениях и на экране завершения игры.
+-- Правила совпадают с validateAndSanitizeNickname на клиенте: 2-20 символов из букв, цифр,
+-- пробелов, дефиса и подчеркивания. Имя необязательно: без него игрок показывается как "Игрок 1"/"Игрок 2"
+
+alter table public.game_rooms
+  add column if not exists player1_nickname text,
+  add column if not exists player2_nickname text;
+
+alter table public.game_rooms drop constraint if exists game_rooms_player1_nickname_check;
+alter table public.game_rooms
+  add constraint game_rooms_player1_nickname_check check (char_length(player1_nickname) between 2 and 20);
+
+alter table public.game_rooms drop constraint if exists game_rooms_player2_nickname_check;
+alter table public.game_rooms
+  add constraint game_rooms_player2_nickname_check check (char_length(player2_nickname) between 2 and 20);
+
+create or replace view public.game_rooms_safe as
+select
+  r.id,
+  r.player1_id,
+  r.player2_id,
+  r.current_player,
+  r.status,
+  r.word_length,
+  r.board_state,
+  r.revealed_cells,
+  r.player1_score,
+  r.player2_score,
+  r.winner,
+  case when r.status = 'finished' then s.word end as word,
+  r.created_at,
+  r.updated_at,
+  r.word_mode,
+  r.boards,
+  case when r.status = 'finished' then s.player_words end as player_words,
+  r.word_difficulty,
+  r.word_category,
+  r.strict_guesses,
+  r.turn_time_limit,
+  r.turn_deadline,
+  r.first_player,
+  r.rematch_of,
+  r.rematch_room_id,
+  r.version,
+  r.alphabet,
+  r.player1_nickname,
+  r.player2_nickname
+from public.game_rooms r
+left join public.game_secrets s on s.room_id = r.id;
+
+-- Проверка никнейма: пустое имя - null, некорректное - INVALID_INPUT
+create or replace function public._normalize_nickname(p_nickname text)
+returns text
+language plpgsql
+immutable
+set search_path = public
+as $$
+declare
+  v_nickname text := nullif(btrim(coalesce(p_nickname, '')), '');
+begin
+  if v_nickname is null then
+    return null;
+  end if;
+
+  if char_length(v_nickname) not between 2 and 20
+    or v_nickname !~ '^[a-zA-Zа-яёА-ЯЁ0-9[:space:]_-]+$' then
+    raise exception 'INVALID_INPUT';
+  end if;
+
+  return v_nickname;
+end;
+$$;
+
+revoke execute on function public._normalize_nickname(text) from public, anon, authenticated;
+
+-- Новые сигнатуры create_game, join_game и create_rematch: старые версии удаляем,
+-- чтобы PostgREST не видел перегрузок
+drop function if exists public.create_game(integer, text, text, text, boolean, integer, text);
+drop function if exists public._create_game(integer, text, text, text, boolean, integer, text);
+drop function if exists public.join_game(uuid, text);
+drop function if exists public._join_game(uuid, text);
+drop function if exists public.create_rematch(uuid, text);
+drop function if exists public._create_rematch(uuid, text);
+
+-- Создание игры; p_nickname - имя создателя комнаты
+create or replace function public._create_game(
+  p_word_length integer default 5,
+  p_secret_word text default null,
+  p_difficulty text default null,
+  p_category text default null,
+  p_strict_guesses boolean default true,
+  p_turn_time_limit integer default null,
+  p_alphabet text default 'ru',
+  p_nickname text default null
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user_id uuid := auth.uid();
+  v_secret text := nullif(public._normalize_word(p_secret_word, p_alphabet), '');
+  v_word text;
+  v_room_id uuid;
+  v_nickname text;
+begin
+  if v_user_id is null then
+    raise exception 'AUTHENTICATION_FAILED';
+  end if;
+
+  if p_word_length is null or p_word_length not between 5 and 8 then
+    raise exception 'INVALID_INPUT';
+  end if;
+
+  if p_alphabet is null or p_alphabet not in ('ru', 'uk', 'en') then
+    raise exception 'INVALID_INPUT';
+  end if;
+
+  if p_difficulty is not null and p_difficulty not in ('easy', 'medium', 'hard') then
+    raise exception 'INVALID_INPUT';
+  end if;
+
+  if p_turn_time_limit is not null and p_turn_time_limit not between 10 and 600 then
+    raise exception 'INVALID_INPUT';
+  end if;
+
+  v_nickname := public._normalize_nickname(p_nickname);
+
+  if v_secret is not null then
+    if not public._is_dictionary_word(v_secret, p_word_length, p_alphabet) then
+      return jsonb_build_object('success', false, 'error', 'INVALID_SECRET_WORD');
+    end if;
+
+    insert into public.game_rooms (
+      player1_id, word_length, board_state, word_mode, boards, strict_guesses, turn_time_limit, alphabet,
+      player1_nickname
+    )
+    values (
+      v_user_id,
+      p_word_length,
+      public._empty_board(),
+      'custom',
+      jsonb_build_object('1', public._empty_board(), '2', public._empty_board()),
+      coalesce(p_strict_guesses, true),
+      p_turn_time_limit,
+      p_alphabet,
+      v_nickname
+    )
+    returning id into v_room_id;
+
+    insert into public.game_secrets (room_id, player_words, secret_boards)
+    values (
+      v_room_id,
+      jsonb_build_object('1', v_secret, '2', null),
+      jsonb_build_object('1', public._secret_board(v_secret), '2', null)
+    );
+  else
+    select w.word into v_word
+    from public.words w
+    where w.alphabet = p_alphabet
+      and w.length = p_word_length
+      and (p_difficulty is null or w.difficulty = p_difficulty)
+      and (p_category is null or w.category = p_category)
+    order by random()
+    limit 1;
+
+    if v_word is null then
+      return jsonb_build_object('success', false, 'error', 'NO_MATCHING_WORDS');
+    end if;
+
+    insert into public.game_rooms (
+      player1_id, word_length, board_state, word_difficulty, word_category, strict_guesses, turn_time_limit,
+      alphabet, player1_nickname
+    )
+    values (
+      v_user_id, p_word_length, public._empty_board(), p_difficulty, p_category,
+      coalesce(p_strict_guesses, true), p_turn_time_limit, p_alphabet, v_nickname
+    )
+    returning id into v_room_id;
+
+    insert into public.game_secrets (room_id, word, secret_board)
+    values (v_room_id, v_word, public._secret_board(v_word));
+  end if;
+
+  return jsonb_build_object(
+    'success', true,
+    'room_id', v_room_id,
+    'word_length', p_word_length
+  );
+end;
+$$;
+
+create or replace function public.create_game(
+  p_word_length integer default 5,
+  p_secret_word text default null,
+  p_difficulty text default null,
+  p_category text default null,
+  p_strict_guesses boolean default true,
+  p_turn_time_limit integer default null,
+  p_alphabet text default 'ru',
+  p_nickname text default null
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  return public._with_error_info(public._create_game(
+    p_word_length, p_secret_word, p_difficulty, p_category, p_strict_guesses, p_turn_time_limit, p_alphabet, p_nickname
+  ));
+exception when raise_exception then
+  return public._rpc_error(sqlerrm);
+end;
+$$;
+
+revoke execute on function public._create_game(integer, text, text, text, boolean, integer, text, text)
+  from public, anon, authenticated;
+revoke execute on function public.create_game(integer, text, text, text, boolean, integer, text, text) from public;
+grant execute on function public.create_game(integer, text, text, text, boolean, integer, text, text) to authenticated;
+
+-- Присоединение второго игрока; p_nickname - его имя
+create or replace function public._join_game(
+  p_room_id uuid,
+  p_secret_word text default null,
+  p_nickname text default null
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user_id uuid := auth.uid();
+  v_room public.game_rooms%rowtype;
+  v_secret text;
+  v_first_player smallint;
+  v_nickname text;
+begin
+  if v_user_id is null then
+    raise exception 'AUTHENTICATION_FAILED';
+  end if;
+
+  v_nickname := public._normalize_nickname(p_nickname);
+
+  select * into v_room from public.game_rooms where id = p_room_id for update;
+
+  if not found then
+    return jsonb_build_object('success', false, 'error', 'ROOM_NOT_FOUND');
+  end if;
+
+  if v_room.player1_id = v_user_id then
+    return jsonb_build_object('success', false, 'error', 'CANNOT_JOIN_OWN_GAME');
+  end if;
+
+  if v_room.player2_id is not null then
+    return jsonb_build_object(
+      'success', false,
+      'error', case when v_room.player2_id = v_user_id then 'ROOM_ALREADY_ACTIVE' else 'ROOM_FULL' end
+    );
+  end if;
+
+  if v_room.status <> 'waiting' then
+    return jsonb_build_object('success', false, 'error', 'ROOM_ALREADY_ACTIVE');
+  end if;
+
+  if v_room.word_mode = 'custom' then
+    v_secret := nullif(public._normalize_word(p_secret_word, v_room.alphabet), '');
+
+    if v_secret is null then
+      return jsonb_build_object('success', false, 'error', 'SECRET_WORD_REQUIRED');
+    end if;
+
+    if not public._is_dictionary_word(v_secret, v_room.word_length, v_room.alphabet) then
+      return jsonb_build_object('success', false, 'error', 'INVALID_SECRET_WORD');
+    end if;
+
+    update public.game_secrets
+    set player_words = jsonb_set(player_words, '{2}', to_jsonb(v_secret)),
+        secret_boards = jsonb_set(secret_boards, '{2}', public._secret_board(v_secret))
+    where room_id = p_room_id;
+  end if;
+
+  v_first_player := coalesce(v_room.first_player, case when random() < 0.5 then 1 else 2 end);
+
+  update public.game_rooms
+  set player2_id = v_user_id,
+      status = 'active',
+      current_player = v_first_player,
+      first_player = v_first_player,
+      player2_nickname = v_nickname
+  where id = p_room_id;
+
+  return jsonb_build_object('success', true, 'first_player', v_first_player);
+end;
+$$;
+
+create or replace function public.join_game(
+  p_room_id uuid,
+  p_secret_word text default null,
+  p_nickname text default null
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  return public._with_error_info(public._join_game(p_room_id, p_secret_word, p_nickname));
+exception when raise_exception then
+  return public._rpc_error(sqlerrm);
+end;
+$$;
+
+revoke execute on function public._join_game(uuid, text, text) from public, anon, authenticated;
+revoke execute on function public.join_game(uuid, text, text) from public;
+grant execute on function public.join_game(uuid, text, text) to authenticated;
+
+-- Реванш: создатель новой комнаты передает свое имя, соперник - при входе через join_game
+create or replace function public._create_rematch(
+  p_room_id uuid,
+  p_secret_word text default null,
+  p_nickname text default null
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user_id uuid := auth.uid();
+  v_room public.game_rooms%rowtype;
+  v_player smallint;
+  v_first_user uuid;
+  v_result jsonb;
+  v_new_room_id uuid;
+begin
+  if v_user_id is null then
+    raise exception 'AUTHENTICATION_FAILED';
+  end if;
+
+  select * into v_room from public.game_rooms where id = p_room_id for update;
+
+  if not found then
+    return jsonb_build_object('success', false, 'error', 'ROOM_NOT_FOUND');
+  end if;
+
+  v_player := case
+    when v_room.player1_id = v_user_id then 1
+    when v_room.player2_id = v_user_id then 2
+  end;
+
+  if v_player is null then
+    return jsonb_build_object('success', false, 'error', 'NOT_A_PLAYER');
+  end if;
+
+  if v_room.status <> 'finished' then
+    return jsonb_build_object('success', false, 'error', 'GAME_NOT_FINISHED');
+  end if;
+
+  if v_room.rematch_room_id is not null then
+    return jsonb_build_object(
+      'success', true,
+      'room_id', v_room.rematch_room_id,
+      'word_length', v_room.word_length,
+      'created', false
+    );
+  end if;
+
+  if v_room.word_mode = 'custom' and nullif(btrim(coalesce(p_secret_word, '')), '') is null then
+    return jsonb_build_object('success', false, 'error', 'SECRET_WORD_REQUIRED');
+  end if;
+
+  v_result := public.create_game(
+    v_room.word_length,
+    case when v_room.word_mode = 'custom' then p_secret_word end,
+    v_room.word_difficulty,
+    v_room.word_category,
+    v_room.strict_guesses,
+    v_room.turn_time_limit,
+    v_room.alphabet,
+    p_nickname
+  );
+
+  if not (v_result ->> 'success')::boolean then
+    return v_result;
+  end if;
+
+  v_new_room_id := (v_result ->> 'room_id')::uuid;
+
+  -- Создатель реванша - игрок 1 новой комнаты; первым ходит тот, кто в прошлой игре ходил вторым
+  v_first_user := case v_room.first_player
+    when 1 then v_room.player1_id
+    when 2 then v_room.player2_id
+  end;
+
+  update public.game_rooms
+  set rematch_of = p_room_id,
+      first_player = case
+        when v_first_user is null then null
+        when v_first_user = v_user_id then 2
+        else 1
+      end
+  where id = v_new_room_id;
+
+  update public.game_rooms set rematch_room_id = v_new_room_id where id = p_room_id;
+
+  return v_result || jsonb_build_object('created', true);
+end;
+$$;
+
+create or replace function public.create_rematch(
+  p_room_id uuid,
+  p_secret_word text default null,
+  p_nickname text default null
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  return public._with_error_info(public._create_rematch(p_room_id, p_secret_word, p_nickname));
+exception when raise_exception then
+  return public._rpc_error(sqlerrm);
+end;
+$$;
+
+revoke execute on function public._create_rematch(uuid, text, text) from public, anon, authenticated;
+revoke execute on function public.create_rematch(uuid, text, text) from public;
+grant execute on function public.create_rematch(uuid, text, text) to authenticated;
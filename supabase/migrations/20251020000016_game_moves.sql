@@ -0,0 +1,220 @@
+-- Журнал ходов: каждый успешный ход сохраняется по порядку (открытие клетки, попытка
+-- угадать слово, пропуск хода, пропуск по таймеру), чтобы после игры ее можно было
+-- просмотреть повтором. Ходы пишут обертки RPC после успешного ответа реализации;
+-- повтор хода через submit_action возвращает сохраненный результат и в журнал не попадает
+
+create table if not exists public.game_moves (
+  room_id uuid not null references public.game_rooms (id) on delete cascade,
+  seq integer not null,
+  player smallint not null,
+  move_type text not null,
+  cell_row smallint,
+  cell_col smallint,
+  word text,
+  correct boolean,
+  created_at timestamptz not null default now(),
+  primary key (room_id, seq),
+  constraint game_moves_player_check check (player in (1, 2)),
+  constraint game_moves_type_check check (move_type in ('reveal', 'guess', 'skip', 'timeout'))
+);
+
+comment on table public.game_moves is 'Журнал ходов игры, доступен клиентам через get_game_moves после завершения игры';
+
+-- Политик нет: до конца игры журнал раскрывает попытки соперника, читается только через get_game_moves
+alter table public.game_moves enable row level security;
+revoke all on public.game_moves from anon, authenticated;
+
+-- Запись хода; номер хода - следующий по комнате (запись комнаты заблокирована реализацией хода)
+create or replace function public._record_move(
+  p_room_id uuid,
+  p_player smallint,
+  p_type text,
+  p_row integer default null,
+  p_col integer default null,
+  p_word text default null,
+  p_correct boolean default null
+)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  insert into public.game_moves (room_id, seq, player, move_type, cell_row, cell_col, word, correct)
+  select
+    p_room_id,
+    coalesce(max(m.seq), 0) + 1,
+    p_player,
+    p_type,
+    p_row,
+    p_col,
+    p_word,
+    p_correct
+  from public.game_moves m
+  where m.room_id = p_room_id;
+end;
+$$;
+
+-- Номер игрока текущего пользователя в комнате
+create or replace function public._player_number(p_room_id uuid)
+returns smallint
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select case
+    when r.player1_id = auth.uid() then 1
+    when r.player2_id = auth.uid() then 2
+  end::smallint
+  from public.game_rooms r
+  where r.id = p_room_id;
+$$;
+
+revoke execute on function public._record_move(uuid, smallint, text, integer, integer, text, boolean)
+  from public, anon, authenticated;
+revoke execute on function public._player_number(uuid) from public, anon, authenticated;
+
+create or replace function public.reveal_cell(p_room_id uuid, p_row integer, p_col integer)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_result jsonb;
+begin
+  v_result := public._reveal_cell(p_room_id, p_row, p_col);
+
+  if (v_result ->> 'success')::boolean then
+    perform public._record_move(p_room_id, public._player_number(p_room_id), 'reveal', p_row, p_col);
+  end if;
+
+  return public._with_error_info(v_result);
+exception when raise_exception then
+  return public._rpc_error(sqlerrm);
+end;
+$$;
+
+-- Пустая попытка - пропуск хода, остальные записываются нормализованными
+create or replace function public.validate_guess(p_room_id uuid, p_guessed_word text)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_result jsonb;
+begin
+  v_result := public._validate_guess(p_room_id, p_guessed_word);
+
+  if (v_result ->> 'success')::boolean then
+    if (v_result ->> 'skipped')::boolean then
+      perform public._record_move(p_room_id, public._player_number(p_room_id), 'skip');
+    else
+      perform public._record_move(
+        p_room_id,
+        public._player_number(p_room_id),
+        'guess',
+        p_word => public._normalize_word(
+          p_guessed_word,
+          (select r.alphabet from public.game_rooms r where r.id = p_room_id)
+        ),
+        p_correct => (v_result ->> 'correct')::boolean
+      );
+    end if;
+  end if;
+
+  return public._with_error_info(v_result);
+exception when raise_exception then
+  return public._rpc_error(sqlerrm);
+end;
+$$;
+
+-- Ход по таймеру пропускает игрок, чей ход истек, а не тот, кто вызвал функцию
+create or replace function public.skip_expired_turn(p_room_id uuid)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_result jsonb;
+begin
+  v_result := public._skip_expired_turn(p_room_id);
+
+  if (v_result ->> 'success')::boolean then
+    perform public._record_move(
+      p_room_id,
+      case when (v_result ->> 'next_player')::smallint = 1 then 2 else 1 end::smallint,
+      'timeout'
+    );
+  end if;
+
+  return public._with_error_info(v_result);
+exception when raise_exception then
+  return public._rpc_error(sqlerrm);
+end;
+$$;
+
+-- Журнал ходов завершенной игры; доступен любому пользователю, как и сама комната
+create or replace function public._get_game_moves(p_room_id uuid)
+returns jsonb
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+declare
+  v_room public.game_rooms%rowtype;
+begin
+  if auth.uid() is null then
+    raise exception 'AUTHENTICATION_FAILED';
+  end if;
+
+  select * into v_room from public.game_rooms where id = p_room_id;
+
+  if not found then
+    return jsonb_build_object('success', false, 'error', 'ROOM_NOT_FOUND');
+  end if;
+
+  if v_room.status <> 'finished' then
+    return jsonb_build_object('success', false, 'error', 'GAME_NOT_FINISHED');
+  end if;
+
+  return jsonb_build_object(
+    'success', true,
+    'moves', coalesce((
+      select jsonb_agg(jsonb_build_object(
+        'seq', m.seq,
+        'player', m.player,
+        'type', m.move_type,
+        'row', m.cell_row,
+        'col', m.cell_col,
+        'word', m.word,
+        'correct', m.correct,
+        'created_at', m.created_at
+      ) order by m.seq)
+      from public.game_moves m
+      where m.room_id = p_room_id
+    ), '[]'::jsonb)
+  );
+end;
+$$;
+
+create or replace function public.get_game_moves(p_room_id uuid)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  return public._with_error_info(public._get_game_moves(p_room_id));
+exception when raise_exception then
+  return public._rpc_error(sqlerrm);
+end;
+$$;
+
+revoke execute on function public._get_game_moves(uuid) from public, anon, authenticated;
+revoke execute on function public.get_game_moves(uuid) from public;
+grant execute on function public.get_game_moves(uuid) to authenticated;